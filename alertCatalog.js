@@ -0,0 +1,311 @@
+// Canonical catalog of alert metrics and conditions.
+// Every part of the system (API validation, monitor, history replay, notifications, UI) uses these names;
+// aliases cover the vocabularies used before the catalog existed (UI camelCase, monitor 'windspeed', ...).
+
+const CONDITIONS = {
+  greater_than: {
+    name: 'Greater than',
+    symbol: '>',
+    aliases: ['greaterThan', 'gt', '>']
+  },
+  less_than: {
+    name: 'Less than',
+    symbol: '<',
+    aliases: ['lessThan', 'lt', '<']
+  },
+  equal_to: {
+    name: 'Equals',
+    symbol: '=',
+    aliases: ['equals', 'eq', '=']
+  },
+  between: {
+    name: 'Between',
+    symbol: 'between',
+    aliases: ['inside', 'in_range'],
+    range: true
+  },
+  outside: {
+    name: 'Outside',
+    symbol: 'outside',
+    aliases: ['notBetween', 'not_between', 'outside_range'],
+    range: true
+  },
+  drop_greater_than: {
+    name: 'Drop greater than',
+    symbol: 'drop >',
+    aliases: ['dropGreaterThan', 'drop'],
+    drop: true
+  }
+};
+
+const COMPARISON_CONDITIONS = ['greater_than', 'less_than', 'equal_to', 'between', 'outside'];
+
+// Compound alerts combine several metric conditions in alerts.rule_expression (see ruleExpressions.js)
+const COMPOUND_ALERT_TYPE = 'compound';
+
+// readingKey is the property holding the metric on normalized weather readings (null when not read directly).
+// Metrics with a `window` are totals over hourly history: the alert's accumulation_window, defaulting to `window`.
+const METRICS = {
+  temperature: {
+    name: 'Temperature',
+    unit: '°C',
+    emoji: '🌡️',
+    aliases: ['temp', 'air_temperature'],
+    readingKey: 'temperature',
+    conditions: COMPARISON_CONDITIONS,
+    min: -60,
+    max: 60,
+    forecast: true
+  },
+  rainfall: {
+    name: 'Rainfall',
+    unit: 'mm',
+    emoji: '🌧️',
+    aliases: ['rain', 'precipitation'],
+    readingKey: 'rainfall',
+    window: '1h',
+    conditions: COMPARISON_CONDITIONS,
+    min: 0,
+    max: 5000,
+    forecast: true
+  },
+  wind: {
+    name: 'Wind Speed',
+    unit: 'km/h',
+    emoji: '💨',
+    aliases: ['windspeed', 'wind_speed', 'windSpeed'],
+    readingKey: 'windspeed',
+    conditions: COMPARISON_CONDITIONS,
+    min: 0,
+    max: 400,
+    forecast: true
+  },
+  ndvi: {
+    name: 'NDVI',
+    unit: '',
+    emoji: '🛰️',
+    aliases: ['NDVI'],
+    readingKey: null,
+    conditions: [...COMPARISON_CONDITIONS, 'drop_greater_than'],
+    min: -1,
+    max: 1,
+    forecast: false
+  },
+  // Agronomic metrics derived from the hourly readings (see weatherMetrics.js)
+  dew_point: {
+    name: 'Dew Point',
+    unit: '°C',
+    emoji: '💧',
+    aliases: ['dewpoint', 'dewPoint'],
+    readingKey: null,
+    conditions: COMPARISON_CONDITIONS,
+    min: -60,
+    max: 60,
+    forecast: true
+  },
+  heat_index: {
+    name: 'Heat Index',
+    unit: '°C',
+    emoji: '🥵',
+    aliases: ['heatIndex', 'feels_like'],
+    readingKey: null,
+    conditions: COMPARISON_CONDITIONS,
+    min: -60,
+    max: 80,
+    forecast: true
+  },
+  gdd: {
+    name: 'Growing Degree Days',
+    unit: '°Cd',
+    emoji: '🌱',
+    aliases: ['growing_degree_days', 'growingDegreeDays', 'degree_days'],
+    readingKey: null,
+    window: 'season',
+    conditions: COMPARISON_CONDITIONS,
+    min: 0,
+    max: 10000,
+    forecast: false
+  },
+  chill_hours: {
+    name: 'Chill Hours',
+    unit: 'h',
+    emoji: '❄️',
+    aliases: ['chillHours', 'chilling_hours'],
+    readingKey: null,
+    window: 'season',
+    conditions: COMPARISON_CONDITIONS,
+    min: 0,
+    max: 8784,
+    forecast: false
+  },
+  et0: {
+    name: 'Reference Evapotranspiration',
+    unit: 'mm',
+    emoji: '☀️',
+    aliases: ['ET0', 'evapotranspiration', 'reference_et'],
+    readingKey: null,
+    window: '24h',
+    conditions: COMPARISON_CONDITIONS,
+    min: 0,
+    max: 5000,
+    forecast: false
+  },
+  water_balance: {
+    name: 'Water Balance',
+    unit: 'mm',
+    emoji: '🚰',
+    aliases: ['waterBalance', 'climatic_water_balance'],
+    readingKey: null,
+    window: '24h',
+    conditions: COMPARISON_CONDITIONS,
+    min: -5000,
+    max: 5000,
+    forecast: false
+  },
+  consecutive_dry_days: {
+    name: 'Consecutive Dry Days',
+    unit: ' days',
+    emoji: '🏜️',
+    aliases: ['dry_days', 'consecutiveDryDays'],
+    readingKey: null,
+    // How far back dry days are counted
+    window: '30d',
+    conditions: COMPARISON_CONDITIONS,
+    min: 0,
+    max: 366,
+    forecast: false
+  }
+};
+
+function buildAliasIndex(entries) {
+  const index = {};
+  Object.entries(entries).forEach(([key, entry]) => {
+    index[key.toLowerCase()] = key;
+    entry.aliases.forEach(alias => {
+      index[alias.toLowerCase()] = key;
+    });
+  });
+  return index;
+}
+
+const METRIC_ALIASES = buildAliasIndex(METRICS);
+const CONDITION_ALIASES = buildAliasIndex(CONDITIONS);
+
+// Canonical metric name for any known name or alias, or null
+function resolveMetric(name) {
+  if (name === undefined || name === null) return null;
+  return METRIC_ALIASES[String(name).trim().toLowerCase()] || null;
+}
+
+// Canonical condition name for any known name or alias, or null
+function resolveCondition(name) {
+  if (name === undefined || name === null) return null;
+  return CONDITION_ALIASES[String(name).trim().toLowerCase()] || null;
+}
+
+function getMetric(name) {
+  const key = resolveMetric(name);
+  return key ? { key, ...METRICS[key] } : null;
+}
+
+function getCondition(name) {
+  const key = resolveCondition(name);
+  return key ? { key, ...CONDITIONS[key] } : null;
+}
+
+function getUnit(metricName) {
+  const metric = getMetric(metricName);
+  return metric ? metric.unit : '';
+}
+
+function getMetricLabel(metricName) {
+  const metric = getMetric(metricName);
+  return metric ? metric.name : String(metricName);
+}
+
+// The property of a normalized weather reading that holds this metric
+function getReadingKey(metricName) {
+  const metric = getMetric(metricName);
+  return metric ? metric.readingKey : null;
+}
+
+// Rewrite an alert row's alert_type and condition_type to their canonical names in place
+function normalizeAlert(alert) {
+  alert.alert_type = resolveMetric(alert.alert_type) || alert.alert_type;
+  alert.condition_type = resolveCondition(alert.condition_type) || alert.condition_type;
+  return alert;
+}
+
+// Validate the metric, condition and threshold values of an alert payload.
+// Returns { error } or { alert_type, condition_type } holding the canonical names.
+function validateMetricCondition({ alert_type, condition_type, threshold_value, second_threshold_value }) {
+  const metric = getMetric(alert_type);
+  if (!metric) {
+    return { error: `alert_type must be one of: ${Object.keys(METRICS).join(', ')}` };
+  }
+
+  const condition = getCondition(condition_type);
+  if (!condition || !metric.conditions.includes(condition.key)) {
+    return { error: `condition_type for ${metric.key} alerts must be one of: ${metric.conditions.join(', ')}` };
+  }
+
+  // Drop conditions compare a change in the metric, so only the size of the band matters
+  const min = condition.drop ? 0 : metric.min;
+  const max = condition.drop ? metric.max - metric.min : metric.max;
+  const values = { threshold_value, second_threshold_value: condition.range ? second_threshold_value : undefined };
+
+  for (const [name, value] of Object.entries(values)) {
+    if (value === undefined || value === null || value === '') continue;
+    const num = parseFloat(value);
+    if (isNaN(num) || num < min || num > max) {
+      return { error: `${name} for ${metric.key} must be between ${min} and ${max}${metric.unit}` };
+    }
+  }
+
+  return { alert_type: metric.key, condition_type: condition.key };
+}
+
+// Public representation of the catalog for GET /api/catalog
+function getCatalog() {
+  return {
+    metrics: Object.entries(METRICS).map(([key, metric]) => ({
+      key,
+      name: metric.name,
+      unit: metric.unit,
+      aliases: metric.aliases,
+      conditions: metric.conditions,
+      min: metric.min,
+      max: metric.max,
+      forecast: metric.forecast,
+      window: metric.window || null
+    })),
+    conditions: Object.entries(CONDITIONS).map(([key, condition]) => ({
+      key,
+      name: condition.name,
+      symbol: condition.symbol,
+      aliases: condition.aliases,
+      range: !!condition.range,
+      drop: !!condition.drop
+    })),
+    compound: {
+      alert_type: COMPOUND_ALERT_TYPE,
+      operators: ['and', 'or', 'not']
+    }
+  };
+}
+
+module.exports = {
+  METRICS,
+  CONDITIONS,
+  COMPOUND_ALERT_TYPE,
+  resolveMetric,
+  resolveCondition,
+  getMetric,
+  getCondition,
+  getUnit,
+  getMetricLabel,
+  getReadingKey,
+  normalizeAlert,
+  validateMetricCondition,
+  getCatalog
+};
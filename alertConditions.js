@@ -0,0 +1,207 @@
+// Alert condition evaluation shared by the monitor and the API
+const { CONDITIONS, resolveCondition, getMetric } = require('./alertCatalog');
+const { parseBoolean } = require('./validation');
+
+// Conditions that compare against a band (threshold_value .. second_threshold_value)
+const RANGE_CONDITIONS = Object.keys(CONDITIONS).filter(name => CONDITIONS[name].range);
+
+// 'current' alerts evaluate the latest observation, 'forecast' alerts the hourly forecast
+const ALERT_MODES = ['current', 'forecast'];
+const FORECAST_MATCHES = ['any', 'all'];
+const MAX_FORECAST_HOURS = 384; // 16 days, the longest Open-Meteo forecast
+
+// Conditions evaluated on the change between the two latest readings rather than the latest reading itself.
+// The value passed in is the drop (previous - latest), so a positive value means the reading fell.
+const DROP_CONDITIONS = Object.keys(CONDITIONS).filter(name => CONDITIONS[name].drop);
+
+function isRangeCondition(condition) {
+  return RANGE_CONDITIONS.includes(resolveCondition(condition));
+}
+
+function isDropCondition(condition) {
+  return DROP_CONDITIONS.includes(resolveCondition(condition));
+}
+
+// Normalise the two thresholds of a range condition into an ordered band
+function getBand(threshold, secondThreshold) {
+  const first = parseFloat(threshold);
+  const second = parseFloat(secondThreshold);
+  return { low: Math.min(first, second), high: Math.max(first, second) };
+}
+
+// Range conditions are inclusive unless the alert explicitly says otherwise
+function isInclusive(alert) {
+  return parseBoolean(alert.range_inclusive, true);
+}
+
+// Check if the alert condition is met.
+// For range conditions `inclusive` decides whether the band edges count as inside the band.
+function isConditionMet(value, condition, threshold, secondThreshold = null, inclusive = true) {
+  const val = parseFloat(value);
+  const thresh = parseFloat(threshold);
+
+  if (isNaN(val)) return false;
+
+  // Accept legacy names (e.g. 'greaterThan') for rows written before the catalog existed
+  const canonical = resolveCondition(condition);
+
+  switch (canonical) {
+    case 'greater_than':
+    case 'drop_greater_than': return val > thresh;
+    case 'less_than': return val < thresh;
+    case 'equal_to': return Math.abs(val - thresh) < 0.1; // Small tolerance for floating point
+    case 'between':
+    case 'outside': {
+      if (secondThreshold === null || secondThreshold === undefined || isNaN(parseFloat(secondThreshold))) {
+        return false;
+      }
+      const { low, high } = getBand(thresh, secondThreshold);
+      const inside = inclusive ? (val >= low && val <= high) : (val > low && val < high);
+      return canonical === 'between' ? inside : !inside;
+    }
+    default: return false;
+  }
+}
+
+// Convenience wrapper that reads the condition settings straight off an alert row
+function isAlertConditionMet(alert, value) {
+  return isConditionMet(
+    value,
+    alert.condition_type,
+    alert.threshold_value,
+    alert.second_threshold_value,
+    isInclusive(alert)
+  );
+}
+
+// Evaluate a forecast alert against hourly forecast points ({ datetime, value }) inside its lookahead window.
+// 'any' matches on the first run of duration_hours consecutive matching hours, 'all' needs every hour to match.
+// Returns { matched, value, datetime, hours } where value/datetime describe the matching (or most extreme) hour.
+function evaluateForecast(alert, points, now = new Date()) {
+  const lookaheadHours = parseInt(alert.forecast_hours) || 24;
+  const windowEnd = new Date(now.getTime() + lookaheadHours * 60 * 60 * 1000);
+  const windowPoints = points.filter(point =>
+    point.value !== null && point.value !== undefined &&
+    point.datetime >= now && point.datetime <= windowEnd
+  );
+
+  if (!windowPoints.length) {
+    return { matched: false, value: null, datetime: null, hours: 0 };
+  }
+
+  const matches = windowPoints.map(point => isAlertConditionMet(alert, point.value));
+
+  if (alert.forecast_match === 'all') {
+    const matched = matches.every(Boolean);
+    const point = pickExtremePoint(alert.condition_type, windowPoints);
+    return { matched, value: point.value, datetime: point.datetime, hours: matched ? windowPoints.length : 0 };
+  }
+
+  const requiredRun = Math.max(1, parseInt(alert.duration_hours) || 0);
+  let runStart = -1;
+  for (let i = 0; i < matches.length; i++) {
+    if (!matches[i]) {
+      runStart = -1;
+      continue;
+    }
+    if (runStart === -1) runStart = i;
+    if (i - runStart + 1 >= requiredRun) {
+      const point = windowPoints[runStart];
+      return { matched: true, value: point.value, datetime: point.datetime, hours: i - runStart + 1 };
+    }
+  }
+
+  const point = pickExtremePoint(alert.condition_type, windowPoints);
+  return { matched: false, value: point.value, datetime: point.datetime, hours: 0 };
+}
+
+// The forecast hour closest to breaching the condition, used when reporting a window as a single value
+function pickExtremePoint(condition, points) {
+  const canonical = resolveCondition(condition);
+  if (canonical === 'greater_than') {
+    return points.reduce((best, point) => point.value > best.value ? point : best);
+  }
+  if (canonical === 'less_than') {
+    return points.reduce((best, point) => point.value < best.value ? point : best);
+  }
+  return points[0];
+}
+
+// Human readable threshold, e.g. "> 30°C" or "between 0°C and 4°C (inclusive)"
+function describeThreshold(alert, unit = '') {
+  const condition = resolveCondition(alert.condition_type) || alert.condition_type;
+
+  let text;
+  if (isRangeCondition(condition)) {
+    const { low, high } = getBand(alert.threshold_value, alert.second_threshold_value);
+    text = `${condition} ${low}${unit} and ${high}${unit} (${isInclusive(alert) ? 'inclusive' : 'exclusive'})`;
+  } else {
+    const symbol = CONDITIONS[condition] ? CONDITIONS[condition].symbol : '?';
+    text = `${symbol} ${parseFloat(alert.threshold_value)}${unit}`;
+  }
+
+  // Accumulated rainfall alerts, e.g. "> 50mm in 24h"
+  if (alert.accumulation_window === 'season') {
+    text += ' season to date';
+  } else if (alert.accumulation_window) {
+    text += ` in ${alert.accumulation_window}`;
+  }
+  return text;
+}
+
+// Validate the threshold fields of an alert payload, returning an error message or null
+function validateThresholds({ alert_type, condition_type, threshold_value, second_threshold_value }) {
+  if (isDropCondition(condition_type) && alert_type !== 'ndvi') {
+    return `'${condition_type}' conditions are only available for NDVI alerts`;
+  }
+  if (!isRangeCondition(condition_type)) return null;
+
+  if (second_threshold_value === undefined || second_threshold_value === null || second_threshold_value === '') {
+    return `second_threshold_value is required for '${condition_type}' conditions`;
+  }
+  if (isNaN(parseFloat(second_threshold_value))) {
+    return 'second_threshold_value must be a number';
+  }
+  if (parseFloat(second_threshold_value) === parseFloat(threshold_value)) {
+    return 'threshold_value and second_threshold_value must define a non-empty band';
+  }
+  return null;
+}
+
+// Validate the forecast settings of an alert payload, returning an error message or null
+function validateForecastSettings({ alert_type, alert_mode, forecast_hours, forecast_match }) {
+  if (!ALERT_MODES.includes(alert_mode)) {
+    return `alert_mode must be one of: ${ALERT_MODES.join(', ')}`;
+  }
+  if (alert_mode !== 'forecast') return null;
+
+  const metric = getMetric(alert_type);
+  if (metric && !metric.forecast) {
+    return `${metric.name} alerts cannot use forecast mode`;
+  }
+
+  const hours = Number(forecast_hours);
+  if (!Number.isInteger(hours) || hours < 1 || hours > MAX_FORECAST_HOURS) {
+    return `forecast_hours must be a whole number between 1 and ${MAX_FORECAST_HOURS}`;
+  }
+  if (!FORECAST_MATCHES.includes(forecast_match)) {
+    return `forecast_match must be one of: ${FORECAST_MATCHES.join(', ')}`;
+  }
+  return null;
+}
+
+module.exports = {
+  ALERT_MODES,
+  MAX_FORECAST_HOURS,
+  FORECAST_MATCHES,
+  RANGE_CONDITIONS,
+  DROP_CONDITIONS,
+  isRangeCondition,
+  isDropCondition,
+  isConditionMet,
+  isAlertConditionMet,
+  evaluateForecast,
+  describeThreshold,
+  validateThresholds,
+  validateForecastSettings
+};
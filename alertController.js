@@ -1,16 +1,41 @@
 const db = require('./database');
-const nodemailer = require('nodemailer');
+const { isAlertConditionMet, describeThreshold } = require('./alertConditions');
+const {
+  getChannelNames,
+  getAlertChannels,
+  buildNotification
+} = require('./notificationChannels/channelRegistry');
+const { getGridCell, getHistorical } = require('./weatherCache');
+const { getForecastWindowHours, getSeriesTargets, getSeriesStart, getValueSeries } = require('./alertSeries');
+const { runSimulation } = require('./alertSimulation');
+const {
+  resolveMetric,
+  getUnit,
+  getMetricLabel,
+  normalizeAlert,
+  getCatalog,
+  COMPOUND_ALERT_TYPE
+} = require('./alertCatalog');
+const {
+  ALERT_SETTING_COLUMNS,
+  parseChannelList,
+  parseAlertRule,
+  parseAlertSettings,
+  parseNotificationRules,
+  validateEscalation,
+  validateCheckInterval,
+  validateSeasonStart
+} = require('./alertSettings');
+const { validateQuietHours } = require('./quietHours');
+const { describeExpression } = require('./ruleExpressions');
+const { MAX_ATTEMPTS } = require('./notificationOutbox');
+const { dispatchLocalized } = require('./notificationLocale');
+const { sendError, sendValidationError, sendNotFound, sendServerError } = require('./apiErrors');
+const { messageToErrors, parseBoolean } = require('./validation');
+const { ALERT_BODY, SIMULATION_BODY } = require('./requestSchemas');
 
-// Email setup - simplified to work with existing setups
-const emailTransporter = nodemailer.createTransport({
-  host: process.env.SMTP_HOST || 'mail.yieldera.co.zw',
-  port: parseInt(process.env.SMTP_PORT || '465'),
-  secure: true,
-  auth: {
-    user: process.env.SMTP_USER || 'alerts@yieldera.co.zw',
-    pass: process.env.SMTP_PASSWORD
-  }
-});
+// Longest period one simulation may replay (a season)
+const MAX_SIMULATION_DAYS = 366;
 
 // Helper function to format numeric values properly (simplified)
 function formatNumericValue(value) {
@@ -27,19 +52,6 @@ function formatNumericValue(value) {
   return parseFloat(num.toFixed(2));
 }
 
-// Helper function to check if condition is met
-function isConditionMet(value, condition, threshold) {
-  const val = parseFloat(value);
-  const thresh = parseFloat(threshold);
-  
-  switch (condition) {
-    case 'greater_than': return val > thresh;
-    case 'less_than': return val < thresh;
-    case 'equal_to': return Math.abs(val - thresh) < 0.1; // Small tolerance for floating point
-    default: return false;
-  }
-}
-
 // Helper function to get date range for period
 function getDateRange(period) {
   const now = new Date();
@@ -62,144 +74,173 @@ function getDateRange(period) {
   return { start, end: now };
 }
 
-// Fetch historical weather data from Open-Meteo
-async function fetchHistoricalWeather(latitude, longitude, startDate, endDate) {
+// Fetch historical hourly readings through the weather cache and provider chain, preferring the field's provider
+async function fetchHistoricalWeather(latitude, longitude, startDate, endDate, preferredProvider = null) {
   try {
-    const start = startDate.toISOString().split('T')[0];
-    const end = endDate.toISOString().split('T')[0];
-    
-    const url = `https://archive-api.open-meteo.com/v1/archive?latitude=${latitude}&longitude=${longitude}&start_date=${start}&end_date=${end}&hourly=temperature_2m,windspeed_10m,precipitation&timezone=auto`;
-    
-    const response = await fetch(url);
-    const data = await response.json();
-    
-    if (!data.hourly) {
-      console.warn('No historical weather data available for coordinates:', latitude, longitude);
-      return [];
-    }
-    
-    const hourlyData = [];
-    const times = data.hourly.time;
-    const temperatures = data.hourly.temperature_2m;
-    const windspeeds = data.hourly.windspeed_10m;
-    const precipitation = data.hourly.precipitation;
-    
-    for (let i = 0; i < times.length; i++) {
-      hourlyData.push({
-        datetime: times[i],
-        temperature: temperatures[i],
-        windspeed: windspeeds[i],
-        rainfall: precipitation[i] || 0
-      });
-    }
-    
-    return hourlyData;
+    const { data } = await getHistorical(latitude, longitude, startDate, endDate, preferredProvider);
+    return data;
   } catch (error) {
-    console.error('Error fetching historical weather:', error);
+    console.error('Error fetching historical weather:', error.message);
     return [];
   }
 }
 
+// Helper function to check that a field exists and belongs to the caller's organisation
+async function isOrganisationField(fieldId, organisationId) {
+  const [rows] = await db.query('SELECT id FROM fields WHERE id = ? AND organisation_id = ?', [fieldId, organisationId]);
+  return rows.length > 0;
+}
+
+// Helper function to load an alert (with its field's name, farmer, crop and organisation) owned by the caller's organisation
+async function findOrganisationAlert(alertId, organisationId) {
+  const [rows] = await db.query(`
+    SELECT 
+      a.*,
+      f.name as field_name,
+      f.farmer_name,
+      f.crop as field_crop,
+      f.organisation_id
+    FROM alerts a
+    JOIN fields f ON a.field_id = f.id
+    WHERE a.id = ? AND f.organisation_id = ?
+  `, [alertId, organisationId]);
+  return rows[0] ? normalizeAlert(rows[0]) : null;
+}
+
+// Helper function to answer 400 with a settings parser's message, tied to the input it is about
+function sendSettingsError(res, message, schema = ALERT_BODY) {
+  return sendValidationError(res, messageToErrors(message, schema));
+}
+
+// Helper function to turn a stored alert back into the payload that would create it, so PATCH can merge
+// changes over it. Empty settings are left out so their defaults apply again.
+function toAlertPayload(alert) {
+  const payload = { field_id: alert.field_id };
+  ALERT_SETTING_COLUMNS.forEach(column => {
+    if (alert[column] !== null && alert[column] !== undefined) payload[column] = alert[column];
+  });
+
+  // DATE columns come back as local midnight, JSON columns as text
+  if (payload.season_start instanceof Date) {
+    const date = payload.season_start;
+    payload.season_start = [date.getFullYear(), date.getMonth() + 1, date.getDate()]
+      .map((part, index) => String(part).padStart(index ? 2 : 4, '0'))
+      .join('-');
+  }
+  if (typeof payload.rule_expression === 'string') {
+    payload.rule_expression = JSON.parse(payload.rule_expression);
+  }
+  return payload;
+}
+
 // CREATE ALERT - Compatible with existing structure
+// The body is checked against ALERT_BODY by the route first
 const createAlert = async (req, res) => {
-  const {
-    field_id,
-    alert_type,
-    condition_type = 'greater_than',
-    threshold_value,
-    duration_hours = 0,
-    notification_emails,
-    active = 1
-  } = req.body;
-
-  // Basic validation
-  if (!field_id || !alert_type || !threshold_value || !notification_emails) {
-    return res.status(400).json({ 
-      success: false, 
-      message: 'Missing required fields' 
-    });
+  const { field_id } = req.body;
+
+  const settings = parseAlertSettings(req.body);
+  if (settings.error) {
+    return sendSettingsError(res, settings.error);
   }
+  const { values } = settings;
 
   try {
+    if (!await isOrganisationField(field_id, req.user.organisation_id)) {
+      return sendNotFound(res, 'Field not found');
+    }
+
     // Use the same structure as your existing alerts table
     const [result] = await db.query(
-      `INSERT INTO alerts (field_id, alert_type, condition_type, threshold_value, duration_hours, notification_emails, active, created_at, updated_at)
-       VALUES (?, ?, ?, ?, ?, ?, ?, NOW(), NOW())`,
-      [field_id, alert_type, condition_type, threshold_value, duration_hours, notification_emails, active]
+      `INSERT INTO alerts (field_id, ${ALERT_SETTING_COLUMNS.join(', ')}, created_at, updated_at)
+       VALUES (?, NOW(), NOW())`,
+      [[field_id, ...ALERT_SETTING_COLUMNS.map(column => values[column])]]
     );
 
     console.log(`✅ Created alert ${result.insertId} for field ${field_id}`);
-    res.status(201).json({ success: true, id: result.insertId });
+    const response = { success: true, id: result.insertId };
+    if (values.webhook_secret) {
+      // Returned so the receiving system can verify X-Yieldera-Signature
+      response.webhook_secret = values.webhook_secret;
+    }
+    res.status(201).json(response);
   } catch (err) {
     console.error('❌ Error inserting alert:', err);
-    res.status(500).json({ success: false, message: 'Insert failed', error: err.message });
+    sendServerError(res, 'Insert failed');
   }
 };
 
-// UPDATE ALERT - Compatible with existing structure
+// Helper function to validate an alert's complete settings and write them over the stored alert, answering the request.
+// Shared by PUT and PATCH.
+async function saveAlert(req, res, existing, body) {
+  // Keep the existing signing secret so receivers don't need reconfiguring on every edit
+  const settings = parseAlertSettings(body, { existingWebhookSecret: existing.webhook_secret });
+  if (settings.error) {
+    return sendSettingsError(res, settings.error);
+  }
+  const { values } = settings;
+
+  // An alert can't be moved to another organisation's field
+  if (!await isOrganisationField(body.field_id, req.user.organisation_id)) {
+    return sendNotFound(res, 'Field not found');
+  }
+
+  // Update using your existing table structure
+  const [result] = await db.query(
+    `UPDATE alerts SET 
+      field_id = ?, 
+      ${ALERT_SETTING_COLUMNS.map(column => `${column} = ?`).join(', ')},
+      condition_since = NULL,
+      updated_at = NOW()
+     WHERE id = ?`,
+    [body.field_id, ...ALERT_SETTING_COLUMNS.map(column => values[column]), existing.id]
+  );
+
+  if (result.affectedRows === 0) {
+    return sendNotFound(res, 'Alert not found');
+  }
+
+  console.log(`✅ Updated alert ${existing.id}`);
+  const response = { success: true, affectedRows: result.affectedRows };
+  if (values.webhook_secret && values.webhook_secret !== existing.webhook_secret) {
+    response.webhook_secret = values.webhook_secret;
+  }
+  res.json(response);
+}
+
+// UPDATE ALERT - replaces every setting, like POST /alerts
 const updateAlert = async (req, res) => {
   const alertId = req.params.id;
   console.log('Updating alert:', alertId, 'with data:', req.body);
-  
-  const {
-    field_id,
-    alert_type,
-    condition_type,
-    threshold_value,
-    duration_hours,
-    notification_emails,
-    active
-  } = req.body;
-
-  // Basic validation
-  if (!field_id || !alert_type || !threshold_value || !notification_emails) {
-    console.error('Validation failed:', { field_id, alert_type, threshold_value, notification_emails });
-    return res.status(400).json({ 
-      success: false, 
-      message: 'Missing required fields' 
-    });
-  }
 
   try {
-    // Check if alert exists first
-    const [existingAlert] = await db.query('SELECT id FROM alerts WHERE id = ?', [alertId]);
-    if (!existingAlert.length) {
-      return res.status(404).json({ success: false, message: 'Alert not found' });
+    // Check the alert exists in the caller's organisation
+    const existing = await findOrganisationAlert(alertId, req.user.organisation_id);
+    if (!existing) {
+      return sendNotFound(res, 'Alert not found');
     }
 
-    // Update using your existing table structure
-    const [result] = await db.query(
-      `UPDATE alerts SET 
-        field_id = ?, 
-        alert_type = ?, 
-        condition_type = ?, 
-        threshold_value = ?, 
-        duration_hours = ?, 
-        notification_emails = ?, 
-        active = ?,
-        updated_at = NOW()
-       WHERE id = ?`,
-      [
-        field_id, 
-        alert_type, 
-        condition_type || 'greater_than', 
-        threshold_value, 
-        duration_hours || 0, 
-        notification_emails, 
-        active !== undefined ? active : 1, 
-        alertId
-      ]
-    );
+    await saveAlert(req, res, existing, req.body);
+  } catch (err) {
+    console.error('❌ Error updating alert:', err);
+    sendServerError(res, 'Update failed');
+  }
+};
 
-    if (result.affectedRows === 0) {
-      return res.status(404).json({ success: false, message: 'Alert not found' });
+// PATCH ALERT - changes only the settings given; they are merged over the stored ones and validated as a whole
+const patchAlert = async (req, res) => {
+  const alertId = req.params.id;
+  console.log('Patching alert:', alertId, 'with data:', req.body);
+
+  try {
+    const existing = await findOrganisationAlert(alertId, req.user.organisation_id);
+    if (!existing) {
+      return sendNotFound(res, 'Alert not found');
     }
 
-    console.log(`✅ Updated alert ${alertId}`);
-    res.json({ success: true, affectedRows: result.affectedRows });
+    await saveAlert(req, res, existing, { ...toAlertPayload(existing), ...req.body });
   } catch (err) {
-    console.error('❌ Error updating alert:', err);
-    res.status(500).json({ success: false, message: 'Update failed', error: err.message });
+    console.error('❌ Error patching alert:', err);
+    sendServerError(res, 'Update failed');
   }
 };
 
@@ -208,31 +249,21 @@ const getAllAlerts = async (req, res) => {
   try {
     console.log('Fetching all alerts...');
     
-    // Try the optimized query first, fallback to basic query if fields table doesn't exist
-    let alerts;
-    try {
-      const [optimizedAlerts] = await db.query(`
-        SELECT 
-          a.*,
-          COALESCE(f.name, CONCAT('Field #', a.field_id)) as field_name
-        FROM alerts a
-        LEFT JOIN fields f ON a.field_id = f.id
-        ORDER BY a.created_at DESC
-      `);
-      alerts = optimizedAlerts;
-    } catch (joinError) {
-      console.warn('Could not join with fields table, using basic query:', joinError.message);
-      // Fallback to basic query
-      const [basicAlerts] = await db.query(`
-        SELECT *, CONCAT('Field #', field_id) as field_name 
-        FROM alerts 
-        ORDER BY created_at DESC
-      `);
-      alerts = basicAlerts;
-    }
+    // Alerts belong to the organisation that owns their field
+    const [alerts] = await db.query(`
+      SELECT 
+        a.*,
+        f.name as field_name
+      FROM alerts a
+      JOIN fields f ON a.field_id = f.id
+      WHERE f.organisation_id = ?
+      ORDER BY a.created_at DESC
+    `, [req.user.organisation_id]);
     
     // Format numeric values to remove unnecessary decimals
     const processedAlerts = alerts.map(alert => {
+      normalizeAlert(alert);
+      delete alert.webhook_secret; // Only returned when created
       alert.threshold_value = formatNumericValue(alert.threshold_value);
       if (alert.second_threshold_value !== null && alert.second_threshold_value !== undefined) {
         alert.second_threshold_value = formatNumericValue(alert.second_threshold_value);
@@ -244,153 +275,236 @@ const getAllAlerts = async (req, res) => {
     res.status(200).json(processedAlerts);
   } catch (err) {
     console.error('❌ Error fetching alerts:', err);
-    res.status(500).json({ success: false, message: 'Fetch failed', error: err.message });
+    sendServerError(res, 'Fetch failed');
   }
 };
 
-// GET TRIGGERED ALERTS HISTORY - NEW FEATURE
-const getTriggeredAlertsHistory = async (req, res) => {
-  try {
-    const { period = '24h' } = req.query;
-    console.log(`Fetching triggered alerts history for period: ${period}`);
-    
-    const { start, end } = getDateRange(period);
-    
-    // Get all active alerts with field coordinates
-    let alertsWithFields;
-    try {
-      const [alerts] = await db.query(`
-        SELECT 
-          a.*,
-          COALESCE(f.name, CONCAT('Field #', a.field_id)) as field_name,
-          f.latitude,
-          f.longitude
-        FROM alerts a
-        LEFT JOIN fields f ON a.field_id = f.id
-        WHERE a.active = 1 AND f.latitude IS NOT NULL AND f.longitude IS NOT NULL
-      `);
-      alertsWithFields = alerts;
-    } catch (joinError) {
-      console.warn('Could not join with fields table for triggered alerts');
-      return res.status(500).json({ 
-        success: false, 
-        message: 'Could not fetch field coordinates for alerts' 
-      });
-    }
-    
-    if (!alertsWithFields.length) {
-      return res.json([]);
+// Read the triggers recorded by the monitor, using the threshold snapshot stored with each one
+async function fetchLoggedTriggers(start, end, filters) {
+  let query = `
+    SELECT 
+      t.id,
+      t.alert_id,
+      a.field_id,
+      f.name as field_name,
+      a.alert_type,
+      t.condition_type,
+      t.threshold_value,
+      t.second_threshold_value,
+      t.timestamp as triggered_at,
+      t.predicted_for,
+      t.rule_result,
+      t.incident_id,
+      t.value as actual_value,
+      t.notification_sent,
+      t.channels,
+      a.notification_emails
+    FROM alert_triggers t
+    JOIN alerts a ON t.alert_id = a.id
+    JOIN fields f ON a.field_id = f.id
+    WHERE t.timestamp BETWEEN ? AND ? AND f.organisation_id = ?
+  `;
+  const params = [start, end, filters.organisation_id];
+  
+  if (filters.field_id) {
+    query += ' AND a.field_id = ?';
+    params.push(filters.field_id);
+  }
+  if (filters.alert_id) {
+    query += ' AND t.alert_id = ?';
+    params.push(filters.alert_id);
+  }
+  if (filters.alert_type) {
+    query += ' AND a.alert_type = ?';
+    params.push(filters.alert_type);
+  }
+  
+  query += ' ORDER BY t.timestamp DESC';
+  
+  const [rows] = await db.query(query, params);
+  
+  // Attach the per-recipient delivery results of each trigger
+  const deliveriesByTrigger = {};
+  if (rows.length) {
+    const [deliveries] = await db.query(
+      `SELECT trigger_id, channel, recipient, attempt, status, message_id, error, created_at
+       FROM notification_deliveries
+       WHERE trigger_id IN (?)
+       ORDER BY id`,
+      [rows.map(row => row.id)]
+    );
+    deliveries.forEach(delivery => {
+      const { trigger_id, ...rest } = delivery;
+      (deliveriesByTrigger[trigger_id] = deliveriesByTrigger[trigger_id] || []).push(rest);
+    });
+  }
+  
+  return rows.map(row => ({
+    ...normalizeAlert(row),
+    deliveries: deliveriesByTrigger[row.id] || [],
+    threshold_value: formatNumericValue(row.threshold_value),
+    second_threshold_value: formatNumericValue(row.second_threshold_value),
+    actual_value: formatNumericValue(row.actual_value),
+    notification_sent: !!row.notification_sent,
+    channels: row.channels ? row.channels.split(',') : []
+  }));
+}
+
+// Replay archive weather against the alerts' current thresholds ("what would have fired")
+async function replayTriggeredAlerts(start, end, filters) {
+  let query = `
+    SELECT 
+      a.*,
+      f.name as field_name,
+      f.latitude,
+      f.longitude,
+      f.crop as field_crop,
+      f.weather_provider
+    FROM alerts a
+    JOIN fields f ON a.field_id = f.id
+    WHERE a.active = 1 AND f.latitude IS NOT NULL AND f.longitude IS NOT NULL AND f.organisation_id = ?
+  `;
+  const params = [filters.organisation_id];
+  
+  if (filters.field_id) {
+    query += ' AND a.field_id = ?';
+    params.push(filters.field_id);
+  }
+  if (filters.alert_id) {
+    query += ' AND a.id = ?';
+    params.push(filters.alert_id);
+  }
+  if (filters.alert_type) {
+    query += ' AND a.alert_type = ?';
+    params.push(filters.alert_type);
+  }
+  
+  const [alertsWithFields] = await db.query(query, params);
+  
+  if (!alertsWithFields.length) {
+    return [];
+  }
+  
+  // Group alerts by weather grid cell to minimize API calls; stored history is reused across requests
+  const fieldGroups = {};
+  alertsWithFields.forEach(alert => {
+    normalizeAlert(alert);
+    const key = `${getGridCell(alert.latitude, alert.longitude).key}_${alert.weather_provider || 'default'}`;
+    if (!fieldGroups[key]) {
+      fieldGroups[key] = {
+        latitude: alert.latitude,
+        longitude: alert.longitude,
+        provider: alert.weather_provider || null,
+        field_name: alert.field_name,
+        alerts: []
+      };
     }
-    
-    // Group alerts by field to minimize API calls
-    const fieldGroups = {};
-    alertsWithFields.forEach(alert => {
-      const key = `${alert.latitude}_${alert.longitude}`;
-      if (!fieldGroups[key]) {
-        fieldGroups[key] = {
-          latitude: alert.latitude,
-          longitude: alert.longitude,
-          field_name: alert.field_name,
-          alerts: []
-        };
+    fieldGroups[key].alerts.push(alert);
+  });
+  
+  const triggeredAlerts = [];
+  
+  // Process each field group
+  for (const fieldGroup of Object.values(fieldGroups)) {
+    try {
+      console.log(`Fetching historical weather for ${fieldGroup.field_name} (${fieldGroup.latitude}, ${fieldGroup.longitude})`);
+      
+      // Accumulated values at the start of the period need readings from before it
+      const fetchStart = new Date(Math.min(start.getTime(), ...fieldGroup.alerts
+        .map(alert => getSeriesStart(alert, start).getTime())));
+      
+      const weatherData = await fetchHistoricalWeather(
+        fieldGroup.latitude, 
+        fieldGroup.longitude, 
+        fetchStart, 
+        end,
+        fieldGroup.provider
+      );
+      
+      if (!weatherData.length) {
+        console.warn(`No weather data available for ${fieldGroup.field_name}`);
+        continue;
       }
-      fieldGroups[key].alerts.push(alert);
-    });
-    
-    const triggeredAlerts = [];
-    
-    // Process each field group
-    for (const [coordKey, fieldGroup] of Object.entries(fieldGroups)) {
-      try {
-        console.log(`Fetching historical weather for ${fieldGroup.field_name} (${fieldGroup.latitude}, ${fieldGroup.longitude})`);
-        
-        const weatherData = await fetchHistoricalWeather(
-          fieldGroup.latitude, 
-          fieldGroup.longitude, 
-          start, 
-          end
-        );
-        
-        if (!weatherData.length) {
-          console.warn(`No weather data available for ${fieldGroup.field_name}`);
-          continue;
-        }
-        
-        // Check each alert against each weather data point
-        for (const alert of fieldGroup.alerts) {
-          for (const weather of weatherData) {
-            const weatherValue = weather[alert.alert_type];
-            
-            if (weatherValue !== null && weatherValue !== undefined) {
-              if (isConditionMet(weatherValue, alert.condition_type, alert.threshold_value)) {
-                triggeredAlerts.push({
-                  alert_id: alert.id,
-                  field_id: alert.field_id,
-                  field_name: alert.field_name,
-                  alert_type: alert.alert_type,
-                  condition_type: alert.condition_type,
-                  threshold_value: formatNumericValue(alert.threshold_value),
-                  triggered_at: weather.datetime,
-                  actual_value: formatNumericValue(weatherValue),
-                  notification_emails: alert.notification_emails
-                });
-              }
+      
+      // Check each alert against each weather data point
+      for (const alert of fieldGroup.alerts) {
+        for (const point of getValueSeries(alert, weatherData)) {
+          const weatherValue = point.value;
+          
+          if (point.datetime < start) continue;
+          
+          if (weatherValue !== null && weatherValue !== undefined) {
+            if (isAlertConditionMet(alert, weatherValue)) {
+              triggeredAlerts.push({
+                alert_id: alert.id,
+                field_id: alert.field_id,
+                field_name: alert.field_name,
+                alert_type: alert.alert_type,
+                condition_type: alert.condition_type,
+                threshold_value: formatNumericValue(alert.threshold_value),
+                second_threshold_value: formatNumericValue(alert.second_threshold_value),
+                triggered_at: point.datetime,
+                actual_value: formatNumericValue(weatherValue),
+                notification_emails: alert.notification_emails
+              });
             }
           }
         }
-      } catch (error) {
-        console.error(`Error processing field ${fieldGroup.field_name}:`, error);
-        continue;
       }
+    } catch (error) {
+      console.error(`Error processing field ${fieldGroup.field_name}:`, error);
+      continue;
     }
+  }
+  
+  // Sort by triggered time (most recent first)
+  triggeredAlerts.sort((a, b) => new Date(b.triggered_at) - new Date(a.triggered_at));
+  
+  return triggeredAlerts;
+}
+
+// GET TRIGGERED ALERTS HISTORY - served from the alert_triggers log
+// Query: period (24h|7d|30d), field_id, alert_id, alert_type, source (log|replay), checked against TRIGGERED_QUERY
+const getTriggeredAlertsHistory = async (req, res) => {
+  try {
+    const { period = '24h', source = 'log', field_id, alert_id, alert_type } = req.query;
+    console.log(`Fetching triggered alerts history for period: ${period} (source: ${source})`);
     
-    // Sort by triggered time (most recent first)
-    triggeredAlerts.sort((a, b) => new Date(b.triggered_at) - new Date(a.triggered_at));
+    const metric = alert_type === COMPOUND_ALERT_TYPE ? COMPOUND_ALERT_TYPE : (alert_type ? resolveMetric(alert_type) : null);
+    
+    const { start, end } = getDateRange(period);
+    const filters = { organisation_id: req.user.organisation_id, field_id, alert_id, alert_type: metric };
+    
+    const triggeredAlerts = source === 'replay'
+      ? await replayTriggeredAlerts(start, end, filters)
+      : await fetchLoggedTriggers(start, end, filters);
     
     console.log(`✅ Found ${triggeredAlerts.length} triggered alerts for period ${period}`);
     res.json(triggeredAlerts);
     
   } catch (err) {
     console.error('❌ Error fetching triggered alerts history:', err);
-    res.status(500).json({ 
-      success: false, 
-      message: 'Failed to fetch triggered alerts history', 
-      error: err.message 
-    });
+    sendServerError(res, 'Failed to fetch triggered alerts history');
   }
 };
 
+// GET ALERT CATALOG - canonical metrics and conditions accepted by the API
+const getAlertCatalog = (req, res) => {
+  res.json(getCatalog());
+};
+
 // GET ALERT BY ID - Enhanced
 const getAlertById = async (req, res) => {
   try {
     const alertId = req.params.id;
-    
-    // Try optimized query first
-    let alert;
-    try {
-      const [rows] = await db.query(`
-        SELECT 
-          a.*,
-          COALESCE(f.name, CONCAT('Field #', a.field_id)) as field_name
-        FROM alerts a
-        LEFT JOIN fields f ON a.field_id = f.id
-        WHERE a.id = ?
-      `, [alertId]);
-      alert = rows[0];
-    } catch (joinError) {
-      console.warn('Could not join with fields table, using basic query');
-      const [rows] = await db.query(`
-        SELECT *, CONCAT('Field #', field_id) as field_name 
-        FROM alerts 
-        WHERE id = ?
-      `, [alertId]);
-      alert = rows[0];
-    }
+    const alert = await findOrganisationAlert(alertId, req.user.organisation_id);
     
     if (!alert) {
-      return res.status(404).json({ success: false, message: 'Alert not found' });
+      return sendNotFound(res, 'Alert not found');
     }
     
+    delete alert.webhook_secret; // Only returned when created
+    
     // Format numeric values
     alert.threshold_value = formatNumericValue(alert.threshold_value);
     if (alert.second_threshold_value !== null) {
@@ -401,7 +515,64 @@ const getAlertById = async (req, res) => {
     res.json(alert);
   } catch (err) {
     console.error('❌ Error getting alert:', err);
-    res.status(500).json({ success: false, message: 'Fetch failed', error: err.message });
+    sendServerError(res, 'Fetch failed');
+  }
+};
+
+// GET ALERT NOTIFICATIONS - the alert's outbox entries (most recent first, ?status= to filter) with every delivery attempt
+const getAlertNotifications = async (req, res) => {
+  const { status } = req.query;
+  const limit = parseInt(req.query.limit) || 100;
+  
+  try {
+    const alert = await findOrganisationAlert(req.params.id, req.user.organisation_id);
+    if (!alert) {
+      return sendNotFound(res, 'Alert not found');
+    }
+    
+    let query = `
+      SELECT id, trigger_id, incident_id, kind, channel, recipient, status, attempts, next_attempt_at,
+        last_error, message_id, created_at, sent_at, updated_at
+      FROM notification_outbox
+      WHERE alert_id = ?
+    `;
+    const params = [alert.id];
+    if (status) {
+      query += ' AND status = ?';
+      params.push(status);
+    }
+    query += ' ORDER BY created_at DESC, id DESC LIMIT ?';
+    params.push(limit);
+    
+    const [notifications] = await db.query(query, params);
+    
+    const attemptsByEntry = {};
+    if (notifications.length) {
+      const [attempts] = await db.query(
+        `SELECT outbox_id, attempt, status, message_id, error, created_at
+         FROM notification_deliveries
+         WHERE outbox_id IN (?)
+         ORDER BY attempt`,
+        [notifications.map(notification => notification.id)]
+      );
+      attempts.forEach(({ outbox_id, ...attempt }) => {
+        (attemptsByEntry[outbox_id] = attemptsByEntry[outbox_id] || []).push(attempt);
+      });
+    }
+    
+    res.json({
+      success: true,
+      count: notifications.length,
+      max_attempts: MAX_ATTEMPTS,
+      data: notifications.map(notification => ({
+        ...notification,
+        next_attempt_at: notification.status === 'pending' ? notification.next_attempt_at : null,
+        deliveries: attemptsByEntry[notification.id] || []
+      }))
+    });
+  } catch (err) {
+    console.error('❌ Error fetching alert notifications:', err);
+    sendServerError(res, 'Fetch failed');
   }
 };
 
@@ -410,119 +581,241 @@ const deleteAlert = async (req, res) => {
   try {
     const alertId = req.params.id;
     
-    const [result] = await db.query('DELETE FROM alerts WHERE id = ?', [alertId]);
+    const [result] = await db.query(
+      `DELETE a FROM alerts a
+       JOIN fields f ON a.field_id = f.id
+       WHERE a.id = ? AND f.organisation_id = ?`,
+      [alertId, req.user.organisation_id]
+    );
     
     if (result.affectedRows === 0) {
-      return res.status(404).json({ success: false, message: 'Alert not found' });
+      return sendNotFound(res, 'Alert not found');
     }
     
     console.log(`✅ Deleted alert ${alertId}`);
     res.json({ success: true, affectedRows: result.affectedRows });
   } catch (err) {
     console.error('❌ Error deleting alert:', err);
-    res.status(500).json({ success: false, message: 'Delete failed', error: err.message });
+    sendServerError(res, 'Delete failed');
   }
 };
 
-// TEST ALERT EMAIL - Simplified version
+// Helper function to collect the addresses a test email may be sent to
+async function getAllowedTestRecipients(alert, organisationId) {
+  const [users] = await db.query('SELECT email FROM users WHERE organisation_id = ? AND active = 1', [organisationId]);
+  const alertEmails = (alert.notification_emails || '').split(',');
+  return new Set([...alertEmails, ...users.map(user => user.email)].map(email => email.trim().toLowerCase()).filter(Boolean));
+}
+
+// Helper function to validate the period of a simulation, returning { error } or { start, end }.
+// end defaults to now and is capped there.
+function parseSimulationPeriod(start, end) {
+  const now = new Date();
+  const startDate = new Date(start);
+  const endDate = end ? new Date(end) : now;
+
+  if (!start || isNaN(startDate.getTime()) || isNaN(endDate.getTime())) {
+    return { error: 'start (and optionally end) must be valid dates' };
+  }
+  if (startDate >= endDate || startDate >= now) {
+    return { error: 'start must be in the past and before end' };
+  }
+  if (endDate - startDate > MAX_SIMULATION_DAYS * 24 * 60 * 60 * 1000) {
+    return { error: `Simulations are limited to ${MAX_SIMULATION_DAYS} days` };
+  }
+  return { start: startDate, end: new Date(Math.min(endDate.getTime(), now.getTime())) };
+}
+
+// SIMULATE ALERT - dry run an unsaved alert definition against a field's past weather.
+// Body: the alert's settings (rule, duration_hours, notification_frequency, check_interval_minutes, quiet hours,
+// escalation, ...) plus field_id, start and end, checked against SIMULATION_BODY by the route first.
+// Nothing is stored or sent.
+const simulateAlert = async (req, res) => {
+  const { field_id, start, end } = req.body;
+
+  const rule = parseAlertRule(req.body);
+  if (rule.error) {
+    return sendSettingsError(res, rule.error, SIMULATION_BODY);
+  }
+  if (getSeriesTargets(rule).some(target => resolveMetric(target.alert_type) === 'ndvi')) {
+    return sendValidationError(res, [
+      { field: 'alert_type', code: 'invalid_value', message: 'NDVI conditions cannot be simulated against weather' }
+    ]);
+  }
+
+  const notificationRules = parseNotificationRules(req.body);
+  const quietHours = validateQuietHours(req.body);
+  const escalation = validateEscalation(req.body);
+  const error = notificationRules.error || quietHours.error || escalation.error
+    || validateCheckInterval(req.body.check_interval_minutes) || validateSeasonStart(req.body.season_start);
+  if (error) {
+    return sendSettingsError(res, error, SIMULATION_BODY);
+  }
+
+  const period = parseSimulationPeriod(start, end);
+  if (period.error) {
+    return sendSettingsError(res, period.error, SIMULATION_BODY);
+  }
+
+  try {
+    const [fields] = await db.query(
+      `SELECT id, name, crop, latitude, longitude, weather_provider, timezone
+       FROM fields WHERE id = ? AND organisation_id = ?`,
+      [field_id, req.user.organisation_id]
+    );
+    const field = fields[0];
+    if (!field) {
+      return sendNotFound(res, 'Field not found');
+    }
+    if (field.latitude === null || field.longitude === null) {
+      return sendError(res, 400, 'Field has no coordinates to fetch weather for', { code: 'missing_coordinates' });
+    }
+
+    const alert = {
+      ...rule,
+      field_id: field.id,
+      duration_hours: notificationRules.durationHours,
+      notification_frequency: notificationRules.frequency,
+      check_interval_minutes: req.body.check_interval_minutes || null,
+      escalation_minutes: escalation.minutes,
+      escalation_emails: escalation.emails,
+      escalation_phone_numbers: escalation.phoneNumbers,
+      season_start: req.body.season_start || null,
+      notify_resolved: req.body.notify_resolved,
+      severity: quietHours.severity,
+      quiet_hours_start: quietHours.quietHoursStart,
+      quiet_hours_end: quietHours.quietHoursEnd,
+      timezone: quietHours.timezone,
+      latitude: field.latitude,
+      longitude: field.longitude,
+      field_crop: field.crop,
+      field_timezone: field.timezone
+    };
+
+    // Windowed metrics need readings from before the period, forecast alerts the hours after each check
+    const fetchStart = getSeriesStart(alert, period.start);
+    const lookaheadHours = alert.alert_mode === 'forecast'
+      ? (parseInt(alert.forecast_hours) || 24) + getForecastWindowHours(alert)
+      : 0;
+    const fetchEnd = new Date(Math.min(Date.now(), period.end.getTime() + lookaheadHours * 60 * 60 * 1000));
+
+    let weather;
+    try {
+      weather = await getHistorical(field.latitude, field.longitude, fetchStart, fetchEnd, field.weather_provider);
+    } catch (err) {
+      console.error(`❌ Weather history is unavailable (field ${field.id}):`, err.message);
+      return sendError(res, 502, 'Weather history is unavailable for this field');
+    }
+
+    const result = runSimulation(alert, weather.data, period.start, period.end);
+    console.log(`🔮 Simulated ${alert.alert_type} alert on field ${field.id}: ${result.trigger_count} triggers, ${result.notifications.total} notifications`);
+
+    res.json({
+      field_id: field.id,
+      field_name: field.name,
+      start: period.start,
+      end: period.end,
+      provider: weather.provider,
+      stale: weather.stale,
+      rule: alert.alert_type === COMPOUND_ALERT_TYPE
+        ? describeExpression(alert.rule_expression)
+        : `${getMetricLabel(alert.alert_type)} ${describeThreshold(alert, getUnit(alert.alert_type))}`,
+      duration_hours: alert.duration_hours,
+      notification_frequency: alert.notification_frequency,
+      ...result
+    });
+  } catch (err) {
+    console.error('❌ Error simulating alert:', err);
+    sendServerError(res, 'Simulation failed');
+  }
+};
+
+// TEST ALERT - sends a test notification through the alert's channels
 const testAlert = async (req, res) => {
   try {
     const alertId = req.params.id;
     
     // Get alert with field name
-    let alert;
-    try {
-      const [rows] = await db.query(`
-        SELECT 
-          a.*,
-          COALESCE(f.name, CONCAT('Field #', a.field_id)) as field_name
-        FROM alerts a
-        LEFT JOIN fields f ON a.field_id = f.id
-        WHERE a.id = ?
-      `, [alertId]);
-      alert = rows[0];
-    } catch (joinError) {
-      const [rows] = await db.query(`
-        SELECT *, CONCAT('Field #', field_id) as field_name 
-        FROM alerts 
-        WHERE id = ?
-      `, [alertId]);
-      alert = rows[0];
-    }
+    const alert = await findOrganisationAlert(alertId, req.user.organisation_id);
     
     if (!alert) {
-      return res.status(404).json({ success: false, message: 'Alert not found' });
+      return sendNotFound(res, 'Alert not found');
     }
     
     const { 
       testMessage = '🚨 This is a test alert notification.', 
       testRecipients, 
-      sendToAll = false 
+      sendToAll = false,
+      channels
     } = req.body;
 
-    // Determine recipients
-    let recipients = [];
-    if (sendToAll && alert.notification_emails) {
-      recipients = alert.notification_emails.split(',').map(e => e.trim()).filter(Boolean);
+    // sendToAll tests every channel on the alert (or the requested subset);
+    // testRecipients sends a test email to the given addresses only
+    let target;
+    let channelNames;
+    if (parseBoolean(sendToAll)) {
+      target = alert;
+      channelNames = channels ? parseChannelList(channels) : getAlertChannels(alert);
     } else if (testRecipients) {
-      recipients = testRecipients.split(',').map(e => e.trim()).filter(Boolean);
+      // Test emails only go to people already on the alert or in the organisation, never arbitrary addresses
+      const allowed = await getAllowedTestRecipients(alert, req.user.organisation_id);
+      const requested = String(testRecipients).split(',').map(email => email.trim().toLowerCase()).filter(Boolean);
+      const disallowed = requested.filter(email => !allowed.has(email));
+      if (disallowed.length) {
+        return sendError(res, 403, `Test recipients must be on the alert or members of your organisation: ${disallowed.join(', ')}`);
+      }
+      target = { ...alert, notification_emails: requested.join(',') };
+      channelNames = ['email'];
+    } else {
+      return sendError(res, 400, 'No valid recipients specified');
     }
 
-    if (!recipients.length) {
-      return res.status(400).json({ 
-        success: false, 
-        message: 'No valid recipients specified' 
-      });
+    const unknownChannels = channelNames.filter(name => !getChannelNames().includes(name));
+    if (unknownChannels.length) {
+      return sendValidationError(res, [
+        { field: 'channels', code: 'invalid_value', message: `Unknown channels: ${unknownChannels.join(', ')}` }
+      ]);
     }
 
-    const fieldName = alert.field_name || `Field #${alert.field_id}`;
-    const subject = `TEST ALERT: ${alert.alert_type.toUpperCase()} Alert for ${fieldName}`;
-    
-    const mailOptions = {
-      from: '"Yieldera Test Alerts" <alerts@yieldera.co.zw>',
-      to: recipients.join(','),
-      subject: subject,
-      text: testMessage.replace('{field_name}', fieldName),
-      html: `
-        <h2>🚨 TEST ALERT</h2>
-        <p>${testMessage.replace('{field_name}', fieldName)}</p>
-        <hr>
-        <p><strong>Alert Details:</strong></p>
-        <ul>
-          <li><strong>Field:</strong> ${fieldName}</li>
-          <li><strong>Type:</strong> ${alert.alert_type.charAt(0).toUpperCase() + alert.alert_type.slice(1)}</li>
-          <li><strong>Condition:</strong> ${alert.condition_type.replace('_', ' ')} ${alert.threshold_value}</li>
-          <li><strong>Status:</strong> ${alert.active ? 'Active' : 'Inactive'}</li>
-        </ul>
-        <p><em>This is a test email. No actual alert condition has been triggered.</em></p>
-      `
-    };
+    // Rendered with the same templates, branding and recipient languages as real notifications
+    const fieldInfo = { id: alert.field_id, name: alert.field_name || `Field #${alert.field_id}`, farmer_name: alert.farmer_name, crop: alert.field_crop };
+    const notification = buildNotification(target, fieldInfo, null, { test: true, testMessage });
+    const deliveries = await dispatchLocalized(target, notification, channelNames);
+
+    if (!deliveries.length) {
+      return sendError(res, 400, 'No valid recipients specified');
+    }
 
-    const info = await emailTransporter.sendMail(mailOptions);
+    const sent = deliveries.filter(delivery => delivery.status === 'sent');
+    if (!sent.length) {
+      console.error(`❌ Test alert failed for alert ${alertId} on every channel`);
+      return sendError(res, 502, 'Test notification could not be delivered', { code: 'delivery_failed', deliveries });
+    }
     
-    console.log(`✅ Test alert sent for alert ${alertId} to ${recipients.length} recipients`);
+    console.log(`✅ Test alert sent for alert ${alertId} to ${sent.length} recipients`);
     res.status(200).json({ 
       success: true, 
-      message: 'Test email sent successfully',
-      recipients: recipients
+      message: 'Test notification sent successfully',
+      recipients: sent.map(delivery => delivery.recipient),
+      deliveries
     });
     
   } catch (err) {
     console.error('❌ Error in testAlert:', err);
-    res.status(500).json({ 
-      success: false, 
-      message: 'Server error during test alert', 
-      error: err.message 
-    });
+    sendServerError(res, 'Server error during test alert');
   }
 };
 
 module.exports = {
   createAlert,
   updateAlert,
+  patchAlert,
   getAllAlerts,
   getAlertById,
   deleteAlert,
   testAlert,
+  simulateAlert,
+  getAlertNotifications,
+  getAlertCatalog,
   getTriggeredAlertsHistory  // NEW EXPORT
 };
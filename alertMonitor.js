@@ -1,256 +1,417 @@
 const db = require('./database');
-const nodemailer = require('nodemailer');
-
-// Email setup
-const emailTransporter = nodemailer.createTransport({
-  host: process.env.SMTP_HOST || 'mail.yieldera.co.zw',
-  port: parseInt(process.env.SMTP_PORT || '465'),
-  secure: true,
-  auth: {
-    user: process.env.SMTP_USER || 'alerts@yieldera.co.zw',
-    pass: process.env.SMTP_PASSWORD
-  }
-});
+const { buildNotification, getAlertChannels } = require('./notificationChannels/channelRegistry');
+const { enqueueNotification, deliverOutbox } = require('./notificationOutbox');
+const { getGridCell, getCurrent, getForecast, getHistorical, pruneWeatherCache } = require('./weatherCache');
+const {
+  getWindowStart,
+  forwardRainfall,
+  getReadingValue,
+  getMetricSeries
+} = require('./weatherMetrics');
+const {
+  isConditionMet,
+  isAlertConditionMet,
+  isDropCondition,
+  evaluateForecast,
+  describeThreshold
+} = require('./alertConditions');
+const { normalizeAlert, getMetric, COMPOUND_ALERT_TYPE } = require('./alertCatalog');
+const {
+  parseExpression,
+  getConditions,
+  evaluateExpression,
+  describeExpression,
+  explainResult
+} = require('./ruleExpressions');
+const {
+  buildActionLinks,
+  getActiveIncidents,
+  openIncident,
+  refreshIncident,
+  resolveIncident,
+  markEscalated,
+  isRepeatThrottled,
+  isEscalationDue
+} = require('./incidents');
+const {
+  getAlertTimezone,
+  formatLocalTime,
+  isHeldByQuietHours,
+  queueNotification,
+  getQueuedNotifications,
+  markQueuedDelivered
+} = require('./quietHours');
+const { sendDueDigests } = require('./digests');
+const { getForecastWindowHours, conditionTarget } = require('./alertSeries');
+const { defineJob, startJobs, stopJobs, getJobStatus } = require('./scheduler');
+const { DEFAULT_CHECK_INTERVAL_MINUTES } = require('./alertSettings');
 
-// Send formatted alert email
-async function sendEmailNotification(alert, field, weatherValue) {
-  const recipients = alert.notification_emails?.split(',').map(e => e.trim()).filter(Boolean);
-  if (!recipients || !recipients.length) return;
+// Lookahead used by forecast alerts that do not specify forecast_hours
+const DEFAULT_FORECAST_HOURS = 24;
 
-  const conditionSymbols = {
-    greater_than: '&gt;',
-    less_than: '&lt;',
-    equal_to: '='
-  };
-  const units = {
-    temperature: '°C',
-    windspeed: 'km/h',
-    rainfall: 'mm'
-  };
+// Locations whose weather is fetched and evaluated at the same time
+const LOCATION_CONCURRENCY = parseInt(process.env.MONITOR_CONCURRENCY || '4');
 
-  const symbol = conditionSymbols[alert.condition_type] || '?';
-  const unit = units[alert.alert_type] || '';
-  
-  // Get alert type name with proper capitalization
-  const alertTypeName = alert.alert_type.charAt(0).toUpperCase() + alert.alert_type.slice(1);
-  
-  // Get emoji for alert type
-  const alertEmoji = {
-    temperature: '🌡️',
-    windspeed: '💨',
-    rainfall: '🌧️'
-  }[alert.alert_type] || '⚠️';
-
-  const message = `
-    <!DOCTYPE html>
-    <html lang="en">
-    <head>
-        <meta charset="UTF-8">
-        <meta name="viewport" content="width=device-width, initial-scale=1.0">
-        <title>Weather Alert - Yieldera</title>
-        <style>
-            body {
-                font-family: "Segoe UI", Roboto, "Helvetica Neue", Arial, sans-serif;
-                margin: 0;
-                padding: 0;
-                background-color: #f8f9fa;
-                color: #01282F;
-                line-height: 1.6;
-            }
-            .container {
-                max-width: 600px;
-                margin: 0 auto;
-                padding: 0;
-                background-color: #ffffff;
-                border-radius: 8px;
-                box-shadow: 0 4px 6px rgba(0, 0, 0, 0.05);
-            }
-            .header {
-                background-color: #01282F;
-                padding: 25px 20px;
-                text-align: center;
-                border-top-left-radius: 8px;
-                border-top-right-radius: 8px;
-            }
-            .header-text {
-                color: #B6BF00;
-                font-size: 32px;
-                font-weight: bold;
-                margin: 0;
-                letter-spacing: 1px;
-                text-transform: uppercase;
-            }
-            .content {
-                padding: 30px 25px;
-            }
-            .alert-badge {
-                display: inline-block;
-                background-color: #ef4444;
-                color: white;
-                font-weight: 600;
-                padding: 5px 10px;
-                border-radius: 4px;
-                margin-bottom: 5px;
-            }
-            .greeting {
-                font-size: 24px;
-                font-weight: 600;
-                margin-bottom: 20px;
-                color: #01282F;
-            }
-            .message {
-                font-size: 16px;
-                margin-bottom: 25px;
-                line-height: 1.7;
-            }
-            .alert-details {
-                background-color: #f8f9fa;
-                border-left: 4px solid #B6BF00;
-                padding: 15px 20px;
-                margin-bottom: 25px;
-                border-radius: 4px;
-            }
-            .alert-details h3 {
-                margin-top: 0;
-                margin-bottom: 15px;
-                color: #01282F;
-                font-size: 18px;
-            }
-            .detail-item {
-                margin-bottom: 10px;
-            }
-            .detail-label {
-                font-weight: 600;
-                display: inline-block;
-                width: 150px;
-            }
-            .value-display {
-                font-family: monospace;
-                font-weight: 700;
-                background-color: #E5E7EB;
-                padding: 2px 6px;
-                border-radius: 3px;
-            }
-            .footer {
-                text-align: center;
-                padding: 20px 25px;
-                color: #8b9198;
-                font-size: 14px;
-                border-top: 1px solid #e5e7eb;
-            }
-        </style>
-    </head>
-    <body>
-        <div class="container">
-            <div class="header">
-                <div class="header-text">YIELDERA</div>
-            </div>
-            <div class="content">
-                <div class="alert-badge">${alertEmoji} ALERT TRIGGERED</div>
-                <div class="greeting">Weather Alert Notification</div>
-                
-                <div class="message">
-                    A weather alert has been triggered for one of your monitored fields. Please review the details below.
-                </div>
-                
-                <div class="alert-details">
-                    <h3>Alert Details</h3>
-                    <div class="detail-item">
-                        <span class="detail-label">Field:</span> 
-                        <span>${field.name || `#${field.id}`}</span>
-                    </div>
-                    <div class="detail-item">
-                        <span class="detail-label">Alert Type:</span> 
-                        <span>${alertTypeName}</span>
-                    </div>
-                    <div class="detail-item">
-                        <span class="detail-label">Current Value:</span> 
-                        <span class="value-display">${weatherValue}${unit}</span>
-                    </div>
-                    <div class="detail-item">
-                        <span class="detail-label">Threshold:</span> 
-                        <span>${symbol} ${alert.threshold_value}${unit}</span>
-                    </div>
-                    <div class="detail-item">
-                        <span class="detail-label">Status:</span> 
-                        <span style="color: #ef4444; font-weight: 600;">Threshold condition met</span>
-                    </div>
-                </div>
-                
-                <div class="message">
-                    You're receiving this alert because you're subscribed to weather notifications for this field. 
-                    To manage your alert settings, please log in to your Yieldera dashboard.
-                </div>
-            </div>
-            <div class="footer">
-                <div>Regards,</div>
-                <div style="font-weight: 600; color: #01282F; margin-top: 5px;">The Yieldera Team</div>
-                <div style="margin-top: 15px;">© ${new Date().getFullYear()} Yieldera. All rights reserved.</div>
-            </div>
-        </div>
-    </body>
-    </html>
-  `;
+// Incident details for notifications, with signed acknowledge/snooze links when they are configured
+function describeIncident(incident) {
+  return { id: incident.id, openedAt: incident.opened_at, links: buildActionLinks(incident.id) };
+}
 
-  try {
-    const info = await emailTransporter.sendMail({
-      from: '"Yieldera Alerts" <alerts@yieldera.co.zw>',
-      to: recipients.join(','),
-      subject: `ALERT: ${alert.alert_type.toUpperCase()} condition met`,
-      html: message
-    });
-    console.log(`✅ Alert sent to ${recipients.join(', ')} for field ${field.name || field.id}`);
-    
+// Queue the alert in the outbox for every channel enabled on it, returning the queued { channel, recipient } entries.
+// Queued notifications are retried until delivered, so they count as triggered straight away.
+async function sendNotifications(alert, field, weatherValue, { forecast = null, conditions = null, incident = null, triggerId = null } = {}) {
+  const notification = buildNotification(alert, field, weatherValue, {
+    forecast,
+    conditions,
+    incident: incident ? describeIncident(incident) : null
+  });
+  const queued = await enqueueNotification(alert, notification, { triggerId, incidentId: incident ? incident.id : null });
+  
+  if (queued.length) {
     // Update last triggered time and trigger count
     await db.query(
       'UPDATE alerts SET last_triggered = NOW(), trigger_count = trigger_count + 1 WHERE id = ?',
       [alert.id]
     );
-    
+  }
+  
+  return queued;
+}
+
+// Log every evaluation of an alert to alert_checks
+async function recordCheck(alert, value, conditionMet, provider) {
+  try {
+    await db.query(
+      'INSERT INTO alert_checks (alert_id, value, condition_met, provider, timestamp) VALUES (?, ?, ?, ?, NOW())',
+      [alert.id, value, conditionMet ? 1 : 0, provider]
+    );
   } catch (err) {
-    console.error('❌ Email failed:', err.message);
+    console.error(`❌ Failed to record check for alert ${alert.id}:`, err.message);
   }
 }
 
-// Check if the alert condition is met
-function isConditionMet(value, condition, threshold) {
-  const val = parseFloat(value);
-  const thresh = parseFloat(threshold);
+// Queue an incident nobody has acknowledged to the alert's escalation recipients (email and SMS)
+async function sendEscalation(alert, field, weatherValue, incident, conditions = null) {
+  const channels = [];
+  if (alert.escalation_emails) channels.push('email');
+  if (alert.escalation_phone_numbers) channels.push('sms');
   
-  switch (condition) {
-    case 'greater_than': return val > thresh;
-    case 'less_than': return val < thresh;
-    case 'equal_to': return Math.abs(val - thresh) < 0.1; // Small tolerance for floating point
-    default: return false;
-  }
+  const recipients = { ...alert, notification_emails: alert.escalation_emails, phone_numbers: alert.escalation_phone_numbers };
+  const notification = buildNotification(alert, field, weatherValue, {
+    kind: 'escalation',
+    conditions,
+    incident: describeIncident(incident)
+  });
+  return enqueueNotification(recipients, notification, { channels, incidentId: incident.id });
+}
+
+// Queue the "all clear" for a resolved incident on the alert's channels
+async function sendResolvedNotifications(alert, field, weatherValue, incident) {
+  const notification = buildNotification(alert, field, weatherValue, {
+    kind: 'resolved',
+    incident: { id: incident.id, openedAt: incident.opened_at, links: null }
+  });
+  return enqueueNotification(alert, notification, { incidentId: incident.id });
+}
+
+// Queue one digest of the notifications held for an alert during its quiet hours
+async function sendDigest(alert, field, queued) {
+  const digest = queued.map(item => ({
+    kind: item.kind,
+    value: item.value !== null ? parseFloat(item.value) : null,
+    queuedAt: item.queued_at,
+    localTime: formatLocalTime(item.queued_at, alert),
+    predictedFor: item.predicted_for,
+    conditions: typeof item.rule_result === 'string' ? JSON.parse(item.rule_result) : item.rule_result
+  }));
+  const latest = digest[digest.length - 1];
+  const notification = buildNotification(alert, field, latest.value, {
+    kind: 'digest',
+    conditions: latest.conditions,
+    digest,
+    timezone: getAlertTimezone(alert)
+  });
+  const lastTrigger = queued.filter(item => item.trigger_id).pop();
+  return enqueueNotification(alert, notification, {
+    triggerId: lastTrigger ? lastTrigger.trigger_id : null,
+    incidentId: queued[queued.length - 1].incident_id
+  });
 }
 
-// Fetch weather data from Open-Meteo
-async function fetchWeatherData(latitude, longitude) {
+// Log a trigger to alert_triggers, with a snapshot of the threshold it was evaluated against
+// (and for compound alerts, of every sub-condition) and the channels it is being notified on.
+// notification_sent is set by the outbox once a notification for it is delivered.
+// Resolves to the trigger id, or null if it could not be logged.
+async function recordTrigger(alert, value, channels, { predictedFor = null, conditions = null, incidentId = null } = {}) {
   try {
-    const url = `https://api.open-meteo.com/v1/forecast?latitude=${latitude}&longitude=${longitude}&current_weather=true&timezone=auto`;
-    const response = await fetch(url);
-    const data = await response.json();
+    const [result] = await db.query(
+      `INSERT INTO alert_triggers (alert_id, incident_id, value, condition_type, threshold_value, second_threshold_value, predicted_for, rule_result, notification_sent, channels, timestamp)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW())`,
+      [
+        alert.id,
+        incidentId,
+        value,
+        alert.condition_type,
+        alert.threshold_value,
+        alert.second_threshold_value ?? null,
+        predictedFor,
+        conditions ? JSON.stringify(conditions) : null,
+        0,
+        channels.length ? channels.join(',') : null
+      ]
+    );
     
-    if (!data.current_weather) {
-      throw new Error('No current weather data available');
+    return result.insertId;
+  } catch (err) {
+    console.error(`❌ Failed to record trigger for alert ${alert.id}:`, err.message);
+    return null;
+  }
+}
+
+// Track how long an alert's condition has held continuously, persisting the start in alerts.condition_since
+// so a restart of the monitor does not reset the clock. Returns the number of hours the condition has held.
+async function updateConditionState(alert, conditionMet, now = new Date()) {
+  if (!conditionMet) {
+    if (alert.condition_since) {
+      await db.query('UPDATE alerts SET condition_since = NULL WHERE id = ?', [alert.id]);
+      alert.condition_since = null;
     }
-    
-    const currentWeather = data.current_weather;
-    
-    return {
-      temperature: currentWeather.temperature,
-      windspeed: currentWeather.windspeed,
-      // Rainfall estimation based on weather code (simplified)
-      rainfall: (currentWeather.weathercode >= 50 && currentWeather.weathercode < 70) ? 
-               (currentWeather.weathercode - 49) * 0.1 : 0
-    };
+    return 0;
+  }
+  
+  if (!alert.condition_since) {
+    await db.query('UPDATE alerts SET condition_since = ? WHERE id = ?', [now, alert.id]);
+    alert.condition_since = now;
+  }
+  
+  return (now - new Date(alert.condition_since)) / (1000 * 60 * 60);
+}
+
+// Fetch current weather through the cache and provider chain, resolving to { provider, data } or null
+async function fetchWeatherData(latitude, longitude, preferredProvider = null) {
+  try {
+    return await getCurrent(latitude, longitude, preferredProvider);
   } catch (error) {
-    console.error('Weather fetch error:', error);
+    console.error('Weather fetch error:', error.message);
     return null;
   }
 }
 
+// Fetch the hourly forecast covering the next `hours` hours, resolving to { provider, data } or null
+async function fetchForecastData(latitude, longitude, hours, preferredProvider = null) {
+  try {
+    return await getForecast(latitude, longitude, hours, preferredProvider);
+  } catch (error) {
+    console.error('Forecast fetch error:', error.message);
+    return null;
+  }
+}
+
+// Fetch hourly history between two dates, resolving to { provider, data } or null
+async function fetchHistoryData(latitude, longitude, startDate, endDate, preferredProvider = null) {
+  try {
+    return await getHistorical(latitude, longitude, startDate, endDate, preferredProvider);
+  } catch (error) {
+    console.error('History fetch error:', error.message);
+    return null;
+  }
+}
+
+// Metrics totalled over hourly history (rainfall, growing degree days, ET0, ...) are read in current mode
+// from the history covering their window instead of current weather
+function isWindowedMetric(alert) {
+  const metric = getMetric(alert.alert_type);
+  return alert.alert_mode !== 'forecast' && !!(metric && metric.window);
+}
+
+// When the history a windowed metric is totalled over begins
+function getHistoryStart(alert, now) {
+  return getWindowStart(alert.accumulation_window || getMetric(alert.alert_type).window, now, alert.season_start);
+}
+
+// A windowed metric over the alert's window up to now, or null when the history doesn't cover the window
+// (a partial window would under-report and falsely trip drought alerts)
+function getWindowedValue(alert, readings, now) {
+  const windowStart = getHistoryStart(alert, now);
+  if (!windowStart || !readings.length) return null;
+  
+  const covered = readings[0].datetime.getTime() <= windowStart.getTime() + 60 * 60 * 1000;
+  if (!covered) {
+    console.warn(`⚠️ Weather history does not cover the window of alert ${alert.id}`);
+    return null;
+  }
+  
+  const series = getMetricSeries(alert, readings.filter(reading => reading.datetime <= now), {
+    latitude: parseFloat(alert.latitude),
+    crop: alert.field_crop,
+    baseTemperature: alert.base_temperature
+  });
+  return series.length ? series[series.length - 1].value : null;
+}
+
+// The two most recent NDVI measurements of a field, as { latest, previous }
+async function getNdviReadings(fieldId, cache) {
+  if (!cache[fieldId]) {
+    const [rows] = await db.query(
+      'SELECT value, timestamp FROM ndvi_measurements WHERE field_id = ? ORDER BY timestamp DESC LIMIT 2',
+      [fieldId]
+    );
+    cache[fieldId] = { latest: rows[0] || null, previous: rows[1] || null };
+  }
+  return cache[fieldId];
+}
+
+// The single-metric conditions an alert needs data for: its own settings, or each condition of a compound rule
+function getEvaluationTargets(alert) {
+  if (alert.alert_type !== COMPOUND_ALERT_TYPE) return [alert];
+
+  const expression = parseExpression(alert.rule_expression);
+  if (!expression) {
+    console.warn(`⚠️ Alert ${alert.id} has no valid rule_expression`);
+    return [];
+  }
+  return getConditions(expression).map(condition => conditionTarget(alert, condition));
+}
+
+// Evaluate one single-metric alert (or compound rule condition) against the data fetched for its location.
+// Resolves to { value, conditionMet, forecast, provider }; value is null when the data is missing.
+async function evaluateTarget(target, data, ndviCache, now) {
+  const isForecast = target.alert_mode === 'forecast';
+  const { weather, current, forecastPoints, upcoming, history } = data;
+  let value = null;
+  let conditionMet = false;
+  let forecast = null;
+  let provider = null;
+  
+  if (target.alert_type === 'ndvi') {
+    const ndvi = await getNdviReadings(target.field_id, ndviCache);
+    if (ndvi.latest) {
+      if (isDropCondition(target.condition_type)) {
+        value = ndvi.previous
+          ? Math.round((parseFloat(ndvi.previous.value) - parseFloat(ndvi.latest.value)) * 10000) / 10000
+          : null;
+      } else {
+        value = parseFloat(ndvi.latest.value);
+      }
+      provider = 'ndvi_measurements';
+    }
+  } else if (isForecast && forecastPoints) {
+    const windowHours = getForecastWindowHours(target);
+    const points = windowHours
+      ? forwardRainfall(forecastPoints, windowHours)
+      : forecastPoints.map(point => ({ datetime: point.datetime, value: getReadingValue(target.alert_type, point) }));
+    const result = evaluateForecast(target, points);
+    value = result.value;
+    conditionMet = result.matched;
+    forecast = { datetime: result.datetime, lookaheadHours: parseInt(target.forecast_hours) || DEFAULT_FORECAST_HOURS };
+    provider = upcoming.provider;
+  } else if (isWindowedMetric(target)) {
+    if (history) {
+      value = getWindowedValue(target, history.data, now);
+      provider = history.provider;
+    }
+  } else if (!isForecast && weather) {
+    value = getReadingValue(target.alert_type, weather);
+    provider = current.provider;
+  }
+  
+  if (value === undefined) value = null;
+  if (!isForecast && value !== null) {
+    conditionMet = isAlertConditionMet(target, value);
+  }
+  
+  return { value, conditionMet, forecast, provider };
+}
+
+// Evaluate a compound alert's rule. Resolves to { value, conditionMet, provider, conditions } where value is the
+// number of conditions that matched, or null when missing data leaves the rule undecided.
+async function evaluateCompound(alert, data, ndviCache, now) {
+  const expression = parseExpression(alert.rule_expression);
+  if (!expression) {
+    return { value: null, conditionMet: false, provider: null, conditions: null };
+  }
+  
+  // Conditions are evaluated up front; evaluateExpression then looks them up by identity
+  const evaluations = new Map();
+  const providers = new Set();
+  for (const condition of getConditions(expression)) {
+    const evaluation = await evaluateTarget(conditionTarget(alert, condition), data, ndviCache, now);
+    if (evaluation.provider) providers.add(evaluation.provider);
+    evaluations.set(condition, {
+      value: evaluation.value,
+      matched: evaluation.value === null ? null : !!evaluation.conditionMet,
+      datetime: evaluation.forecast ? evaluation.forecast.datetime : null
+    });
+  }
+  
+  const result = evaluateExpression(expression, condition => evaluations.get(condition));
+  const conditions = explainResult(result);
+  
+  return {
+    value: result.matched === null ? null : conditions.filter(condition => condition.matched).length,
+    conditionMet: result.matched === true,
+    provider: providers.size ? [...providers].join(',') : null,
+    conditions
+  };
+}
+
+// The field an alert is on, as notifications describe it
+function getFieldInfo(alert) {
+  return { name: alert.field_name, id: alert.field_id, farmer_name: alert.farmer_name, crop: alert.field_crop };
+}
+
+// Send the digests of alerts whose quiet hours have ended. Queued notifications of alerts that are no longer
+// active are dropped, there is nobody left to tell.
+async function deliverDigests(alerts, now = new Date()) {
+  const queuedByAlert = await getQueuedNotifications();
+  const alertsById = {};
+  alerts.forEach(alert => {
+    alertsById[alert.id] = alert;
+  });
+  
+  for (const [alertId, queued] of Object.entries(queuedByAlert)) {
+    const alert = alertsById[alertId];
+    
+    try {
+      if (!alert) {
+        console.log(`⏭️ Dropping ${queued.length} queued notification(s) of inactive alert ${alertId}`);
+      } else if (isHeldByQuietHours(alert, now)) {
+        continue;
+      } else {
+        console.log(`🌅 Sending digest of ${queued.length} notification(s) held during quiet hours for alert ${alert.id}`);
+        await sendDigest(alert, getFieldInfo(alert), queued);
+      }
+      await markQueuedDelivered(queued.map(item => item.id));
+    } catch (err) {
+      console.error(`❌ Failed to deliver digest for alert ${alertId}:`, err.message);
+    }
+  }
+}
+
+// Whether an alert's check interval has passed since it was last checked
+function isCheckDue(alert, now = new Date()) {
+  if (!alert.last_checked_at) return true;
+  const intervalMinutes = parseInt(alert.check_interval_minutes) || DEFAULT_CHECK_INTERVAL_MINUTES;
+  // A minute of slack so an alert checked slightly late in one cycle isn't pushed back a whole cycle
+  return now - new Date(alert.last_checked_at) >= (intervalMinutes - 1) * 60 * 1000;
+}
+
+// Run `task` over `items` with at most `limit` running at once
+async function mapWithConcurrency(items, limit, task) {
+  const results = new Array(items.length);
+  let next = 0;
+  
+  const workers = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await task(items[index], index);
+    }
+  });
+  
+  await Promise.all(workers);
+  return results;
+}
+
 // Core alert checking function
 async function checkAlerts() {
   try {
@@ -262,7 +423,11 @@ async function checkAlerts() {
         a.*,
         COALESCE(f.name, CONCAT('Field #', a.field_id)) as field_name,
         f.latitude,
-        f.longitude
+        f.longitude,
+        f.farmer_name,
+        f.crop as field_crop,
+        f.timezone as field_timezone,
+        f.weather_provider
       FROM alerts a
       LEFT JOIN fields f ON a.field_id = f.id
       WHERE a.active = 1 AND f.latitude IS NOT NULL AND f.longitude IS NOT NULL
@@ -275,76 +440,209 @@ async function checkAlerts() {
     
     console.log(`📋 Found ${alerts.length} active alerts to check`);
     
-    // Group alerts by coordinates to minimize API calls
+    alerts.forEach(normalizeAlert);
+    
+    // Each alert is checked every check_interval_minutes (or the default), the cycle itself runs more often
+    const cycleStart = new Date();
+    const dueAlerts = alerts.filter(alert => isCheckDue(alert, cycleStart));
+    console.log(`⏱️ ${dueAlerts.length} of ${alerts.length} alerts are due for a check`);
+    
+    // Group alerts by weather grid cell (and the field's chosen provider) so neighbouring fields share one fetch.
+    // A cell can hold several fields, so notifications describe each alert's own field.
     const locationGroups = {};
-    alerts.forEach(alert => {
-      const key = `${alert.latitude}_${alert.longitude}`;
+    dueAlerts.forEach(alert => {
+      const key = `${getGridCell(alert.latitude, alert.longitude).key}_${alert.weather_provider || 'default'}`;
       if (!locationGroups[key]) {
         locationGroups[key] = {
           latitude: alert.latitude,
           longitude: alert.longitude,
-          fieldInfo: {
-            name: alert.field_name,
-            id: alert.field_id
-          },
+          provider: alert.weather_provider || null,
+          fieldNames: [],
           alerts: []
         };
       }
+      if (!locationGroups[key].fieldNames.includes(alert.field_name)) {
+        locationGroups[key].fieldNames.push(alert.field_name);
+      }
       locationGroups[key].alerts.push(alert);
     });
     
     console.log(`🌍 Processing ${Object.keys(locationGroups).length} unique locations`);
     
-    // Check each location group
-    for (const [coordKey, group] of Object.entries(locationGroups)) {
+    // Latest NDVI readings per field, shared by every NDVI alert on the field this cycle
+    const ndviCache = {};
+    
+    // Unresolved incidents by alert, opened and resolved as conditions start and stop holding
+    const activeIncidents = await getActiveIncidents();
+    
+    // Check location groups a few at a time, each fetches its weather once for all of its alerts
+    await mapWithConcurrency(Object.entries(locationGroups), LOCATION_CONCURRENCY, async ([coordKey, group]) => {
       try {
-        const weather = await fetchWeatherData(group.latitude, group.longitude);
+        // Compound alerts need the data of every condition in their rule
+        const targets = group.alerts.flatMap(getEvaluationTargets);
+        
+        // Windowed metrics are read from hourly history and NDVI from ndvi_measurements, neither needs current weather
+        const hasCurrentAlerts = targets.some(alert =>
+          alert.alert_mode !== 'forecast' && !isWindowedMetric(alert) && alert.alert_type !== 'ndvi'
+        );
+        // Forecast rainfall windows need readings past the end of the lookahead to sum over
+        const forecastHours = Math.max(0, ...targets
+          .filter(alert => alert.alert_mode === 'forecast')
+          .map(alert => (parseInt(alert.forecast_hours) || DEFAULT_FORECAST_HOURS) + getForecastWindowHours(alert)));
         
-        if (!weather) {
-          console.warn(`⚠️ Could not fetch weather for ${group.fieldInfo.name}`);
-          continue;
+        // Observed rainfall and the agronomic metrics are totalled over hourly history
+        const now = new Date();
+        const historyStarts = targets
+          .filter(isWindowedMetric)
+          .map(alert => getHistoryStart(alert, now))
+          .filter(Boolean);
+        
+        const current = hasCurrentAlerts ? await fetchWeatherData(group.latitude, group.longitude, group.provider) : null;
+        const upcoming = forecastHours ? await fetchForecastData(group.latitude, group.longitude, forecastHours, group.provider) : null;
+        const history = historyStarts.length
+          ? await fetchHistoryData(group.latitude, group.longitude, new Date(Math.min(...historyStarts)), now, group.provider)
+          : null;
+        const weather = current ? current.data : null;
+        const forecastPoints = upcoming ? upcoming.data : null;
+        
+        const fieldNames = group.fieldNames.join(', ');
+        if ((hasCurrentAlerts && !weather) || (forecastHours && !forecastPoints) || (historyStarts.length && !history)) {
+          console.warn(`⚠️ Could not fetch all weather data for ${fieldNames}`);
+        }
+        
+        if (weather) {
+          console.log(`🌤️ Weather for ${fieldNames} (${current.provider}): ${weather.temperature}°C, ${weather.windspeed}km/h, ${weather.rainfall}mm`);
+        }
+        if (forecastPoints) {
+          console.log(`🔮 Forecast for ${fieldNames} (${upcoming.provider}): ${forecastPoints.length} hourly points`);
         }
         
-        console.log(`🌤️ Weather for ${group.fieldInfo.name}: ${weather.temperature}°C, ${weather.windspeed}km/h, ${weather.rainfall}mm`);
+        const data = { weather, current, forecastPoints, upcoming, history };
         
         // Check each alert for this location
         for (const alert of group.alerts) {
-          const weatherValue = weather[alert.alert_type];
+          const fieldInfo = getFieldInfo(alert);
+          const isForecast = alert.alert_mode === 'forecast';
+          let evaluation;
+          
+          if (alert.alert_type === COMPOUND_ALERT_TYPE) {
+            evaluation = await evaluateCompound(alert, data, ndviCache, now);
+          } else {
+            if (alert.alert_type === 'ndvi') {
+              const ndvi = await getNdviReadings(alert.field_id, ndviCache);
+              
+              // NDVI changes slowly and arrives in batches, so each measurement is only alerted on once
+              if (!ndvi.latest) {
+                continue;
+              }
+              if (alert.last_triggered && new Date(ndvi.latest.timestamp) <= new Date(alert.last_triggered)) {
+                continue;
+              }
+            }
+            evaluation = await evaluateTarget(alert, data, ndviCache, now);
+          }
           
-          if (weatherValue !== null && weatherValue !== undefined) {
-            const threshold = parseFloat(alert.threshold_value);
+          const { value: weatherValue, conditionMet, provider } = evaluation;
+          const forecast = evaluation.forecast || null;
+          const conditions = evaluation.conditions || null;
+          
+          if (weatherValue !== null) {
+            const threshold = conditions ? describeExpression(alert.rule_expression) : describeThreshold(alert);
+            
+            await recordCheck(alert, weatherValue, conditionMet, provider);
+            
+            // Forecast alerts apply duration_hours to consecutive forecast hours instead
+            const hoursHeld = isForecast ? 0 : await updateConditionState(alert, conditionMet);
+            const requiredHours = isForecast ? 0 : parseFloat(alert.duration_hours) || 0;
             
-            if (isConditionMet(weatherValue, alert.condition_type, threshold)) {
-              console.log(`🚨 ALERT TRIGGERED: ${alert.alert_type} ${alert.condition_type} ${threshold} (actual: ${weatherValue}) for ${group.fieldInfo.name}`);
+            if (conditionMet && hoursHeld < requiredHours) {
+              console.log(`⏳ Alert ${alert.id} condition held for ${hoursHeld.toFixed(1)}h of required ${requiredHours}h`);
+            } else if (conditionMet) {
+              if (isForecast) {
+                console.log(`🔮 FORECAST ALERT TRIGGERED: ${alert.alert_type} ${threshold} (predicted: ${weatherValue} at ${forecast.datetime.toISOString()}) for ${fieldInfo.name}`);
+              } else if (conditions) {
+                console.log(`🚨 COMPOUND ALERT TRIGGERED: ${threshold} (${weatherValue} of ${conditions.length} conditions met) for ${fieldInfo.name}`);
+              } else {
+                console.log(`🚨 ALERT TRIGGERED: ${alert.alert_type} ${threshold} (actual: ${weatherValue}) for ${fieldInfo.name}`);
+              }
+              
+              let incident = activeIncidents[alert.id];
+              incident = incident ? await refreshIncident(incident, weatherValue) : await openIncident(alert, weatherValue);
+              activeIncidents[alert.id] = incident;
               
               // Check notification frequency to avoid spam
               let shouldSend = true;
               
-              if (alert.last_triggered && alert.notification_frequency !== 'once') {
-                const lastTriggered = new Date(alert.last_triggered);
-                const now = new Date();
-                const hoursDiff = (now - lastTriggered) / (1000 * 60 * 60);
-                
-                if (alert.notification_frequency === 'hourly' && hoursDiff < 1) {
-                  shouldSend = false;
-                } else if (alert.notification_frequency === 'daily' && hoursDiff < 24) {
-                  shouldSend = false;
-                }
+              if (incident.state === 'acknowledged' || incident.state === 'snoozed') {
+                // Someone has responded, repeats wait until the incident resolves or the snooze ends
+                shouldSend = false;
+              } else if (isRepeatThrottled(alert, incident, alert.last_triggered, now)) {
+                shouldSend = false;
               }
               
-              if (shouldSend) {
-                await sendEmailNotification(alert, group.fieldInfo, weatherValue);
-              } else {
+              // Non-critical alerts wait for the end of quiet hours and go out in the morning digest
+              const held = isHeldByQuietHours(alert, now);
+              
+              if (shouldSend && held) {
+                console.log(`🌙 Holding notification for alert ${alert.id} until quiet hours end`);
+              } else if (!shouldSend && incident.state !== 'open') {
+                console.log(`⏭️ Skipping notification for alert ${alert.id}, incident ${incident.id} is ${incident.state}`);
+              } else if (!shouldSend) {
                 console.log(`⏭️ Skipping notification for alert ${alert.id} due to frequency limit`);
               }
+              
+              const triggerId = await recordTrigger(alert, weatherValue, shouldSend && !held ? getAlertChannels(alert) : [], {
+                predictedFor: forecast ? forecast.datetime : null,
+                conditions,
+                incidentId: incident.id
+              });
+              
+              if (shouldSend && !held) {
+                await sendNotifications(alert, fieldInfo, weatherValue, { forecast, conditions, incident, triggerId });
+              } else if (shouldSend) {
+                await queueNotification(alert, {
+                  value: weatherValue,
+                  incidentId: incident.id,
+                  triggerId,
+                  predictedFor: forecast ? forecast.datetime : null,
+                  conditions
+                });
+                // A held notification counts towards the frequency limit, so each cycle doesn't queue another
+                await db.query('UPDATE alerts SET last_triggered = NOW() WHERE id = ?', [alert.id]);
+              }
+              
+              // Escalation also waits for quiet hours to end
+              if (!held && isEscalationDue(alert, incident)) {
+                console.log(`📣 Escalating incident ${incident.id} of alert ${alert.id}, not acknowledged within ${alert.escalation_minutes} minutes`);
+                await sendEscalation(alert, fieldInfo, weatherValue, incident, conditions);
+                activeIncidents[alert.id] = await markEscalated(incident);
+              }
+            } else if (!conditionMet && activeIncidents[alert.id]) {
+              const incident = await resolveIncident(activeIncidents[alert.id], weatherValue);
+              delete activeIncidents[alert.id];
+              console.log(`✅ Alert ${alert.id} condition cleared, incident ${incident.id} resolved`);
+              
+              const notifyResolved = alert.notify_resolved === undefined || alert.notify_resolved === null || alert.notify_resolved;
+              if (notifyResolved && isHeldByQuietHours(alert, now)) {
+                await queueNotification(alert, { kind: 'resolved', value: weatherValue, incidentId: incident.id });
+              } else if (notifyResolved) {
+                await sendResolvedNotifications(alert, fieldInfo, weatherValue, incident);
+              }
             }
           }
         }
+        
+        await db.query('UPDATE alerts SET last_checked_at = ? WHERE id IN (?)', [now, group.alerts.map(alert => alert.id)]);
       } catch (error) {
         console.error(`❌ Error processing location ${coordKey}:`, error);
-        continue;
       }
-    }
+    });
+    
+    // Morning digests for alerts whose quiet hours have ended
+    await deliverDigests(alerts);
+    
+    // Send what this cycle queued without waiting for the next outbox run
+    await deliverOutbox();
     
     console.log('✅ Alert check cycle completed');
     
@@ -353,18 +651,54 @@ async function checkAlerts() {
   }
 }
 
-// Run immediately and then every 30 minutes
-console.log('🚀 Starting Alert Monitor Service...');
-checkAlerts();
+// Cron schedules of the monitor's jobs. Alert checks run every few minutes and pick the alerts that are due.
+const ALERT_CHECK_CRON = process.env.ALERT_CHECK_CRON || '*/5 * * * *';
+const OUTBOX_CRON = '* * * * *';
+const DIGEST_CRON = '*/5 * * * *';
+const WEATHER_CACHE_PRUNE_CRON = '30 3 * * *';
+
+let started = false;
+
+// Schedule the alert checks, outbox delivery and digest subscriptions. Safe to call from several processes:
+// each job runs on one instance at a time (see scheduler.js).
+function startMonitor() {
+  if (started) return;
+  started = true;
+  
+  console.log('🚀 Starting Alert Monitor Service...');
+  defineJob('alert-check', ALERT_CHECK_CRON, checkAlerts, { runOnStart: true });
+  // The outbox is worked through every minute, retrying failed notifications as their backoff runs out
+  defineJob('notification-outbox', OUTBOX_CRON, deliverOutbox);
+  // Digest subscriptions go out once their local send time has passed
+  defineJob('digest-subscriptions', DIGEST_CRON, sendDueDigests);
+  defineJob('weather-cache-prune', WEATHER_CACHE_PRUNE_CRON, pruneWeatherCache);
+  startJobs();
+  
+  console.log(`⏰ Alert monitoring active - alerts checked every ${DEFAULT_CHECK_INTERVAL_MINUTES} minutes unless they set their own interval`);
+}
+
+// Stop scheduling, waiting for runs in progress to finish
+async function stopMonitor() {
+  if (!started) return;
+  started = false;
+  await stopJobs();
+  console.log('🛑 Alert monitor stopped');
+}
 
-// Set up interval for regular checks
-const INTERVAL_MINUTES = 30;
-setInterval(checkAlerts, INTERVAL_MINUTES * 60 * 1000);
+function getMonitorStatus() {
+  return { running: started, jobs: getJobStatus() };
+}
 
-console.log(`⏰ Alert monitoring active - checking every ${INTERVAL_MINUTES} minutes`);
+// `node alertMonitor.js` runs the monitor on its own
+if (require.main === module) {
+  startMonitor();
+}
 
 module.exports = {
+  startMonitor,
+  stopMonitor,
+  getMonitorStatus,
   checkAlerts,
-  sendEmailNotification,
+  sendNotifications,
   isConditionMet
 };
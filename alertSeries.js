@@ -0,0 +1,125 @@
+// Hour-by-hour evaluation of an alert over a run of weather readings, for threshold overlays on weather charts
+// and replays of past weather. Values are worked out as the monitor does: windowed metrics are totalled over the
+// alert's window, forecast rainfall windows sum the hours ahead, and compound rules combine their conditions.
+const { isAlertConditionMet } = require('./alertConditions');
+const { getMetric, COMPOUND_ALERT_TYPE } = require('./alertCatalog');
+const { parseAccumulationWindow, getWindowStart, getMetricSeries, forwardRainfall } = require('./weatherMetrics');
+const { parseExpression, getConditions, evaluateExpression, explainResult } = require('./ruleExpressions');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Hours of rainfall a forecast alert sums per point, or 0 when it compares single hours
+function getForecastWindowHours(alert) {
+  if (alert.alert_type !== 'rainfall' || !alert.accumulation_window) return 0;
+  const window = parseAccumulationWindow(alert.accumulation_window);
+  return window && window.hours > 1 ? window.hours : 0;
+}
+
+// A compound rule condition as a standalone alert, inheriting the alert's id, field, location and season
+function conditionTarget(alert, condition) {
+  return {
+    ...condition,
+    id: alert.id,
+    field_id: alert.field_id,
+    latitude: alert.latitude,
+    field_crop: alert.field_crop,
+    season_start: alert.season_start
+  };
+}
+
+// The single-metric conditions an alert is made of: itself, or each condition of a compound rule
+function getSeriesTargets(alert) {
+  if (alert.alert_type !== COMPOUND_ALERT_TYPE) return [alert];
+  const expression = parseExpression(alert.rule_expression);
+  return expression ? getConditions(expression).map(condition => conditionTarget(alert, condition)) : [];
+}
+
+// When the readings an alert is evaluated from need to begin for its values from `start` on to be complete:
+// windowed metrics need their whole window before it
+function getSeriesStart(alert, start) {
+  const starts = getSeriesTargets(alert).map(target => {
+    const metric = getMetric(target.alert_type);
+    if (!metric || !metric.window) return start;
+    return getWindowStart(target.accumulation_window || metric.window, start, target.season_start) || start;
+  });
+  return new Date(Math.min(start.getTime(), ...starts.map(date => date.getTime())));
+}
+
+// The value a single-metric alert is compared against at each reading ({ datetime, value })
+function getValueSeries(alert, readings) {
+  if (alert.alert_mode === 'forecast') {
+    const windowHours = getForecastWindowHours(alert);
+    if (windowHours) return forwardRainfall(readings, windowHours);
+  }
+  return getMetricSeries(alert, readings, {
+    latitude: parseFloat(alert.latitude),
+    crop: alert.field_crop,
+    baseTemperature: alert.base_temperature
+  });
+}
+
+// Evaluate an alert at every reading. Returns [{ datetime, value, matched, triggered }] where matched is null when
+// the data is missing, and triggered marks the hours the alert would have fired: a current alert once its
+// condition has held for duration_hours, a forecast alert on a run of duration_hours matching hours.
+// Compound alerts report the number of their conditions that matched as the value.
+function evaluateAlertSeries(alert, readings) {
+  let points;
+
+  if (alert.alert_type === COMPOUND_ALERT_TYPE) {
+    const expression = parseExpression(alert.rule_expression);
+    if (!expression) return readings.map(reading => ({ datetime: reading.datetime, value: null, matched: null, triggered: false }));
+
+    const seriesByCondition = new Map(getConditions(expression).map(condition => {
+      const target = conditionTarget(alert, condition);
+      const series = getValueSeries(target, readings);
+      return [condition, series.map(point => ({
+        value: point.value,
+        matched: point.value === null || point.value === undefined ? null : isAlertConditionMet(target, point.value)
+      }))];
+    }));
+
+    points = readings.map((reading, i) => {
+      const result = evaluateExpression(expression, condition => seriesByCondition.get(condition)[i]);
+      return {
+        datetime: reading.datetime,
+        value: result.matched === null ? null : explainResult(result).filter(condition => condition.matched).length,
+        matched: result.matched
+      };
+    });
+  } else {
+    points = getValueSeries(alert, readings).map(point => {
+      const value = point.value === undefined ? null : point.value;
+      return { datetime: point.datetime, value, matched: value === null ? null : isAlertConditionMet(alert, value) };
+    });
+  }
+
+  // Hours without data neither break nor extend a run, as the monitor skips checks it has no value for
+  const isForecast = alert.alert_mode === 'forecast';
+  const requiredHours = parseFloat(alert.duration_hours) || 0;
+  let runStart = null;
+  let runLength = 0;
+
+  return points.map(point => {
+    if (point.matched === false) {
+      runStart = null;
+      runLength = 0;
+    } else if (point.matched) {
+      if (runStart === null) runStart = point.datetime;
+      runLength++;
+    }
+
+    const triggered = !!point.matched && (isForecast
+      ? runLength >= Math.max(1, requiredHours)
+      : (point.datetime - runStart) / HOUR_MS >= requiredHours);
+    return { ...point, triggered };
+  });
+}
+
+module.exports = {
+  getForecastWindowHours,
+  conditionTarget,
+  getSeriesTargets,
+  getSeriesStart,
+  getValueSeries,
+  evaluateAlertSeries
+};
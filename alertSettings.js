@@ -0,0 +1,381 @@
+// Validation of everything about an alert except the field it watches.
+// Shared by alert create/update and alert templates, which apply the same settings to many fields.
+const crypto = require('crypto');
+const { isRangeCondition, validateThresholds, validateForecastSettings } = require('./alertConditions');
+const { validateMetricCondition, COMPOUND_ALERT_TYPE } = require('./alertCatalog');
+const { validateExpression } = require('./ruleExpressions');
+const { validateAccumulationWindow, validateBaseTemperature } = require('./weatherMetrics');
+const { isValidE164, parsePhoneNumbers } = require('./notificationChannels/sms');
+const { getChannelNames, getAlertChannels } = require('./notificationChannels/channelRegistry');
+const { getUrlError } = require('./notificationChannels/publicUrl');
+const { validateQuietHours } = require('./quietHours');
+const { NOTIFICATION_FREQUENCIES } = require('./incidents');
+const { parseLanguageSettings } = require('./notificationLocale');
+const { EMAIL_PATTERN, parseBoolean } = require('./validation');
+
+// alerts columns written from an alert's settings, in insert order (field_id comes before them)
+const ALERT_SETTING_COLUMNS = [
+  'alert_type', 'condition_type', 'threshold_value', 'second_threshold_value', 'rule_expression', 'range_inclusive', 'duration_hours',
+  'notification_frequency', 'alert_mode', 'forecast_hours', 'forecast_match', 'accumulation_window', 'season_start', 'base_temperature', 'check_interval_minutes',
+  'channels', 'notification_emails', 'email_notification', 'sms_notification', 'whatsapp_notification', 'phone_numbers',
+  'webhook_url', 'webhook_secret', 'chat_webhook_url',
+  'escalation_minutes', 'escalation_emails', 'escalation_phone_numbers', 'notify_resolved',
+  'severity', 'quiet_hours_start', 'quiet_hours_end', 'timezone', 'language', 'recipient_languages',
+  'active'
+];
+
+// Longest a condition can be required to hold before an alert triggers (30 days)
+const MAX_DURATION_HOURS = 30 * 24;
+
+// Longest an incident can wait for acknowledgement before escalating (one week)
+const MAX_ESCALATION_MINUTES = 7 * 24 * 60;
+
+// Bounds of an alert's own check interval; the monitor's cycle runs every 5 minutes
+const MIN_CHECK_INTERVAL_MINUTES = 5;
+const MAX_CHECK_INTERVAL_MINUTES = 24 * 60;
+
+// How often an alert is checked when it doesn't set check_interval_minutes
+const DEFAULT_CHECK_INTERVAL_MINUTES = parseInt(process.env.ALERT_CHECK_INTERVAL_MINUTES || '30');
+
+// Helper function to parse a channel list given as an array or comma separated string
+function parseChannelList(channels) {
+  const names = Array.isArray(channels) ? channels : String(channels).split(',');
+  return [...new Set(names.map(name => String(name).trim()).filter(Boolean))];
+}
+
+// Helper function to list the entries of a comma separated email list that aren't email addresses
+function findInvalidEmails(emails) {
+  return String(emails || '').split(',').map(email => email.trim()).filter(email => email && !EMAIL_PATTERN.test(email));
+}
+
+// Helper function to check a webhook or chat URL (http(s), not a private or local address), returning an error message or null
+function validateWebhookUrl(field, value) {
+  const error = getUrlError(value);
+  return error ? `${field} ${error}` : null;
+}
+
+// Helper function to validate the notification channels of an alert payload and their recipients.
+// `channels` takes precedence; without it the legacy email/sms/whatsapp flags decide.
+// Phone numbers must be E.164 (e.g. +263777123456).
+// Returns { error } on failure, or the normalised values to store.
+function validateChannels(body) {
+  const {
+    channels,
+    notification_emails,
+    email_notification,
+    sms_notification,
+    whatsapp_notification,
+    phone_numbers,
+    webhook_url,
+    chat_webhook_url
+  } = body;
+
+  const channelList = channels !== undefined && channels !== null
+    ? parseChannelList(channels)
+    : getAlertChannels({
+        email_notification: parseBoolean(email_notification, !!notification_emails),
+        sms_notification: parseBoolean(sms_notification),
+        whatsapp_notification: parseBoolean(whatsapp_notification)
+      });
+
+  const unknown = channelList.filter(name => !getChannelNames().includes(name));
+  if (unknown.length) {
+    return { error: `Unknown channels: ${unknown.join(', ')} (available: ${getChannelNames().join(', ')})` };
+  }
+  if (!channelList.length) {
+    return { error: 'At least one notification channel is required' };
+  }
+
+  const numbers = parsePhoneNumbers(phone_numbers);
+  const invalid = numbers.filter(number => !isValidE164(number));
+  if (invalid.length) {
+    return { error: `Invalid phone numbers (expected E.164, e.g. +263777123456): ${invalid.join(', ')}` };
+  }
+
+  const invalidEmails = findInvalidEmails(notification_emails);
+  if (invalidEmails.length) {
+    return { error: `notification_emails has invalid email addresses: ${invalidEmails.join(', ')}` };
+  }
+
+  if (channelList.includes('email') && !notification_emails) {
+    return { error: 'notification_emails is required for the email channel' };
+  }
+  if ((channelList.includes('sms') || channelList.includes('whatsapp')) && !numbers.length) {
+    return { error: 'phone_numbers is required when SMS or WhatsApp notifications are enabled' };
+  }
+  const urlError = (channelList.includes('webhook') && validateWebhookUrl('webhook_url', webhook_url))
+    || (channelList.includes('chat') && validateWebhookUrl('chat_webhook_url', chat_webhook_url));
+  if (urlError) {
+    return { error: urlError };
+  }
+
+  return {
+    channels: channelList,
+    phoneNumbers: numbers.length ? numbers.join(',') : null,
+    webhookUrl: channelList.includes('webhook') ? webhook_url : null,
+    chatWebhookUrl: channelList.includes('chat') ? chat_webhook_url : null
+  };
+}
+
+// Helper function to validate who an unacknowledged incident escalates to and after how long.
+// Returns { error } or the normalised values to store.
+function validateEscalation({ escalation_minutes, escalation_emails, escalation_phone_numbers }) {
+  if (escalation_minutes === undefined || escalation_minutes === null || escalation_minutes === '') {
+    return { minutes: null, emails: null, phoneNumbers: null };
+  }
+
+  const minutes = Number(escalation_minutes);
+  if (!Number.isInteger(minutes) || minutes < 1 || minutes > MAX_ESCALATION_MINUTES) {
+    return { error: `escalation_minutes must be a whole number between 1 and ${MAX_ESCALATION_MINUTES}` };
+  }
+
+  const numbers = parsePhoneNumbers(escalation_phone_numbers);
+  const invalid = numbers.filter(number => !isValidE164(number));
+  if (invalid.length) {
+    return { error: `Invalid escalation phone numbers (expected E.164, e.g. +263777123456): ${invalid.join(', ')}` };
+  }
+  const invalidEmails = findInvalidEmails(escalation_emails);
+  if (invalidEmails.length) {
+    return { error: `escalation_emails has invalid email addresses: ${invalidEmails.join(', ')}` };
+  }
+  if (!escalation_emails && !numbers.length) {
+    return { error: 'escalation_emails or escalation_phone_numbers is required with escalation_minutes' };
+  }
+
+  return {
+    minutes,
+    emails: escalation_emails || null,
+    phoneNumbers: numbers.length ? numbers.join(',') : null
+  };
+}
+
+// Helper function to validate an alert's season start date (YYYY-MM-DD), returning an error message or null
+function validateSeasonStart(seasonStart) {
+  if (!seasonStart) return null;
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(seasonStart) || isNaN(new Date(seasonStart).getTime())) {
+    return 'season_start must be a date in YYYY-MM-DD format';
+  }
+  return null;
+}
+
+// Helper function to validate how often the monitor checks an alert, returning an error message or null.
+// Empty uses the monitor's default (ALERT_CHECK_INTERVAL_MINUTES).
+function validateCheckInterval(checkIntervalMinutes) {
+  if (checkIntervalMinutes === undefined || checkIntervalMinutes === null || checkIntervalMinutes === '') return null;
+  const minutes = Number(checkIntervalMinutes);
+  if (!Number.isInteger(minutes) || minutes < MIN_CHECK_INTERVAL_MINUTES || minutes > MAX_CHECK_INTERVAL_MINUTES) {
+    return `check_interval_minutes must be a whole number between ${MIN_CHECK_INTERVAL_MINUTES} and ${MAX_CHECK_INTERVAL_MINUTES}`;
+  }
+  return null;
+}
+
+// Helper function to validate how long a condition must hold before the alert triggers and how often it
+// repeats while it keeps holding, returning { error } or the values to use
+function parseNotificationRules({ duration_hours, notification_frequency }) {
+  const durationHours = duration_hours === undefined || duration_hours === null || duration_hours === '' ? 0 : Number(duration_hours);
+  if (isNaN(durationHours) || durationHours < 0 || durationHours > MAX_DURATION_HOURS) {
+    return { error: `duration_hours must be a number between 0 and ${MAX_DURATION_HOURS}` };
+  }
+
+  const frequency = notification_frequency || 'once';
+  if (!NOTIFICATION_FREQUENCIES.includes(frequency)) {
+    return { error: `notification_frequency must be one of: ${NOTIFICATION_FREQUENCIES.join(', ')}` };
+  }
+
+  return { durationHours, frequency };
+}
+
+// Helper function to generate the secret used to sign an alert's webhook payloads
+function generateWebhookSecret() {
+  return crypto.randomBytes(24).toString('hex');
+}
+
+// Helper function to add the settings shared by every kind of alert
+// (duration, notification frequency, check interval, season, channels, quiet hours, languages, active)
+// to the validated rule values, returning { error } or { values }
+function parseDeliverySettings(body, rule, existingWebhookSecret) {
+  const {
+    check_interval_minutes = null,
+    season_start = null,
+    notification_emails = null,
+    webhook_secret,
+    notify_resolved,
+    active
+  } = body;
+
+  const notificationRules = parseNotificationRules(body);
+  if (notificationRules.error) {
+    return { error: notificationRules.error };
+  }
+
+  const seasonError = validateSeasonStart(season_start);
+  if (seasonError) {
+    return { error: seasonError };
+  }
+
+  const intervalError = validateCheckInterval(check_interval_minutes);
+  if (intervalError) {
+    return { error: intervalError };
+  }
+
+  const delivery = validateChannels(body);
+  if (delivery.error) {
+    return { error: delivery.error };
+  }
+
+  const escalation = validateEscalation(body);
+  if (escalation.error) {
+    return { error: escalation.error };
+  }
+
+  const quietHours = validateQuietHours(body);
+  if (quietHours.error) {
+    return { error: quietHours.error };
+  }
+
+  const languages = parseLanguageSettings(body);
+  if (languages.error) {
+    return { error: languages.error };
+  }
+
+  return {
+    values: {
+      ...rule,
+      duration_hours: notificationRules.durationHours,
+      notification_frequency: notificationRules.frequency,
+      check_interval_minutes: check_interval_minutes === null || check_interval_minutes === '' ? null : Number(check_interval_minutes),
+      season_start: season_start || null,
+      channels: delivery.channels.join(','),
+      notification_emails,
+      email_notification: delivery.channels.includes('email') ? 1 : 0,
+      sms_notification: delivery.channels.includes('sms') ? 1 : 0,
+      whatsapp_notification: delivery.channels.includes('whatsapp') ? 1 : 0,
+      phone_numbers: delivery.phoneNumbers,
+      webhook_url: delivery.webhookUrl,
+      webhook_secret: delivery.webhookUrl ? (webhook_secret || existingWebhookSecret || generateWebhookSecret()) : null,
+      chat_webhook_url: delivery.chatWebhookUrl,
+      escalation_minutes: escalation.minutes,
+      escalation_emails: escalation.emails,
+      escalation_phone_numbers: escalation.phoneNumbers,
+      notify_resolved: parseBoolean(notify_resolved, true) ? 1 : 0,
+      severity: quietHours.severity,
+      quiet_hours_start: quietHours.quietHoursStart,
+      quiet_hours_end: quietHours.quietHoursEnd,
+      timezone: quietHours.timezone,
+      language: languages.language,
+      recipient_languages: languages.recipientLanguages,
+      active: parseBoolean(active, true) ? 1 : 0
+    }
+  };
+}
+
+// Helper function to validate the rule of a compound alert, returning { error } or the values describing it.
+// The thresholds live in rule_expression; the single-metric columns keep neutral values.
+function parseCompoundRule(body) {
+  const rule = validateExpression(body.rule_expression);
+  if (rule.error) {
+    return { error: rule.error };
+  }
+
+  return {
+    alert_type: COMPOUND_ALERT_TYPE,
+    condition_type: 'greater_than',
+    threshold_value: null,
+    second_threshold_value: null,
+    rule_expression: JSON.stringify(rule.expression),
+    range_inclusive: 1,
+    alert_mode: 'current',
+    forecast_hours: null,
+    forecast_match: 'any',
+    accumulation_window: null,
+    base_temperature: null
+  };
+}
+
+// Helper function to validate the metric, condition and thresholds of a single-metric alert,
+// returning { error } or the values describing its rule
+function parseMetricRule(body) {
+  const {
+    alert_type,
+    condition_type,
+    threshold_value,
+    second_threshold_value = null,
+    range_inclusive,
+    alert_mode = 'current',
+    forecast_hours = 24,
+    forecast_match = 'any',
+    accumulation_window = null,
+    base_temperature = null
+  } = body;
+
+  if (!alert_type || threshold_value === undefined || threshold_value === null || threshold_value === '') {
+    return { error: 'alert_type and threshold_value are required' };
+  }
+
+  // Accept any catalog alias (e.g. 'windspeed', 'greaterThan') but always store the canonical names
+  const vocabulary = validateMetricCondition({
+    alert_type,
+    condition_type: condition_type || 'greater_than',
+    threshold_value,
+    second_threshold_value
+  });
+  if (vocabulary.error) {
+    return { error: vocabulary.error };
+  }
+  const alertType = vocabulary.alert_type;
+  const conditionType = vocabulary.condition_type;
+
+  const settingsError = validateThresholds({ alert_type: alertType, condition_type: conditionType, threshold_value, second_threshold_value })
+    || validateForecastSettings({ alert_type: alertType, alert_mode, forecast_hours, forecast_match })
+    || validateAccumulationWindow({ alert_type: alertType, alert_mode, accumulation_window })
+    || validateBaseTemperature({ alert_type: alertType, base_temperature });
+  if (settingsError) {
+    return { error: settingsError };
+  }
+
+  return {
+    alert_type: alertType,
+    condition_type: conditionType,
+    threshold_value,
+    second_threshold_value: isRangeCondition(conditionType) ? second_threshold_value : null,
+    rule_expression: null,
+    range_inclusive: parseBoolean(range_inclusive, true) ? 1 : 0,
+    alert_mode,
+    forecast_hours: alert_mode === 'forecast' ? forecast_hours : null,
+    forecast_match,
+    accumulation_window: accumulation_window || null,
+    base_temperature: alertType === 'gdd' && base_temperature !== null && base_temperature !== '' ? parseFloat(base_temperature) : null
+  };
+}
+
+// Validate what an alert watches for (a single-metric condition or a compound rule) without its delivery settings,
+// returning { error } or the rule values
+function parseAlertRule(body) {
+  return body.alert_type === COMPOUND_ALERT_TYPE ? parseCompoundRule(body) : parseMetricRule(body);
+}
+
+// Validate an alert payload (without field_id), returning { error } or { values } keyed by ALERT_SETTING_COLUMNS.
+// existingWebhookSecret is kept on updates so receivers don't need reconfiguring on every edit.
+function parseAlertSettings(body, { existingWebhookSecret = null } = {}) {
+  const rule = parseAlertRule(body);
+  if (rule.error) return rule;
+  return parseDeliverySettings(body, rule, existingWebhookSecret);
+}
+
+module.exports = {
+  ALERT_SETTING_COLUMNS,
+  MAX_DURATION_HOURS,
+  MAX_ESCALATION_MINUTES,
+  MIN_CHECK_INTERVAL_MINUTES,
+  MAX_CHECK_INTERVAL_MINUTES,
+  DEFAULT_CHECK_INTERVAL_MINUTES,
+  validateWebhookUrl,
+  parseChannelList,
+  parseAlertRule,
+  parseAlertSettings,
+  parseNotificationRules,
+  validateEscalation,
+  validateCheckInterval,
+  validateSeasonStart,
+  generateWebhookSecret
+};
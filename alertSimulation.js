@@ -0,0 +1,161 @@
+// Dry runs of an alert definition against past weather: when it would have triggered and with what values, the
+// incidents it would have opened, and the notifications that would have gone out once notification_frequency,
+// quiet hours and escalation are applied. The alert is checked every check_interval_minutes like the monitor does,
+// each check seeing the latest hourly reading; forecast alerts are given the weather that actually followed as their
+// forecast. Nobody acknowledges or snoozes the simulated incidents, so every one escalates once it is due.
+const { evaluateForecast } = require('./alertConditions');
+const { COMPOUND_ALERT_TYPE } = require('./alertCatalog');
+const { evaluateAlertSeries, getValueSeries } = require('./alertSeries');
+const { isRepeatThrottled, isEscalationDue } = require('./incidents');
+const { isHeldByQuietHours } = require('./quietHours');
+const { parseBoolean } = require('./validation');
+const { DEFAULT_CHECK_INTERVAL_MINUTES } = require('./alertSettings');
+
+function round(value) {
+  return value === null || value === undefined ? null : Math.round(value * 100) / 100;
+}
+
+// The outcome of the checks between start and end: [{ datetime, value, matched, triggered, predicted_for }]
+function getChecks(alert, readings, start, end) {
+  const inRange = point => point.datetime >= start && point.datetime <= end;
+
+  if (alert.alert_mode === 'forecast' && alert.alert_type !== COMPOUND_ALERT_TYPE) {
+    const points = getValueSeries(alert, readings);
+    return readings.filter(inRange).map(reading => {
+      const result = evaluateForecast(alert, points, reading.datetime);
+      return {
+        datetime: reading.datetime,
+        value: result.value,
+        matched: result.value === null ? null : result.matched,
+        triggered: result.matched,
+        predicted_for: result.matched ? result.datetime : null
+      };
+    });
+  }
+
+  return evaluateAlertSeries(alert, readings).filter(inRange).map(point => ({ ...point, predicted_for: null }));
+}
+
+// The monitor's checks of the alert between start and end, one every `intervalMinutes`, each with the outcome of
+// the latest hour at or before it
+function sampleChecks(hourlyChecks, start, end, intervalMinutes) {
+  const checks = [];
+  let index = -1;
+  for (let time = start.getTime(); time <= end.getTime(); time += intervalMinutes * 60 * 1000) {
+    while (index + 1 < hourlyChecks.length && hourlyChecks[index + 1].datetime.getTime() <= time) index++;
+    if (index >= 0) checks.push({ ...hourlyChecks[index], datetime: new Date(time) });
+  }
+  return checks;
+}
+
+// Run the alert over the readings (which start early enough to cover windowed metrics) between start and end.
+// `alert` carries the settings as stored, plus the field's latitude, longitude, crop and timezone.
+function runSimulation(alert, readings, start, end) {
+  const triggers = [];
+  const incidents = [];
+  const notifications = {
+    sent: 0,
+    held_for_digest: 0,
+    digests: 0,
+    throttled: 0,
+    resolved_sent: 0,
+    resolved_held: 0,
+    escalations: 0
+  };
+
+  let incident = null;
+  let lastTriggered = null;
+  let queued = 0;
+  let missingChecks = 0;
+
+  const hourlyChecks = getChecks(alert, readings, start, end);
+  const intervalMinutes = parseInt(alert.check_interval_minutes) || DEFAULT_CHECK_INTERVAL_MINUTES;
+  const checks = sampleChecks(hourlyChecks, start, end, intervalMinutes);
+  const notifyResolved = parseBoolean(alert.notify_resolved, true);
+
+  checks.forEach(check => {
+    const now = check.datetime;
+
+    // Held notifications go out as one digest once the quiet hours end
+    if (queued && !isHeldByQuietHours(alert, now)) {
+      notifications.digests++;
+      queued = 0;
+    }
+
+    if (check.matched === null) {
+      missingChecks++;
+      return;
+    }
+
+    if (check.triggered) {
+      if (!incident) {
+        incident = { opened_at: now, resolved_at: null, escalated_at: null, triggers: 0, min_value: check.value, max_value: check.value };
+        incidents.push(incident);
+      }
+      incident.triggers++;
+      incident.min_value = Math.min(incident.min_value, check.value);
+      incident.max_value = Math.max(incident.max_value, check.value);
+
+      const held = isHeldByQuietHours(alert, now);
+      let notification;
+      if (isRepeatThrottled(alert, incident, lastTriggered, now)) {
+        notification = 'throttled';
+        notifications.throttled++;
+      } else if (held) {
+        notification = 'held';
+        notifications.held_for_digest++;
+        queued++;
+        lastTriggered = now;
+      } else {
+        notification = 'sent';
+        notifications.sent++;
+        lastTriggered = now;
+      }
+
+      // Escalation also waits for quiet hours to end
+      if (!held && isEscalationDue(alert, { ...incident, state: 'open' }, now)) {
+        incident.escalated_at = now;
+        notifications.escalations++;
+      }
+
+      triggers.push({ triggered_at: now, value: round(check.value), predicted_for: check.predicted_for, notification });
+    } else if (!check.matched && incident) {
+      incident.resolved_at = now;
+      incident = null;
+      if (notifyResolved && isHeldByQuietHours(alert, now)) {
+        notifications.resolved_held++;
+        queued++;
+      } else if (notifyResolved) {
+        notifications.resolved_sent++;
+      }
+    }
+  });
+
+  // Still queued at the end of the period: sent when those quiet hours end
+  if (queued) notifications.digests++;
+
+  return {
+    check_interval_minutes: intervalMinutes,
+    checks: checks.length,
+    checks_missing: missingChecks,
+    hours_checked: hourlyChecks.length,
+    hours_missing: hourlyChecks.filter(check => check.matched === null).length,
+    condition_hours: hourlyChecks.filter(check => check.matched).length,
+    trigger_count: triggers.length,
+    incident_count: incidents.length,
+    notifications: {
+      ...notifications,
+      total: notifications.sent + notifications.digests + notifications.resolved_sent + notifications.escalations
+    },
+    incidents: incidents.map(entry => ({
+      ...entry,
+      min_value: round(entry.min_value),
+      max_value: round(entry.max_value)
+    })),
+    triggers
+  };
+}
+
+module.exports = {
+  runSimulation
+};
@@ -0,0 +1,63 @@
+// The API's error responses share one shape:
+//   { success: false, code, message, errors? }
+// `code` is stable for clients to branch on, `message` is safe to show to users, and invalid requests list
+// what is wrong with each input in `errors` as [{ field, code, message }].
+// Database errors and stack traces are logged, never sent to clients.
+
+// Default code for each status
+const STATUS_CODES = {
+  400: 'validation_failed',
+  401: 'unauthorized',
+  403: 'forbidden',
+  404: 'not_found',
+  409: 'conflict',
+  413: 'payload_too_large',
+  500: 'internal_error',
+  502: 'upstream_unavailable'
+};
+
+function sendError(res, status, message, { code = STATUS_CODES[status] || 'error', errors = null, ...extra } = {}) {
+  const body = { success: false, code, message, ...extra };
+  if (errors && errors.length) body.errors = errors;
+  return res.status(status).json(body);
+}
+
+// 400 listing the field-level problems; the message is the first problem, so clients that only show
+// `message` still say something useful
+function sendValidationError(res, errors) {
+  const message = errors.length === 1 ? errors[0].message : `${errors[0].message} (and ${errors.length - 1} more)`;
+  return sendError(res, 400, message, { errors });
+}
+
+function sendNotFound(res, message) {
+  return sendError(res, 404, message);
+}
+
+// 500 without the underlying error, which is logged by the caller
+function sendServerError(res, message) {
+  return sendError(res, 500, message);
+}
+
+// Express error handler for errors no route handled: malformed or oversized bodies, and anything thrown
+function errorHandler(err, req, res, next) {
+  if (res.headersSent) return next(err);
+
+  if (err.type === 'entity.parse.failed') {
+    return sendError(res, 400, 'The request body is not valid JSON', { code: 'invalid_json' });
+  }
+  if (err.type === 'entity.too.large') {
+    return sendError(res, 413, 'The request body is too large');
+  }
+
+  console.error('❌ Unhandled error:', err);
+  return sendServerError(res, 'Internal server error');
+}
+
+module.exports = {
+  STATUS_CODES,
+  sendError,
+  sendValidationError,
+  sendNotFound,
+  sendServerError,
+  errorHandler
+};
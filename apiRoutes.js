@@ -1,65 +1,110 @@
 const express = require('express');
 const router = express.Router();
 const alertController = require('./alertController');
-const db = require('./database');
+const ndviController = require('./ndviController');
+const weatherController = require('./weatherController');
+const authController = require('./authController');
+const fieldController = require('./fieldController');
+const templateController = require('./templateController');
+const incidentController = require('./incidentController');
+const digestController = require('./digestController');
+const notificationTemplateController = require('./notificationTemplateController');
+const { authenticate, requireRole } = require('./auth');
+const { validateRequest } = require('./validation');
+const schemas = require('./requestSchemas');
+
+// 🔓 PUBLIC ROUTES
+router.post('/auth/login', authController.login);
+router.get('/catalog', alertController.getAlertCatalog);
+// Acknowledge/snooze links from alert emails, authorised by their signature: the link opens a
+// confirmation page and only its button (a POST) changes the incident
+router.get('/incidents/:id/acknowledge', incidentController.confirmAcknowledgeLink);
+router.post('/incidents/:id/acknowledge/confirm', incidentController.acknowledgeFromLink);
+router.get('/incidents/:id/snooze', incidentController.confirmSnoozeLink);
+router.post('/incidents/:id/snooze/confirm', incidentController.snoozeFromLink);
+
+// Everything below needs a user; data is scoped to the user's organisation
+router.use(authenticate);
+
+// 🔑 ACCOUNT ROUTES
+router.get('/auth/me', authController.getCurrentUser);
+router.get('/auth/api-keys', authController.getApiKeys);
+router.post('/auth/api-keys', authController.createApiKey);
+router.delete('/auth/api-keys/:id', authController.revokeApiKey);
+
+// 👥 USER ROUTES (organisation admins)
+router.get('/users', requireRole('admin'), authController.getUsers);
+router.post('/users', requireRole('admin'), authController.createUser);
+router.put('/users/:id', requireRole('admin'), authController.updateUser);
 
 // 🌾 FIELD ROUTES
-router.get('/fields', async (req, res) => {
-  try {
-    const searchTerm = req.query.search || '';
-    let query = 'SELECT * FROM fields';
-    let params = [];
-    
-    // Add search functionality if a search term is provided
-    if (searchTerm && searchTerm.length >= 3) {
-      query += ' WHERE name LIKE ? OR farmer_name LIKE ? OR crop LIKE ?';
-      const searchParam = `%${searchTerm}%`;
-      params = [searchParam, searchParam, searchParam];
-    }
-    
-    query += ' ORDER BY id DESC';
-    
-    const [rows] = await db.query(query, params);
-    res.json(rows);
-  } catch (err) {
-    res.status(500).json({ success: false, message: 'Failed to fetch fields', error: err.message });
-  }
-});
+const geoJsonBody = express.json({ type: 'application/geo+json', limit: '5mb' });
+const csvBody = express.text({ type: 'text/csv', limit: '5mb' });
+
+// Routes check their inputs against requestSchemas.js, answering 400 with every invalid input
+const withId = validateRequest({ params: schemas.ID_PARAMS });
+const fieldBody = validateRequest({ body: schemas.FIELD_BODY });
+const alertBody = validateRequest({ body: schemas.ALERT_BODY });
+
+router.get('/fields', validateRequest({ query: schemas.FIELDS_QUERY }), fieldController.getFields);
+router.get('/fields/export', validateRequest({ query: schemas.EXPORT_QUERY }), fieldController.exportFields); // Must be before /:id route
+router.post('/fields/import', requireRole('editor'), geoJsonBody, csvBody, fieldController.importFields); // Rows are checked one by one
+router.get('/fields/:id', withId, fieldController.getFieldById);
+router.post('/fields', requireRole('editor'), geoJsonBody, fieldBody, fieldController.createField);
+router.put('/fields/:id', requireRole('editor'), geoJsonBody, withId, fieldBody, fieldController.updateField);
+router.delete('/fields/:id', requireRole('editor'), withId, fieldController.deleteField);
 
-// Get field by ID with more details
-router.get('/fields/:id', async (req, res) => {
-  try {
-    const [rows] = await db.query('SELECT * FROM fields WHERE id = ?', [req.params.id]);
-    
-    if (!rows.length) {
-      return res.status(404).json({ success: false, message: 'Field not found' });
-    }
-    
-    // Get active alerts for this field
-    const [alerts] = await db.query(
-      'SELECT * FROM alerts WHERE field_id = ? AND active = 1', 
-      [req.params.id]
-    );
-    
-    // Add alerts to the field data
-    const fieldWithAlerts = { 
-      ...rows[0],
-      alerts: alerts || []
-    };
-    
-    res.json(fieldWithAlerts);
-  } catch (err) {
-    res.status(500).json({ success: false, message: 'Failed to fetch field', error: err.message });
-  }
-});
+// 🌦️ WEATHER ROUTES (?thresholds=true overlays the field's alerts)
+const weatherQuery = validateRequest({ query: schemas.WEATHER_QUERY });
+router.get('/fields/:id/weather/current', withId, weatherQuery, weatherController.getCurrentWeather);
+router.get('/fields/:id/weather/forecast', withId, weatherQuery, weatherController.getWeatherForecast);
+router.get('/fields/:id/weather/history', withId, weatherQuery, weatherController.getWeatherHistory);
+
+// 🛰️ NDVI ROUTES
+router.get('/fields/:id/ndvi', withId, validateRequest({ query: schemas.NDVI_QUERY }), ndviController.getMeasurements);
+router.post('/fields/:id/ndvi', requireRole('editor'), withId, validateRequest({ body: schemas.NDVI_BODY }), ndviController.addMeasurement);
+router.post('/ndvi/bulk', requireRole('editor'), csvBody, ndviController.bulkImportMeasurements);
 
 // 🚨 ALERT ROUTES (using the updated controller)
-router.get('/alerts/triggered', alertController.getTriggeredAlertsHistory); // FIXED: Must be before /:id route
+router.get('/alerts/triggered', validateRequest({ query: schemas.TRIGGERED_QUERY }), alertController.getTriggeredAlertsHistory); // FIXED: Must be before /:id route
 router.get('/alerts', alertController.getAllAlerts);
-router.get('/alerts/:id', alertController.getAlertById);
-router.post('/alerts', alertController.createAlert);
-router.put('/alerts/:id', alertController.updateAlert);
-router.delete('/alerts/:id', alertController.deleteAlert);
-router.post('/alerts/:id/test', alertController.testAlert);
+router.get('/alerts/:id', withId, alertController.getAlertById);
+router.post('/alerts/simulate', validateRequest({ body: schemas.SIMULATION_BODY }), alertController.simulateAlert); // Dry run, nothing is stored
+router.post('/alerts', requireRole('editor'), alertBody, alertController.createAlert);
+router.put('/alerts/:id', requireRole('editor'), withId, alertBody, alertController.updateAlert);
+router.patch('/alerts/:id', requireRole('editor'), withId, validateRequest({ body: schemas.ALERT_BODY }, { partial: true }), alertController.patchAlert);
+router.delete('/alerts/:id', requireRole('editor'), withId, alertController.deleteAlert);
+router.post('/alerts/:id/test', requireRole('editor'), withId, validateRequest({ body: schemas.TEST_ALERT_BODY }), alertController.testAlert);
+router.get('/alerts/:id/notifications', withId, validateRequest({ query: schemas.NOTIFICATIONS_QUERY }), alertController.getAlertNotifications);
+
+// 🔔 INCIDENT ROUTES
+router.get('/incidents', validateRequest({ query: schemas.INCIDENTS_QUERY }), incidentController.getIncidents);
+router.get('/incidents/:id', withId, incidentController.getIncidentById);
+router.post('/incidents/:id/acknowledge', requireRole('editor'), withId, incidentController.acknowledge);
+router.post('/incidents/:id/snooze', requireRole('editor'), withId, validateRequest({ body: schemas.SNOOZE_BODY }), incidentController.snooze);
+
+// 📦 ALERT TEMPLATE ROUTES
+router.get('/alert-templates', templateController.getTemplates);
+router.get('/alert-templates/:id', withId, templateController.getTemplateById);
+router.post('/alert-templates', requireRole('editor'), validateRequest({ body: schemas.TEMPLATE_BODY }), templateController.createTemplate);
+router.put('/alert-templates/:id', requireRole('editor'), withId, validateRequest({ body: schemas.TEMPLATE_UPDATE_BODY }), templateController.updateTemplate);
+router.delete('/alert-templates/:id', requireRole('editor'), withId, validateRequest({ query: schemas.TEMPLATE_DELETE_QUERY }), templateController.deleteTemplate);
+router.post('/alert-templates/:id/apply', requireRole('editor'), withId, validateRequest({ body: schemas.APPLY_TEMPLATE_BODY }), templateController.applyTemplate);
+
+// 📰 DIGEST SUBSCRIPTION ROUTES
+router.get('/digest-subscriptions', digestController.getSubscriptions);
+const subscriptionBody = validateRequest({ body: schemas.DIGEST_SUBSCRIPTION_BODY });
+router.post('/digest-subscriptions', requireRole('editor'), subscriptionBody, digestController.createSubscription);
+router.put('/digest-subscriptions/:id', requireRole('editor'), withId, subscriptionBody, digestController.updateSubscription);
+router.delete('/digest-subscriptions/:id', requireRole('editor'), withId, digestController.deleteSubscription);
+router.post('/digest-subscriptions/:id/send', requireRole('editor'), withId, digestController.sendSubscriptionNow);
+
+// 🎨 BRANDING & NOTIFICATION TEMPLATE ROUTES (organisation admins change them)
+router.get('/organisation/branding', notificationTemplateController.getBranding);
+router.put('/organisation/branding', requireRole('admin'), notificationTemplateController.updateBranding);
+const templateKey = validateRequest({ params: schemas.NOTIFICATION_TEMPLATE_PARAMS });
+router.get('/notification-templates', validateRequest({ query: schemas.NOTIFICATION_TEMPLATES_QUERY }), notificationTemplateController.getNotificationTemplates);
+router.put('/notification-templates/:channel/:name/:language', requireRole('admin'), templateKey, validateRequest({ body: schemas.NOTIFICATION_TEMPLATE_BODY }), notificationTemplateController.saveNotificationTemplate);
+router.delete('/notification-templates/:channel/:name/:language', requireRole('admin'), templateKey, notificationTemplateController.deleteNotificationTemplate);
 
 module.exports = router;
@@ -0,0 +1,131 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const db = require('./database');
+const { sendError, sendServerError } = require('./apiErrors');
+
+// Roles in increasing order of privilege; each role can do everything the ones before it can
+const ROLES = ['viewer', 'editor', 'admin'];
+
+const JWT_SECRET = process.env.JWT_SECRET;
+const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '12h';
+
+// API keys look like yk_<48 hex chars>; only their SHA-256 hash is stored
+const API_KEY_PREFIX = 'yk_';
+
+if (!JWT_SECRET) {
+  console.warn('⚠️ JWT_SECRET is not set, login tokens are disabled (API keys still work)');
+}
+
+function hasRole(user, role) {
+  return !!user && ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+}
+
+// Passwords are stored as scrypt$<salt>$<hash>
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = crypto.scryptSync(String(password), salt, 64).toString('hex');
+  return `scrypt$${salt}$${hash}`;
+}
+
+function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+
+  const expected = Buffer.from(hash, 'hex');
+  const actual = crypto.scryptSync(String(password), salt, expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+function hashApiKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+// Returns the plain key (shown to the user once) and what is stored for it
+function generateApiKey() {
+  const key = `${API_KEY_PREFIX}${crypto.randomBytes(24).toString('hex')}`;
+  return { key, prefix: key.slice(0, 10), hash: hashApiKey(key) };
+}
+
+function signToken(user) {
+  if (!JWT_SECRET) {
+    throw new Error('JWT_SECRET is not configured');
+  }
+  return jwt.sign({ sub: user.id, org: user.organisation_id, role: user.role }, JWT_SECRET, { expiresIn: JWT_EXPIRES_IN });
+}
+
+// Helper function to load an active user in the shape stored on req.user
+async function loadUser(userId) {
+  const [rows] = await db.query(
+    `SELECT u.id, u.email, u.name, u.role, u.organisation_id, o.name as organisation_name
+     FROM users u
+     JOIN organisations o ON u.organisation_id = o.id
+     WHERE u.id = ? AND u.active = 1`,
+    [userId]
+  );
+  return rows[0] || null;
+}
+
+// Helper function to resolve an API key to its user, recording when the key was last used
+async function loadUserForApiKey(key) {
+  const [rows] = await db.query(
+    'SELECT id, user_id FROM api_keys WHERE key_hash = ? AND revoked_at IS NULL',
+    [hashApiKey(key)]
+  );
+  if (!rows.length) return null;
+
+  await db.query('UPDATE api_keys SET last_used_at = NOW() WHERE id = ?', [rows[0].id]);
+  return loadUser(rows[0].user_id);
+}
+
+// Authenticate with `Authorization: Bearer <token or API key>` or `X-API-Key: <API key>`.
+// The user is re-read on every request so role changes and deactivation apply immediately.
+const authenticate = async (req, res, next) => {
+  const header = req.get('authorization') || '';
+  const bearer = header.startsWith('Bearer ') ? header.slice(7).trim() : null;
+  const apiKey = req.get('x-api-key') || (bearer && bearer.startsWith(API_KEY_PREFIX) ? bearer : null);
+
+  try {
+    let user = null;
+    if (apiKey) {
+      user = await loadUserForApiKey(apiKey);
+    } else if (bearer && JWT_SECRET) {
+      try {
+        const payload = jwt.verify(bearer, JWT_SECRET);
+        user = await loadUser(payload.sub);
+      } catch (err) {
+        user = null; // Expired or tampered token
+      }
+    }
+
+    if (!user) {
+      return sendError(res, 401, 'Authentication required');
+    }
+
+    req.user = user;
+    next();
+  } catch (err) {
+    console.error('❌ Error authenticating request:', err);
+    sendServerError(res, 'Authentication failed');
+  }
+};
+
+// Only let users with at least `role` through
+function requireRole(role) {
+  return (req, res, next) => {
+    if (!hasRole(req.user, role)) {
+      return sendError(res, 403, `This action requires the ${role} role`);
+    }
+    next();
+  };
+}
+
+module.exports = {
+  ROLES,
+  hasRole,
+  hashPassword,
+  verifyPassword,
+  generateApiKey,
+  signToken,
+  authenticate,
+  requireRole
+};
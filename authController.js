@@ -0,0 +1,221 @@
+const db = require('./database');
+const {
+  ROLES,
+  hashPassword,
+  verifyPassword,
+  generateApiKey,
+  signToken
+} = require('./auth');
+const { sendError, sendNotFound, sendServerError } = require('./apiErrors');
+const { EMAIL_PATTERN, parseBoolean } = require('./validation');
+
+const MIN_PASSWORD_LENGTH = 10;
+
+// Helper function to validate the fields of a new or updated user, returning an error message or null
+function validateUserFields({ email, password, role }, isNew) {
+  if (isNew || email !== undefined) {
+    if (!email || !EMAIL_PATTERN.test(email)) return 'A valid email is required';
+  }
+  if (isNew || password !== undefined) {
+    if (!password || String(password).length < MIN_PASSWORD_LENGTH) {
+      return `password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+    }
+  }
+  if (role !== undefined && !ROLES.includes(role)) {
+    return `role must be one of: ${ROLES.join(', ')}`;
+  }
+  return null;
+}
+
+// LOGIN - exchange email and password for a JWT
+const login = async (req, res) => {
+  const { email, password } = req.body;
+
+  if (!email || !password) {
+    return sendError(res, 400, 'email and password are required');
+  }
+
+  try {
+    const [rows] = await db.query(
+      'SELECT id, email, name, role, organisation_id, password_hash FROM users WHERE email = ? AND active = 1',
+      [String(email).trim().toLowerCase()]
+    );
+    const user = rows[0];
+
+    if (!user || !verifyPassword(password, user.password_hash)) {
+      return sendError(res, 401, 'Invalid email or password');
+    }
+
+    const token = signToken(user);
+    console.log(`✅ User ${user.id} logged in`);
+    res.json({
+      success: true,
+      token,
+      user: { id: user.id, email: user.email, name: user.name, role: user.role, organisation_id: user.organisation_id }
+    });
+  } catch (err) {
+    console.error('❌ Error logging in:', err);
+    sendServerError(res, 'Login failed');
+  }
+};
+
+// GET CURRENT USER
+const getCurrentUser = (req, res) => {
+  res.json(req.user);
+};
+
+// LIST API KEYS of the current user (never the keys themselves)
+const getApiKeys = async (req, res) => {
+  try {
+    const [rows] = await db.query(
+      `SELECT id, name, key_prefix, last_used_at, revoked_at, created_at
+       FROM api_keys WHERE user_id = ? ORDER BY created_at DESC`,
+      [req.user.id]
+    );
+    res.json(rows);
+  } catch (err) {
+    console.error('❌ Error fetching API keys:', err);
+    sendServerError(res, 'Fetch failed');
+  }
+};
+
+// CREATE API KEY for the current user; the key is only ever returned here
+const createApiKey = async (req, res) => {
+  const name = req.body.name ? String(req.body.name).slice(0, 100) : null;
+
+  try {
+    const { key, prefix, hash } = generateApiKey();
+    const [result] = await db.query(
+      'INSERT INTO api_keys (user_id, name, key_prefix, key_hash, created_at) VALUES (?, ?, ?, ?, NOW())',
+      [req.user.id, name, prefix, hash]
+    );
+
+    console.log(`✅ Created API key ${result.insertId} for user ${req.user.id}`);
+    res.status(201).json({ success: true, id: result.insertId, name, key });
+  } catch (err) {
+    console.error('❌ Error creating API key:', err);
+    sendServerError(res, 'Insert failed');
+  }
+};
+
+// REVOKE API KEY - users revoke their own keys, admins any key in their organisation
+const revokeApiKey = async (req, res) => {
+  try {
+    const [result] = await db.query(
+      `UPDATE api_keys k
+       JOIN users u ON k.user_id = u.id
+       SET k.revoked_at = NOW()
+       WHERE k.id = ? AND k.revoked_at IS NULL AND u.organisation_id = ? AND (k.user_id = ? OR ? = 'admin')`,
+      [req.params.id, req.user.organisation_id, req.user.id, req.user.role]
+    );
+
+    if (result.affectedRows === 0) {
+      return sendNotFound(res, 'API key not found');
+    }
+
+    console.log(`✅ Revoked API key ${req.params.id}`);
+    res.json({ success: true });
+  } catch (err) {
+    console.error('❌ Error revoking API key:', err);
+    sendServerError(res, 'Revoke failed');
+  }
+};
+
+// LIST USERS of the caller's organisation (admin)
+const getUsers = async (req, res) => {
+  try {
+    const [rows] = await db.query(
+      'SELECT id, email, name, role, active, created_at FROM users WHERE organisation_id = ? ORDER BY created_at',
+      [req.user.organisation_id]
+    );
+    res.json(rows.map(row => ({ ...row, active: !!row.active })));
+  } catch (err) {
+    console.error('❌ Error fetching users:', err);
+    sendServerError(res, 'Fetch failed');
+  }
+};
+
+// CREATE USER in the caller's organisation (admin)
+const createUser = async (req, res) => {
+  const { email, name = null, password, role = 'viewer' } = req.body;
+
+  const error = validateUserFields({ email, password, role }, true);
+  if (error) {
+    return sendError(res, 400, error);
+  }
+
+  try {
+    const [result] = await db.query(
+      `INSERT INTO users (organisation_id, email, name, password_hash, role, active, created_at)
+       VALUES (?, ?, ?, ?, ?, 1, NOW())`,
+      [req.user.organisation_id, String(email).trim().toLowerCase(), name, hashPassword(password), role]
+    );
+
+    console.log(`✅ Created user ${result.insertId} in organisation ${req.user.organisation_id}`);
+    res.status(201).json({ success: true, id: result.insertId });
+  } catch (err) {
+    if (err.code === 'ER_DUP_ENTRY') {
+      return sendError(res, 409, 'A user with this email already exists');
+    }
+    console.error('❌ Error creating user:', err);
+    sendServerError(res, 'Insert failed');
+  }
+};
+
+// UPDATE USER in the caller's organisation (admin): name, role, password, active
+const updateUser = async (req, res) => {
+  const { name, role, password } = req.body;
+  const active = req.body.active === undefined ? undefined : parseBoolean(req.body.active, null);
+  if (active === null) {
+    return sendError(res, 400, 'active must be true or false');
+  }
+
+  const error = validateUserFields({ password, role }, false);
+  if (error) {
+    return sendError(res, 400, error);
+  }
+
+  // An admin demoting or deactivating themselves could leave the organisation without an admin
+  if (String(req.params.id) === String(req.user.id) && ((role && role !== 'admin') || active === false)) {
+    return sendError(res, 400, 'You cannot remove your own admin access');
+  }
+
+  const updates = [];
+  const params = [];
+  if (name !== undefined) { updates.push('name = ?'); params.push(name); }
+  if (role !== undefined) { updates.push('role = ?'); params.push(role); }
+  if (password !== undefined) { updates.push('password_hash = ?'); params.push(hashPassword(password)); }
+  if (active !== undefined) { updates.push('active = ?'); params.push(active ? 1 : 0); }
+
+  if (!updates.length) {
+    return sendError(res, 400, 'Nothing to update');
+  }
+
+  try {
+    const [result] = await db.query(
+      `UPDATE users SET ${updates.join(', ')} WHERE id = ? AND organisation_id = ?`,
+      [...params, req.params.id, req.user.organisation_id]
+    );
+
+    if (result.affectedRows === 0) {
+      return sendNotFound(res, 'User not found');
+    }
+
+    console.log(`✅ Updated user ${req.params.id}`);
+    res.json({ success: true, affectedRows: result.affectedRows });
+  } catch (err) {
+    console.error('❌ Error updating user:', err);
+    sendServerError(res, 'Update failed');
+  }
+};
+
+module.exports = {
+  login,
+  getCurrentUser,
+  getApiKeys,
+  createApiKey,
+  revokeApiKey,
+  getUsers,
+  createUser,
+  updateUser
+};
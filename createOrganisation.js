@@ -0,0 +1,51 @@
+// Onboard a client: creates an organisation with its first admin user and API key.
+// Usage: node createOrganisation.js --name "Acme Farms" --email admin@acme.example --password '<at least 10 chars>'
+const db = require('./database');
+const { hashPassword, generateApiKey } = require('./auth');
+
+function getArg(name) {
+  const index = process.argv.indexOf(`--${name}`);
+  return index === -1 ? null : process.argv[index + 1];
+}
+
+(async () => {
+  const name = getArg('name');
+  const email = getArg('email');
+  const password = getArg('password');
+
+  if (!name || !email || !password || password.length < 10) {
+    console.error('Usage: node createOrganisation.js --name <organisation> --email <admin email> --password <at least 10 chars>');
+    process.exit(1);
+  }
+
+  const connection = await db.getConnection();
+  try {
+    await connection.beginTransaction();
+
+    const [organisation] = await connection.query(
+      'INSERT INTO organisations (name, created_at) VALUES (?, NOW())',
+      [name]
+    );
+    const [user] = await connection.query(
+      `INSERT INTO users (organisation_id, email, name, password_hash, role, active, created_at)
+       VALUES (?, ?, ?, ?, 'admin', 1, NOW())`,
+      [organisation.insertId, email.trim().toLowerCase(), null, hashPassword(password)]
+    );
+    const apiKey = generateApiKey();
+    await connection.query(
+      'INSERT INTO api_keys (user_id, name, key_prefix, key_hash, created_at) VALUES (?, ?, ?, ?, NOW())',
+      [user.insertId, 'Initial admin key', apiKey.prefix, apiKey.hash]
+    );
+
+    await connection.commit();
+    console.log(`✅ Created organisation ${organisation.insertId} (${name}) with admin ${email}`);
+    console.log(`🔑 API key (shown once): ${apiKey.key}`);
+  } catch (err) {
+    await connection.rollback();
+    console.error('❌ Failed to create organisation:', err.message);
+    process.exitCode = 1;
+  } finally {
+    connection.release();
+    await db.end();
+  }
+})();
@@ -0,0 +1,52 @@
+// Minimal CSV reader for imports: header row, comma separated, double quotes around cells containing commas
+
+// Split one line into cells, honouring "quoted, cells" and "" escapes
+function splitCsvLine(line) {
+  const cells = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      cells.push(cell.trim());
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  cells.push(cell.trim());
+  return cells;
+}
+
+// Parse CSV text into one object per row, keyed by the lower-cased header names
+function parseCsv(text) {
+  const lines = String(text).split(/\r?\n/).filter(line => line.trim());
+  if (!lines.length) return [];
+
+  const header = splitCsvLine(lines[0]).map(column => column.toLowerCase());
+
+  return lines.slice(1).map(line => {
+    const cells = splitCsvLine(line);
+    const record = {};
+    header.forEach((column, i) => {
+      record[column] = cells[i];
+    });
+    return record;
+  });
+}
+
+module.exports = {
+  parseCsv
+};
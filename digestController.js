@@ -0,0 +1,219 @@
+const db = require('./database');
+const { parseSubscription, sendSubscriptionDigest } = require('./digests');
+const { deliverOutboxEntry } = require('./notificationOutbox');
+const { sendError, sendValidationError, sendNotFound, sendServerError } = require('./apiErrors');
+const { messageToErrors } = require('./validation');
+const { DIGEST_SUBSCRIPTION_BODY } = require('./requestSchemas');
+
+// Digests only go to active users of the organisation or to addresses in DIGEST_ALLOWED_RECIPIENTS (comma separated
+// addresses, or @domain for a whole domain), never to arbitrary addresses
+const ALLOWED_RECIPIENTS = (process.env.DIGEST_ALLOWED_RECIPIENTS || '')
+  .split(',')
+  .map(entry => entry.trim().toLowerCase())
+  .filter(Boolean);
+
+// Helper function to check that a digest recipient is allowed for the organisation
+async function isAllowedRecipient(organisationId, email) {
+  const address = String(email).trim().toLowerCase();
+  if (ALLOWED_RECIPIENTS.includes(address) || ALLOWED_RECIPIENTS.includes(address.slice(address.indexOf('@')))) {
+    return true;
+  }
+  const [users] = await db.query(
+    'SELECT id FROM users WHERE organisation_id = ? AND active = 1 AND LOWER(email) = ?',
+    [organisationId, address]
+  );
+  return users.length > 0;
+}
+
+function sendRecipientNotAllowed(res, email) {
+  return sendError(res, 403, `Digests can only be sent to members of your organisation: ${email}`);
+}
+
+// Helper function to check that every field a subscription lists belongs to the caller's organisation
+async function findForeignFieldIds(organisationId, fieldIdsJson) {
+  if (!fieldIdsJson) return [];
+  const fieldIds = JSON.parse(fieldIdsJson);
+  const [rows] = await db.query(
+    'SELECT id FROM fields WHERE organisation_id = ? AND id IN (?)',
+    [organisationId, fieldIds]
+  );
+  const owned = rows.map(row => row.id);
+  return fieldIds.filter(id => !owned.includes(id));
+}
+
+async function findSubscription(id, organisationId) {
+  const [rows] = await db.query(
+    'SELECT * FROM digest_subscriptions WHERE id = ? AND organisation_id = ?',
+    [id, organisationId]
+  );
+  return rows[0] || null;
+}
+
+// GET DIGEST SUBSCRIPTIONS of the caller's organisation
+const getSubscriptions = async (req, res) => {
+  try {
+    const [subscriptions] = await db.query(
+      'SELECT * FROM digest_subscriptions WHERE organisation_id = ? ORDER BY email, id',
+      [req.user.organisation_id]
+    );
+    res.json(subscriptions);
+  } catch (err) {
+    console.error('❌ Error fetching digest subscriptions:', err);
+    sendServerError(res, 'Fetch failed');
+  }
+};
+
+// CREATE DIGEST SUBSCRIPTION - email defaults to the caller's own address
+const createSubscription = async (req, res) => {
+  const parsed = parseSubscription(req.body, req.user.email);
+  if (parsed.error) {
+    return sendValidationError(res, messageToErrors(parsed.error, DIGEST_SUBSCRIPTION_BODY));
+  }
+
+  try {
+    const { values } = parsed;
+    if (!await isAllowedRecipient(req.user.organisation_id, values.email)) {
+      return sendRecipientNotAllowed(res, values.email);
+    }
+    const foreign = await findForeignFieldIds(req.user.organisation_id, values.field_ids);
+    if (foreign.length) {
+      return sendValidationError(res, [
+        { field: 'field_ids', code: 'invalid_value', message: `Unknown fields: ${foreign.join(', ')}` }
+      ]);
+    }
+
+    const [result] = await db.query(
+      `INSERT INTO digest_subscriptions
+        (organisation_id, created_by, email, frequency, send_time, day_of_week, timezone, field_ids, language, active, created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW(), NOW())`,
+      [
+        req.user.organisation_id,
+        req.user.id,
+        values.email,
+        values.frequency,
+        values.send_time,
+        values.day_of_week,
+        values.timezone,
+        values.field_ids,
+        values.language,
+        values.active
+      ]
+    );
+
+    console.log(`✅ Created ${values.frequency} digest subscription ${result.insertId} for ${values.email}`);
+    res.status(201).json({ success: true, id: result.insertId });
+  } catch (err) {
+    console.error('❌ Error creating digest subscription:', err);
+    sendServerError(res, 'Insert failed');
+  }
+};
+
+// UPDATE DIGEST SUBSCRIPTION - replaces every setting, like PUT /alerts/:id
+const updateSubscription = async (req, res) => {
+  try {
+    const subscription = await findSubscription(req.params.id, req.user.organisation_id);
+    if (!subscription) {
+      return sendNotFound(res, 'Digest subscription not found');
+    }
+
+    const parsed = parseSubscription(req.body, subscription.email);
+    if (parsed.error) {
+      return sendValidationError(res, messageToErrors(parsed.error, DIGEST_SUBSCRIPTION_BODY));
+    }
+
+    const { values } = parsed;
+    if (values.email !== subscription.email && !await isAllowedRecipient(req.user.organisation_id, values.email)) {
+      return sendRecipientNotAllowed(res, values.email);
+    }
+    const foreign = await findForeignFieldIds(req.user.organisation_id, values.field_ids);
+    if (foreign.length) {
+      return sendValidationError(res, [
+        { field: 'field_ids', code: 'invalid_value', message: `Unknown fields: ${foreign.join(', ')}` }
+      ]);
+    }
+
+    await db.query(
+      `UPDATE digest_subscriptions SET
+        email = ?, frequency = ?, send_time = ?, day_of_week = ?, timezone = ?, field_ids = ?, language = ?, active = ?,
+        updated_at = NOW()
+       WHERE id = ?`,
+      [
+        values.email,
+        values.frequency,
+        values.send_time,
+        values.day_of_week,
+        values.timezone,
+        values.field_ids,
+        values.language,
+        values.active,
+        subscription.id
+      ]
+    );
+
+    console.log(`✅ Updated digest subscription ${subscription.id}`);
+    res.json({ success: true, id: subscription.id });
+  } catch (err) {
+    console.error('❌ Error updating digest subscription:', err);
+    sendServerError(res, 'Update failed');
+  }
+};
+
+// DELETE DIGEST SUBSCRIPTION
+const deleteSubscription = async (req, res) => {
+  try {
+    const [result] = await db.query(
+      'DELETE FROM digest_subscriptions WHERE id = ? AND organisation_id = ?',
+      [req.params.id, req.user.organisation_id]
+    );
+
+    if (result.affectedRows === 0) {
+      return sendNotFound(res, 'Digest subscription not found');
+    }
+
+    console.log(`✅ Deleted digest subscription ${req.params.id}`);
+    res.json({ success: true, affectedRows: result.affectedRows });
+  } catch (err) {
+    console.error('❌ Error deleting digest subscription:', err);
+    sendServerError(res, 'Delete failed');
+  }
+};
+
+// SEND DIGEST NOW - builds the digest and makes the first delivery attempt straight away, e.g. to preview a new
+// subscription. A failed send stays in the notification outbox and is retried like any other notification.
+const sendSubscriptionNow = async (req, res) => {
+  try {
+    const subscription = await findSubscription(req.params.id, req.user.organisation_id);
+    if (!subscription) {
+      return sendNotFound(res, 'Digest subscription not found');
+    }
+    if (!await isAllowedRecipient(req.user.organisation_id, subscription.email)) {
+      return sendRecipientNotAllowed(res, subscription.email);
+    }
+
+    const outboxId = await sendSubscriptionDigest(subscription);
+    const entry = await deliverOutboxEntry(outboxId);
+    const delivery = {
+      outbox_id: outboxId,
+      status: entry ? entry.status : 'pending',
+      attempts: entry ? entry.attempts : 0,
+      message_id: entry ? entry.message_id : null,
+      error: entry ? entry.last_error : null
+    };
+    if (delivery.status !== 'sent') {
+      return sendError(res, 502, 'Digest could not be sent', { code: 'delivery_failed', delivery });
+    }
+
+    res.json({ success: true, message: `Digest sent to ${subscription.email}`, delivery });
+  } catch (err) {
+    console.error('❌ Error sending digest:', err);
+    sendServerError(res, 'Send failed');
+  }
+};
+
+module.exports = {
+  getSubscriptions,
+  createSubscription,
+  updateSubscription,
+  deleteSubscription,
+  sendSubscriptionNow
+};
@@ -0,0 +1,252 @@
+// Digest subscriptions: one scheduled email (daily, or weekly on a chosen day) at a local time, summarising the
+// alerts triggered since the last digest, current conditions and the next 48 hours for every field of an organisation.
+const db = require('./database');
+const { getGridCell, getCurrent, getForecast } = require('./weatherCache');
+const { buildNotification } = require('./notificationChannels/channelRegistry');
+const { enqueueDigest } = require('./notificationOutbox');
+const { normalizeAlert } = require('./alertCatalog');
+const { SEVERITIES, parseTimeOfDay, isValidTimezone, getLocalParts } = require('./quietHours');
+const { LANGUAGES } = require('./notificationChannels/templates');
+const { EMAIL_PATTERN, parseBoolean } = require('./validation');
+
+const DIGEST_FREQUENCIES = ['daily', 'weekly'];
+const DEFAULT_SEND_TIME = '07:00';
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'Africa/Harare';
+const OUTLOOK_HOURS = 48;
+
+// Most severe first
+const SEVERITY_ORDER = [...SEVERITIES].reverse();
+
+// Helper function to validate a subscription payload, returning { error } or { values } to store.
+// field_ids limits the digest to some fields; without it every field of the organisation is included.
+// language is the one the digest is written in; without it the organisation's default language.
+function parseSubscription(body, defaultEmail) {
+  const {
+    email: recipient = defaultEmail,
+    frequency = 'daily',
+    send_time = DEFAULT_SEND_TIME,
+    day_of_week = 1,
+    timezone = DEFAULT_TIMEZONE,
+    field_ids = null,
+    language = null,
+    active
+  } = body;
+
+  if (!recipient || !EMAIL_PATTERN.test(recipient)) {
+    return { error: 'A valid email is required' };
+  }
+  if (!DIGEST_FREQUENCIES.includes(frequency)) {
+    return { error: `frequency must be one of: ${DIGEST_FREQUENCIES.join(', ')}` };
+  }
+  if (parseTimeOfDay(send_time) === null) {
+    return { error: 'send_time must be a time in HH:MM format' };
+  }
+  const day = Number(day_of_week);
+  if (frequency === 'weekly' && (!Number.isInteger(day) || day < 0 || day > 6)) {
+    return { error: 'day_of_week must be a whole number from 0 (Sunday) to 6 (Saturday)' };
+  }
+  if (!isValidTimezone(timezone)) {
+    return { error: 'timezone must be an IANA timezone such as Africa/Harare' };
+  }
+  if (language !== null && language !== '' && !LANGUAGES[language]) {
+    return { error: `language must be one of: ${Object.keys(LANGUAGES).join(', ')}` };
+  }
+  if (![undefined, null, ''].includes(active) && parseBoolean(active, null) === null) {
+    return { error: 'active must be true or false' };
+  }
+  if (field_ids !== null && (!Array.isArray(field_ids) || !field_ids.length || field_ids.some(id => !Number.isInteger(Number(id))))) {
+    return { error: 'field_ids must be a non-empty array of field ids' };
+  }
+
+  return {
+    values: {
+      email: String(recipient).trim().toLowerCase(),
+      frequency,
+      send_time: String(send_time).slice(0, 5),
+      day_of_week: frequency === 'weekly' ? day : null,
+      timezone,
+      field_ids: field_ids ? JSON.stringify(field_ids.map(Number)) : null,
+      language: language || null,
+      active: parseBoolean(active, true) ? 1 : 0
+    }
+  };
+}
+
+function getFieldIds(subscription) {
+  if (!subscription.field_ids) return null;
+  return typeof subscription.field_ids === 'string' ? JSON.parse(subscription.field_ids) : subscription.field_ids;
+}
+
+// Whether a subscription's send time has passed today (on its day, for weekly ones) without its digest having been queued
+function isDigestDue(subscription, now = new Date()) {
+  const local = getLocalParts(now, subscription.timezone);
+  if (subscription.frequency === 'weekly' && local.weekday !== Number(subscription.day_of_week)) return false;
+  if (local.minutes < parseTimeOfDay(subscription.send_time)) return false;
+  if (!subscription.last_sent_at) return true;
+  return getLocalParts(new Date(subscription.last_sent_at), subscription.timezone).date !== local.date;
+}
+
+// A digest covers everything since the previous one, or the last day/week for the first
+function getPeriodStart(subscription, now) {
+  if (subscription.last_sent_at) return new Date(subscription.last_sent_at);
+  const days = subscription.frequency === 'weekly' ? 7 : 1;
+  return new Date(now.getTime() - days * 24 * 60 * 60 * 1000);
+}
+
+// Min/max temperature, total rainfall and strongest wind over the forecast
+function summariseOutlook(points) {
+  const values = key => points.map(point => point[key]).filter(value => value !== null && value !== undefined);
+  const temperatures = values('temperature');
+  const rainfall = values('rainfall');
+  const wind = values('windspeed');
+
+  return {
+    hours: points.length,
+    min_temperature: temperatures.length ? Math.min(...temperatures) : null,
+    max_temperature: temperatures.length ? Math.max(...temperatures) : null,
+    total_rainfall: rainfall.length ? Math.round(rainfall.reduce((sum, value) => sum + value, 0) * 10) / 10 : null,
+    max_windspeed: wind.length ? Math.max(...wind) : null
+  };
+}
+
+// Current weather and outlook per field, fetched once per weather grid cell and provider like the monitor does
+async function getFieldWeather(fields) {
+  const byLocation = {};
+
+  for (const field of fields) {
+    const key = `${getGridCell(field.latitude, field.longitude).key}_${field.weather_provider || 'default'}`;
+    if (!byLocation[key]) {
+      let current = null;
+      let outlook = null;
+      try {
+        current = (await getCurrent(field.latitude, field.longitude, field.weather_provider)).data;
+      } catch (err) {
+        console.error(`❌ Digest weather fetch failed for ${field.name}:`, err.message);
+      }
+      try {
+        outlook = summariseOutlook((await getForecast(field.latitude, field.longitude, OUTLOOK_HOURS, field.weather_provider)).data);
+      } catch (err) {
+        console.error(`❌ Digest forecast fetch failed for ${field.name}:`, err.message);
+      }
+      byLocation[key] = { current, outlook };
+    }
+    field.current = byLocation[key].current;
+    field.outlook = byLocation[key].outlook;
+  }
+}
+
+// Alerts triggered on the fields since `since`, one entry per alert with how often and the latest value
+async function getTriggeredAlerts(fieldIds, since) {
+  if (!fieldIds.length) return [];
+
+  const [triggers] = await db.query(
+    `SELECT t.alert_id, t.value, t.timestamp
+     FROM alert_triggers t
+     JOIN alerts a ON t.alert_id = a.id
+     WHERE a.field_id IN (?) AND t.timestamp >= ?
+     ORDER BY t.timestamp`,
+    [fieldIds, since]
+  );
+  if (!triggers.length) return [];
+
+  const [alerts] = await db.query('SELECT * FROM alerts WHERE id IN (?)', [[...new Set(triggers.map(t => t.alert_id))]]);
+
+  return alerts.map(alert => {
+    normalizeAlert(alert);
+    const alertTriggers = triggers.filter(trigger => trigger.alert_id === alert.id);
+    const last = alertTriggers[alertTriggers.length - 1];
+    const notification = buildNotification(alert, { id: alert.field_id }, last.value);
+
+    return {
+      alert_id: alert.id,
+      field_id: alert.field_id,
+      severity: alert.severity || 'warning',
+      metric: notification.metricName,
+      emoji: notification.emoji,
+      threshold: notification.thresholdText,
+      unit: notification.unit,
+      trigger_count: alertTriggers.length,
+      last_value: last.value !== null ? parseFloat(last.value) : null,
+      last_triggered: last.timestamp
+    };
+  });
+}
+
+// Everything the digest email shows: per field its current weather, outlook and triggered alerts grouped by severity.
+// Fields with the most severe alerts come first.
+async function buildDigest(subscription, now = new Date()) {
+  const fieldIds = getFieldIds(subscription);
+  let query = `SELECT id, name, crop, latitude, longitude, weather_provider FROM fields
+               WHERE organisation_id = ? AND latitude IS NOT NULL AND longitude IS NOT NULL`;
+  const params = [subscription.organisation_id];
+  if (fieldIds) {
+    query += ' AND id IN (?)';
+    params.push(fieldIds);
+  }
+  const [fields] = await db.query(`${query} ORDER BY name`, params);
+
+  const since = getPeriodStart(subscription, now);
+  const triggered = await getTriggeredAlerts(fields.map(field => field.id), since);
+  await getFieldWeather(fields);
+
+  const worstSeverity = field => Math.min(...field.alerts.map(alert => SEVERITY_ORDER.indexOf(alert.severity)), SEVERITY_ORDER.length);
+
+  fields.forEach(field => {
+    field.alerts = triggered
+      .filter(alert => alert.field_id === field.id)
+      .sort((a, b) => SEVERITY_ORDER.indexOf(a.severity) - SEVERITY_ORDER.indexOf(b.severity) || b.trigger_count - a.trigger_count);
+    field.severities = SEVERITY_ORDER
+      .map(severity => ({ severity, alerts: field.alerts.filter(alert => alert.severity === severity) }))
+      .filter(group => group.alerts.length);
+  });
+  fields.sort((a, b) => worstSeverity(a) - worstSeverity(b));
+
+  return {
+    frequency: subscription.frequency,
+    timezone: subscription.timezone,
+    since,
+    generated_at: now,
+    outlook_hours: OUTLOOK_HOURS,
+    trigger_count: triggered.reduce((sum, alert) => sum + alert.trigger_count, 0),
+    fields
+  };
+}
+
+// Build one subscription's digest and queue it in the notification outbox, which retries failed sends.
+// last_sent_at records when the digest was queued, so a failing send is retried by the outbox with backoff
+// instead of being rebuilt and sent again every scheduler run. Resolves to the outbox entry id.
+async function sendSubscriptionDigest(subscription, now = new Date()) {
+  const digest = await buildDigest(subscription, now);
+  const outboxId = await enqueueDigest(subscription, digest);
+
+  await db.query('UPDATE digest_subscriptions SET last_sent_at = ? WHERE id = ?', [now, subscription.id]);
+  return outboxId;
+}
+
+// Send every active subscription whose send time has come, run periodically by the monitor
+async function sendDueDigests(now = new Date()) {
+  try {
+    const [subscriptions] = await db.query('SELECT * FROM digest_subscriptions WHERE active = 1');
+    const due = subscriptions.filter(subscription => isDigestDue(subscription, now));
+
+    for (const subscription of due) {
+      try {
+        console.log(`📰 Queueing ${subscription.frequency} digest ${subscription.id} for ${subscription.email}`);
+        await sendSubscriptionDigest(subscription, now);
+      } catch (err) {
+        console.error(`❌ Digest ${subscription.id} failed:`, err.message);
+      }
+    }
+  } catch (err) {
+    console.error('❌ Digest scheduler error:', err);
+  }
+}
+
+module.exports = {
+  DIGEST_FREQUENCIES,
+  parseSubscription,
+  isDigestDue,
+  buildDigest,
+  sendSubscriptionDigest,
+  sendDueDigests
+};
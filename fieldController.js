@@ -0,0 +1,340 @@
+const db = require('./database');
+const { parseCsv } = require('./csv');
+const { validateCoordinates, parseGeometry, toFeature } = require('./fieldGeometry');
+const { getProviderNames } = require('./weatherProviders/providerFactory');
+const { isValidTimezone } = require('./quietHours');
+const { sendError, sendValidationError, sendNotFound, sendServerError } = require('./apiErrors');
+const { validate, messageToErrors } = require('./validation');
+const { FIELD_BODY } = require('./requestSchemas');
+
+const MAX_IMPORT_ROWS = 5000;
+
+// Columns written by create, update and import, in insert order
+const FIELD_COLUMNS = [
+  'name', 'farm_name', 'farmer_name', 'crop', 'area_ha',
+  'latitude', 'longitude', 'boundary', 'weather_provider', 'timezone'
+];
+
+function optionalText(value, maxLength = 255) {
+  if (value === undefined || value === null || String(value).trim() === '') return null;
+  return String(value).trim().slice(0, maxLength);
+}
+
+// Helper function to validate one field, returning { error } or { values } keyed by FIELD_COLUMNS.
+// A boundary (GeoJSON Point/Polygon/MultiPolygon) sets latitude/longitude to its centroid for weather lookups.
+function parseField(input) {
+  const name = optionalText(input.name);
+  if (!name) {
+    return { error: 'name is required' };
+  }
+
+  let geometry = input.geometry || input.boundary || null;
+  if (typeof geometry === 'string') {
+    try {
+      geometry = JSON.parse(geometry);
+    } catch (err) {
+      return { error: 'boundary must be valid GeoJSON' };
+    }
+  }
+
+  let latitude = input.latitude;
+  let longitude = input.longitude;
+  let boundary = null;
+  let computedArea = null;
+
+  if (geometry) {
+    const parsed = parseGeometry(geometry);
+    if (parsed.error) return { error: parsed.error };
+    ({ latitude, longitude } = parsed.centroid);
+    boundary = parsed.geometry.type === 'Point' ? null : parsed.geometry;
+    computedArea = parsed.areaHa;
+  } else {
+    const coordinateError = validateCoordinates(latitude, longitude);
+    if (coordinateError) return { error: coordinateError };
+  }
+
+  let areaHa = computedArea;
+  if (input.area_ha !== undefined && input.area_ha !== null && input.area_ha !== '') {
+    areaHa = parseFloat(input.area_ha);
+    if (isNaN(areaHa) || areaHa < 0) {
+      return { error: 'area_ha must be a positive number' };
+    }
+  }
+
+  const weatherProvider = optionalText(input.weather_provider, 50);
+  if (weatherProvider && !getProviderNames().includes(weatherProvider)) {
+    return { error: `weather_provider must be one of: ${getProviderNames().join(', ')}` };
+  }
+
+  // Local timezone for alert quiet hours; without one it is estimated from the longitude
+  const timezone = optionalText(input.timezone, 64);
+  if (timezone && !isValidTimezone(timezone)) {
+    return { error: 'timezone must be an IANA timezone such as Africa/Harare' };
+  }
+
+  return {
+    values: {
+      name,
+      farm_name: optionalText(input.farm_name),
+      farmer_name: optionalText(input.farmer_name),
+      crop: optionalText(input.crop, 100),
+      area_ha: areaHa,
+      latitude: parseFloat(latitude),
+      longitude: parseFloat(longitude),
+      boundary: boundary ? JSON.stringify(boundary) : null,
+      weather_provider: weatherProvider,
+      timezone
+    }
+  };
+}
+
+// Helper function to select an organisation's fields by id list, ?search= term (as GET /fields) and/or crop.
+// Returns the matching rows, most recent first.
+async function findOrganisationFields(organisationId, { ids = null, search = '', crop = null } = {}, columns = '*') {
+  let query = `SELECT ${columns} FROM fields WHERE organisation_id = ?`;
+  const params = [organisationId];
+
+  if (ids) {
+    query += ' AND id IN (?)';
+    params.push(ids.length ? ids : [0]);
+  }
+
+  // Add search functionality if a search term is provided
+  if (search && search.length >= 3) {
+    query += ' AND (name LIKE ? OR farmer_name LIKE ? OR crop LIKE ?)';
+    const searchParam = `%${search}%`;
+    params.push(searchParam, searchParam, searchParam);
+  }
+
+  if (crop) {
+    query += ' AND crop = ?';
+    params.push(crop);
+  }
+
+  query += ' ORDER BY id DESC';
+
+  const [rows] = await db.query(query, params);
+  return rows;
+}
+
+// GET FIELDS of the caller's organisation, optionally filtered by ?search= and ?crop=
+const getFields = async (req, res) => {
+  try {
+    const rows = await findOrganisationFields(req.user.organisation_id, {
+      search: req.query.search || '',
+      crop: req.query.crop || null
+    });
+    res.json(rows);
+  } catch (err) {
+    sendServerError(res, 'Failed to fetch fields');
+  }
+};
+
+// Get field by ID with more details
+const getFieldById = async (req, res) => {
+  try {
+    const [rows] = await db.query(
+      'SELECT * FROM fields WHERE id = ? AND organisation_id = ?',
+      [req.params.id, req.user.organisation_id]
+    );
+
+    if (!rows.length) {
+      return sendNotFound(res, 'Field not found');
+    }
+
+    // Get active alerts for this field
+    const [alerts] = await db.query(
+      'SELECT * FROM alerts WHERE field_id = ? AND active = 1',
+      [req.params.id]
+    );
+    alerts.forEach(alert => delete alert.webhook_secret);
+
+    // Add alerts to the field data
+    const fieldWithAlerts = {
+      ...rows[0],
+      alerts: alerts || []
+    };
+
+    res.json(fieldWithAlerts);
+  } catch (err) {
+    sendServerError(res, 'Failed to fetch field');
+  }
+};
+
+// CREATE FIELD in the caller's organisation
+const createField = async (req, res) => {
+  const parsed = parseField(req.body);
+  if (parsed.error) {
+    return sendValidationError(res, messageToErrors(parsed.error, FIELD_BODY));
+  }
+
+  try {
+    const { values } = parsed;
+    const [result] = await db.query(
+      `INSERT INTO fields (${FIELD_COLUMNS.join(', ')}, organisation_id) VALUES (?)`,
+      [[...FIELD_COLUMNS.map(column => values[column]), req.user.organisation_id]]
+    );
+
+    console.log(`✅ Created field ${result.insertId} (${values.name})`);
+    res.status(201).json({
+      success: true,
+      id: result.insertId,
+      latitude: values.latitude,
+      longitude: values.longitude,
+      area_ha: values.area_ha
+    });
+  } catch (err) {
+    console.error('❌ Error creating field:', err);
+    sendServerError(res, 'Insert failed');
+  }
+};
+
+// UPDATE FIELD - replaces every editable column, like PUT /alerts/:id
+const updateField = async (req, res) => {
+  const parsed = parseField(req.body);
+  if (parsed.error) {
+    return sendValidationError(res, messageToErrors(parsed.error, FIELD_BODY));
+  }
+
+  try {
+    const { values } = parsed;
+    const [result] = await db.query(
+      `UPDATE fields SET ${FIELD_COLUMNS.map(column => `${column} = ?`).join(', ')}
+       WHERE id = ? AND organisation_id = ?`,
+      [...FIELD_COLUMNS.map(column => values[column]), req.params.id, req.user.organisation_id]
+    );
+
+    if (result.affectedRows === 0) {
+      return sendNotFound(res, 'Field not found');
+    }
+
+    console.log(`✅ Updated field ${req.params.id}`);
+    res.json({
+      success: true,
+      affectedRows: result.affectedRows,
+      latitude: values.latitude,
+      longitude: values.longitude,
+      area_ha: values.area_ha
+    });
+  } catch (err) {
+    console.error('❌ Error updating field:', err);
+    sendServerError(res, 'Update failed');
+  }
+};
+
+// DELETE FIELD - its alerts and NDVI measurements are removed with it
+const deleteField = async (req, res) => {
+  try {
+    const [result] = await db.query(
+      'DELETE FROM fields WHERE id = ? AND organisation_id = ?',
+      [req.params.id, req.user.organisation_id]
+    );
+
+    if (result.affectedRows === 0) {
+      return sendNotFound(res, 'Field not found');
+    }
+
+    console.log(`✅ Deleted field ${req.params.id}`);
+    res.json({ success: true, affectedRows: result.affectedRows });
+  } catch (err) {
+    console.error('❌ Error deleting field:', err);
+    sendServerError(res, 'Delete failed');
+  }
+};
+
+// IMPORT FIELDS - GeoJSON FeatureCollection, JSON array (or { fields: [...] }) or text/csv body.
+// CSV columns: name, farm_name, farmer_name, crop, area_ha, latitude, longitude, weather_provider, timezone[, boundary as GeoJSON]
+const importFields = async (req, res) => {
+  let records;
+  if (typeof req.body === 'string') {
+    records = parseCsv(req.body);
+  } else if (Array.isArray(req.body)) {
+    records = req.body;
+  } else if (req.body?.type === 'FeatureCollection') {
+    records = (req.body.features || []).map(feature => ({ ...(feature?.properties || {}), geometry: feature?.geometry }));
+  } else {
+    records = req.body?.fields;
+  }
+
+  if (!Array.isArray(records) || !records.length) {
+    return sendError(res, 400, 'No fields provided');
+  }
+  if (records.length > MAX_IMPORT_ROWS) {
+    return sendError(res, 400, `At most ${MAX_IMPORT_ROWS} fields per request`);
+  }
+
+  try {
+    const errors = [];
+    const rows = [];
+
+    // Each row is checked like the body of POST /fields
+    records.forEach((record, index) => {
+      const fieldErrors = validate(FIELD_BODY, record);
+      const parsed = fieldErrors.length ? null : parseField(record || {});
+      if (!parsed || parsed.error) {
+        const rowErrors = parsed ? messageToErrors(parsed.error, FIELD_BODY) : fieldErrors;
+        errors.push({ row: index + 1, name: record?.name || null, message: rowErrors[0].message, errors: rowErrors });
+      } else {
+        rows.push([...FIELD_COLUMNS.map(column => parsed.values[column]), req.user.organisation_id]);
+      }
+    });
+
+    if (rows.length) {
+      await db.query(`INSERT INTO fields (${FIELD_COLUMNS.join(', ')}, organisation_id) VALUES ?`, [rows]);
+    }
+
+    console.log(`✅ Imported ${rows.length} fields (${errors.length} rejected)`);
+    res.status(rows.length ? 201 : 400).json({
+      success: rows.length > 0,
+      imported: rows.length,
+      rejected: errors.length,
+      errors
+    });
+  } catch (err) {
+    console.error('❌ Error importing fields:', err);
+    sendServerError(res, 'Import failed');
+  }
+};
+
+// EXPORT FIELDS as a GeoJSON FeatureCollection (?ids=1,2,3 to export a subset)
+const exportFields = async (req, res) => {
+  try {
+    let query = 'SELECT * FROM fields WHERE organisation_id = ?';
+    const params = [req.user.organisation_id];
+
+    if (req.query.ids) {
+      const ids = String(req.query.ids).split(',').map(id => parseInt(id)).filter(id => id > 0);
+      if (!ids.length) {
+        return sendValidationError(res, [
+          { field: 'ids', code: 'invalid_format', message: 'ids must be a comma separated list of field ids' }
+        ]);
+      }
+      query += ' AND id IN (?)';
+      params.push(ids);
+    }
+
+    const [rows] = await db.query(`${query} ORDER BY id`, params);
+
+    res.type('application/geo+json').json({
+      type: 'FeatureCollection',
+      features: rows.map(row => {
+        const { organisation_id, ...field } = row;
+        return toFeature(field);
+      })
+    });
+  } catch (err) {
+    console.error('❌ Error exporting fields:', err);
+    sendServerError(res, 'Export failed');
+  }
+};
+
+module.exports = {
+  findOrganisationFields,
+  getFields,
+  getFieldById,
+  createField,
+  updateField,
+  deleteField,
+  importFields,
+  exportFields
+};
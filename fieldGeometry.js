@@ -0,0 +1,162 @@
+// GeoJSON helpers for field boundaries. Positions are [longitude, latitude] as in the GeoJSON spec.
+
+const EARTH_RADIUS_M = 6371008.8;
+const DEG = Math.PI / 180;
+
+function isNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value);
+}
+
+// Validate a latitude/longitude pair, returning an error message or null
+function validateCoordinates(latitude, longitude) {
+  const lat = parseFloat(latitude);
+  const lon = parseFloat(longitude);
+
+  if (latitude === undefined || latitude === null || latitude === '' || isNaN(lat)) {
+    return 'latitude must be a number';
+  }
+  if (longitude === undefined || longitude === null || longitude === '' || isNaN(lon)) {
+    return 'longitude must be a number';
+  }
+  if (lat < -90 || lat > 90) return 'latitude must be between -90 and 90';
+  if (lon < -180 || lon > 180) return 'longitude must be between -180 and 180';
+  // 0,0 is in the Gulf of Guinea and almost always means the coordinates were never filled in
+  if (lat === 0 && lon === 0) return 'latitude/longitude 0,0 is not a valid field location';
+  return null;
+}
+
+function validatePosition(position) {
+  if (!Array.isArray(position) || position.length < 2 || !isNumber(position[0]) || !isNumber(position[1])) {
+    return 'positions must be [longitude, latitude] numbers';
+  }
+  return validateCoordinates(position[1], position[0]);
+}
+
+function validateRing(ring) {
+  if (!Array.isArray(ring) || ring.length < 4) {
+    return 'polygon rings need at least 4 positions';
+  }
+  for (const position of ring) {
+    const error = validatePosition(position);
+    if (error) return error;
+  }
+  const first = ring[0];
+  const last = ring[ring.length - 1];
+  if (first[0] !== last[0] || first[1] !== last[1]) {
+    return 'polygon rings must be closed (first and last positions equal)';
+  }
+  return null;
+}
+
+// Signed area (m²) and centroid of a ring, projected onto a plane around `origin`.
+// Field plots are small enough that an equirectangular projection is accurate to well under 1%.
+function ringMetrics(ring, origin) {
+  const scaleX = EARTH_RADIUS_M * DEG * Math.cos(origin[1] * DEG);
+  const scaleY = EARTH_RADIUS_M * DEG;
+  const points = ring.map(([lon, lat]) => [(lon - origin[0]) * scaleX, (lat - origin[1]) * scaleY]);
+
+  let area = 0;
+  let cx = 0;
+  let cy = 0;
+  for (let i = 0; i < points.length - 1; i++) {
+    const [x1, y1] = points[i];
+    const [x2, y2] = points[i + 1];
+    const cross = x1 * y2 - x2 * y1;
+    area += cross;
+    cx += (x1 + x2) * cross;
+    cy += (y1 + y2) * cross;
+  }
+  area /= 2;
+
+  if (area === 0) return { area: 0, x: points[0][0], y: points[0][1], scaleX, scaleY };
+  return { area, x: cx / (6 * area), y: cy / (6 * area), scaleX, scaleY };
+}
+
+// Area and centroid of polygons (each an outer ring followed by holes), weighting by area
+function polygonsMetrics(polygons) {
+  const origin = polygons[0][0][0];
+  let totalArea = 0;
+  let sumX = 0;
+  let sumY = 0;
+  let scale = null;
+
+  polygons.forEach(rings => {
+    rings.forEach((ring, index) => {
+      const metrics = ringMetrics(ring, origin);
+      // Holes take their area (and its pull on the centroid) away from the outer ring
+      const area = Math.abs(metrics.area) * (index === 0 ? 1 : -1);
+      totalArea += area;
+      sumX += metrics.x * area;
+      sumY += metrics.y * area;
+      scale = metrics;
+    });
+  });
+
+  if (totalArea <= 0) return null;
+  return {
+    areaHa: Math.round(totalArea / 100) / 100,
+    centroid: {
+      latitude: Math.round((origin[1] + sumY / totalArea / scale.scaleY) * 1e6) / 1e6,
+      longitude: Math.round((origin[0] + sumX / totalArea / scale.scaleX) * 1e6) / 1e6
+    }
+  };
+}
+
+// Validate a GeoJSON Point, Polygon or MultiPolygon geometry.
+// Returns { error } or { geometry, centroid: { latitude, longitude }, areaHa } (areaHa is null for points).
+function parseGeometry(geometry) {
+  if (!geometry || typeof geometry !== 'object') {
+    return { error: 'geometry must be a GeoJSON object' };
+  }
+
+  if (geometry.type === 'Point') {
+    const error = validatePosition(geometry.coordinates);
+    if (error) return { error };
+    const [longitude, latitude] = geometry.coordinates;
+    return { geometry: { type: 'Point', coordinates: [longitude, latitude] }, centroid: { latitude, longitude }, areaHa: null };
+  }
+
+  let polygons;
+  if (geometry.type === 'Polygon') {
+    polygons = [geometry.coordinates];
+  } else if (geometry.type === 'MultiPolygon') {
+    polygons = geometry.coordinates;
+  } else {
+    return { error: 'geometry type must be Point, Polygon or MultiPolygon' };
+  }
+
+  if (!Array.isArray(polygons) || !polygons.length) {
+    return { error: 'polygon coordinates are missing' };
+  }
+  for (const rings of polygons) {
+    if (!Array.isArray(rings) || !rings.length) {
+      return { error: 'polygon coordinates are missing' };
+    }
+    for (const ring of rings) {
+      const error = validateRing(ring);
+      if (error) return { error };
+    }
+  }
+
+  const metrics = polygonsMetrics(polygons);
+  if (!metrics) {
+    return { error: 'polygon has no area' };
+  }
+  return { geometry: { type: geometry.type, coordinates: geometry.coordinates }, ...metrics };
+}
+
+// A stored field as a GeoJSON Feature: its boundary when it has one, otherwise its point location
+function toFeature(field) {
+  const { boundary, ...properties } = field;
+  const geometry = boundary
+    ? (typeof boundary === 'string' ? JSON.parse(boundary) : boundary)
+    : { type: 'Point', coordinates: [parseFloat(field.longitude), parseFloat(field.latitude)] };
+
+  return { type: 'Feature', id: field.id, geometry, properties };
+}
+
+module.exports = {
+  validateCoordinates,
+  parseGeometry,
+  toFeature
+};
@@ -0,0 +1,224 @@
+const db = require('./database');
+const {
+  DEFAULT_SNOOZE_MINUTES,
+  verifyActionLink,
+  validateSnoozeMinutes,
+  acknowledgeIncident,
+  snoozeIncident
+} = require('./incidents');
+const { sendError, sendNotFound, sendServerError } = require('./apiErrors');
+
+// Helper function to load incidents of the caller's organisation with their alert and field
+async function findOrganisationIncidents(organisationId, { id = null, state = null, alertId = null, fieldId = null } = {}) {
+  let query = `
+    SELECT
+      i.*,
+      a.alert_type,
+      a.field_id,
+      f.name as field_name,
+      u.name as acknowledged_by_name
+    FROM alert_incidents i
+    JOIN alerts a ON i.alert_id = a.id
+    JOIN fields f ON a.field_id = f.id
+    LEFT JOIN users u ON i.acknowledged_by = u.id
+    WHERE f.organisation_id = ?
+  `;
+  const params = [organisationId];
+
+  if (id) {
+    query += ' AND i.id = ?';
+    params.push(id);
+  }
+  if (state) {
+    query += ' AND i.state = ?';
+    params.push(state);
+  }
+  if (alertId) {
+    query += ' AND i.alert_id = ?';
+    params.push(alertId);
+  }
+  if (fieldId) {
+    query += ' AND a.field_id = ?';
+    params.push(fieldId);
+  }
+
+  query += ' ORDER BY i.opened_at DESC LIMIT 500';
+
+  const [rows] = await db.query(query, params);
+  return rows;
+}
+
+// Minimal page shown for a link from an email, optionally with a button posting `confirm.action`
+function renderLinkResult(res, status, title, message, confirm = null) {
+  const form = confirm ? `
+      <form method="post" action="${confirm.action.replace(/&/g, '&amp;')}">
+        <button type="submit" style="background: #B6BF00; color: #01282F; border: 0; border-radius: 4px; padding: 12px 24px; font-size: 16px; cursor: pointer;">${confirm.label}</button>
+      </form>` : '';
+  res.status(status).type('html').send(`
+    <!DOCTYPE html>
+    <html lang="en">
+    <head><meta charset="UTF-8"><meta name="viewport" content="width=device-width, initial-scale=1.0"><title>${title} - Yieldera</title></head>
+    <body style="font-family: 'Segoe UI', Roboto, Arial, sans-serif; color: #01282F; text-align: center; padding: 40px 20px;">
+      <h1 style="color: #B6BF00; letter-spacing: 1px;">YIELDERA</h1>
+      <h2>${title}</h2>
+      <p>${message}</p>${form}
+    </body>
+    </html>
+  `);
+}
+
+// Where the confirmation button of a link page posts: '<action>/confirm' with the same signed parameters.
+// Relative to the link's own path, so it also works behind a proxy that mounts the API elsewhere.
+function getConfirmAction(action, { expires, minutes, sig }) {
+  const params = new URLSearchParams({ expires, sig });
+  if (minutes !== undefined) params.set('minutes', minutes);
+  return `${action}/confirm?${params}`;
+}
+
+// GET INCIDENTS of the caller's organisation (?state=open|acknowledged|snoozed|resolved, ?alert_id=, ?field_id=)
+const getIncidents = async (req, res) => {
+  const { state, alert_id, field_id } = req.query;
+
+  try {
+    const incidents = await findOrganisationIncidents(req.user.organisation_id, {
+      state,
+      alertId: alert_id,
+      fieldId: field_id
+    });
+    res.json({ success: true, count: incidents.length, data: incidents });
+  } catch (err) {
+    console.error('❌ Error fetching incidents:', err);
+    sendServerError(res, 'Fetch failed');
+  }
+};
+
+// GET INCIDENT BY ID
+const getIncidentById = async (req, res) => {
+  try {
+    const [incident] = await findOrganisationIncidents(req.user.organisation_id, { id: req.params.id });
+    if (!incident) {
+      return sendNotFound(res, 'Incident not found');
+    }
+    res.json(incident);
+  } catch (err) {
+    console.error('❌ Error fetching incident:', err);
+    sendServerError(res, 'Fetch failed');
+  }
+};
+
+// ACKNOWLEDGE INCIDENT - stops repeat notifications and escalation until it resolves
+const acknowledge = async (req, res) => {
+  try {
+    const [incident] = await findOrganisationIncidents(req.user.organisation_id, { id: req.params.id });
+    if (!incident) {
+      return sendNotFound(res, 'Incident not found');
+    }
+
+    const acknowledged = await acknowledgeIncident(incident.id, { userId: req.user.id, via: 'api' });
+    if (!acknowledged) {
+      return sendError(res, 409, `Incident is already ${incident.state}`);
+    }
+
+    console.log(`✅ Incident ${incident.id} acknowledged by ${req.user.email}`);
+    res.json({ success: true, id: incident.id, state: 'acknowledged' });
+  } catch (err) {
+    console.error('❌ Error acknowledging incident:', err);
+    sendServerError(res, 'Acknowledge failed');
+  }
+};
+
+// SNOOZE INCIDENT - no notifications or escalation for `minutes` (default 240), then it reopens if still active
+const snooze = async (req, res) => {
+  const minutes = req.body.minutes !== undefined ? req.body.minutes : DEFAULT_SNOOZE_MINUTES;
+
+  try {
+    const [incident] = await findOrganisationIncidents(req.user.organisation_id, { id: req.params.id });
+    if (!incident) {
+      return sendNotFound(res, 'Incident not found');
+    }
+
+    const until = await snoozeIncident(incident.id, Number(minutes), { userId: req.user.id });
+    if (!until) {
+      return sendError(res, 409, 'Incident is already resolved');
+    }
+
+    console.log(`✅ Incident ${incident.id} snoozed until ${until.toISOString()} by ${req.user.email}`);
+    res.json({ success: true, id: incident.id, state: 'snoozed', snoozed_until: until });
+  } catch (err) {
+    console.error('❌ Error snoozing incident:', err);
+    sendServerError(res, 'Snooze failed');
+  }
+};
+
+// ACKNOWLEDGE LINK from an email (no login) - only asks for confirmation, since mail scanners and link
+// previews open links by themselves; the confirmation posts to acknowledgeFromLink
+const confirmAcknowledgeLink = (req, res) => {
+  if (!verifyActionLink(req.params.id, 'acknowledge', req.query)) {
+    return renderLinkResult(res, 403, 'Link expired', 'This link is invalid or has expired. Please acknowledge the alert from your Yieldera dashboard.');
+  }
+
+  renderLinkResult(res, 200, 'Acknowledge alert?', 'Acknowledging stops repeat notifications and escalation until the condition clears.', {
+    action: getConfirmAction('acknowledge', req.query),
+    label: 'Acknowledge alert'
+  });
+};
+
+// ACKNOWLEDGE confirmed from an email link's page, authorised by the same signature
+const acknowledgeFromLink = async (req, res) => {
+  if (!verifyActionLink(req.params.id, 'acknowledge', req.query)) {
+    return renderLinkResult(res, 403, 'Link expired', 'This link is invalid or has expired. Please acknowledge the alert from your Yieldera dashboard.');
+  }
+
+  try {
+    const acknowledged = await acknowledgeIncident(req.params.id, { via: 'link' });
+    console.log(`✅ Incident ${req.params.id} acknowledged from email link`);
+    renderLinkResult(res, 200, 'Alert acknowledged', acknowledged
+      ? 'Thank you. The alert has been acknowledged and will not be repeated until the condition clears.'
+      : 'This alert has already been acknowledged or has cleared.');
+  } catch (err) {
+    console.error('❌ Error acknowledging incident from link:', err);
+    renderLinkResult(res, 500, 'Something went wrong', 'The alert could not be acknowledged. Please try again later.');
+  }
+};
+
+// SNOOZE LINK from an email (no login) - only asks for confirmation; the confirmation posts to snoozeFromLink
+const confirmSnoozeLink = (req, res) => {
+  if (!verifyActionLink(req.params.id, 'snooze', req.query) || validateSnoozeMinutes(req.query.minutes)) {
+    return renderLinkResult(res, 403, 'Link expired', 'This link is invalid or has expired. Please snooze the alert from your Yieldera dashboard.');
+  }
+
+  const hours = Number(req.query.minutes) / 60;
+  renderLinkResult(res, 200, 'Snooze alert?', `Snoozing pauses notifications for this alert for ${hours} hour${hours === 1 ? '' : 's'}.`, {
+    action: getConfirmAction('snooze', req.query),
+    label: 'Snooze alert'
+  });
+};
+
+// SNOOZE confirmed from an email link's page, authorised by the same signature
+const snoozeFromLink = async (req, res) => {
+  if (!verifyActionLink(req.params.id, 'snooze', req.query) || validateSnoozeMinutes(req.query.minutes)) {
+    return renderLinkResult(res, 403, 'Link expired', 'This link is invalid or has expired. Please snooze the alert from your Yieldera dashboard.');
+  }
+
+  try {
+    const until = await snoozeIncident(req.params.id, Number(req.query.minutes));
+    console.log(`✅ Incident ${req.params.id} snoozed from email link`);
+    renderLinkResult(res, 200, 'Alert snoozed', until
+      ? `Notifications for this alert are paused until ${until.toUTCString()}.`
+      : 'This alert has already cleared.');
+  } catch (err) {
+    console.error('❌ Error snoozing incident from link:', err);
+    renderLinkResult(res, 500, 'Something went wrong', 'The alert could not be snoozed. Please try again later.');
+  }
+};
+
+module.exports = {
+  getIncidents,
+  getIncidentById,
+  acknowledge,
+  snooze,
+  confirmAcknowledgeLink,
+  confirmSnoozeLink,
+  acknowledgeFromLink,
+  snoozeFromLink
+};
@@ -0,0 +1,177 @@
+// Alert incidents: one per stretch of time an alert's condition holds.
+// open -> acknowledged | snoozed (until a time, then open again) -> resolved when the condition stops holding.
+const crypto = require('crypto');
+const db = require('./database');
+
+const INCIDENT_STATES = ['open', 'acknowledged', 'snoozed', 'resolved'];
+const DEFAULT_SNOOZE_MINUTES = 240;
+const MAX_SNOOZE_MINUTES = 7 * 24 * 60;
+
+// How often an alert notifies while its incident stays active (alerts.notification_frequency)
+const NOTIFICATION_FREQUENCIES = ['once', 'hourly', 'daily'];
+const INCIDENT_CLOCK_SLACK_MS = 60 * 1000;
+
+// Acknowledge/snooze links in notifications stay valid this long
+const LINK_TTL_HOURS = parseInt(process.env.INCIDENT_LINK_TTL_HOURS || '72');
+
+function getLinkSecret() {
+  return process.env.INCIDENT_LINK_SECRET || process.env.JWT_SECRET || null;
+}
+
+// HMAC over the incident, action, expiry and snooze length so links can't be altered or reused for another incident
+function signAction(incidentId, action, expires, minutes = '') {
+  return crypto
+    .createHmac('sha256', getLinkSecret())
+    .update(`${incidentId}.${action}.${expires}.${minutes}`)
+    .digest('hex');
+}
+
+// Signed acknowledge/snooze links for notifications, or null when PUBLIC_API_URL or the link secret is not configured
+function buildActionLinks(incidentId, now = new Date()) {
+  const baseUrl = (process.env.PUBLIC_API_URL || '').replace(/\/+$/, '');
+  if (!baseUrl || !getLinkSecret()) return null;
+
+  const expires = Math.floor(now.getTime() / 1000) + LINK_TTL_HOURS * 60 * 60;
+  const minutes = DEFAULT_SNOOZE_MINUTES;
+  const base = `${baseUrl}/api/incidents/${incidentId}`;
+
+  return {
+    acknowledge: `${base}/acknowledge?expires=${expires}&sig=${signAction(incidentId, 'acknowledge', expires)}`,
+    snooze: `${base}/snooze?minutes=${minutes}&expires=${expires}&sig=${signAction(incidentId, 'snooze', expires, minutes)}`,
+    snoozeMinutes: minutes
+  };
+}
+
+// Check an acknowledge/snooze link's signature and expiry
+function verifyActionLink(incidentId, action, { expires, minutes = '', sig }) {
+  if (!getLinkSecret() || !expires || !sig || !/^[0-9a-f]{64}$/.test(sig)) return false;
+  if (Number(expires) < Date.now() / 1000) return false;
+
+  const expected = Buffer.from(signAction(incidentId, action, expires, minutes), 'hex');
+  return crypto.timingSafeEqual(expected, Buffer.from(sig, 'hex'));
+}
+
+// Validate a snooze length in minutes, returning an error message or null
+function validateSnoozeMinutes(minutes) {
+  const value = Number(minutes);
+  if (!Number.isInteger(value) || value < 1 || value > MAX_SNOOZE_MINUTES) {
+    return `minutes must be a whole number between 1 and ${MAX_SNOOZE_MINUTES}`;
+  }
+  return null;
+}
+
+// Unresolved incidents keyed by alert_id, loaded once per monitor cycle
+async function getActiveIncidents() {
+  const [rows] = await db.query("SELECT * FROM alert_incidents WHERE state <> 'resolved'");
+  const incidents = {};
+  rows.forEach(incident => {
+    incidents[incident.alert_id] = incident;
+  });
+  return incidents;
+}
+
+async function openIncident(alert, value, now = new Date()) {
+  const [result] = await db.query(
+    `INSERT INTO alert_incidents (alert_id, state, opened_at, last_value, updated_at)
+     VALUES (?, 'open', ?, ?, ?)`,
+    [alert.id, now, value, now]
+  );
+  return { id: result.insertId, alert_id: alert.id, state: 'open', opened_at: now, last_value: value };
+}
+
+// Record the latest value of a still-active incident; a snooze that has run out puts it back to open,
+// remembering when in reopened_at so the alert notifies again (see isRepeatThrottled)
+async function refreshIncident(incident, value, now = new Date()) {
+  if (incident.state === 'snoozed' && new Date(incident.snoozed_until) <= now) {
+    const reopenedAt = new Date(incident.snoozed_until);
+    await db.query(
+      `UPDATE alert_incidents SET last_value = ?, state = 'open', snoozed_until = NULL, reopened_at = ?, updated_at = ? WHERE id = ?`,
+      [value, reopenedAt, now, incident.id]
+    );
+    return { ...incident, last_value: value, state: 'open', snoozed_until: null, reopened_at: reopenedAt };
+  }
+
+  await db.query('UPDATE alert_incidents SET last_value = ?, updated_at = ? WHERE id = ?', [value, now, incident.id]);
+  return { ...incident, last_value: value };
+}
+
+async function resolveIncident(incident, value, now = new Date()) {
+  await db.query(
+    `UPDATE alert_incidents SET state = 'resolved', resolved_at = ?, resolved_value = ?, updated_at = ? WHERE id = ?`,
+    [now, value, now, incident.id]
+  );
+  return { ...incident, state: 'resolved', resolved_at: now, resolved_value: value };
+}
+
+async function markEscalated(incident, now = new Date()) {
+  await db.query('UPDATE alert_incidents SET escalated_at = ?, updated_at = ? WHERE id = ?', [now, now, incident.id]);
+  return { ...incident, escalated_at: now };
+}
+
+// Acknowledge an open or snoozed incident. Resolves to false when it is already acknowledged or resolved.
+async function acknowledgeIncident(incidentId, { userId = null, via = 'api' } = {}) {
+  const [result] = await db.query(
+    `UPDATE alert_incidents
+     SET state = 'acknowledged', acknowledged_at = NOW(), acknowledged_by = ?, acknowledged_via = ?, snoozed_until = NULL, updated_at = NOW()
+     WHERE id = ? AND state IN ('open', 'snoozed')`,
+    [userId, via, incidentId]
+  );
+  return result.affectedRows > 0;
+}
+
+// Silence an unresolved incident for `minutes`. Resolves to the snooze end, or null when it is already resolved.
+async function snoozeIncident(incidentId, minutes, { userId = null } = {}) {
+  const until = new Date(Date.now() + minutes * 60 * 1000);
+  const [result] = await db.query(
+    `UPDATE alert_incidents
+     SET state = 'snoozed', snoozed_until = ?, snoozed_by = ?, updated_at = NOW()
+     WHERE id = ? AND state <> 'resolved'`,
+    [until, userId, incidentId]
+  );
+  return result.affectedRows > 0 ? until : null;
+}
+
+// Whether notification_frequency holds back another notification while an incident stays active: 'once' notifies
+// once per incident, 'hourly' and 'daily' at most that often. An incident reopened by the end of a snooze notifies
+// again whatever the frequency, as if it had just opened. lastTriggered is when the alert last notified
+// (or queued a notification for after quiet hours).
+function isRepeatThrottled(alert, incident, lastTriggered, now = new Date()) {
+  if (!lastTriggered) return false;
+  const last = new Date(lastTriggered).getTime();
+  if (incident.reopened_at && last < new Date(incident.reopened_at).getTime()) return false;
+
+  const hoursSince = (now - last) / (60 * 60 * 1000);
+
+  if (alert.notification_frequency === 'hourly') return hoursSince < 1;
+  if (alert.notification_frequency === 'daily') return hoursSince < 24;
+  // DATETIME columns round away fractions of a second, so a trigger recorded just as the incident opened can read
+  // as a moment before it
+  return last >= new Date(incident.opened_at).getTime() - INCIDENT_CLOCK_SLACK_MS;
+}
+
+// Whether an unacknowledged incident has waited long enough to go to the alert's escalation recipients
+function isEscalationDue(alert, incident, now = new Date()) {
+  const minutes = parseInt(alert.escalation_minutes);
+  if (!minutes || incident.state !== 'open' || incident.escalated_at) return false;
+  if (!alert.escalation_emails && !alert.escalation_phone_numbers) return false;
+  return (now - new Date(incident.opened_at)) / (60 * 1000) >= minutes;
+}
+
+module.exports = {
+  INCIDENT_STATES,
+  NOTIFICATION_FREQUENCIES,
+  DEFAULT_SNOOZE_MINUTES,
+  MAX_SNOOZE_MINUTES,
+  buildActionLinks,
+  verifyActionLink,
+  validateSnoozeMinutes,
+  getActiveIncidents,
+  openIncident,
+  refreshIncident,
+  resolveIncident,
+  markEscalated,
+  acknowledgeIncident,
+  snoozeIncident,
+  isRepeatThrottled,
+  isEscalationDue
+};
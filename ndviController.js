@@ -0,0 +1,167 @@
+const db = require('./database');
+const { parseCsv } = require('./csv');
+const { sendError, sendValidationError, sendNotFound, sendServerError } = require('./apiErrors');
+const { messageToErrors } = require('./validation');
+const { NDVI_BODY } = require('./requestSchemas');
+
+// NDVI is a normalised index, so every valid reading lies in [-1, 1]
+const NDVI_MIN = -1;
+const NDVI_MAX = 1;
+const MAX_BULK_ROWS = 10000;
+
+// Helper function to validate one measurement, returning { error } or the row to insert
+function parseMeasurement({ field_id, value, timestamp, source }) {
+  const fieldId = parseInt(field_id);
+  if (!fieldId || fieldId < 1) {
+    return { error: 'field_id must be a positive integer' };
+  }
+
+  const ndvi = parseFloat(value);
+  if (value === undefined || value === null || value === '' || isNaN(ndvi)) {
+    return { error: 'value must be a number' };
+  }
+  if (ndvi < NDVI_MIN || ndvi > NDVI_MAX) {
+    return { error: `value must be between ${NDVI_MIN} and ${NDVI_MAX}` };
+  }
+
+  const measuredAt = timestamp ? new Date(timestamp) : new Date();
+  if (isNaN(measuredAt.getTime())) {
+    return { error: 'timestamp must be a valid date' };
+  }
+  if (measuredAt > new Date()) {
+    return { error: 'timestamp cannot be in the future' };
+  }
+
+  return { row: [fieldId, ndvi, measuredAt, source ? String(source).slice(0, 100) : null] };
+}
+
+// Helper function to store validated rows, replacing any existing reading for the same field and time
+async function insertMeasurements(rows) {
+  const [result] = await db.query(
+    `INSERT INTO ndvi_measurements (field_id, value, timestamp, source)
+     VALUES ?
+     ON DUPLICATE KEY UPDATE value = VALUES(value), source = VALUES(source)`,
+    [rows]
+  );
+  return result;
+}
+
+// ADD NDVI MEASUREMENT for one field
+const addMeasurement = async (req, res) => {
+  const fieldId = req.params.id;
+  const parsed = parseMeasurement({ ...req.body, field_id: fieldId });
+
+  if (parsed.error) {
+    return sendValidationError(res, messageToErrors(parsed.error, NDVI_BODY));
+  }
+
+  try {
+    const [fields] = await db.query(
+      'SELECT id FROM fields WHERE id = ? AND organisation_id = ?',
+      [fieldId, req.user.organisation_id]
+    );
+    if (!fields.length) {
+      return sendNotFound(res, 'Field not found');
+    }
+
+    await insertMeasurements([parsed.row]);
+
+    console.log(`✅ Stored NDVI ${parsed.row[1]} for field ${fieldId}`);
+    res.status(201).json({ success: true, field_id: parsed.row[0], value: parsed.row[1], timestamp: parsed.row[2] });
+  } catch (err) {
+    console.error('❌ Error storing NDVI measurement:', err);
+    sendServerError(res, 'Insert failed');
+  }
+};
+
+// BULK IMPORT NDVI MEASUREMENTS - JSON array (or { measurements: [...] }) or text/csv body
+const bulkImportMeasurements = async (req, res) => {
+  let records;
+  if (typeof req.body === 'string') {
+    records = parseCsv(req.body);
+  } else if (Array.isArray(req.body)) {
+    records = req.body;
+  } else {
+    records = req.body?.measurements;
+  }
+
+  if (!Array.isArray(records) || !records.length) {
+    return sendError(res, 400, 'No measurements provided');
+  }
+  if (records.length > MAX_BULK_ROWS) {
+    return sendError(res, 400, `At most ${MAX_BULK_ROWS} measurements per request`);
+  }
+
+  try {
+    const errors = [];
+    const rows = [];
+
+    records.forEach((record, index) => {
+      const parsed = parseMeasurement(record || {});
+      if (parsed.error) {
+        errors.push({ row: index + 1, message: parsed.error });
+      } else {
+        rows.push({ index, row: parsed.row });
+      }
+    });
+
+    // Reject rows for fields that don't exist (or belong to another organisation) rather than failing the whole import
+    const fieldIds = [...new Set(rows.map(({ row }) => row[0]))];
+    const knownIds = new Set();
+    if (fieldIds.length) {
+      const [fields] = await db.query(
+        'SELECT id FROM fields WHERE id IN (?) AND organisation_id = ?',
+        [fieldIds, req.user.organisation_id]
+      );
+      fields.forEach(field => knownIds.add(field.id));
+    }
+
+    const validRows = rows.filter(({ index, row }) => {
+      if (knownIds.has(row[0])) return true;
+      errors.push({ row: index + 1, message: `Field ${row[0]} not found` });
+      return false;
+    });
+
+    if (validRows.length) {
+      await insertMeasurements(validRows.map(({ row }) => row));
+    }
+
+    errors.sort((a, b) => a.row - b.row);
+    console.log(`✅ Imported ${validRows.length} NDVI measurements (${errors.length} rejected)`);
+    res.status(validRows.length ? 201 : 400).json({
+      success: validRows.length > 0,
+      imported: validRows.length,
+      rejected: errors.length,
+      errors
+    });
+  } catch (err) {
+    console.error('❌ Error importing NDVI measurements:', err);
+    sendServerError(res, 'Import failed');
+  }
+};
+
+// GET NDVI MEASUREMENTS for one field, most recent first
+const getMeasurements = async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 100, 1), 1000);
+    const [rows] = await db.query(
+      `SELECT n.id, n.field_id, n.value, n.timestamp, n.source
+       FROM ndvi_measurements n
+       JOIN fields f ON n.field_id = f.id
+       WHERE n.field_id = ? AND f.organisation_id = ?
+       ORDER BY n.timestamp DESC LIMIT ?`,
+      [req.params.id, req.user.organisation_id, limit]
+    );
+
+    res.json(rows.map(row => ({ ...row, value: parseFloat(row.value) })));
+  } catch (err) {
+    console.error('❌ Error fetching NDVI measurements:', err);
+    sendServerError(res, 'Fetch failed');
+  }
+};
+
+module.exports = {
+  addMeasurement,
+  bulkImportMeasurements,
+  getMeasurements
+};
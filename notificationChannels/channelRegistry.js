@@ -0,0 +1,141 @@
+const email = require('./email');
+const { sms, whatsapp } = require('./sms');
+const webhook = require('./webhook');
+const chat = require('./chat');
+const { describeThreshold } = require('../alertConditions');
+const { getMetric, COMPOUND_ALERT_TYPE } = require('../alertCatalog');
+const { describeExpression } = require('../ruleExpressions');
+
+// Every channel exposes { name, recipientColumn, getRecipients(alert), hasRecipients(alert), send(alert, notification) -> delivery results }.
+// recipientColumn is the alerts column its recipients come from, so a send can be narrowed to a single recipient.
+const channels = {};
+
+function registerChannel(channel) {
+  channels[channel.name] = channel;
+}
+
+[email, sms, whatsapp, webhook, chat].forEach(registerChannel);
+
+function getChannel(name) {
+  return channels[name] || null;
+}
+
+function getChannelNames() {
+  return Object.keys(channels);
+}
+
+// Channels an alert delivers to: its `channels` list, or the legacy per-channel flags for older rows
+function getAlertChannels(alert) {
+  if (alert.channels) {
+    const names = Array.isArray(alert.channels) ? alert.channels : String(alert.channels).split(',');
+    return names.map(name => name.trim()).filter(Boolean);
+  }
+
+  const names = [];
+  // email_notification defaults to on for alerts created before the column was used
+  if (alert.email_notification === undefined || alert.email_notification === null || alert.email_notification) {
+    names.push('email');
+  }
+  if (alert.sms_notification) names.push('sms');
+  if (alert.whatsapp_notification) names.push('whatsapp');
+  return names;
+}
+
+// Everything a channel needs to render a message about one evaluation of an alert.
+// kind is 'triggered', 'escalation' (an unacknowledged incident sent on to escalation recipients), 'resolved'
+// or 'digest' (notifications held back during quiet hours, listed in `digest` as
+// { kind, value, queuedAt, localTime, predictedFor, conditions } with localTime in `timezone`).
+// Compound alerts pass `conditions` (see explainResult) and their value is the number of conditions matched.
+// `incident` is { id, openedAt, links } where links holds signed acknowledge/snooze URLs, or null.
+// `field` is { id, name, farmer_name, crop }. Before sending, notificationLocale.localizeNotification adds
+// `locale` (language, branding and template overrides of the recipient) which the channels render with.
+function buildNotification(alert, field, value, {
+  kind = 'triggered',
+  forecast = null,
+  test = false,
+  testMessage = null,
+  conditions = null,
+  incident = null,
+  digest = null,
+  timezone = null
+} = {}) {
+  const severity = alert.severity || 'warning';
+
+  if (alert.alert_type === COMPOUND_ALERT_TYPE) {
+    return {
+      kind,
+      alertType: alert.alert_type,
+      field,
+      value,
+      unit: '',
+      metricName: 'Combined conditions',
+      emoji: '🧩',
+      thresholdText: describeExpression(alert.rule_expression),
+      severity,
+      conditions,
+      incident,
+      digest,
+      timezone,
+      forecast,
+      test,
+      testMessage
+    };
+  }
+
+  const metric = getMetric(alert.alert_type);
+  const unit = metric ? metric.unit : '';
+  return {
+    kind,
+    alertType: alert.alert_type,
+    field,
+    value,
+    unit,
+    metricName: metric ? metric.name : String(alert.alert_type),
+    emoji: metric ? metric.emoji : '⚠️',
+    thresholdText: describeThreshold(alert, unit),
+    severity,
+    conditions,
+    incident,
+    digest,
+    timezone,
+    forecast,
+    test,
+    testMessage
+  };
+}
+
+// Send a notification through each of the given channels, collecting every delivery result
+async function dispatch(alert, notification, channelNames = getAlertChannels(alert)) {
+  const deliveries = [];
+
+  for (const name of channelNames) {
+    const channel = getChannel(name);
+
+    if (!channel) {
+      deliveries.push({ channel: name, recipient: '', status: 'failed', message_id: null, error: `Unknown channel '${name}'` });
+      continue;
+    }
+    if (!channel.hasRecipients(alert)) {
+      console.warn(`⚠️ Alert ${alert.id} has the ${name} channel enabled but no recipients for it`);
+      continue;
+    }
+
+    try {
+      deliveries.push(...await channel.send(alert, notification));
+    } catch (err) {
+      console.error(`❌ ${name} channel error:`, err.message);
+      deliveries.push({ channel: name, recipient: '', status: 'failed', message_id: null, error: err.message });
+    }
+  }
+
+  return deliveries;
+}
+
+module.exports = {
+  registerChannel,
+  getChannel,
+  getChannelNames,
+  getAlertChannels,
+  buildNotification,
+  dispatch
+};
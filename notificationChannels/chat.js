@@ -0,0 +1,30 @@
+const { renderMessage } = require('./templates');
+const { postToPublicUrl } = require('./publicUrl');
+
+const CHAT_TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS || '10000');
+
+// Chat incoming webhooks (Slack, Mattermost, Rocket.Chat, ...) all accept a JSON body with a `text` field
+async function send(alert, notification) {
+  if (!alert.chat_webhook_url) return [];
+
+  // Chat messages reuse the SMS text with the brand name in bold
+  const { body, variables } = renderMessage(notification, 'sms');
+  const text = body.startsWith(`${variables.brand} `) ? `*${variables.brand}*${body.slice(variables.brand.length)}` : body;
+
+  try {
+    await postToPublicUrl(alert.chat_webhook_url, { text }, { timeout: CHAT_TIMEOUT_MS });
+    console.log(`✅ Chat message posted for field ${notification.field.name || notification.field.id}`);
+    return [{ channel: 'chat', recipient: alert.chat_webhook_url, status: 'sent', message_id: null, error: null }];
+  } catch (err) {
+    console.error('❌ Chat webhook failed:', err.message);
+    return [{ channel: 'chat', recipient: alert.chat_webhook_url, status: 'failed', message_id: null, error: err.message }];
+  }
+}
+
+module.exports = {
+  name: 'chat',
+  recipientColumn: 'chat_webhook_url',
+  getRecipients: alert => (alert.chat_webhook_url ? [alert.chat_webhook_url] : []),
+  hasRecipients: alert => !!alert.chat_webhook_url,
+  send
+};
@@ -0,0 +1,519 @@
+const nodemailer = require('nodemailer');
+const { renderMessage } = require('./templates');
+
+// Email setup
+const emailTransporter = nodemailer.createTransport({
+  host: process.env.SMTP_HOST || 'mail.yieldera.co.zw',
+  port: parseInt(process.env.SMTP_PORT || '465'),
+  secure: true,
+  auth: {
+    user: process.env.SMTP_USER || 'alerts@yieldera.co.zw',
+    pass: process.env.SMTP_PASSWORD
+  }
+});
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function getRecipients(alert) {
+  return alert.notification_emails?.split(',').map(e => e.trim()).filter(Boolean) || [];
+}
+
+// Branded HTML layout shared by every notification email. Colours, logo and name come from the organisation's
+// branding, the wording around the template text from the recipient's language.
+// The details form one "Alert Details" box unless `sections` ([{ title, details }]) lists several boxes.
+function buildLayout(rendered, {
+  badge,
+  badgeColor = '#ef4444',
+  heading,
+  messages,
+  details = [],
+  sections = [{ title: rendered.label('alert_details'), details }],
+  actions = '',
+  notice = null,
+  closing = rendered.label('subscribed')
+}) {
+  const { branding, label } = rendered;
+  const brand = escapeHtml(branding.name);
+
+  return `
+    <!DOCTYPE html>
+    <html lang="${rendered.language}">
+    <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>${escapeHtml(heading)} - ${brand}</title>
+        <style>
+            body {
+                font-family: "Segoe UI", Roboto, "Helvetica Neue", Arial, sans-serif;
+                margin: 0;
+                padding: 0;
+                background-color: #f8f9fa;
+                color: ${branding.primary_color};
+                line-height: 1.6;
+            }
+            .container {
+                max-width: 600px;
+                margin: 0 auto;
+                padding: 0;
+                background-color: #ffffff;
+                border-radius: 8px;
+                box-shadow: 0 4px 6px rgba(0, 0, 0, 0.05);
+            }
+            .header {
+                background-color: ${branding.primary_color};
+                padding: 25px 20px;
+                text-align: center;
+                border-top-left-radius: 8px;
+                border-top-right-radius: 8px;
+            }
+            .header-text {
+                color: ${branding.accent_color};
+                font-size: 32px;
+                font-weight: bold;
+                margin: 0;
+                letter-spacing: 1px;
+                text-transform: uppercase;
+            }
+            .header-logo {
+                max-height: 60px;
+                max-width: 240px;
+            }
+            .content {
+                padding: 30px 25px;
+            }
+            .alert-badge {
+                display: inline-block;
+                background-color: ${badgeColor};
+                color: white;
+                font-weight: 600;
+                padding: 5px 10px;
+                border-radius: 4px;
+                margin-bottom: 5px;
+            }
+            .greeting {
+                font-size: 24px;
+                font-weight: 600;
+                margin-bottom: 20px;
+                color: ${branding.primary_color};
+            }
+            .message {
+                font-size: 16px;
+                margin-bottom: 25px;
+                line-height: 1.7;
+            }
+            .alert-details {
+                background-color: #f8f9fa;
+                border-left: 4px solid ${branding.accent_color};
+                padding: 15px 20px;
+                margin-bottom: 25px;
+                border-radius: 4px;
+            }
+            .alert-details h3 {
+                margin-top: 0;
+                margin-bottom: 15px;
+                color: ${branding.primary_color};
+                font-size: 18px;
+            }
+            .detail-item {
+                margin-bottom: 10px;
+            }
+            .detail-label {
+                font-weight: 600;
+                display: inline-block;
+                width: 150px;
+            }
+            .value-display {
+                font-family: monospace;
+                font-weight: 700;
+                background-color: #E5E7EB;
+                padding: 2px 6px;
+                border-radius: 3px;
+            }
+            .actions {
+                text-align: center;
+                margin-bottom: 25px;
+            }
+            .action-button {
+                display: inline-block;
+                background-color: ${branding.primary_color};
+                color: #ffffff !important;
+                text-decoration: none;
+                font-weight: 600;
+                padding: 10px 18px;
+                border-radius: 4px;
+                margin: 0 5px;
+            }
+            .action-button.secondary {
+                background-color: #8b9198;
+            }
+            .footer {
+                text-align: center;
+                padding: 20px 25px;
+                color: #8b9198;
+                font-size: 14px;
+                border-top: 1px solid #e5e7eb;
+            }
+        </style>
+    </head>
+    <body>
+        <div class="container">
+            <div class="header">
+                ${branding.logo_url
+                  ? `<img class="header-logo" src="${escapeHtml(branding.logo_url)}" alt="${brand}">`
+                  : `<div class="header-text">${brand}</div>`}
+            </div>
+            <div class="content">
+                <div class="alert-badge">${badge}</div>
+                <div class="greeting">${escapeHtml(heading)}</div>
+                
+                ${messages.map(message => `
+                <div class="message">${escapeHtml(message).replace(/\n/g, '<br>')}</div>`).join('')}
+                
+                ${sections.map(section => `
+                <div class="alert-details">
+                    <h3>${escapeHtml(section.title)}</h3>
+                    ${section.details.map(detail => `
+                    <div class="detail-item">
+                        ${detail.label ? `<span class="detail-label">${escapeHtml(detail.label)}:</span>` : ''}
+                        ${detail.html}
+                    </div>`).join('')}
+                </div>`).join('')}
+                ${actions}
+                
+                ${notice ? `<div class="message"><em>${escapeHtml(notice)}</em></div>` : ''}
+                <div class="message">${escapeHtml(closing)}</div>
+            </div>
+            <div class="footer">
+                <div>${escapeHtml(label('regards'))}</div>
+                <div style="font-weight: 600; color: ${branding.primary_color}; margin-top: 5px;">${escapeHtml(label('team'))}</div>
+                <div style="margin-top: 15px;">${escapeHtml(label('rights'))}</div>
+            </div>
+        </div>
+    </body>
+    </html>
+  `;
+}
+
+// Plain text alternative: the template text, then the details as "Label: value" lines
+function buildText(messages, details, footer = []) {
+  return [
+    ...messages,
+    details.map(detail => (detail.label ? `${detail.label}: ${detail.text}` : detail.text)).join('\n'),
+    ...footer
+  ].filter(Boolean).join('\n\n');
+}
+
+function detail(label, text, html = escapeHtml(text)) {
+  return { label, text: String(text), html: `<span>${html}</span>` };
+}
+
+function valueDetail(label, text) {
+  return { label, text: String(text), html: `<span class="value-display">${escapeHtml(text)}</span>` };
+}
+
+// Field, farmer and crop rows every email starts its details with
+function fieldDetails(rendered) {
+  const { variables, label } = rendered;
+  const details = [detail(label('field'), variables.field)];
+  if (variables.farmer_name) details.push(detail(label('farmer'), variables.farmer_name));
+  if (variables.crop) details.push(detail(label('crop'), variables.crop));
+  return details;
+}
+
+// Triggered, forecast, compound and escalated alerts
+function buildAlertEmail(alert, notification, rendered) {
+  const { forecast, incident, conditions } = notification;
+  const { variables, label } = rendered;
+  const links = incident ? incident.links : null;
+
+  let valueLabel = label('current_value');
+  if (conditions) valueLabel = label('conditions_met');
+  else if (forecast) valueLabel = label('predicted_value');
+
+  const details = [
+    ...fieldDetails(rendered),
+    detail(label('alert_type'), variables.metric),
+    valueDetail(valueLabel, variables.value)
+  ];
+  if (forecast) details.push(detail(label('expected_at'), forecast.datetime.toUTCString()));
+  details.push(detail(label('threshold'), variables.threshold));
+  if (conditions) {
+    conditions.forEach(condition => {
+      const value = condition.value !== null ? `${condition.value}${condition.unit}` : label('no_data');
+      details.push({
+        label: null,
+        text: `${condition.matched ? '✅' : '❌'} ${condition.text}: ${value}`,
+        html: `<span>${condition.matched ? '✅' : '❌'} ${escapeHtml(condition.text)}</span>
+                        <span class="value-display">${escapeHtml(value)}</span>`
+      });
+    });
+  }
+  details.push(detail(label('status'), label('condition_met'), `<span style="color: #ef4444; font-weight: 600;">${escapeHtml(label('condition_met'))}</span>`));
+
+  const actionLinks = [];
+  if (links) {
+    actionLinks.push({ text: label('acknowledge'), href: links.acknowledge });
+    actionLinks.push({ text: label('snooze', { hours: links.snoozeMinutes / 60 }), href: links.snooze, secondary: true });
+  }
+  if (variables.dashboard_link) {
+    actionLinks.push({ text: label('open_dashboard'), href: variables.dashboard_link, secondary: !!links });
+  }
+
+  let badge = `${notification.emoji} ${forecast ? label('badge_forecast') : label('badge_alert')}`;
+  if (notification.kind === 'escalation') badge = `${notification.emoji} ${label('badge_escalated')}`;
+
+  return {
+    text: buildText([rendered.body], details, actionLinks.map(link => `${link.text}: ${link.href}`)),
+    html: buildLayout(rendered, {
+      badge: escapeHtml(badge),
+      heading: rendered.subject,
+      messages: [rendered.body],
+      details,
+      actions: actionLinks.length ? `
+                <div class="actions">
+                    ${actionLinks.map(link => `<a class="action-button${link.secondary ? ' secondary' : ''}" href="${escapeHtml(link.href)}">${escapeHtml(link.text)}</a>`).join('\n                    ')}
+                </div>` : ''
+    })
+  };
+}
+
+// "All clear" email sent when an incident resolves
+function buildResolvedEmail(alert, notification, rendered) {
+  const { variables, label } = rendered;
+  const details = [
+    ...fieldDetails(rendered),
+    detail(label('alert_type'), variables.metric),
+    detail(label('threshold'), variables.threshold)
+  ];
+  if (variables.since) details.push(detail(label('alert_raised'), variables.since));
+
+  return {
+    text: buildText([rendered.body], details),
+    html: buildLayout(rendered, {
+      badge: `✅ ${escapeHtml(label('badge_resolved'))}`,
+      badgeColor: '#22c55e',
+      heading: rendered.subject,
+      messages: [rendered.body],
+      details
+    })
+  };
+}
+
+// Morning digest of notifications held back during the alert's quiet hours
+function buildDigestEmail(alert, notification, rendered) {
+  const { variables, label } = rendered;
+  const formatValue = item => (item.conditions
+    ? label('conditions_of', { matched: item.conditions.filter(condition => condition.matched).length, total: item.conditions.length })
+    : `${item.value}${notification.unit}`);
+
+  const details = [
+    ...fieldDetails(rendered),
+    detail(label('alert_type'), variables.metric),
+    detail(label('threshold'), variables.threshold),
+    ...notification.digest.map(item => {
+      const status = item.kind === 'resolved' ? `✅ ${label('cleared')}` : `🚨 ${label('triggered')}`;
+      const expected = item.predictedFor ? ` (${label('expected_at')} ${new Date(item.predictedFor).toUTCString()})` : '';
+      return detail(item.localTime, `${status}: ${formatValue(item)}${expected}`);
+    })
+  ];
+
+  return {
+    text: buildText([rendered.body, label('what_happened', { timezone: notification.timezone })], details, [label('held_notice')]),
+    html: buildLayout(rendered, {
+      badge: `${notification.emoji} ${escapeHtml(label('badge_digest'))}`,
+      badgeColor: '#f59e0b',
+      heading: rendered.subject,
+      messages: [rendered.body, label('what_happened', { timezone: notification.timezone })],
+      details,
+      notice: label('held_notice')
+    })
+  };
+}
+
+// Ad-hoc email sent by POST /alerts/:id/test
+function buildTestEmail(alert, notification, rendered) {
+  const { variables, label } = rendered;
+  const details = [
+    ...fieldDetails(rendered),
+    detail(label('alert_type'), variables.metric),
+    detail(label('threshold'), variables.threshold),
+    detail(label('status'), alert.active ? 'Active' : 'Inactive')
+  ];
+
+  return {
+    text: buildText([rendered.body], details, [label('test_notice')]),
+    html: buildLayout(rendered, {
+      badge: `🚨 ${escapeHtml(label('badge_test'))}`,
+      heading: rendered.subject,
+      messages: [rendered.body],
+      details,
+      notice: label('test_notice')
+    })
+  };
+}
+
+// Scheduled daily/weekly summary of every field for a digest subscription (see digests.js): one box per field with
+// its current weather, outlook and the alerts triggered in the period, most severe first
+function buildSummaryEmail(notification, rendered) {
+  const { summary } = notification;
+  const { variables, label } = rendered;
+  const formatTime = date => new Intl.DateTimeFormat('en-GB', {
+    timeZone: summary.timezone, weekday: 'short', day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit'
+  }).format(new Date(date));
+  const orDash = (value, unit) => (value !== null && value !== undefined ? `${value}${unit}` : '–');
+  const severityColors = { critical: '#ef4444', warning: '#f59e0b', info: '#3b82f6' };
+
+  const sections = summary.fields.map(field => {
+    const { current, outlook } = field;
+    const details = [
+      detail(label('digest_now'), current
+        ? label('digest_weather', {
+          temperature: orDash(current.temperature, '°C'),
+          windspeed: orDash(current.windspeed, ' km/h'),
+          rainfall: orDash(current.rainfall, ' mm'),
+          humidity: orDash(current.humidity, '%')
+        })
+        : label('weather_unavailable')),
+      detail(label('digest_outlook', { hours: summary.outlook_hours }), outlook
+        ? label('digest_outlook_text', {
+          min_temperature: orDash(outlook.min_temperature, '°C'),
+          max_temperature: orDash(outlook.max_temperature, '°C'),
+          rainfall: orDash(outlook.total_rainfall, ' mm'),
+          windspeed: orDash(outlook.max_windspeed, ' km/h')
+        })
+        : label('forecast_unavailable'))
+    ];
+
+    field.severities.forEach(group => {
+      const severity = label(`severity_${group.severity}`);
+      group.alerts.forEach(alert => {
+        const text = `${alert.emoji} ${alert.metric} ${alert.threshold}: ${label('digest_alert', {
+          count: alert.trigger_count,
+          value: orDash(alert.last_value, alert.unit),
+          time: formatTime(alert.last_triggered)
+        })}`;
+        details.push({
+          label: null,
+          text: `${severity} ${text}`,
+          html: `<span style="color: ${severityColors[group.severity]}; font-weight: 600;">${escapeHtml(severity)}</span> <span>${escapeHtml(text)}</span>`
+        });
+      });
+    });
+    if (!field.severities.length) {
+      details.push(detail(null, label('digest_no_alerts', { period: variables.period })));
+    }
+
+    return {
+      title: `${field.name || `${label('field')} #${field.id}`}${field.crop ? ` (${field.crop})` : ''}`,
+      details
+    };
+  });
+
+  const messages = [
+    rendered.body,
+    label('digest_covering', { from: formatTime(summary.since), to: formatTime(summary.generated_at), timezone: summary.timezone })
+  ];
+  const closing = label('digest_manage');
+
+  return {
+    text: [
+      ...messages,
+      ...sections.map(section => `${section.title}\n${buildText([], section.details)}`),
+      closing
+    ].join('\n\n'),
+    html: buildLayout(rendered, {
+      badge: `📰 ${escapeHtml(label(`badge_${summary.frequency}_digest`))}`,
+      badgeColor: '#3b82f6',
+      heading: rendered.subject,
+      messages,
+      sections,
+      closing
+    })
+  };
+}
+
+// Send the alert email, resolving to one delivery result per recipient.
+// Subject and introduction come from the 'email' template of the notification's language.
+async function send(alert, notification) {
+  const recipients = getRecipients(alert);
+  if (!recipients.length) return [];
+  
+  const rendered = renderMessage(notification, 'email');
+  const fieldName = rendered.variables.field;
+  let content;
+  
+  if (notification.test) {
+    content = buildTestEmail(alert, notification, rendered);
+  } else if (notification.kind === 'resolved') {
+    content = buildResolvedEmail(alert, notification, rendered);
+  } else if (notification.kind === 'digest') {
+    content = buildDigestEmail(alert, notification, rendered);
+  } else {
+    content = buildAlertEmail(alert, notification, rendered);
+  }
+
+  const mailOptions = {
+    from: `"${rendered.branding.name.replace(/"/g, '')} ${notification.test ? 'Test Alerts' : 'Alerts'}" <alerts@yieldera.co.zw>`,
+    subject: rendered.subject,
+    ...content
+  };
+
+  try {
+    const info = await emailTransporter.sendMail({ ...mailOptions, to: recipients.join(',') });
+    console.log(`✅ Email sent to ${recipients.join(', ')} for field ${fieldName}`);
+    
+    return recipients.map(recipient => ({
+      channel: 'email',
+      recipient,
+      status: 'sent',
+      message_id: info.messageId || null,
+      error: null
+    }));
+  } catch (err) {
+    console.error('❌ Email failed:', err.message);
+    return recipients.map(recipient => ({
+      channel: 'email',
+      recipient,
+      status: 'failed',
+      message_id: null,
+      error: err.message
+    }));
+  }
+}
+
+// Send a subscription digest to one recipient, resolving to a delivery result. `notification` is
+// { kind: 'subscription_digest', summary, locale } and is rendered with the 'subscription_digest' template.
+async function sendDigest(recipient, notification) {
+  const rendered = renderMessage(notification, 'email');
+  const { text, html } = buildSummaryEmail(notification, rendered);
+
+  try {
+    const info = await emailTransporter.sendMail({
+      from: `"${rendered.branding.name.replace(/"/g, '')} Alerts" <alerts@yieldera.co.zw>`,
+      to: recipient,
+      subject: rendered.subject,
+      text,
+      html
+    });
+    console.log(`✅ Digest email sent to ${recipient}`);
+    return { channel: 'email', recipient, status: 'sent', message_id: info.messageId || null, error: null };
+  } catch (err) {
+    console.error('❌ Digest email failed:', err.message);
+    return { channel: 'email', recipient, status: 'failed', message_id: null, error: err.message };
+  }
+}
+
+module.exports = {
+  name: 'email',
+  recipientColumn: 'notification_emails',
+  getRecipients,
+  hasRecipients: alert => getRecipients(alert).length > 0,
+  send,
+  sendDigest
+};
@@ -0,0 +1,103 @@
+// The webhook and chat channels post to URLs users enter, so they may only reach public addresses: an alert must
+// not be able to make the monitor call into its own network (loopback, private ranges, the 169.254.169.254 cloud
+// metadata service, ...). Hosts listed in WEBHOOK_ALLOWED_HOSTS (comma separated) are exempt, e.g. an on-premises
+// farm-ops system.
+const axios = require('axios');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+
+const ALLOWED_HOSTS = (process.env.WEBHOOK_ALLOWED_HOSTS || '')
+  .split(',')
+  .map(host => host.trim().toLowerCase())
+  .filter(Boolean);
+
+// Addresses that are not publicly routable
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 3]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 127],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+const PRIVATE_ADDRESS_ERROR = 'must not point to a private or local address';
+
+function isAllowedHost(hostname) {
+  return ALLOWED_HOSTS.includes(String(hostname).toLowerCase());
+}
+
+// IPv4-mapped IPv6 addresses (::ffff:a.b.c.d) count as private too: BlockList would match an ::ffff:0:0/96
+// subnet against every IPv4 address, and webhooks have no need for them
+function isPrivateAddress(address) {
+  if (net.isIPv6(address)) {
+    return /^::ffff:/i.test(address) || BLOCKED_ADDRESSES.check(address, 'ipv6');
+  }
+  return BLOCKED_ADDRESSES.check(address, 'ipv4');
+}
+
+// Why a URL can't be posted to, e.g. 'must be a valid http(s) URL', or null. Catches literal addresses and
+// localhost; names resolving to private addresses are refused when connecting.
+function getUrlError(value) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (err) {
+    return 'must be a valid http(s) URL';
+  }
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    return 'must be a valid http(s) URL';
+  }
+
+  const host = url.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  if (isAllowedHost(host)) return null;
+  if (host === 'localhost' || host.endsWith('.localhost')) return PRIVATE_ADDRESS_ERROR;
+  if (net.isIP(host) && isPrivateAddress(host)) return PRIVATE_ADDRESS_ERROR;
+  return null;
+}
+
+// dns.lookup refusing private addresses, so a public-looking name can't resolve into the local network
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (err, address, family) => {
+    if (err) return callback(err);
+
+    const addresses = Array.isArray(address) ? address.map(entry => entry.address) : [address];
+    const blocked = isAllowedHost(hostname) ? null : addresses.find(isPrivateAddress);
+    if (blocked) {
+      return callback(new Error(`${hostname} resolves to a private address (${blocked})`));
+    }
+    callback(null, address, family);
+  });
+}
+
+const httpAgent = new http.Agent({ lookup: publicLookup });
+const httpsAgent = new https.Agent({ lookup: publicLookup });
+
+// POST to a user-supplied URL, connecting to public addresses only. Redirects are not followed, as they could
+// lead to a literal private address.
+async function postToPublicUrl(url, body, config = {}) {
+  const error = getUrlError(url);
+  if (error) {
+    throw new Error(`URL ${error}`);
+  }
+  return axios.post(url, body, { ...config, httpAgent, httpsAgent, maxRedirects: 0 });
+}
+
+module.exports = {
+  getUrlError,
+  isPrivateAddress,
+  postToPublicUrl
+};
@@ -0,0 +1,117 @@
+const twilio = require('twilio');
+const { renderMessage } = require('./templates');
+
+// Twilio's REST API is called through its RequestClient so the base URL can point at a local stub
+const TWILIO_API_BASE_URL = (process.env.TWILIO_API_BASE_URL || 'https://api.twilio.com').replace(/\/+$/, '');
+
+// E.164: a plus sign, a non-zero country code digit and at most 15 digits in total
+const E164_PATTERN = /^\+[1-9]\d{7,14}$/;
+
+let requestClient = null;
+
+function getRequestClient() {
+  if (!requestClient) {
+    requestClient = new twilio.RequestClient();
+  }
+  return requestClient;
+}
+
+function isValidE164(phoneNumber) {
+  return E164_PATTERN.test(phoneNumber);
+}
+
+// Split a comma separated phone number list, dropping spaces people type inside numbers
+function parsePhoneNumbers(phoneNumbers) {
+  if (!phoneNumbers) return [];
+  return String(phoneNumbers)
+    .split(',')
+    .map(number => number.replace(/[\s-]/g, ''))
+    .filter(Boolean);
+}
+
+// Concise text message, kept short enough to fit a single SMS segment where possible.
+// The wording comes from the 'sms' templates in the recipient's language (see templates.js).
+function buildSmsText(alert, notification) {
+  return renderMessage(notification, 'sms').body;
+}
+
+// Send one message through the Twilio Messages API, resolving to a per-recipient delivery result
+async function sendMessage(channel, to, body) {
+  const accountSid = process.env.TWILIO_ACCOUNT_SID;
+  const authToken = process.env.TWILIO_AUTH_TOKEN;
+  const from = channel === 'whatsapp'
+    ? process.env.TWILIO_WHATSAPP_FROM
+    : process.env.TWILIO_FROM_NUMBER;
+
+  if (!accountSid || !authToken || !from) {
+    return { channel, recipient: to, status: 'failed', message_id: null, error: `Twilio ${channel} is not configured` };
+  }
+
+  const prefix = channel === 'whatsapp' ? 'whatsapp:' : '';
+
+  try {
+    const response = await getRequestClient().request({
+      method: 'post',
+      uri: `${TWILIO_API_BASE_URL}/2010-04-01/Accounts/${accountSid}/Messages.json`,
+      username: accountSid,
+      password: authToken,
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' },
+      data: { To: `${prefix}${to}`, From: `${prefix}${from}`, Body: body }
+    });
+
+    const payload = typeof response.body === 'string' ? JSON.parse(response.body || '{}') : (response.body || {});
+
+    if (response.statusCode >= 300) {
+      return {
+        channel,
+        recipient: to,
+        status: 'failed',
+        message_id: null,
+        error: payload.message || `Twilio responded with HTTP ${response.statusCode}`
+      };
+    }
+
+    return { channel, recipient: to, status: 'sent', message_id: payload.sid || null, error: null };
+  } catch (err) {
+    return { channel, recipient: to, status: 'failed', message_id: null, error: err.message };
+  }
+}
+
+// SMS and WhatsApp share the alert's phone_numbers and only differ in the Twilio address prefix
+function createTwilioChannel(channel) {
+  return {
+    name: channel,
+    recipientColumn: 'phone_numbers',
+    getRecipients: alert => parsePhoneNumbers(alert.phone_numbers),
+    hasRecipients: alert => parsePhoneNumbers(alert.phone_numbers).length > 0,
+
+    // Send the alert to every phone number on the alert
+    async send(alert, notification) {
+      const recipients = parsePhoneNumbers(alert.phone_numbers);
+      if (!recipients.length) return [];
+
+      const body = buildSmsText(alert, notification);
+      const results = [];
+
+      for (const recipient of recipients) {
+        const result = await sendMessage(channel, recipient, body);
+        if (result.status === 'sent') {
+          console.log(`✅ ${channel.toUpperCase()} sent to ${recipient} for field ${notification.field.name || notification.field.id}`);
+        } else {
+          console.error(`❌ ${channel.toUpperCase()} to ${recipient} failed:`, result.error);
+        }
+        results.push(result);
+      }
+
+      return results;
+    }
+  };
+}
+
+module.exports = {
+  isValidE164,
+  parsePhoneNumbers,
+  buildSmsText,
+  sms: createTwilioChannel('sms'),
+  whatsapp: createTwilioChannel('whatsapp')
+};
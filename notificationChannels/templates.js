@@ -0,0 +1,485 @@
+// Named notification templates per channel and language, with {placeholder} variables.
+// Organisations can override any template (see notificationLocale.js); these are the defaults.
+// A notification is rendered in notification.locale = { language, branding, templates } when set, else English
+// with the default branding.
+
+const LANGUAGES = {
+  en: 'English',
+  sn: 'Shona',
+  nd: 'Ndebele'
+};
+const DEFAULT_LANGUAGE = 'en';
+
+const DEFAULT_BRANDING = {
+  name: 'Yieldera',
+  logo_url: null,
+  primary_color: '#01282F',
+  accent_color: '#B6BF00',
+  dashboard_url: process.env.DASHBOARD_URL || null
+};
+
+const TEMPLATE_CHANNELS = ['email', 'sms'];
+// subscription_digest (the scheduled summary of digests.js) only exists for email
+const TEMPLATE_NAMES = ['alert', 'forecast', 'compound', 'escalation', 'resolved', 'digest', 'test', 'subscription_digest'];
+
+// Variables every template can use
+const PLACEHOLDERS = [
+  'brand', 'field', 'farmer_name', 'crop', 'metric', 'value', 'threshold', 'critical',
+  'forecast_time', 'lookahead_hours', 'conditions', 'since', 'count', 'status', 'dashboard_link', 'test_message',
+  'frequency', 'period', 'field_count'
+];
+
+// Email templates have a subject and a plain text body (the introduction above the alert details);
+// SMS templates only a body. Chat messages use the SMS text.
+// In subscription_digest, {count} is the number of alert triggers across {field_count} fields.
+const DEFAULT_TEMPLATES = {
+  en: {
+    email: {
+      alert: {
+        subject: '{critical}ALERT: {metric} condition met at {field}',
+        body: 'A weather alert has been triggered for {field}. Please review the details below.'
+      },
+      forecast: {
+        subject: '{critical}FORECAST ALERT: {metric} condition expected at {field}',
+        body: 'The weather forecast for {field} meets your alert condition within the next {lookahead_hours} hours. Please review the details below.'
+      },
+      compound: {
+        subject: '{critical}ALERT: combined conditions met at {field}',
+        body: 'A weather alert has been triggered for {field}. Please review the details below.'
+      },
+      escalation: {
+        subject: 'ESCALATED {critical}ALERT: {metric} condition met at {field}',
+        body: 'Nobody has acknowledged this alert since {since}. You are receiving it as an escalation contact.'
+      },
+      resolved: {
+        subject: 'RESOLVED: {metric} condition cleared for {field}',
+        body: '{metric} {threshold} is no longer met at {field} (now {value}). No action is needed. You will be alerted again if the condition returns.'
+      },
+      digest: {
+        subject: 'OVERNIGHT SUMMARY: {metric} alerts for {field}',
+        body: '{metric} {threshold} was met {count} time(s) at {field} during your quiet hours.'
+      },
+      test: {
+        subject: 'TEST ALERT: {metric} alert for {field}',
+        body: '{test_message}'
+      },
+      subscription_digest: {
+        subject: '{frequency}: {count} alert trigger(s) across {field_count} field(s)',
+        body: '{count} alert trigger(s) across {field_count} field(s) {period}.'
+      }
+    },
+    sms: {
+      alert: { body: '{brand} {critical}ALERT: {metric} {threshold} at {field} (now {value}).' },
+      forecast: { body: '{brand} {critical}FORECAST: {metric} {threshold} expected at {field} {forecast_time} (predicted {value}).' },
+      compound: { body: '{brand} {critical}ALERT: {conditions} at {field}.' },
+      escalation: { body: '{brand} ESCALATED (not acknowledged): {metric} {threshold} at {field} (now {value}).' },
+      resolved: { body: '{brand} ALL CLEAR: {metric} {threshold} no longer met at {field} (now {value}).' },
+      digest: { body: '{brand} OVERNIGHT: {metric} {threshold} met {count} time(s) at {field} during quiet hours, {status}.' },
+      test: { body: '{brand} TEST: {test_message}' }
+    }
+  },
+  sn: {
+    email: {
+      alert: {
+        subject: '{critical}YAMBIRO: {metric} pamunda {field}',
+        body: 'Pane yambiro yemamiriro ekunze pamunda {field}. Ndapota verenga ruzivo ruri pazasi.'
+      },
+      forecast: {
+        subject: '{critical}FUNGIDZIRO: {metric} inotarisirwa pamunda {field}',
+        body: 'Fungidziro yemamiriro ekunze emunda {field} inosvika pamuganhu weyambiro yako mumaawa {lookahead_hours} anotevera. Ndapota verenga ruzivo ruri pazasi.'
+      },
+      compound: {
+        subject: '{critical}YAMBIRO: mamiriro akabatanidzwa pamunda {field}',
+        body: 'Pane yambiro yemamiriro ekunze pamunda {field}. Ndapota verenga ruzivo ruri pazasi.'
+      },
+      escalation: {
+        subject: 'ISINA KUPINDURWA {critical}YAMBIRO: {metric} pamunda {field}',
+        body: 'Hapana akapindura yambiro iyi kubvira {since}. Uri kuitumirwa semunhu anobatsira kana vamwe vasina kupindura.'
+      },
+      resolved: {
+        subject: 'ZVANAKA: {metric} yadzoka pakanaka pamunda {field}',
+        body: '{metric} {threshold} haichisiri kuitika pamunda {field} (ikozvino {value}). Hapana chekuita. Uchaziviswa zvakare kana zvikadzoka.'
+      },
+      digest: {
+        subject: 'ZVAKAITIKA USIKU: yambiro dze{metric} pamunda {field}',
+        body: '{metric} {threshold} yakaitika kakawanda {count} pamunda {field} panguva yako yekuzorora.'
+      },
+      test: {
+        subject: 'YAMBIRO YEKUEDZA: {metric} pamunda {field}',
+        body: '{test_message}'
+      },
+      subscription_digest: {
+        subject: '{frequency}: yambiro {count} muminda {field_count}',
+        body: 'Yambiro dzakaitika {count} muminda {field_count} {period}.'
+      }
+    },
+    sms: {
+      alert: { body: '{brand} {critical}YAMBIRO: {metric} {threshold} pamunda {field} (ikozvino {value}).' },
+      forecast: { body: '{brand} {critical}FUNGIDZIRO: {metric} {threshold} inotarisirwa pamunda {field} {forecast_time} (fungidziro {value}).' },
+      compound: { body: '{brand} {critical}YAMBIRO: {conditions} pamunda {field}.' },
+      escalation: { body: '{brand} YAMBIRO ISINA KUPINDURWA: {metric} {threshold} pamunda {field} (ikozvino {value}).' },
+      resolved: { body: '{brand} ZVANAKA: {metric} {threshold} haichisiri kuitika pamunda {field} (ikozvino {value}).' },
+      digest: { body: '{brand} ZVAKAITIKA USIKU: {metric} {threshold} kakawanda {count} pamunda {field}, {status}.' },
+      test: { body: '{brand} KUEDZA: {test_message}' }
+    }
+  },
+  nd: {
+    email: {
+      alert: {
+        subject: '{critical}ISEXWAYISO: {metric} ensimini {field}',
+        body: 'Kukhona isexwayiso sesimo sezulu ensimini {field}. Siza ubale imininingwane engezansi.'
+      },
+      forecast: {
+        subject: '{critical}ISIBIKEZELO: {metric} kulindelwe ensimini {field}',
+        body: 'Isibikezelo sesimo sezulu sensimu {field} sifika emkhawulweni wesexwayiso sakho emahoreni angu-{lookahead_hours} alandelayo. Siza ubale imininingwane engezansi.'
+      },
+      compound: {
+        subject: '{critical}ISEXWAYISO: izimo ezihlanganisiweyo ensimini {field}',
+        body: 'Kukhona isexwayiso sesimo sezulu ensimini {field}. Siza ubale imininingwane engezansi.'
+      },
+      escalation: {
+        subject: 'ESINGAPHENDULWANGA {critical}ISEXWAYISO: {metric} ensimini {field}',
+        body: 'Kakho ophendule lesi sexwayiso kusukela ngo-{since}. Usithola njengomuntu othintwayo nxa abanye bengaphenduli.'
+      },
+      resolved: {
+        subject: 'KUSEKUHLE: {metric} ensimini {field}',
+        body: '{metric} {threshold} akusenjalo ensimini {field} (khathesi {value}). Akukho okumele kwenziwe. Uzakwaziswa futhi nxa kungabuya.'
+      },
+      digest: {
+        subject: 'OKWENZEKE EBUSUKU: izexwayiso ze-{metric} ensimini {field}',
+        body: '{metric} {threshold} kwenzeke izikhathi ezingu-{count} ensimini {field} ngesikhathi sakho sokuphumula.'
+      },
+      test: {
+        subject: 'ISEXWAYISO SOKUHLOLA: {metric} ensimini {field}',
+        body: '{test_message}'
+      },
+      subscription_digest: {
+        subject: '{frequency}: izexwayiso ezingu-{count} emasimini angu-{field_count}',
+        body: 'Izexwayiso ezingu-{count} emasimini angu-{field_count} {period}.'
+      }
+    },
+    sms: {
+      alert: { body: '{brand} {critical}ISEXWAYISO: {metric} {threshold} ensimini {field} (khathesi {value}).' },
+      forecast: { body: '{brand} {critical}ISIBIKEZELO: {metric} {threshold} kulindelwe ensimini {field} {forecast_time} (kubikezelwa {value}).' },
+      compound: { body: '{brand} {critical}ISEXWAYISO: {conditions} ensimini {field}.' },
+      escalation: { body: '{brand} ISEXWAYISO ESINGAPHENDULWANGA: {metric} {threshold} ensimini {field} (khathesi {value}).' },
+      resolved: { body: '{brand} KUSEKUHLE: {metric} {threshold} akusenjalo ensimini {field} (khathesi {value}).' },
+      digest: { body: '{brand} OKWENZEKE EBUSUKU: {metric} {threshold} izikhathi ezingu-{count} ensimini {field}, {status}.' },
+      test: { body: '{brand} UKUHLOLA: {test_message}' }
+    }
+  }
+};
+
+// Fixed wording around the templates (email labels, badges, digest statuses)
+const LABELS = {
+  en: {
+    critical: 'CRITICAL ',
+    no_data: 'no data',
+    conditions_of: '{matched} of {total}',
+    digest_cleared: 'cleared since (now {value})',
+    digest_latest: 'latest {value}',
+    badge_alert: 'ALERT TRIGGERED',
+    badge_forecast: 'FORECAST ALERT',
+    badge_escalated: 'ESCALATED',
+    badge_resolved: 'ALL CLEAR',
+    badge_digest: 'OVERNIGHT SUMMARY',
+    badge_test: 'TEST ALERT',
+    alert_details: 'Alert Details',
+    field: 'Field',
+    farmer: 'Farmer',
+    crop: 'Crop',
+    alert_type: 'Alert Type',
+    current_value: 'Current Value',
+    predicted_value: 'Predicted Value',
+    conditions_met: 'Conditions Met',
+    expected_at: 'Expected At',
+    threshold: 'Threshold',
+    status: 'Status',
+    condition_met: 'Threshold condition met',
+    alert_raised: 'Alert Raised',
+    triggered: 'Triggered',
+    cleared: 'Cleared',
+    what_happened: 'What happened ({timezone} time)',
+    held_notice: 'These notifications were held back during quiet hours. Critical alerts are always sent straight away.',
+    test_notice: 'This is a test notification. No actual alert condition has been triggered.',
+    acknowledge: 'Acknowledge',
+    snooze: 'Snooze {hours} hours',
+    open_dashboard: 'Open dashboard',
+    subscribed: "You're receiving this alert because you're subscribed to weather notifications for this field. To manage your alert settings, please log in to your {brand} dashboard.",
+    frequency_daily: 'Daily digest',
+    frequency_weekly: 'Weekly digest',
+    period_daily: 'since yesterday',
+    period_weekly: 'this week',
+    badge_daily_digest: 'DAILY DIGEST',
+    badge_weekly_digest: 'WEEKLY DIGEST',
+    digest_covering: 'Covering {from} to {to} ({timezone} time).',
+    digest_now: 'Now',
+    digest_outlook: 'Next {hours}h',
+    digest_weather: '{temperature}, wind {windspeed}, rain {rainfall}, humidity {humidity}',
+    digest_outlook_text: '{min_temperature} to {max_temperature}, {rainfall} rain, wind up to {windspeed}',
+    weather_unavailable: 'weather unavailable',
+    forecast_unavailable: 'forecast unavailable',
+    digest_no_alerts: 'No alerts triggered {period}.',
+    digest_alert: 'triggered {count}× (latest {value}, {time})',
+    severity_info: 'INFO',
+    severity_warning: 'WARNING',
+    severity_critical: 'CRITICAL',
+    digest_manage: 'To change or stop this digest, log in to your {brand} dashboard.',
+    regards: 'Regards,',
+    team: 'The {brand} Team',
+    rights: '© {year} {brand}. All rights reserved.'
+  },
+  sn: {
+    critical: 'ZVAKAKOSHA ',
+    no_data: 'hapana ruzivo',
+    conditions_of: '{matched} pa{total}',
+    digest_cleared: 'zvanaka zvino (ikozvino {value})',
+    digest_latest: 'yekupedzisira {value}',
+    badge_alert: 'YAMBIRO',
+    badge_forecast: 'FUNGIDZIRO',
+    badge_escalated: 'ISINA KUPINDURWA',
+    badge_resolved: 'ZVANAKA',
+    badge_digest: 'ZVAKAITIKA USIKU',
+    badge_test: 'KUEDZA',
+    alert_details: 'Ruzivo rweyambiro',
+    field: 'Munda',
+    farmer: 'Murimi',
+    crop: 'Chirimwa',
+    alert_type: 'Rudzi rweyambiro',
+    current_value: 'Ikozvino',
+    predicted_value: 'Zvinotarisirwa',
+    conditions_met: 'Zvaitika',
+    expected_at: 'Nguva inotarisirwa',
+    threshold: 'Muganhu',
+    status: 'Mamiriro',
+    condition_met: 'Muganhu wasvikwa',
+    alert_raised: 'Yambiro yakatanga',
+    triggered: 'Yambiro',
+    cleared: 'Zvanaka',
+    what_happened: 'Zvakaitika (nguva ye{timezone})',
+    held_notice: 'Mashoko aya akamiswa panguva yekuzorora. Yambiro dzakakosha dzinotumirwa pakarepo.',
+    test_notice: 'Iri ishoko rekuedza. Hapana yambiro chaiyo yaitika.',
+    acknowledge: 'Ndazviona',
+    snooze: 'Mirira maawa {hours}',
+    open_dashboard: 'Vhura dashboard',
+    subscribed: 'Uri kugamuchira yambiro iyi nekuti wakanyoresa mashoko emamiriro ekunze emunda uyu. Kuti uchinje yambiro dzako, pinda mu dashboard ye{brand}.',
+    frequency_daily: 'Pfupiso yezuva',
+    frequency_weekly: 'Pfupiso yevhiki',
+    period_daily: 'kubva nezuro',
+    period_weekly: 'vhiki rino',
+    badge_daily_digest: 'PFUPISO YEZUVA',
+    badge_weekly_digest: 'PFUPISO YEVHIKI',
+    digest_covering: 'Kubva {from} kusvika {to} (nguva ye{timezone}).',
+    digest_now: 'Ikozvino',
+    digest_outlook: 'Maawa {hours} anotevera',
+    digest_weather: '{temperature}, mhepo {windspeed}, mvura {rainfall}, hunyoro {humidity}',
+    digest_outlook_text: '{min_temperature} kusvika {max_temperature}, mvura {rainfall}, mhepo inosvika {windspeed}',
+    weather_unavailable: 'hapana ruzivo rwemamiriro ekunze',
+    forecast_unavailable: 'hapana fungidziro',
+    digest_no_alerts: 'Hapana yambiro yaitika {period}.',
+    digest_alert: 'yaitika {count}× (yekupedzisira {value}, {time})',
+    severity_info: 'RUZIVO',
+    severity_warning: 'NYEVERO',
+    severity_critical: 'ZVAKAKOSHA',
+    digest_manage: 'Kuti uchinje kana kumisa pfupiso iyi, pinda mu dashboard ye{brand}.',
+    regards: 'Tinokwazisa,',
+    team: 'Chikwata che{brand}',
+    rights: '© {year} {brand}. Kodzero dzese dzakachengetedzwa.'
+  },
+  nd: {
+    critical: 'KUQAKATHEKILE ',
+    no_data: 'akulalwazi',
+    conditions_of: '{matched} kwezingu-{total}',
+    digest_cleared: 'sekulungile (khathesi {value})',
+    digest_latest: 'okokucina {value}',
+    badge_alert: 'ISEXWAYISO',
+    badge_forecast: 'ISIBIKEZELO',
+    badge_escalated: 'ESINGAPHENDULWANGA',
+    badge_resolved: 'KUSEKUHLE',
+    badge_digest: 'OKWENZEKE EBUSUKU',
+    badge_test: 'UKUHLOLA',
+    alert_details: 'Imininingwane yesexwayiso',
+    field: 'Insimu',
+    farmer: 'Umlimi',
+    crop: 'Isilimo',
+    alert_type: 'Uhlobo lwesexwayiso',
+    current_value: 'Khathesi',
+    predicted_value: 'Okulindelweyo',
+    conditions_met: 'Okwenzakeleyo',
+    expected_at: 'Isikhathi esilindelweyo',
+    threshold: 'Umkhawulo',
+    status: 'Isimo',
+    condition_met: 'Umkhawulo ufinyelelwe',
+    alert_raised: 'Isexwayiso saqala',
+    triggered: 'Isexwayiso',
+    cleared: 'Kusekuhle',
+    what_happened: 'Okwenzekileyo (isikhathi se-{timezone})',
+    held_notice: 'Lezi zaziso zagodlwa ngesikhathi sokuphumula. Izexwayiso eziqakathekileyo zithunyelwa masinyane.',
+    test_notice: 'Lesi yisaziso sokuhlola. Akukho sexwayiso sisigqoko esenzakeleyo.',
+    acknowledge: 'Ngikubonile',
+    snooze: 'Lindisa amahora angu-{hours}',
+    open_dashboard: 'Vula i-dashboard',
+    subscribed: 'Uthola lesi sexwayiso ngoba ubhalisele izaziso zesimo sezulu zale nsimu. Ukuze uguqule izexwayiso zakho, ngena ku-dashboard ye-{brand}.',
+    frequency_daily: 'Isifinyezo sosuku',
+    frequency_weekly: 'Isifinyezo seviki',
+    period_daily: 'kusukela izolo',
+    period_weekly: 'kuleli viki',
+    badge_daily_digest: 'ISIFINYEZO SOSUKU',
+    badge_weekly_digest: 'ISIFINYEZO SEVIKI',
+    digest_covering: 'Kusukela {from} kuze kube {to} (isikhathi se-{timezone}).',
+    digest_now: 'Khathesi',
+    digest_outlook: 'Amahora angu-{hours} alandelayo',
+    digest_weather: '{temperature}, umoya {windspeed}, izulu {rainfall}, umswakama {humidity}',
+    digest_outlook_text: '{min_temperature} kuya ku-{max_temperature}, izulu {rainfall}, umoya ofika ku-{windspeed}',
+    weather_unavailable: 'akulalwazi lwesimo sezulu',
+    forecast_unavailable: 'akulasibikezelo',
+    digest_no_alerts: 'Akukho sexwayiso esenzakeleyo {period}.',
+    digest_alert: 'kwenzeke {count}× (okokucina {value}, {time})',
+    severity_info: 'ULWAZI',
+    severity_warning: 'ISEXWAYISO',
+    severity_critical: 'KUQAKATHEKILE',
+    digest_manage: 'Ukuze uguqule kumbe umise lesi sifinyezo, ngena ku-dashboard ye-{brand}.',
+    regards: 'Ngokuzithoba,',
+    team: 'Iqembu le-{brand}',
+    rights: '© {year} {brand}. Wonke amalungelo agodliwe.'
+  }
+};
+
+// Metric names in templates; metrics without a translation keep their catalog name
+const METRIC_NAMES = {
+  sn: {
+    temperature: 'Tembiricha',
+    rainfall: 'Mvura yanaya',
+    wind: 'Mhepo',
+    dew_point: 'Dova',
+    compound: 'Mamiriro akabatanidzwa'
+  },
+  nd: {
+    temperature: 'Izinga lokutshisa',
+    rainfall: 'Izulu elinileyo',
+    wind: 'Umoya',
+    dew_point: 'Amazolo',
+    compound: 'Izimo ezihlanganisiweyo'
+  }
+};
+
+// Replace {name} placeholders, leaving unknown ones as they are
+function renderText(template, variables) {
+  return String(template).replace(/\{(\w+)\}/g, (match, name) => (
+    variables[name] !== undefined && variables[name] !== null ? String(variables[name]) : match
+  ));
+}
+
+// Which template a notification is rendered with
+function getTemplateName(notification) {
+  if (notification.test) return 'test';
+  if (['escalation', 'resolved', 'digest', 'subscription_digest'].includes(notification.kind)) return notification.kind;
+  if (notification.forecast) return 'forecast';
+  if (notification.conditions) return 'compound';
+  return 'alert';
+}
+
+function getLocale(notification) {
+  const locale = notification.locale || {};
+  return {
+    language: LANGUAGES[locale.language] ? locale.language : DEFAULT_LANGUAGE,
+    branding: { ...DEFAULT_BRANDING, ...(locale.branding || {}) },
+    templates: locale.templates || {}
+  };
+}
+
+// Values for every placeholder of a notification. A subscription digest carries its summary (see digests.js)
+// as notification.summary.
+function getTemplateVariables(notification, language, branding, label) {
+  const field = notification.field || {};
+  const summary = notification.summary || null;
+  const unit = notification.unit || '';
+  const formatValue = value => (value !== null && value !== undefined ? `${value}${unit}` : label('no_data'));
+  const fieldName = field.name || `${label('field')} #${field.id}`;
+  const digest = notification.digest || [];
+  const last = digest[digest.length - 1];
+  const conditions = notification.conditions || null;
+
+  let value = formatValue(notification.value);
+  if (conditions && notification.kind !== 'resolved') {
+    value = label('conditions_of', { matched: notification.value, total: conditions.length });
+  }
+
+  let status = '';
+  if (last) {
+    status = last.kind === 'resolved'
+      ? label('digest_cleared', { value: formatValue(last.value) })
+      : label('digest_latest', { value: conditions ? label('conditions_of', { matched: last.value, total: conditions.length }) : formatValue(last.value) });
+  }
+
+  const metricNames = METRIC_NAMES[language] || {};
+
+  return {
+    brand: branding.name,
+    field: fieldName,
+    field_name: fieldName,
+    farmer_name: field.farmer_name || '',
+    crop: field.crop || '',
+    metric: metricNames[notification.alertType] || notification.metricName,
+    value,
+    threshold: notification.thresholdText,
+    critical: notification.severity === 'critical' ? label('critical') : '',
+    forecast_time: notification.forecast ? `${notification.forecast.datetime.toISOString().slice(0, 16).replace('T', ' ')} UTC` : '',
+    lookahead_hours: notification.forecast ? notification.forecast.lookaheadHours : '',
+    conditions: conditions
+      ? conditions
+        .filter(condition => condition.matched)
+        .map(condition => `${condition.text} (${condition.value !== null ? `${condition.value}${condition.unit}` : label('no_data')})`)
+        .join('; ')
+      : '',
+    since: notification.incident && notification.incident.openedAt ? new Date(notification.incident.openedAt).toUTCString() : '',
+    count: summary ? summary.trigger_count : digest.filter(item => item.kind === 'triggered').length,
+    status,
+    frequency: summary ? label(`frequency_${summary.frequency}`) : '',
+    period: summary ? label(`period_${summary.frequency}`) : '',
+    field_count: summary ? summary.fields.length : '',
+    dashboard_link: branding.dashboard_url || '',
+    year: new Date().getFullYear()
+  };
+}
+
+// Render a notification for a channel ('email' or 'sms'). Resolves the organisation's override of the template
+// (falling back to the default of the language, then English) and returns
+// { subject, body, variables, branding, label(key, extra) } where label renders the fixed wording.
+function renderMessage(notification, channel) {
+  const { language, branding, templates } = getLocale(notification);
+  const name = getTemplateName(notification);
+  const labels = { ...LABELS.en, ...LABELS[language] };
+  const label = (key, extra = {}) => renderText(labels[key], { brand: branding.name, year: new Date().getFullYear(), ...extra });
+
+  const defaults = DEFAULT_TEMPLATES[language][channel][name] || DEFAULT_TEMPLATES.en[channel][name];
+  const override = (templates[channel] || {})[name] || {};
+  const template = {
+    subject: override.subject || defaults.subject || null,
+    body: override.body || defaults.body
+  };
+
+  const variables = getTemplateVariables(notification, language, branding, label);
+  variables.test_message = notification.testMessage ? renderText(notification.testMessage, variables) : '';
+
+  return {
+    language,
+    subject: template.subject ? renderText(template.subject, variables).replace(/\s+/g, ' ').trim() : null,
+    body: renderText(template.body, variables).replace(/ {2,}/g, ' ').trim(),
+    variables,
+    branding,
+    label
+  };
+}
+
+module.exports = {
+  LANGUAGES,
+  DEFAULT_LANGUAGE,
+  DEFAULT_BRANDING,
+  TEMPLATE_CHANNELS,
+  TEMPLATE_NAMES,
+  PLACEHOLDERS,
+  DEFAULT_TEMPLATES,
+  renderText,
+  renderMessage
+};
@@ -0,0 +1,95 @@
+const crypto = require('crypto');
+const { postToPublicUrl } = require('./publicUrl');
+
+const WEBHOOK_TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS || '10000');
+
+// JSON body posted to farm-ops systems for every trigger
+function buildPayload(alert, notification) {
+  let event = 'alert.triggered';
+  if (notification.test) event = 'alert.test';
+  else if (notification.kind === 'resolved') event = 'alert.resolved';
+  else if (notification.kind === 'escalation') event = 'alert.escalated';
+  else if (notification.kind === 'digest') event = 'alert.digest';
+  else if (notification.forecast) event = 'alert.forecast';
+
+  return {
+    event,
+    sent_at: new Date().toISOString(),
+    alert: {
+      id: alert.id,
+      name: alert.name || null,
+      alert_type: alert.alert_type,
+      condition_type: alert.condition_type,
+      threshold_value: alert.threshold_value !== null ? parseFloat(alert.threshold_value) : null,
+      second_threshold_value: alert.second_threshold_value !== null && alert.second_threshold_value !== undefined
+        ? parseFloat(alert.second_threshold_value)
+        : null,
+      threshold: notification.thresholdText,
+      severity: notification.severity
+    },
+    field: {
+      id: notification.field.id,
+      name: notification.field.name || null
+    },
+    value: notification.value !== null && notification.value !== undefined ? notification.value : null,
+    unit: notification.unit || null,
+    predicted_for: notification.forecast ? notification.forecast.datetime.toISOString() : null,
+    conditions: notification.conditions || null,
+    incident: notification.incident ? { id: notification.incident.id, opened_at: notification.incident.openedAt } : null,
+    digest: notification.digest
+      ? notification.digest.map(item => ({
+        kind: item.kind,
+        value: item.value,
+        queued_at: new Date(item.queuedAt).toISOString(),
+        predicted_for: item.predictedFor ? new Date(item.predictedFor).toISOString() : null,
+        conditions: item.conditions
+      }))
+      : null,
+    message: notification.test ? notification.testMessage : null
+  };
+}
+
+// HMAC-SHA256 over "<timestamp>.<body>" so receivers can reject replayed or tampered requests
+function signPayload(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+// Post the signed JSON payload to the alert's webhook_url
+async function send(alert, notification) {
+  if (!alert.webhook_url) return [];
+
+  const secret = alert.webhook_secret || process.env.WEBHOOK_SIGNING_SECRET;
+  if (!secret) {
+    return [{ channel: 'webhook', recipient: alert.webhook_url, status: 'failed', message_id: null, error: 'No webhook signing secret configured' }];
+  }
+
+  const body = JSON.stringify(buildPayload(alert, notification));
+  const timestamp = Math.floor(Date.now() / 1000).toString();
+
+  try {
+    const response = await postToPublicUrl(alert.webhook_url, body, {
+      timeout: WEBHOOK_TIMEOUT_MS,
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'Yieldera-Alerts-Webhook',
+        'X-Yieldera-Timestamp': timestamp,
+        'X-Yieldera-Signature': `sha256=${signPayload(secret, timestamp, body)}`
+      }
+    });
+    console.log(`✅ Webhook delivered to ${alert.webhook_url} (HTTP ${response.status})`);
+    return [{ channel: 'webhook', recipient: alert.webhook_url, status: 'sent', message_id: null, error: null }];
+  } catch (err) {
+    console.error(`❌ Webhook to ${alert.webhook_url} failed:`, err.message);
+    return [{ channel: 'webhook', recipient: alert.webhook_url, status: 'failed', message_id: null, error: err.message }];
+  }
+}
+
+module.exports = {
+  name: 'webhook',
+  recipientColumn: 'webhook_url',
+  getRecipients: alert => (alert.webhook_url ? [alert.webhook_url] : []),
+  hasRecipients: alert => !!alert.webhook_url,
+  buildPayload,
+  signPayload,
+  send
+};
@@ -0,0 +1,199 @@
+// Per-organisation branding and template overrides, and the language each recipient gets notifications in.
+// Organisation settings are cached for a few minutes; the API clears its cache when they change.
+const db = require('./database');
+const { LANGUAGES, DEFAULT_LANGUAGE, DEFAULT_BRANDING } = require('./notificationChannels/templates');
+const { getChannel, dispatch } = require('./notificationChannels/channelRegistry');
+
+const CACHE_TTL_MS = 5 * 60 * 1000;
+const BRANDING_COLUMNS = ['brand_name', 'logo_url', 'primary_color', 'accent_color', 'dashboard_url', 'default_language'];
+
+const COLOR_PATTERN = /^#[0-9a-fA-F]{6}$/;
+const URL_PATTERN = /^https?:\/\/\S+$/;
+
+const cache = new Map();
+
+function clearLocaleCache(organisationId) {
+  cache.delete(Number(organisationId));
+}
+
+// Recipients are matched case-insensitively for emails and without spaces or dashes for phone numbers
+function normalizeRecipient(recipient) {
+  return String(recipient || '').trim().toLowerCase().replace(/[\s-]/g, '');
+}
+
+// Helper function to validate a branding payload, returning { error } or { values } to store.
+// Omitted settings keep their current value; null resets one to the default.
+function parseBranding(body) {
+  const values = {};
+
+  for (const column of BRANDING_COLUMNS) {
+    if (body[column] === undefined) continue;
+    const value = body[column] === null || body[column] === '' ? null : String(body[column]).trim();
+
+    if (value !== null) {
+      if ((column === 'primary_color' || column === 'accent_color') && !COLOR_PATTERN.test(value)) {
+        return { error: `${column} must be a hex colour such as #01282F` };
+      }
+      if ((column === 'logo_url' || column === 'dashboard_url') && !URL_PATTERN.test(value)) {
+        return { error: `${column} must be an http(s) URL` };
+      }
+      if (column === 'default_language' && !LANGUAGES[value]) {
+        return { error: `default_language must be one of: ${Object.keys(LANGUAGES).join(', ')}` };
+      }
+      if (column === 'brand_name' && value.length > 100) {
+        return { error: 'brand_name must be at most 100 characters' };
+      }
+    }
+    values[column] = value;
+  }
+
+  if (!Object.keys(values).length) {
+    return { error: `Nothing to update, expected one of: ${BRANDING_COLUMNS.join(', ')}` };
+  }
+  return { values };
+}
+
+// Helper function to validate an alert's language settings, returning { error } or the values to store.
+// recipient_languages maps an email address or phone number to the language that recipient reads.
+function parseLanguageSettings({ language, recipient_languages }) {
+  if (language !== undefined && language !== null && language !== '' && !LANGUAGES[language]) {
+    return { error: `language must be one of: ${Object.keys(LANGUAGES).join(', ')}` };
+  }
+
+  let recipientLanguages = recipient_languages;
+  if (typeof recipientLanguages === 'string' && recipientLanguages) {
+    try {
+      recipientLanguages = JSON.parse(recipientLanguages);
+    } catch (err) {
+      return { error: 'recipient_languages must be an object mapping recipients to languages' };
+    }
+  }
+
+  if (recipientLanguages === undefined || recipientLanguages === null || recipientLanguages === '') {
+    recipientLanguages = null;
+  } else if (typeof recipientLanguages !== 'object' || Array.isArray(recipientLanguages)) {
+    return { error: 'recipient_languages must be an object mapping recipients to languages' };
+  } else {
+    const normalized = {};
+    for (const [recipient, recipientLanguage] of Object.entries(recipientLanguages)) {
+      if (!LANGUAGES[recipientLanguage]) {
+        return { error: `recipient_languages: '${recipient}' must map to one of: ${Object.keys(LANGUAGES).join(', ')}` };
+      }
+      normalized[normalizeRecipient(recipient)] = recipientLanguage;
+    }
+    recipientLanguages = Object.keys(normalized).length ? JSON.stringify(normalized) : null;
+  }
+
+  return {
+    language: language || null,
+    recipientLanguages
+  };
+}
+
+// Branding, default language and template overrides ({ [language]: { [channel]: { [name]: template } } })
+// of an organisation
+async function getOrganisationLocale(organisationId) {
+  const key = Number(organisationId);
+  const cached = cache.get(key);
+  if (cached && cached.expiresAt > Date.now()) return cached.locale;
+
+  const locale = { branding: { ...DEFAULT_BRANDING }, defaultLanguage: DEFAULT_LANGUAGE, templates: {} };
+
+  if (organisationId) {
+    const [organisations] = await db.query(
+      `SELECT ${BRANDING_COLUMNS.join(', ')} FROM organisations WHERE id = ?`,
+      [organisationId]
+    );
+    const organisation = organisations[0];
+    if (organisation) {
+      locale.branding = {
+        name: organisation.brand_name || DEFAULT_BRANDING.name,
+        logo_url: organisation.logo_url || DEFAULT_BRANDING.logo_url,
+        primary_color: organisation.primary_color || DEFAULT_BRANDING.primary_color,
+        accent_color: organisation.accent_color || DEFAULT_BRANDING.accent_color,
+        dashboard_url: organisation.dashboard_url || DEFAULT_BRANDING.dashboard_url
+      };
+      locale.defaultLanguage = organisation.default_language || DEFAULT_LANGUAGE;
+    }
+
+    const [templates] = await db.query(
+      'SELECT channel, name, language, subject, body FROM notification_templates WHERE organisation_id = ?',
+      [organisationId]
+    );
+    templates.forEach(template => {
+      const byChannel = locale.templates[template.language] = locale.templates[template.language] || {};
+      (byChannel[template.channel] = byChannel[template.channel] || {})[template.name] = {
+        subject: template.subject,
+        body: template.body
+      };
+    });
+  }
+
+  cache.set(key, { locale, expiresAt: Date.now() + CACHE_TTL_MS });
+  return locale;
+}
+
+// The language a recipient reads: their entry in recipient_languages, else the alert's language,
+// else the organisation's default
+function getRecipientLanguage(alert, recipient, defaultLanguage = DEFAULT_LANGUAGE) {
+  let recipientLanguages = alert.recipient_languages || null;
+  if (typeof recipientLanguages === 'string') {
+    try {
+      recipientLanguages = JSON.parse(recipientLanguages);
+    } catch (err) {
+      recipientLanguages = null;
+    }
+  }
+
+  const language = (recipient && recipientLanguages && recipientLanguages[normalizeRecipient(recipient)]) || alert.language || defaultLanguage;
+  return LANGUAGES[language] ? language : DEFAULT_LANGUAGE;
+}
+
+// Attach the locale a notification is rendered in for one recipient (or the alert's language without one).
+// `alert` must carry organisation_id.
+async function localizeNotification(notification, alert, recipient = null) {
+  const locale = await getOrganisationLocale(alert.organisation_id);
+  const language = getRecipientLanguage(alert, recipient, locale.defaultLanguage);
+
+  return {
+    ...notification,
+    locale: {
+      language,
+      branding: locale.branding,
+      templates: locale.templates[language] || {}
+    }
+  };
+}
+
+// Like dispatch, but one send per recipient so each gets the notification in their own language
+async function dispatchLocalized(alert, notification, channelNames) {
+  const deliveries = [];
+
+  for (const name of channelNames) {
+    const channel = getChannel(name);
+    const recipients = channel ? channel.getRecipients(alert) : [];
+    if (!recipients.length) {
+      // Let dispatch report the unknown channel or missing recipients
+      deliveries.push(...await dispatch(alert, notification, [name]));
+      continue;
+    }
+
+    for (const recipient of recipients) {
+      const localized = await localizeNotification(notification, alert, recipient);
+      deliveries.push(...await dispatch({ ...alert, [channel.recipientColumn]: recipient }, localized, [name]));
+    }
+  }
+
+  return deliveries;
+}
+
+module.exports = {
+  BRANDING_COLUMNS,
+  clearLocaleCache,
+  parseBranding,
+  parseLanguageSettings,
+  getOrganisationLocale,
+  getRecipientLanguage,
+  localizeNotification,
+  dispatchLocalized
+};
@@ -0,0 +1,246 @@
+// Notification outbox: every alert notification is stored once per channel and recipient before anything is sent,
+// and so is every subscription digest (entries with a subscription_id instead of an alert_id).
+// deliverOutbox() sends what is due, retrying failures with exponential backoff until MAX_ATTEMPTS,
+// and logs every attempt to notification_deliveries.
+// pending -> sending -> sent | pending again (retry) | failed (out of attempts)
+const db = require('./database');
+const { getChannel, getAlertChannels } = require('./notificationChannels/channelRegistry');
+const email = require('./notificationChannels/email');
+const { localizeNotification } = require('./notificationLocale');
+
+const OUTBOX_STATUSES = ['pending', 'sending', 'sent', 'failed'];
+const MAX_ATTEMPTS = parseInt(process.env.NOTIFICATION_MAX_ATTEMPTS || '6');
+const RETRY_BASE_MINUTES = parseInt(process.env.NOTIFICATION_RETRY_BASE_MINUTES || '1');
+const RETRY_MAX_MINUTES = 60;
+const BATCH_SIZE = 100;
+
+// A send still marked 'sending' after this long was interrupted (e.g. the monitor restarted) and is picked up again
+const STALE_SENDING_MINUTES = 10;
+
+let delivering = false;
+
+// Minutes to wait before the next attempt: 1, 2, 4, 8, ... capped at an hour
+function getRetryDelayMinutes(attempt) {
+  return Math.min(RETRY_BASE_MINUTES * Math.pow(2, attempt - 1), RETRY_MAX_MINUTES);
+}
+
+// Store a notification for every recipient of the given channels. `alert` supplies the recipients
+// (escalations pass a copy carrying the escalation lists). Resolves to the queued { channel, recipient } entries.
+async function enqueueNotification(alert, notification, {
+  channels = getAlertChannels(alert),
+  triggerId = null,
+  incidentId = null
+} = {}) {
+  const entries = [];
+
+  for (const name of channels) {
+    const channel = getChannel(name);
+    if (!channel) {
+      console.warn(`⚠️ Alert ${alert.id} uses unknown channel '${name}'`);
+      continue;
+    }
+    if (!channel.hasRecipients(alert)) {
+      console.warn(`⚠️ Alert ${alert.id} has the ${name} channel enabled but no recipients for it`);
+      continue;
+    }
+    channel.getRecipients(alert).forEach(recipient => entries.push({ channel: name, recipient }));
+  }
+
+  if (!entries.length) return [];
+
+  const now = new Date();
+  const payload = JSON.stringify(notification);
+  await db.query(
+    `INSERT INTO notification_outbox
+      (alert_id, trigger_id, incident_id, kind, channel, recipient, payload, status, attempts, next_attempt_at, created_at, updated_at)
+     VALUES ?`,
+    [entries.map(entry => [
+      alert.id, triggerId, incidentId, notification.kind, entry.channel, entry.recipient, payload, 'pending', 0, now, now, now
+    ])]
+  );
+
+  return entries;
+}
+
+// Store a subscription's digest (see digests.js) for its recipient. Resolves to the outbox entry id.
+async function enqueueDigest(subscription, digest) {
+  const now = new Date();
+  const [result] = await db.query(
+    `INSERT INTO notification_outbox
+      (subscription_id, kind, channel, recipient, payload, status, attempts, next_attempt_at, created_at, updated_at)
+     VALUES (?, 'subscription_digest', 'email', ?, ?, 'pending', 0, ?, ?, ?)`,
+    [subscription.id, subscription.email, JSON.stringify(digest), now, now, now]
+  );
+  return result.insertId;
+}
+
+// Notifications are stored as JSON, so dates channels format directly need turning back into Dates
+function reviveNotification(payload) {
+  const notification = typeof payload === 'string' ? JSON.parse(payload) : payload;
+  if (notification.forecast && notification.forecast.datetime) {
+    notification.forecast.datetime = new Date(notification.forecast.datetime);
+  }
+  return notification;
+}
+
+// Send one outbox entry through its channel, narrowed to the entry's recipient and rendered in their language
+async function sendEntry(entry, alert) {
+  const channel = getChannel(entry.channel);
+  if (!channel) {
+    return { status: 'failed', message_id: null, error: `Unknown channel '${entry.channel}'` };
+  }
+
+  try {
+    const notification = await localizeNotification(reviveNotification(entry.payload), alert, entry.recipient);
+    const [result] = await channel.send({ ...alert, [channel.recipientColumn]: entry.recipient }, notification);
+    return result || { status: 'failed', message_id: null, error: 'Channel had no recipient to send to' };
+  } catch (err) {
+    return { status: 'failed', message_id: null, error: err.message };
+  }
+}
+
+// Send one digest entry to its subscriber, branded for the subscription's organisation and in its language.
+// Dates in the stored digest stay ISO strings, which the email formats.
+async function sendDigestEntry(entry, subscription) {
+  const summary = typeof entry.payload === 'string' ? JSON.parse(entry.payload) : entry.payload;
+  try {
+    const notification = await localizeNotification({ kind: 'subscription_digest', summary }, subscription, entry.recipient);
+    return await email.sendDigest(entry.recipient, notification);
+  } catch (err) {
+    return { status: 'failed', message_id: null, error: err.message };
+  }
+}
+
+// Record the outcome of one attempt and schedule the retry, if any
+async function recordAttempt(entry, attempt, result, now) {
+  await db.query(
+    `INSERT INTO notification_deliveries
+      (trigger_id, incident_id, outbox_id, attempt, alert_id, subscription_id, channel, recipient, status, message_id, error, created_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW())`,
+    [
+      entry.trigger_id, entry.incident_id, entry.id, attempt, entry.alert_id, entry.subscription_id,
+      entry.channel, entry.recipient, result.status, result.message_id, result.error
+    ]
+  );
+  if (entry.subscription_id) {
+    await db.query('UPDATE digest_subscriptions SET last_error = ? WHERE id = ?', [result.error, entry.subscription_id]);
+  }
+
+  if (result.status === 'sent') {
+    await db.query(
+      `UPDATE notification_outbox SET status = 'sent', message_id = ?, last_error = NULL, sent_at = NOW(), updated_at = NOW() WHERE id = ?`,
+      [result.message_id, entry.id]
+    );
+    if (entry.trigger_id) {
+      await db.query('UPDATE alert_triggers SET notification_sent = 1 WHERE id = ?', [entry.trigger_id]);
+    }
+  } else if (attempt >= MAX_ATTEMPTS) {
+    console.error(`❌ Giving up on ${entry.channel} notification ${entry.id} to ${entry.recipient} after ${attempt} attempts:`, result.error);
+    await db.query(
+      `UPDATE notification_outbox SET status = 'failed', last_error = ?, updated_at = NOW() WHERE id = ?`,
+      [result.error, entry.id]
+    );
+  } else {
+    const delayMinutes = getRetryDelayMinutes(attempt);
+    console.warn(`⏳ ${entry.channel} notification ${entry.id} to ${entry.recipient} failed (attempt ${attempt}/${MAX_ATTEMPTS}), retrying in ${delayMinutes} min`);
+    await db.query(
+      `UPDATE notification_outbox SET status = 'pending', last_error = ?, next_attempt_at = ?, updated_at = NOW() WHERE id = ?`,
+      [result.error, new Date(now.getTime() + delayMinutes * 60 * 1000), entry.id]
+    );
+  }
+}
+
+// Claim and send the given outbox entries. Entries are claimed one at a time so two workers never send the same one.
+async function deliverEntries(entries, now) {
+  const alertIds = [...new Set(entries.map(entry => entry.alert_id).filter(Boolean))];
+  const alertsById = {};
+  if (alertIds.length) {
+    const [alerts] = await db.query(
+      'SELECT a.*, f.organisation_id FROM alerts a JOIN fields f ON a.field_id = f.id WHERE a.id IN (?)',
+      [alertIds]
+    );
+    alerts.forEach(alert => {
+      alertsById[alert.id] = alert;
+    });
+  }
+
+  const subscriptionIds = [...new Set(entries.map(entry => entry.subscription_id).filter(Boolean))];
+  const subscriptionsById = {};
+  if (subscriptionIds.length) {
+    const [subscriptions] = await db.query('SELECT * FROM digest_subscriptions WHERE id IN (?)', [subscriptionIds]);
+    subscriptions.forEach(subscription => {
+      subscriptionsById[subscription.id] = subscription;
+    });
+  }
+
+  for (const entry of entries) {
+    try {
+      const [claim] = await db.query(
+        `UPDATE notification_outbox SET status = 'sending', attempts = attempts + 1, updated_at = NOW()
+         WHERE id = ? AND status = ? AND attempts = ?`,
+        [entry.id, entry.status, entry.attempts]
+      );
+      if (claim.affectedRows === 0) continue;
+
+      const attempt = entry.attempts + 1;
+      const alert = alertsById[entry.alert_id];
+      const subscription = subscriptionsById[entry.subscription_id];
+      let result;
+      if (subscription) {
+        result = await sendDigestEntry(entry, subscription);
+      } else if (alert) {
+        result = await sendEntry(entry, alert);
+      } else {
+        const error = entry.subscription_id ? 'Digest subscription no longer exists' : 'Alert no longer exists';
+        result = { status: 'failed', message_id: null, error };
+      }
+
+      await recordAttempt(entry, attempt, result, now);
+    } catch (err) {
+      console.error(`❌ Failed to deliver outbox entry ${entry.id}:`, err.message);
+    }
+  }
+}
+
+// Send every outbox entry that is due
+async function deliverOutbox(now = new Date()) {
+  if (delivering) return;
+  delivering = true;
+
+  try {
+    const [entries] = await db.query(
+      `SELECT * FROM notification_outbox
+       WHERE (status = 'pending' AND next_attempt_at <= ?)
+          OR (status = 'sending' AND updated_at < ?)
+       ORDER BY next_attempt_at, id
+       LIMIT ?`,
+      [now, new Date(now.getTime() - STALE_SENDING_MINUTES * 60 * 1000), BATCH_SIZE]
+    );
+    if (entries.length) {
+      await deliverEntries(entries, now);
+    }
+  } catch (err) {
+    console.error('❌ Notification outbox error:', err);
+  } finally {
+    delivering = false;
+  }
+}
+
+// Make the first attempt at one pending entry straight away (e.g. a digest sent from the API), resolving to the
+// entry afterwards. Failures stay in the outbox for deliverOutbox to retry.
+async function deliverOutboxEntry(id, now = new Date()) {
+  const [entries] = await db.query("SELECT * FROM notification_outbox WHERE id = ? AND status = 'pending'", [id]);
+  await deliverEntries(entries, now);
+
+  const [rows] = await db.query('SELECT * FROM notification_outbox WHERE id = ?', [id]);
+  return rows[0] || null;
+}
+
+module.exports = {
+  OUTBOX_STATUSES,
+  MAX_ATTEMPTS,
+  enqueueNotification,
+  enqueueDigest,
+  deliverOutbox,
+  deliverOutboxEntry
+};
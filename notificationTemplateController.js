@@ -0,0 +1,192 @@
+const db = require('./database');
+const {
+  LANGUAGES,
+  TEMPLATE_CHANNELS,
+  TEMPLATE_NAMES,
+  PLACEHOLDERS,
+  DEFAULT_TEMPLATES
+} = require('./notificationChannels/templates');
+const { BRANDING_COLUMNS, clearLocaleCache, parseBranding, getOrganisationLocale } = require('./notificationLocale');
+const { sendError, sendValidationError, sendNotFound, sendServerError } = require('./apiErrors');
+const { messageToErrors } = require('./validation');
+const { NOTIFICATION_TEMPLATE_PARAMS, NOTIFICATION_TEMPLATE_BODY } = require('./requestSchemas');
+
+// Template names a channel has defaults for (some, like subscription_digest, are email only)
+function getTemplateNames(channel) {
+  return TEMPLATE_NAMES.filter(name => DEFAULT_TEMPLATES.en[channel][name]);
+}
+
+// Helper function to check that a template route's channel has the named template (NOTIFICATION_TEMPLATE_PARAMS
+// checks each part), returning an error message or null
+function validateTemplateKey({ channel, name }) {
+  const names = getTemplateNames(channel);
+  if (!names.includes(name)) {
+    return `name must be one of: ${names.join(', ')}`;
+  }
+  return null;
+}
+
+// Helper function to check what NOTIFICATION_TEMPLATE_BODY can't: an email subject and the placeholders used.
+// Returns an error message or null.
+function validateTemplateText(channel, { subject, body }) {
+  if (channel === 'email' && (typeof subject !== 'string' || !subject.trim())) {
+    return 'subject is required for email templates';
+  }
+
+  const used = `${subject || ''} ${body}`.match(/\{(\w+)\}/g) || [];
+  const unknown = [...new Set(used.map(placeholder => placeholder.slice(1, -1)))]
+    .filter(placeholder => !PLACEHOLDERS.includes(placeholder));
+  if (unknown.length) {
+    return `Unknown placeholders: ${unknown.join(', ')} (available: ${PLACEHOLDERS.join(', ')})`;
+  }
+  return null;
+}
+
+// GET NOTIFICATION TEMPLATES - every template in every language, the organisation's override where it has one.
+// Optional ?channel= and ?language= filters.
+const getNotificationTemplates = async (req, res) => {
+  try {
+    const { channel, language } = req.query;
+    const locale = await getOrganisationLocale(req.user.organisation_id);
+
+    const templates = [];
+    Object.keys(LANGUAGES)
+      .filter(code => !language || code === language)
+      .forEach(code => {
+        TEMPLATE_CHANNELS
+          .filter(name => !channel || name === channel)
+          .forEach(channelName => {
+            getTemplateNames(channelName).forEach(name => {
+              const defaults = DEFAULT_TEMPLATES[code][channelName][name];
+              const override = ((locale.templates[code] || {})[channelName] || {})[name];
+              templates.push({
+                channel: channelName,
+                name,
+                language: code,
+                subject: override ? override.subject : defaults.subject || null,
+                body: override ? override.body : defaults.body,
+                customised: !!override
+              });
+            });
+          });
+      });
+
+    res.json({
+      languages: LANGUAGES,
+      default_language: locale.defaultLanguage,
+      placeholders: PLACEHOLDERS,
+      templates
+    });
+  } catch (err) {
+    console.error('❌ Error fetching notification templates:', err);
+    sendServerError(res, 'Fetch failed');
+  }
+};
+
+// SAVE NOTIFICATION TEMPLATE - overrides the default of one channel, name and language for the organisation
+const saveNotificationTemplate = async (req, res) => {
+  const keyError = validateTemplateKey(req.params);
+  if (keyError) {
+    return sendValidationError(res, messageToErrors(keyError, NOTIFICATION_TEMPLATE_PARAMS));
+  }
+
+  const { channel, name, language } = req.params;
+  const textError = validateTemplateText(channel, req.body);
+  if (textError) {
+    return sendValidationError(res, messageToErrors(textError, NOTIFICATION_TEMPLATE_BODY));
+  }
+
+  try {
+    const subject = channel === 'email' ? req.body.subject.trim() : null;
+    await db.query(
+      `INSERT INTO notification_templates (organisation_id, channel, name, language, subject, body, updated_by, created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, NOW(), NOW())
+       ON DUPLICATE KEY UPDATE subject = VALUES(subject), body = VALUES(body), updated_by = VALUES(updated_by), updated_at = NOW()`,
+      [req.user.organisation_id, channel, name, language, subject, req.body.body.trim(), req.user.id]
+    );
+    clearLocaleCache(req.user.organisation_id);
+
+    console.log(`✅ Saved ${language} ${channel} '${name}' template for organisation ${req.user.organisation_id}`);
+    res.json({ success: true, channel, name, language });
+  } catch (err) {
+    console.error('❌ Error saving notification template:', err);
+    sendServerError(res, 'Save failed');
+  }
+};
+
+// DELETE NOTIFICATION TEMPLATE - back to the default wording
+const deleteNotificationTemplate = async (req, res) => {
+  const keyError = validateTemplateKey(req.params);
+  if (keyError) {
+    return sendValidationError(res, messageToErrors(keyError, NOTIFICATION_TEMPLATE_PARAMS));
+  }
+
+  try {
+    const { channel, name, language } = req.params;
+    const [result] = await db.query(
+      'DELETE FROM notification_templates WHERE organisation_id = ? AND channel = ? AND name = ? AND language = ?',
+      [req.user.organisation_id, channel, name, language]
+    );
+
+    if (result.affectedRows === 0) {
+      return sendNotFound(res, 'Template has no customisation to remove');
+    }
+
+    clearLocaleCache(req.user.organisation_id);
+    console.log(`✅ Reset ${language} ${channel} '${name}' template for organisation ${req.user.organisation_id}`);
+    res.json({ success: true, affectedRows: result.affectedRows });
+  } catch (err) {
+    console.error('❌ Error deleting notification template:', err);
+    sendServerError(res, 'Delete failed');
+  }
+};
+
+// GET BRANDING of the caller's organisation; unset values fall back to the Yieldera defaults
+const getBranding = async (req, res) => {
+  try {
+    const [rows] = await db.query(
+      `SELECT id, name, ${BRANDING_COLUMNS.join(', ')} FROM organisations WHERE id = ?`,
+      [req.user.organisation_id]
+    );
+    if (!rows.length) {
+      return sendNotFound(res, 'Organisation not found');
+    }
+
+    const locale = await getOrganisationLocale(req.user.organisation_id);
+    res.json({ ...rows[0], effective: { ...locale.branding, default_language: locale.defaultLanguage } });
+  } catch (err) {
+    console.error('❌ Error fetching branding:', err);
+    sendServerError(res, 'Fetch failed');
+  }
+};
+
+// UPDATE BRANDING - only the given settings change; null resets one to the default
+const updateBranding = async (req, res) => {
+  const parsed = parseBranding(req.body);
+  if (parsed.error) {
+    return sendError(res, 400, parsed.error);
+  }
+
+  try {
+    const columns = Object.keys(parsed.values);
+    await db.query(
+      `UPDATE organisations SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE id = ?`,
+      [...columns.map(column => parsed.values[column]), req.user.organisation_id]
+    );
+    clearLocaleCache(req.user.organisation_id);
+
+    console.log(`✅ Updated branding of organisation ${req.user.organisation_id}: ${columns.join(', ')}`);
+    res.json({ success: true, updated: columns });
+  } catch (err) {
+    console.error('❌ Error updating branding:', err);
+    sendServerError(res, 'Update failed');
+  }
+};
+
+module.exports = {
+  getNotificationTemplates,
+  saveNotificationTemplate,
+  deleteNotificationTemplate,
+  getBranding,
+  updateBranding
+};
@@ -0,0 +1,155 @@
+// Quiet hours: non-critical notifications that fall inside an alert's quiet hours are queued in
+// queued_notifications and delivered as one digest per alert once the quiet hours end.
+const db = require('./database');
+
+const SEVERITIES = ['info', 'warning', 'critical'];
+const DEFAULT_SEVERITY = 'warning';
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)(:[0-5]\d)?$/;
+
+// Minutes after midnight for 'HH:MM' (or MySQL 'HH:MM:SS'), or null
+function parseTimeOfDay(value) {
+  const match = TIME_PATTERN.exec(String(value || '').trim());
+  if (!match) return null;
+  return parseInt(match[1]) * 60 + parseInt(match[2]);
+}
+
+function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-GB', { timeZone: timezone });
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+// Fields without a timezone get the whole-hour UTC offset of their longitude
+function getLongitudeTimezone(longitude) {
+  const offset = Math.round(parseFloat(longitude) / 15);
+  if (isNaN(offset) || offset === 0) return 'UTC';
+  // Etc/GMT zones use POSIX signs: Etc/GMT-2 is two hours ahead of UTC
+  return `Etc/GMT${offset > 0 ? '-' : '+'}${Math.abs(offset)}`;
+}
+
+// The timezone an alert's quiet hours are in: its own, else the field's, else derived from the field's longitude
+function getAlertTimezone(alert) {
+  return alert.timezone || alert.field_timezone || getLongitudeTimezone(alert.longitude);
+}
+
+// Local calendar date ('YYYY-MM-DD'), weekday (0 = Sunday) and minutes after midnight of `now` in `timezone`
+function getLocalParts(now, timezone) {
+  const parts = {};
+  new Intl.DateTimeFormat('en-GB', {
+    timeZone: timezone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    weekday: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(now).forEach(part => {
+    parts[part.type] = part.value;
+  });
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    weekday: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(parts.weekday),
+    minutes: parseInt(parts.hour) * 60 + parseInt(parts.minute)
+  };
+}
+
+// 'HH:MM' of a date in the alert's timezone, for digests
+function formatLocalTime(date, alert) {
+  return new Intl.DateTimeFormat('en-GB', { timeZone: getAlertTimezone(alert), hour: '2-digit', minute: '2-digit', hourCycle: 'h23' })
+    .format(new Date(date));
+}
+
+// Whether `now` falls inside the alert's quiet hours. Windows may wrap midnight (e.g. 21:00-06:00).
+function isQuietTime(alert, now = new Date()) {
+  const start = parseTimeOfDay(alert.quiet_hours_start);
+  const end = parseTimeOfDay(alert.quiet_hours_end);
+  if (start === null || end === null || start === end) return false;
+
+  const { minutes } = getLocalParts(now, getAlertTimezone(alert));
+  return start < end
+    ? minutes >= start && minutes < end
+    : minutes >= start || minutes < end;
+}
+
+// Critical alerts are always delivered straight away
+function isHeldByQuietHours(alert, now = new Date()) {
+  return (alert.severity || DEFAULT_SEVERITY) !== 'critical' && isQuietTime(alert, now);
+}
+
+// Validate severity, quiet hours and timezone of an alert payload, returning { error } or the values to store
+function validateQuietHours({ severity, quiet_hours_start, quiet_hours_end, timezone }) {
+  if (severity !== undefined && severity !== null && !SEVERITIES.includes(severity)) {
+    return { error: `severity must be one of: ${SEVERITIES.join(', ')}` };
+  }
+  if (timezone && !isValidTimezone(timezone)) {
+    return { error: 'timezone must be an IANA timezone such as Africa/Harare' };
+  }
+
+  const hasStart = quiet_hours_start !== undefined && quiet_hours_start !== null && quiet_hours_start !== '';
+  const hasEnd = quiet_hours_end !== undefined && quiet_hours_end !== null && quiet_hours_end !== '';
+  if (hasStart !== hasEnd) {
+    return { error: 'quiet_hours_start and quiet_hours_end must be given together' };
+  }
+  if (hasStart && (parseTimeOfDay(quiet_hours_start) === null || parseTimeOfDay(quiet_hours_end) === null)) {
+    return { error: 'quiet_hours_start and quiet_hours_end must be times in HH:MM format' };
+  }
+  if (hasStart && parseTimeOfDay(quiet_hours_start) === parseTimeOfDay(quiet_hours_end)) {
+    return { error: 'quiet_hours_start and quiet_hours_end must differ' };
+  }
+
+  return {
+    severity: severity || DEFAULT_SEVERITY,
+    quietHoursStart: hasStart ? String(quiet_hours_start).slice(0, 5) : null,
+    quietHoursEnd: hasEnd ? String(quiet_hours_end).slice(0, 5) : null,
+    timezone: timezone || null
+  };
+}
+
+// Hold a notification until the alert's quiet hours end. kind is 'triggered' or 'resolved'.
+async function queueNotification(alert, { kind = 'triggered', value, incidentId = null, triggerId = null, predictedFor = null, conditions = null }) {
+  await db.query(
+    `INSERT INTO queued_notifications (alert_id, incident_id, trigger_id, kind, value, predicted_for, rule_result, queued_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, NOW())`,
+    [alert.id, incidentId, triggerId, kind, value, predictedFor, conditions ? JSON.stringify(conditions) : null]
+  );
+}
+
+// Undelivered queued notifications grouped by alert_id, oldest first
+async function getQueuedNotifications() {
+  const [rows] = await db.query(
+    'SELECT * FROM queued_notifications WHERE delivered_at IS NULL ORDER BY queued_at, id'
+  );
+  const queued = {};
+  rows.forEach(row => {
+    (queued[row.alert_id] = queued[row.alert_id] || []).push(row);
+  });
+  return queued;
+}
+
+async function markQueuedDelivered(ids) {
+  if (!ids.length) return;
+  await db.query('UPDATE queued_notifications SET delivered_at = NOW() WHERE id IN (?)', [ids]);
+}
+
+module.exports = {
+  SEVERITIES,
+  DEFAULT_SEVERITY,
+  TIME_PATTERN,
+  parseTimeOfDay,
+  isValidTimezone,
+  getLocalParts,
+  getLongitudeTimezone,
+  getAlertTimezone,
+  formatLocalTime,
+  isQuietTime,
+  isHeldByQuietHours,
+  validateQuietHours,
+  queueNotification,
+  getQueuedNotifications,
+  markQueuedDelivered
+};
@@ -0,0 +1,271 @@
+// Request schemas of the API routes (see validation.js), checked by validateRequest before the
+// handlers run. They catch missing, mistyped and out-of-range inputs field by field; rules spanning several
+// inputs (a condition the metric supports, channels with their recipients, ...) are left to the settings parsers.
+const { METRICS, CONDITIONS, COMPOUND_ALERT_TYPE, resolveMetric, resolveCondition } = require('./alertCatalog');
+const { ALERT_MODES, MAX_FORECAST_HOURS, FORECAST_MATCHES } = require('./alertConditions');
+const {
+  MAX_DURATION_HOURS,
+  MAX_ESCALATION_MINUTES,
+  MIN_CHECK_INTERVAL_MINUTES,
+  MAX_CHECK_INTERVAL_MINUTES,
+  validateWebhookUrl
+} = require('./alertSettings');
+const { NOTIFICATION_FREQUENCIES, INCIDENT_STATES, MAX_SNOOZE_MINUTES } = require('./incidents');
+const { SEVERITIES, TIME_PATTERN, isValidTimezone } = require('./quietHours');
+const { OUTBOX_STATUSES } = require('./notificationOutbox');
+const { DIGEST_FREQUENCIES } = require('./digests');
+const { LANGUAGES, TEMPLATE_CHANNELS, TEMPLATE_NAMES } = require('./notificationChannels/templates');
+const { EMAIL_PATTERN } = require('./validation');
+
+const isCompound = input => input.alert_type === COMPOUND_ALERT_TYPE;
+
+const idRule = { type: 'integer', min: 1 };
+const idListRule = { type: 'list', items: 'id' };
+const emailRule = { maxLength: 255, pattern: EMAIL_PATTERN, message: 'must be a valid email address' };
+const emailListRule = { type: 'list', items: 'email' };
+const phoneListRule = { type: 'list', items: 'phone' };
+const dateRule = { type: 'date' };
+const timeOfDayRule = { pattern: TIME_PATTERN, message: 'must be a time in HH:MM format' };
+const httpUrlRule = field => ({ maxLength: 500, test: value => validateWebhookUrl(field, value) });
+
+const ID_PARAMS = { id: { ...idRule, required: true } };
+
+// Any catalog metric or alias, or a compound rule
+const alertTypeRule = {
+  test: value => resolveMetric(value) || value === COMPOUND_ALERT_TYPE
+    ? null
+    : `alert_type must be one of: ${[...Object.keys(METRICS), COMPOUND_ALERT_TYPE].join(', ')}`
+};
+
+// What an alert watches for
+const ALERT_RULE_SCHEMA = {
+  alert_type: { ...alertTypeRule, required: true },
+  condition_type: {
+    test: value => resolveCondition(value) ? null : `condition_type must be one of: ${Object.keys(CONDITIONS).join(', ')}`
+  },
+  threshold_value: { type: 'number', required: input => !isCompound(input) },
+  second_threshold_value: { type: 'number' },
+  rule_expression: { type: 'object', required: isCompound },
+  range_inclusive: { type: 'boolean' },
+  alert_mode: { enum: ALERT_MODES },
+  forecast_hours: { type: 'integer', min: 1, max: MAX_FORECAST_HOURS },
+  forecast_match: { enum: FORECAST_MATCHES },
+  accumulation_window: { maxLength: 10 },
+  season_start: { pattern: /^\d{4}-\d{2}-\d{2}$/, message: 'must be a date in YYYY-MM-DD format' },
+  base_temperature: { type: 'number', min: -10, max: 40 }
+};
+
+// When and how often it notifies, and whom
+const ALERT_DELIVERY_SCHEMA = {
+  duration_hours: { type: 'number', min: 0, max: MAX_DURATION_HOURS },
+  notification_frequency: { enum: NOTIFICATION_FREQUENCIES },
+  check_interval_minutes: { type: 'integer', min: MIN_CHECK_INTERVAL_MINUTES, max: MAX_CHECK_INTERVAL_MINUTES },
+  channels: { type: 'list' },
+  notification_emails: emailListRule,
+  email_notification: { type: 'boolean' },
+  sms_notification: { type: 'boolean' },
+  whatsapp_notification: { type: 'boolean' },
+  phone_numbers: phoneListRule,
+  webhook_url: httpUrlRule('webhook_url'),
+  webhook_secret: { maxLength: 255 },
+  chat_webhook_url: httpUrlRule('chat_webhook_url'),
+  escalation_minutes: { type: 'integer', min: 1, max: MAX_ESCALATION_MINUTES },
+  escalation_emails: emailListRule,
+  escalation_phone_numbers: phoneListRule,
+  notify_resolved: { type: 'boolean' },
+  severity: { enum: SEVERITIES },
+  quiet_hours_start: timeOfDayRule,
+  quiet_hours_end: timeOfDayRule,
+  timezone: { maxLength: 64, test: value => isValidTimezone(value) ? null : 'timezone must be an IANA timezone such as Africa/Harare' },
+  language: { enum: Object.keys(LANGUAGES) },
+  recipient_languages: { type: 'object' },
+  active: { type: 'boolean' }
+};
+
+// POST /alerts, PUT /alerts/:id (and PATCH, validated as partial)
+const ALERT_BODY = {
+  field_id: { ...idRule, required: true },
+  ...ALERT_RULE_SCHEMA,
+  ...ALERT_DELIVERY_SCHEMA
+};
+
+// POST /alerts/simulate
+const SIMULATION_BODY = {
+  ...ALERT_BODY,
+  start: { ...dateRule, required: true },
+  end: dateRule
+};
+
+// POST /alerts/:id/test
+const TEST_ALERT_BODY = {
+  testMessage: { maxLength: 1000 },
+  testRecipients: emailListRule,
+  sendToAll: { type: 'boolean' },
+  channels: { type: 'list' }
+};
+
+// GET /alerts/triggered
+const TRIGGERED_QUERY = {
+  period: { enum: ['24h', '7d', '30d'] },
+  source: { enum: ['log', 'replay'] },
+  field_id: idRule,
+  alert_id: idRule,
+  alert_type: alertTypeRule
+};
+
+// GET /alerts/:id/notifications
+const NOTIFICATIONS_QUERY = {
+  status: { enum: OUTBOX_STATUSES },
+  limit: { type: 'integer', min: 1, max: 500 }
+};
+
+// POST /fields, PUT /fields/:id; a boundary (or GeoJSON geometry) replaces latitude/longitude
+const hasGeometry = input => !!(input.boundary || input.geometry);
+const geometryRule = { type: 'object' };
+
+const FIELD_BODY = {
+  name: { required: true, maxLength: 255 },
+  farm_name: { maxLength: 255 },
+  farmer_name: { maxLength: 255 },
+  crop: { maxLength: 100 },
+  area_ha: { type: 'number', min: 0 },
+  latitude: { type: 'number', min: -90, max: 90, required: input => !hasGeometry(input) },
+  longitude: { type: 'number', min: -180, max: 180, required: input => !hasGeometry(input) },
+  boundary: geometryRule,
+  geometry: geometryRule,
+  weather_provider: { maxLength: 50 },
+  timezone: ALERT_DELIVERY_SCHEMA.timezone
+};
+
+// GET /fields
+const FIELDS_QUERY = {
+  search: { maxLength: 255 },
+  crop: { maxLength: 100 }
+};
+
+// GET /fields/export
+const EXPORT_QUERY = {
+  ids: { pattern: /^\d+(\s*,\s*\d+)*$/, message: 'must be a comma separated list of field ids' }
+};
+
+// GET /fields/:id/weather/*
+const WEATHER_QUERY = {
+  hours: { type: 'integer', min: 1, max: MAX_FORECAST_HOURS },
+  interval: { enum: ['hourly', 'daily'] },
+  start: dateRule,
+  end: dateRule
+};
+
+// GET /fields/:id/ndvi
+const NDVI_QUERY = {
+  limit: { type: 'integer', min: 1, max: 1000 }
+};
+
+// POST /fields/:id/ndvi
+const NDVI_BODY = {
+  value: { type: 'number', min: -1, max: 1, required: true },
+  timestamp: dateRule,
+  source: { maxLength: 100 }
+};
+
+// GET /incidents
+const INCIDENTS_QUERY = {
+  state: { enum: INCIDENT_STATES },
+  alert_id: idRule,
+  field_id: idRule
+};
+
+// POST /incidents/:id/snooze
+const SNOOZE_BODY = {
+  minutes: { type: 'integer', min: 1, max: MAX_SNOOZE_MINUTES }
+};
+
+// Most rules one alert template may have
+const MAX_TEMPLATE_RULES = 20;
+
+// POST /alert-templates; each rule is an alert payload without field_id, keeping its id on updates
+const TEMPLATE_BODY = {
+  name: { required: true, maxLength: 255 },
+  description: { maxLength: 2000 },
+  rules: {
+    type: 'array',
+    required: true,
+    minItems: 1,
+    maxItems: MAX_TEMPLATE_RULES,
+    schema: { id: idRule, name: { maxLength: 255 }, ...ALERT_RULE_SCHEMA, ...ALERT_DELIVERY_SCHEMA }
+  }
+};
+
+// PUT /alert-templates/:id
+const TEMPLATE_UPDATE_BODY = {
+  ...TEMPLATE_BODY,
+  propagate: { type: 'boolean' }
+};
+
+// DELETE /alert-templates/:id
+const TEMPLATE_DELETE_QUERY = {
+  delete_alerts: { type: 'boolean' }
+};
+
+// POST /alert-templates/:id/apply; at least one of them is required
+const APPLY_TEMPLATE_BODY = {
+  field_ids: idListRule,
+  search: { maxLength: 255, pattern: /^.{3,}$/, message: 'must be at least 3 characters' },
+  crop: { maxLength: 100 }
+};
+
+// POST /digest-subscriptions, PUT /digest-subscriptions/:id
+const DIGEST_SUBSCRIPTION_BODY = {
+  email: emailRule,
+  frequency: { enum: DIGEST_FREQUENCIES },
+  send_time: timeOfDayRule,
+  day_of_week: { type: 'integer', min: 0, max: 6 },
+  timezone: ALERT_DELIVERY_SCHEMA.timezone,
+  field_ids: { type: 'array', items: 'id', minItems: 1 },
+  language: { enum: Object.keys(LANGUAGES) },
+  active: { type: 'boolean' }
+};
+
+// GET /notification-templates
+const NOTIFICATION_TEMPLATES_QUERY = {
+  channel: { enum: TEMPLATE_CHANNELS },
+  language: { enum: Object.keys(LANGUAGES) }
+};
+
+// /notification-templates/:channel/:name/:language; which names a channel has is checked by the handler
+const NOTIFICATION_TEMPLATE_PARAMS = {
+  channel: { required: true, enum: TEMPLATE_CHANNELS },
+  name: { required: true, enum: TEMPLATE_NAMES },
+  language: { required: true, enum: Object.keys(LANGUAGES) }
+};
+
+// PUT /notification-templates/:channel/:name/:language; email templates also need a subject
+const NOTIFICATION_TEMPLATE_BODY = {
+  subject: { maxLength: 255 },
+  body: { required: true, maxLength: 2000 }
+};
+
+module.exports = {
+  ID_PARAMS,
+  ALERT_BODY,
+  SIMULATION_BODY,
+  TEST_ALERT_BODY,
+  TRIGGERED_QUERY,
+  NOTIFICATIONS_QUERY,
+  FIELD_BODY,
+  FIELDS_QUERY,
+  EXPORT_QUERY,
+  WEATHER_QUERY,
+  NDVI_QUERY,
+  NDVI_BODY,
+  INCIDENTS_QUERY,
+  SNOOZE_BODY,
+  TEMPLATE_BODY,
+  TEMPLATE_UPDATE_BODY,
+  TEMPLATE_DELETE_QUERY,
+  APPLY_TEMPLATE_BODY,
+  DIGEST_SUBSCRIPTION_BODY,
+  NOTIFICATION_TEMPLATES_QUERY,
+  NOTIFICATION_TEMPLATE_PARAMS,
+  NOTIFICATION_TEMPLATE_BODY
+};
@@ -0,0 +1,208 @@
+// Compound alert rules: nested AND/OR/NOT expressions over single-metric conditions.
+//
+//   { "and": [ expr, ... ] }   every sub-expression holds
+//   { "or":  [ expr, ... ] }   at least one sub-expression holds
+//   { "not": expr }            the sub-expression does not hold
+//   condition                  the settings of a single alert: { alert_type, condition_type, threshold_value,
+//                              second_threshold_value, range_inclusive, alert_mode, forecast_hours, accumulation_window,
+//                              base_temperature }
+//
+// Evaluation is three-valued: a condition whose data is missing is unknown (null) rather than false,
+// so NOT over missing data never fires an alert.
+const {
+  isRangeCondition,
+  describeThreshold,
+  validateThresholds,
+  validateForecastSettings
+} = require('./alertConditions');
+const { validateMetricCondition, getUnit, getMetricLabel } = require('./alertCatalog');
+const { validateAccumulationWindow, validateBaseTemperature } = require('./weatherMetrics');
+const { parseBoolean } = require('./validation');
+
+const OPERATORS = ['and', 'or', 'not'];
+const MAX_DEPTH = 4;
+const MAX_CONDITIONS = 12;
+
+function getOperator(node) {
+  return OPERATORS.find(operator => Object.prototype.hasOwnProperty.call(node, operator)) || null;
+}
+
+// Expressions are stored in a JSON column; older drivers or callers may hand them over as text
+function parseExpression(expression) {
+  if (typeof expression !== 'string') return expression || null;
+  try {
+    return JSON.parse(expression);
+  } catch (err) {
+    return null;
+  }
+}
+
+// Helper function to validate and normalise one condition, returning { error } or { condition }
+function validateCondition(node) {
+  const {
+    alert_type,
+    condition_type,
+    threshold_value,
+    second_threshold_value = null,
+    range_inclusive,
+    alert_mode = 'current',
+    forecast_hours = 24,
+    accumulation_window = null,
+    base_temperature = null
+  } = node;
+
+  if (!alert_type || threshold_value === undefined || threshold_value === null || threshold_value === '') {
+    return { error: 'conditions need alert_type and threshold_value' };
+  }
+
+  const vocabulary = validateMetricCondition({
+    alert_type,
+    condition_type: condition_type || 'greater_than',
+    threshold_value,
+    second_threshold_value
+  });
+  if (vocabulary.error) return { error: vocabulary.error };
+
+  const error = validateThresholds({ ...vocabulary, threshold_value, second_threshold_value })
+    || validateForecastSettings({ alert_type: vocabulary.alert_type, alert_mode, forecast_hours, forecast_match: 'any' })
+    || validateAccumulationWindow({ alert_type: vocabulary.alert_type, alert_mode, accumulation_window })
+    || validateBaseTemperature({ alert_type: vocabulary.alert_type, base_temperature });
+  if (error) return { error };
+
+  return {
+    condition: {
+      alert_type: vocabulary.alert_type,
+      condition_type: vocabulary.condition_type,
+      threshold_value: parseFloat(threshold_value),
+      second_threshold_value: isRangeCondition(vocabulary.condition_type) ? parseFloat(second_threshold_value) : null,
+      range_inclusive: parseBoolean(range_inclusive, true) ? 1 : 0,
+      alert_mode,
+      forecast_hours: alert_mode === 'forecast' ? Number(forecast_hours) : null,
+      accumulation_window: accumulation_window || null,
+      base_temperature: base_temperature !== null && base_temperature !== '' ? parseFloat(base_temperature) : null
+    }
+  };
+}
+
+// Validate a rule expression, returning { error } or { expression } with every condition normalised
+function validateExpression(expression) {
+  let conditionCount = 0;
+
+  const visit = (node, path, depth) => {
+    if (!node || typeof node !== 'object' || Array.isArray(node)) {
+      return { error: `${path} must be an object` };
+    }
+    if (depth > MAX_DEPTH) {
+      return { error: `rule_expression can be nested at most ${MAX_DEPTH} levels deep` };
+    }
+
+    const operator = getOperator(node);
+    if (!operator) {
+      conditionCount++;
+      if (conditionCount > MAX_CONDITIONS) {
+        return { error: `rule_expression can have at most ${MAX_CONDITIONS} conditions` };
+      }
+      const result = validateCondition(node);
+      return result.error ? { error: `${path}: ${result.error}` } : { node: result.condition };
+    }
+
+    if (operator === 'not') {
+      const result = visit(node.not, `${path}.not`, depth + 1);
+      return result.error ? result : { node: { not: result.node } };
+    }
+
+    const children = node[operator];
+    if (!Array.isArray(children) || children.length < 2) {
+      return { error: `${path}.${operator} must list at least two expressions` };
+    }
+    const nodes = [];
+    for (let i = 0; i < children.length; i++) {
+      const result = visit(children[i], `${path}.${operator}[${i}]`, depth + 1);
+      if (result.error) return result;
+      nodes.push(result.node);
+    }
+    return { node: { [operator]: nodes } };
+  };
+
+  const result = visit(parseExpression(expression), 'rule_expression', 1);
+  return result.error ? { error: result.error } : { expression: result.node };
+}
+
+// Every condition in the expression, in reading order
+function getConditions(expression) {
+  const operator = getOperator(expression);
+  if (!operator) return [expression];
+  if (operator === 'not') return getConditions(expression.not);
+  return expression[operator].flatMap(getConditions);
+}
+
+// Evaluate the expression. evaluateCondition(condition) returns { value, matched, datetime } where matched is
+// null when the data is missing. Returns the expression annotated with `matched` at every level.
+function evaluateExpression(expression, evaluateCondition) {
+  const operator = getOperator(expression);
+
+  if (!operator) {
+    const { value = null, matched = null, datetime = null } = evaluateCondition(expression) || {};
+    return { ...expression, value, matched, datetime };
+  }
+
+  if (operator === 'not') {
+    const child = evaluateExpression(expression.not, evaluateCondition);
+    return { not: child, matched: child.matched === null ? null : !child.matched };
+  }
+
+  const children = expression[operator].map(child => evaluateExpression(child, evaluateCondition));
+  const results = children.map(child => child.matched);
+  let matched;
+  if (operator === 'and') {
+    matched = results.includes(false) ? false : (results.includes(null) ? null : true);
+  } else {
+    matched = results.includes(true) ? true : (results.includes(null) ? null : false);
+  }
+  return { [operator]: children, matched };
+}
+
+// Human readable condition, e.g. "Rainfall > 10mm in 24h" or "Wind Speed > 15km/h (forecast, next 12h)"
+function describeCondition(condition) {
+  const text = `${getMetricLabel(condition.alert_type)} ${describeThreshold(condition, getUnit(condition.alert_type))}`;
+  return condition.alert_mode === 'forecast' ? `${text} (forecast, next ${condition.forecast_hours || 24}h)` : text;
+}
+
+// Human readable expression, e.g. "(Temperature between 15°C and 25°C (inclusive) AND Rainfall > 10mm in 24h)"
+function describeExpression(expression) {
+  const node = parseExpression(expression);
+  if (!node) return '';
+
+  const operator = getOperator(node);
+  if (!operator) return describeCondition(node);
+  if (operator === 'not') return `NOT ${describeExpression(node.not)}`;
+  return `(${node[operator].map(describeExpression).join(` ${operator.toUpperCase()} `)})`;
+}
+
+// Flat list of the evaluated conditions for notifications: [{ text, matched, value, unit, datetime }].
+// Conditions under a NOT read as written in the rule ("NOT Wind Speed > 30km/h") and match when it holds.
+function explainResult(result, negated = false) {
+  const operator = getOperator(result);
+  if (operator === 'not') return explainResult(result.not, !negated);
+  if (operator) return result[operator].flatMap(child => explainResult(child, negated));
+
+  return [{
+    text: `${negated ? 'NOT ' : ''}${describeCondition(result)}`,
+    matched: result.matched === null ? null : result.matched !== negated,
+    value: result.value,
+    unit: getUnit(result.alert_type),
+    datetime: result.datetime
+  }];
+}
+
+module.exports = {
+  OPERATORS,
+  MAX_DEPTH,
+  MAX_CONDITIONS,
+  parseExpression,
+  validateExpression,
+  getConditions,
+  evaluateExpression,
+  describeExpression,
+  explainResult
+};
@@ -0,0 +1,165 @@
+// Cron-style background jobs (node-schedule) that run on one instance at a time.
+// Each run takes a lease in scheduler_locks, renewed while the job runs, so the API and the monitor container
+// (or several replicas) can all schedule the same jobs without running them twice. A job whose previous run
+// is still going on this instance is skipped rather than overlapped.
+const os = require('os');
+const crypto = require('crypto');
+const schedule = require('node-schedule');
+const db = require('./database');
+
+const INSTANCE_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+const LOCK_TTL_MINUTES = parseInt(process.env.SCHEDULER_LOCK_TTL_MINUTES || '10');
+const LOCK_RENEW_MS = 60 * 1000;
+const STOP_TIMEOUT_MS = 30 * 1000;
+
+// name -> { name, cron, task, runOnStart, job, running, lastStartedAt, lastFinishedAt, lastError, runs, skipped }
+const jobs = {};
+
+// Take (or take over an expired) lease on a job. Resolves to true when this instance holds it.
+async function acquireLock(name, now = new Date()) {
+  const lockedUntil = new Date(now.getTime() + LOCK_TTL_MINUTES * 60 * 1000);
+
+  const [inserted] = await db.query(
+    'INSERT IGNORE INTO scheduler_locks (name, owner, locked_until, acquired_at) VALUES (?, ?, ?, ?)',
+    [name, INSTANCE_ID, lockedUntil, now]
+  );
+  if (inserted.affectedRows === 1) return true;
+
+  const [updated] = await db.query(
+    `UPDATE scheduler_locks SET owner = ?, locked_until = ?, acquired_at = ?
+     WHERE name = ? AND (owner = ? OR locked_until < ?)`,
+    [INSTANCE_ID, lockedUntil, now, name, INSTANCE_ID, now]
+  );
+  return updated.affectedRows === 1;
+}
+
+async function renewLock(name) {
+  await db.query(
+    'UPDATE scheduler_locks SET locked_until = ? WHERE name = ? AND owner = ?',
+    [new Date(Date.now() + LOCK_TTL_MINUTES * 60 * 1000), name, INSTANCE_ID]
+  );
+}
+
+async function releaseLock(name) {
+  await db.query(
+    'UPDATE scheduler_locks SET locked_until = NOW() WHERE name = ? AND owner = ?',
+    [name, INSTANCE_ID]
+  );
+}
+
+// Run a job now unless it is already running here or another instance holds its lock.
+// Resolves to true when the job ran.
+async function runJob(name) {
+  const entry = jobs[name];
+  if (!entry) throw new Error(`Unknown job '${name}'`);
+
+  if (entry.running) {
+    entry.skipped++;
+    console.warn(`⏭️ Skipping ${name}, the previous run is still going`);
+    return false;
+  }
+  entry.running = true;
+
+  let heartbeat = null;
+  try {
+    if (!await acquireLock(name)) {
+      entry.skipped++;
+      return false;
+    }
+    heartbeat = setInterval(() => {
+      renewLock(name).catch(err => console.error(`❌ Could not renew the ${name} lock:`, err.message));
+    }, LOCK_RENEW_MS);
+
+    entry.lastStartedAt = new Date();
+    await entry.task();
+    entry.lastError = null;
+    entry.runs++;
+    return true;
+  } catch (err) {
+    console.error(`❌ Scheduled job ${name} failed:`, err);
+    entry.lastError = err.message;
+    return false;
+  } finally {
+    if (heartbeat) {
+      clearInterval(heartbeat);
+      entry.lastFinishedAt = new Date();
+      await releaseLock(name).catch(err => console.error(`❌ Could not release the ${name} lock:`, err.message));
+    }
+    entry.running = false;
+  }
+}
+
+// Register a job; it is scheduled by startJobs. runOnStart also runs it once straight away.
+function defineJob(name, cron, task, { runOnStart = false } = {}) {
+  if (jobs[name] && jobs[name].job) {
+    throw new Error(`Job '${name}' is already scheduled`);
+  }
+  jobs[name] = {
+    name,
+    cron,
+    task,
+    runOnStart,
+    job: null,
+    running: false,
+    lastStartedAt: null,
+    lastFinishedAt: null,
+    lastError: null,
+    runs: 0,
+    skipped: 0
+  };
+}
+
+function startJobs() {
+  Object.values(jobs).forEach(entry => {
+    if (entry.job) return;
+    entry.job = schedule.scheduleJob(entry.name, entry.cron, () => runJob(entry.name));
+    if (!entry.job) {
+      throw new Error(`Invalid schedule '${entry.cron}' for job '${entry.name}'`);
+    }
+    console.log(`⏰ Scheduled ${entry.name} (${entry.cron})`);
+    if (entry.runOnStart) runJob(entry.name);
+  });
+}
+
+// Cancel every job and wait (up to STOP_TIMEOUT_MS) for runs in progress to finish
+async function stopJobs() {
+  Object.values(jobs).forEach(entry => {
+    if (entry.job) entry.job.cancel();
+    entry.job = null;
+  });
+
+  const deadline = Date.now() + STOP_TIMEOUT_MS;
+  while (Object.values(jobs).some(entry => entry.running) && Date.now() < deadline) {
+    await new Promise(resolve => setTimeout(resolve, 200));
+  }
+
+  const stillRunning = Object.values(jobs).filter(entry => entry.running).map(entry => entry.name);
+  if (stillRunning.length) {
+    console.warn(`⚠️ Stopped scheduling while still running: ${stillRunning.join(', ')}`);
+  }
+}
+
+// Schedule and last outcome of every job, for health checks
+function getJobStatus() {
+  return Object.values(jobs).map(entry => ({
+    name: entry.name,
+    cron: entry.cron,
+    scheduled: !!entry.job,
+    running: entry.running,
+    next_run_at: entry.job && entry.job.nextInvocation() ? new Date(entry.job.nextInvocation().getTime()) : null,
+    last_started_at: entry.lastStartedAt,
+    last_finished_at: entry.lastFinishedAt,
+    last_error: entry.lastError,
+    runs: entry.runs,
+    skipped: entry.skipped
+  }));
+}
+
+module.exports = {
+  INSTANCE_ID,
+  defineJob,
+  runJob,
+  startJobs,
+  stopJobs,
+  getJobStatus
+};
@@ -3,13 +3,21 @@ const cors = require('cors');
 const bodyParser = require('body-parser');
 const routes = require('./apiRoutes');
 const db = require('./database');
+const { startMonitor, stopMonitor } = require('./alertMonitor');
+const { sendNotFound, errorHandler } = require('./apiErrors');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
 
+// Only the configured front-ends may call the API from a browser (CORS_ORIGINS=https://a.example,https://b.example)
+const allowedOrigins = (process.env.CORS_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean);
+if (!allowedOrigins.length) {
+  console.warn('⚠️ CORS_ORIGINS is not set, cross-origin browser requests will be refused');
+}
+
 // Middleware
-app.use(cors());
-app.use(bodyParser.json());
+app.use(cors({ origin: allowedOrigins.length ? allowedOrigins : false }));
+app.use(bodyParser.json({ limit: '5mb' })); // Large enough for bulk NDVI imports
 
 // API routes
 app.use('/api', routes);
@@ -30,21 +38,11 @@ app.get('/', (req, res) => {
 
 // 404 handler
 app.use((req, res) => {
-  res.status(404).json({ 
-    success: false, 
-    message: 'Endpoint not found' 
-  });
+  sendNotFound(res, 'Endpoint not found');
 });
 
-// Error handler
-app.use((err, req, res, next) => {
-  console.error('Server error:', err);
-  res.status(500).json({ 
-    success: false, 
-    message: 'Internal server error',
-    error: process.env.NODE_ENV === 'production' ? err.message : err.stack
-  });
-});
+// Error handler - details are logged, never sent to clients
+app.use(errorHandler);
 
 // Start server
 app.listen(PORT, '0.0.0.0', () => {
@@ -62,7 +60,17 @@ app.listen(PORT, '0.0.0.0', () => {
   }
 })();
 
-// Start alert monitor background engine
-require('./alertMonitor');
+// Start the alert monitor alongside the API unless a dedicated monitor container runs it (RUN_MONITOR=false).
+// Running both is safe, each job runs on one instance at a time.
+if (process.env.RUN_MONITOR !== 'false') {
+  startMonitor();
+}
+
+// Graceful shutdown
+process.on('SIGTERM', async () => {
+  console.log('📴 SIGTERM received, shutting down gracefully...');
+  await stopMonitor();
+  process.exit(0);
+});
 
 module.exports = app;
@@ -47,4 +47,423 @@ CREATE TABLE ndvi_measurements (
   value DECIMAL(10, 2) NOT NULL,
   timestamp DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
   FOREIGN KEY (field_id) REFERENCES fields(id) ON DELETE CASCADE
-);
\ No newline at end of file
+);
+
+-- Record which provider served each check, and what was sent for each trigger.
+-- The condition and threshold are snapshotted so history survives later edits to the alert.
+ALTER TABLE alert_checks
+  ADD COLUMN provider VARCHAR(50) NULL AFTER condition_met,
+  ADD INDEX idx_alert_checks_alert_time (alert_id, timestamp);
+
+ALTER TABLE alert_triggers
+  ADD COLUMN condition_type VARCHAR(50) NULL AFTER value,
+  ADD COLUMN threshold_value DECIMAL(10, 2) NULL AFTER condition_type,
+  ADD COLUMN channels VARCHAR(255) NULL AFTER notification_sent,
+  ADD INDEX idx_alert_triggers_time (timestamp),
+  ADD INDEX idx_alert_triggers_alert_time (alert_id, timestamp);
+
+-- Range conditions: 'between' fires inside the band, 'outside' fires outside it.
+-- range_inclusive decides whether the band edges count as inside.
+ALTER TABLE alerts
+  ADD COLUMN range_inclusive BOOLEAN NOT NULL DEFAULT TRUE AFTER second_threshold_value;
+
+ALTER TABLE alert_triggers
+  ADD COLUMN second_threshold_value DECIMAL(10, 2) NULL AFTER threshold_value;
+
+-- When the alert's condition first became continuously true; NULL while it is not holding.
+-- The monitor only triggers once the condition has held for duration_hours.
+ALTER TABLE alerts
+  ADD COLUMN condition_since DATETIME NULL AFTER last_triggered;
+
+-- Forecast (predictive) alerts evaluate the hourly forecast for the next forecast_hours hours.
+-- forecast_match 'any' fires when duration_hours consecutive hours meet the condition, 'all' when every hour does.
+ALTER TABLE alerts
+  ADD COLUMN alert_mode ENUM('current', 'forecast') NOT NULL DEFAULT 'current' AFTER duration_hours,
+  ADD COLUMN forecast_hours INT NULL AFTER alert_mode,
+  ADD COLUMN forecast_match ENUM('any', 'all') NOT NULL DEFAULT 'any' AFTER forecast_hours;
+
+-- For forecast triggers, the hour the condition is expected
+ALTER TABLE alert_triggers
+  ADD COLUMN predicted_for DATETIME NULL AFTER second_threshold_value;
+
+-- WhatsApp delivery uses the same phone_numbers (E.164) as SMS
+ALTER TABLE alerts
+  ADD COLUMN whatsapp_notification BOOLEAN DEFAULT FALSE AFTER sms_notification;
+
+-- Per-recipient delivery result for every notification sent for a trigger
+CREATE TABLE notification_deliveries (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  trigger_id INT NOT NULL,
+  alert_id INT NOT NULL,
+  channel VARCHAR(50) NOT NULL,
+  recipient VARCHAR(255) NOT NULL,
+  status ENUM('sent', 'failed') NOT NULL,
+  message_id VARCHAR(255) NULL,
+  error TEXT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_notification_deliveries_trigger (trigger_id),
+  FOREIGN KEY (trigger_id) REFERENCES alert_triggers(id) ON DELETE CASCADE,
+  FOREIGN KEY (alert_id) REFERENCES alerts(id) ON DELETE CASCADE
+);
+
+-- Notification channels each alert delivers to (comma separated: email, sms, whatsapp, webhook, chat).
+-- NULL falls back to the email_notification / sms_notification / whatsapp_notification flags.
+-- Webhook payloads are signed with HMAC-SHA256 using webhook_secret.
+ALTER TABLE alerts
+  ADD COLUMN channels VARCHAR(255) NULL AFTER email_notification,
+  ADD COLUMN webhook_url VARCHAR(1024) NULL AFTER phone_numbers,
+  ADD COLUMN webhook_secret VARCHAR(255) NULL AFTER webhook_url,
+  ADD COLUMN chat_webhook_url VARCHAR(1024) NULL AFTER webhook_secret;
+
+-- Per-field weather provider ('open-meteo', 'met-norway', 'fixture'); NULL uses the deployment's
+-- WEATHER_PROVIDER, with WEATHER_PROVIDER_FALLBACKS tried in order when it fails
+ALTER TABLE fields
+  ADD COLUMN weather_provider VARCHAR(50) NULL;
+
+-- Rainfall alerts compare accumulated precipitation over accumulation_window ('24h', '14d', 'season').
+-- season_start (an absolute date) replaces the yearly RAINFALL_SEASON_START (default 1 October) for 'season' windows.
+ALTER TABLE alerts
+  ADD COLUMN accumulation_window VARCHAR(10) NULL AFTER forecast_match,
+  ADD COLUMN season_start DATE NULL AFTER accumulation_window;
+
+-- NDVI needs more precision than two decimals; one reading per field and timestamp so re-imports update in place
+ALTER TABLE ndvi_measurements
+  MODIFY COLUMN value DECIMAL(6, 4) NOT NULL,
+  ADD COLUMN source VARCHAR(100) NULL AFTER value,
+  ADD UNIQUE INDEX idx_ndvi_field_time (field_id, timestamp);
+
+-- Canonical alert vocabulary (see alertCatalog.js): widen the enums, rewrite legacy names, then narrow again
+ALTER TABLE alerts
+  MODIFY COLUMN alert_type VARCHAR(50) NOT NULL,
+  MODIFY COLUMN condition_type VARCHAR(50) NOT NULL;
+
+UPDATE alerts SET alert_type = 'wind' WHERE alert_type IN ('windspeed', 'wind_speed', 'windSpeed');
+UPDATE alerts SET alert_type = 'rainfall' WHERE alert_type IN ('rain', 'precipitation');
+UPDATE alerts SET alert_type = 'temperature' WHERE alert_type IN ('temp', 'air_temperature');
+
+UPDATE alerts SET condition_type = 'greater_than' WHERE condition_type IN ('greaterThan', 'gt', '>');
+UPDATE alerts SET condition_type = 'less_than' WHERE condition_type IN ('lessThan', 'lt', '<');
+UPDATE alerts SET condition_type = 'equal_to' WHERE condition_type IN ('equals', 'eq', '=');
+UPDATE alerts SET condition_type = 'outside' WHERE condition_type IN ('notBetween', 'not_between', 'outside_range');
+UPDATE alerts SET condition_type = 'drop_greater_than' WHERE condition_type IN ('dropGreaterThan', 'drop');
+
+ALTER TABLE alerts
+  MODIFY COLUMN alert_type ENUM('temperature', 'rainfall', 'wind', 'ndvi') NOT NULL,
+  MODIFY COLUMN condition_type ENUM('greater_than', 'less_than', 'equal_to', 'between', 'outside', 'drop_greater_than') NOT NULL DEFAULT 'greater_than';
+
+-- Threshold snapshots on past triggers use the same names
+UPDATE alert_triggers SET condition_type = 'greater_than' WHERE condition_type IN ('greaterThan', 'gt', '>');
+UPDATE alert_triggers SET condition_type = 'less_than' WHERE condition_type IN ('lessThan', 'lt', '<');
+UPDATE alert_triggers SET condition_type = 'equal_to' WHERE condition_type IN ('equals', 'eq', '=');
+
+-- Organisations own fields (and through them alerts and NDVI data); users belong to one organisation.
+-- Roles: viewer (read only), editor (manage alerts and NDVI data), admin (also manage users).
+CREATE TABLE organisations (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  name VARCHAR(255) NOT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE users (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  organisation_id INT NOT NULL,
+  email VARCHAR(255) NOT NULL UNIQUE,
+  name VARCHAR(255) NULL,
+  password_hash VARCHAR(255) NOT NULL,
+  role ENUM('viewer', 'editor', 'admin') NOT NULL DEFAULT 'viewer',
+  active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (organisation_id) REFERENCES organisations(id) ON DELETE CASCADE
+);
+
+-- Only a SHA-256 hash of each API key is stored; key_prefix lets users tell their keys apart
+CREATE TABLE api_keys (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  user_id INT NOT NULL,
+  name VARCHAR(100) NULL,
+  key_prefix VARCHAR(20) NOT NULL,
+  key_hash CHAR(64) NOT NULL UNIQUE,
+  last_used_at DATETIME NULL,
+  revoked_at DATETIME NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- Existing fields move to the first organisation; create its admin with createOrganisation.js or by hand
+INSERT INTO organisations (id, name) VALUES (1, 'Yieldera');
+
+ALTER TABLE fields
+  ADD COLUMN organisation_id INT NULL;
+
+UPDATE fields SET organisation_id = 1 WHERE organisation_id IS NULL;
+
+ALTER TABLE fields
+  MODIFY COLUMN organisation_id INT NOT NULL,
+  ADD INDEX idx_fields_organisation (organisation_id),
+  ADD FOREIGN KEY (organisation_id) REFERENCES organisations(id);
+
+-- Field boundaries as GeoJSON (Polygon or MultiPolygon); latitude/longitude hold the boundary's centroid
+-- so weather lookups keep working unchanged. Fields without a boundary are points.
+ALTER TABLE fields
+  ADD COLUMN boundary JSON NULL AFTER longitude;
+
+-- Alert templates: named sets of alert settings (rules) applied to many fields at once.
+-- Each alert created from a rule links back to it so template edits can be propagated.
+CREATE TABLE alert_templates (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  organisation_id INT NOT NULL,
+  name VARCHAR(255) NOT NULL,
+  description TEXT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  FOREIGN KEY (organisation_id) REFERENCES organisations(id) ON DELETE CASCADE
+);
+
+CREATE TABLE alert_template_rules (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  template_id INT NOT NULL,
+  name VARCHAR(255) NULL,
+  settings JSON NOT NULL,
+  position INT NOT NULL DEFAULT 0,
+  FOREIGN KEY (template_id) REFERENCES alert_templates(id) ON DELETE CASCADE
+);
+
+ALTER TABLE alerts
+  ADD COLUMN template_rule_id INT NULL AFTER field_id,
+  ADD FOREIGN KEY (template_rule_id) REFERENCES alert_template_rules(id) ON DELETE SET NULL;
+
+-- Compound alerts combine several metric conditions with AND/OR/NOT in rule_expression,
+-- so they have no single threshold. Each trigger keeps which sub-conditions matched.
+ALTER TABLE alerts
+  MODIFY COLUMN alert_type ENUM('temperature', 'rainfall', 'wind', 'ndvi', 'compound') NOT NULL,
+  MODIFY COLUMN threshold_value DECIMAL(10, 2) NULL,
+  ADD COLUMN rule_expression JSON NULL AFTER second_threshold_value;
+
+ALTER TABLE alert_triggers
+  ADD COLUMN rule_result JSON NULL AFTER predicted_for;
+
+-- Agronomic metrics derived from hourly weather. base_temperature overrides the crop's base for growing degree days;
+-- season_start doubles as the planting date they accumulate from.
+ALTER TABLE alerts
+  MODIFY COLUMN alert_type ENUM('temperature', 'rainfall', 'wind', 'ndvi', 'compound', 'dew_point', 'heat_index', 'gdd', 'chill_hours', 'et0', 'water_balance', 'consecutive_dry_days') NOT NULL,
+  ADD COLUMN base_temperature DECIMAL(5, 2) NULL AFTER season_start;
+
+-- Alert incidents: one per stretch of time an alert's condition holds, so someone can acknowledge or snooze it.
+-- Unacknowledged incidents escalate to escalation_emails / escalation_phone_numbers after escalation_minutes,
+-- and an "all clear" goes out when the condition stops holding (unless notify_resolved is off).
+CREATE TABLE alert_incidents (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  alert_id INT NOT NULL,
+  state ENUM('open', 'acknowledged', 'snoozed', 'resolved') NOT NULL DEFAULT 'open',
+  opened_at DATETIME NOT NULL,
+  last_value DECIMAL(10, 2) NULL,
+  acknowledged_at DATETIME NULL,
+  acknowledged_by INT NULL,
+  acknowledged_via ENUM('api', 'link') NULL,
+  snoozed_until DATETIME NULL,
+  snoozed_by INT NULL,
+  escalated_at DATETIME NULL,
+  resolved_at DATETIME NULL,
+  resolved_value DECIMAL(10, 2) NULL,
+  updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_alert_incidents_state (state),
+  INDEX idx_alert_incidents_alert (alert_id, state),
+  FOREIGN KEY (alert_id) REFERENCES alerts(id) ON DELETE CASCADE,
+  FOREIGN KEY (acknowledged_by) REFERENCES users(id) ON DELETE SET NULL,
+  FOREIGN KEY (snoozed_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
+ALTER TABLE alerts
+  ADD COLUMN escalation_minutes INT NULL AFTER chat_webhook_url,
+  ADD COLUMN escalation_emails TEXT NULL AFTER escalation_minutes,
+  ADD COLUMN escalation_phone_numbers TEXT NULL AFTER escalation_emails,
+  ADD COLUMN notify_resolved BOOLEAN NOT NULL DEFAULT TRUE AFTER escalation_phone_numbers;
+
+ALTER TABLE alert_triggers
+  ADD COLUMN incident_id INT NULL AFTER alert_id,
+  ADD FOREIGN KEY (incident_id) REFERENCES alert_incidents(id) ON DELETE SET NULL;
+
+-- Escalation and "all clear" deliveries belong to an incident rather than a trigger
+ALTER TABLE notification_deliveries
+  MODIFY COLUMN trigger_id INT NULL,
+  ADD COLUMN incident_id INT NULL AFTER trigger_id,
+  ADD FOREIGN KEY (incident_id) REFERENCES alert_incidents(id) ON DELETE CASCADE;
+
+-- Quiet hours: notifications of non-critical alerts inside quiet_hours_start..quiet_hours_end (local time in the
+-- alert's timezone, else the field's) are queued and sent as one digest when the quiet hours end.
+ALTER TABLE fields
+  ADD COLUMN timezone VARCHAR(64) NULL AFTER weather_provider;
+
+ALTER TABLE alerts
+  ADD COLUMN severity ENUM('info', 'warning', 'critical') NOT NULL DEFAULT 'warning' AFTER notify_resolved,
+  ADD COLUMN quiet_hours_start TIME NULL AFTER severity,
+  ADD COLUMN quiet_hours_end TIME NULL AFTER quiet_hours_start,
+  ADD COLUMN timezone VARCHAR(64) NULL AFTER quiet_hours_end;
+
+CREATE TABLE queued_notifications (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  alert_id INT NOT NULL,
+  incident_id INT NULL,
+  trigger_id INT NULL,
+  kind ENUM('triggered', 'resolved') NOT NULL DEFAULT 'triggered',
+  value DECIMAL(10, 2) NULL,
+  predicted_for DATETIME NULL,
+  rule_result JSON NULL,
+  queued_at DATETIME NOT NULL,
+  delivered_at DATETIME NULL,
+  INDEX idx_queued_notifications_pending (delivered_at, alert_id),
+  FOREIGN KEY (alert_id) REFERENCES alerts(id) ON DELETE CASCADE,
+  FOREIGN KEY (incident_id) REFERENCES alert_incidents(id) ON DELETE SET NULL,
+  FOREIGN KEY (trigger_id) REFERENCES alert_triggers(id) ON DELETE SET NULL
+);
+
+-- Digest subscriptions: one email per day (or week, on day_of_week 0 = Sunday) at send_time local time,
+-- summarising triggered alerts, current conditions and the 48 hour outlook of the organisation's fields
+-- (or only field_ids, a JSON array)
+CREATE TABLE digest_subscriptions (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  organisation_id INT NOT NULL,
+  created_by INT NULL,
+  email VARCHAR(255) NOT NULL,
+  frequency ENUM('daily', 'weekly') NOT NULL DEFAULT 'daily',
+  send_time TIME NOT NULL DEFAULT '07:00:00',
+  day_of_week TINYINT NULL,
+  timezone VARCHAR(64) NOT NULL DEFAULT 'Africa/Harare',
+  field_ids JSON NULL,
+  active BOOLEAN NOT NULL DEFAULT TRUE,
+  last_sent_at DATETIME NULL,
+  last_error TEXT NULL,
+  created_at DATETIME NOT NULL,
+  updated_at DATETIME NOT NULL,
+  INDEX idx_digest_subscriptions_active (active),
+  FOREIGN KEY (organisation_id) REFERENCES organisations(id) ON DELETE CASCADE,
+  FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
+-- Notification outbox: one row per channel and recipient for every notification, delivered by the monitor
+-- with exponential backoff. Each attempt is logged to notification_deliveries.
+CREATE TABLE notification_outbox (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  alert_id INT NOT NULL,
+  trigger_id INT NULL,
+  incident_id INT NULL,
+  kind ENUM('triggered', 'escalation', 'resolved', 'digest') NOT NULL DEFAULT 'triggered',
+  channel VARCHAR(50) NOT NULL,
+  recipient VARCHAR(255) NOT NULL,
+  payload JSON NOT NULL,
+  status ENUM('pending', 'sending', 'sent', 'failed') NOT NULL DEFAULT 'pending',
+  attempts INT NOT NULL DEFAULT 0,
+  next_attempt_at DATETIME NOT NULL,
+  last_error TEXT NULL,
+  message_id VARCHAR(255) NULL,
+  created_at DATETIME NOT NULL,
+  sent_at DATETIME NULL,
+  updated_at DATETIME NOT NULL,
+  INDEX idx_notification_outbox_due (status, next_attempt_at),
+  INDEX idx_notification_outbox_alert (alert_id, created_at),
+  FOREIGN KEY (alert_id) REFERENCES alerts(id) ON DELETE CASCADE,
+  FOREIGN KEY (trigger_id) REFERENCES alert_triggers(id) ON DELETE SET NULL,
+  FOREIGN KEY (incident_id) REFERENCES alert_incidents(id) ON DELETE SET NULL
+);
+
+ALTER TABLE notification_deliveries
+  ADD COLUMN outbox_id INT NULL AFTER incident_id,
+  ADD COLUMN attempt INT NOT NULL DEFAULT 1 AFTER outbox_id,
+  ADD INDEX idx_notification_deliveries_outbox (outbox_id),
+  ADD FOREIGN KEY (outbox_id) REFERENCES notification_outbox(id) ON DELETE CASCADE;
+
+-- Notification templates and branding: organisations brand their emails and messages, and may override any
+-- default template (see notificationChannels/templates.js) per channel, name and language.
+-- Alerts pick a language, optionally per recipient via recipient_languages ({ "email or phone": "sn" }).
+ALTER TABLE organisations
+  ADD COLUMN brand_name VARCHAR(100) NULL AFTER name,
+  ADD COLUMN logo_url VARCHAR(500) NULL AFTER brand_name,
+  ADD COLUMN primary_color CHAR(7) NULL AFTER logo_url,
+  ADD COLUMN accent_color CHAR(7) NULL AFTER primary_color,
+  ADD COLUMN dashboard_url VARCHAR(500) NULL AFTER accent_color,
+  ADD COLUMN default_language ENUM('en', 'sn', 'nd') NOT NULL DEFAULT 'en' AFTER dashboard_url;
+
+CREATE TABLE notification_templates (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  organisation_id INT NOT NULL,
+  channel ENUM('email', 'sms') NOT NULL,
+  name VARCHAR(50) NOT NULL,
+  language ENUM('en', 'sn', 'nd') NOT NULL,
+  subject VARCHAR(255) NULL,
+  body TEXT NOT NULL,
+  updated_by INT NULL,
+  created_at DATETIME NOT NULL,
+  updated_at DATETIME NOT NULL,
+  UNIQUE KEY uq_notification_templates (organisation_id, channel, name, language),
+  FOREIGN KEY (organisation_id) REFERENCES organisations(id) ON DELETE CASCADE,
+  FOREIGN KEY (updated_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
+ALTER TABLE alerts
+  ADD COLUMN language ENUM('en', 'sn', 'nd') NULL AFTER timezone,
+  ADD COLUMN recipient_languages JSON NULL AFTER language;
+
+-- Scheduler: the monitor checks each alert every check_interval_minutes (NULL uses ALERT_CHECK_INTERVAL_MINUTES,
+-- default 30). Background jobs take a lease in scheduler_locks so only one instance runs each job at a time.
+ALTER TABLE alerts
+  ADD COLUMN check_interval_minutes INT NULL AFTER base_temperature,
+  ADD COLUMN last_checked_at DATETIME NULL AFTER last_triggered;
+
+CREATE TABLE scheduler_locks (
+  name VARCHAR(100) PRIMARY KEY,
+  owner VARCHAR(255) NOT NULL,
+  locked_until DATETIME NOT NULL,
+  acquired_at DATETIME NOT NULL
+);
+
+-- Weather cache: locations snap to a grid cell (WEATHER_GRID_DEGREES) shared by neighbouring fields.
+-- provider_key is the field's preferred provider or 'default'. weather_cache holds the latest current weather
+-- and forecast per cell with their expiry; weather_readings keeps hourly history so it is fetched only once.
+CREATE TABLE weather_cache (
+  cell_key VARCHAR(40) NOT NULL,
+  kind ENUM('current', 'forecast') NOT NULL,
+  provider_key VARCHAR(50) NOT NULL,
+  provider VARCHAR(50) NOT NULL,
+  hours INT NULL,
+  data JSON NOT NULL,
+  fetched_at DATETIME NOT NULL,
+  expires_at DATETIME NOT NULL,
+  PRIMARY KEY (cell_key, kind, provider_key),
+  INDEX idx_weather_cache_expires (expires_at)
+);
+
+CREATE TABLE weather_readings (
+  cell_key VARCHAR(40) NOT NULL,
+  provider_key VARCHAR(50) NOT NULL,
+  datetime DATETIME NOT NULL,
+  provider VARCHAR(50) NOT NULL,
+  temperature DECIMAL(6, 2) NULL,
+  windspeed DECIMAL(6, 2) NULL,
+  rainfall DECIMAL(7, 2) NULL,
+  humidity DECIMAL(5, 2) NULL,
+  fetched_at DATETIME NOT NULL,
+  PRIMARY KEY (cell_key, provider_key, datetime),
+  INDEX idx_weather_readings_time (datetime)
+);
+
+-- Subscription digests are delivered through the notification outbox too, with the same retries and per-attempt
+-- records: their entries and deliveries belong to a digest subscription instead of an alert.
+-- digest_subscriptions.last_sent_at is when the latest digest was queued; last_error is its latest attempt's error.
+ALTER TABLE notification_outbox
+  MODIFY COLUMN alert_id INT NULL,
+  MODIFY COLUMN kind ENUM('triggered', 'escalation', 'resolved', 'digest', 'subscription_digest') NOT NULL DEFAULT 'triggered',
+  ADD COLUMN subscription_id INT NULL AFTER alert_id,
+  ADD FOREIGN KEY (subscription_id) REFERENCES digest_subscriptions(id) ON DELETE CASCADE;
+
+ALTER TABLE notification_deliveries
+  MODIFY COLUMN alert_id INT NULL,
+  ADD COLUMN subscription_id INT NULL AFTER alert_id,
+  ADD FOREIGN KEY (subscription_id) REFERENCES digest_subscriptions(id) ON DELETE CASCADE;
+
+-- Digests are written in the subscription's language, or the organisation's default_language when NULL
+ALTER TABLE digest_subscriptions
+  ADD COLUMN language ENUM('en', 'sn', 'nd') NULL AFTER timezone;
+
+-- When a snooze last ran out and put the incident back to open; the alert notifies again from then on
+ALTER TABLE alert_incidents
+  ADD COLUMN reopened_at DATETIME NULL AFTER snoozed_by;
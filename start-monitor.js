@@ -1,5 +1,6 @@
 const http = require('http');
 const db = require('./database');
+const { startMonitor, stopMonitor, getMonitorStatus } = require('./alertMonitor');
 
 // Simple health check server for the monitor
 const healthServer = http.createServer((req, res) => {
@@ -8,7 +9,8 @@ const healthServer = http.createServer((req, res) => {
     res.end(JSON.stringify({
       status: 'healthy',
       service: 'yieldera-alerts-monitor',
-      timestamp: new Date().toISOString()
+      timestamp: new Date().toISOString(),
+      monitor: getMonitorStatus()
     }));
   } else {
     res.writeHead(404);
@@ -35,21 +37,17 @@ healthServer.listen(HEALTH_PORT, '0.0.0.0', () => {
 
 // Start the alert monitor
 console.log('🔄 Loading alert monitor...');
-require('./alertMonitor');
+startMonitor();
 
-// Graceful shutdown
-process.on('SIGTERM', () => {
-  console.log('📴 SIGTERM received, shutting down gracefully...');
+// Graceful shutdown: let running jobs finish before exiting
+async function shutdown(signal) {
+  console.log(`📴 ${signal} received, shutting down gracefully...`);
+  await stopMonitor();
   healthServer.close(() => {
     console.log('👋 Health server closed');
     process.exit(0);
   });
-});
+}
 
-process.on('SIGINT', () => {
-  console.log('📴 SIGINT received, shutting down gracefully...');
-  healthServer.close(() => {
-    console.log('👋 Health server closed');
-    process.exit(0);
-  });
-});
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
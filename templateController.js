@@ -0,0 +1,401 @@
+const db = require('./database');
+const { ALERT_SETTING_COLUMNS, parseAlertSettings, generateWebhookSecret } = require('./alertSettings');
+const { findOrganisationFields } = require('./fieldController');
+const { sendValidationError, sendNotFound, sendServerError } = require('./apiErrors');
+const { parseBoolean } = require('./validation');
+
+// Settings that template edits never overwrite on linked alerts: each alert keeps its own signing secret
+// and anyone who paused a single alert doesn't want a template edit switching it back on
+const PROPAGATED_COLUMNS = ALERT_SETTING_COLUMNS.filter(column => !['webhook_secret', 'active'].includes(column));
+
+// Values for NOT NULL settings that rules saved before those settings existed don't carry
+const SETTING_DEFAULTS = { notify_resolved: 1, severity: 'warning', notification_frequency: 'once' };
+
+// Helper function to parse a template's rules (each an alert payload without field_id, checked against
+// TEMPLATE_BODY by the route). Rules keep their id on updates so linked alerts can be matched up.
+// Returns { errors } for settings that don't go together, or { rules }.
+function parseRules(rules) {
+  const parsed = [];
+  for (let i = 0; i < rules.length; i++) {
+    const rule = rules[i];
+    const settings = parseAlertSettings(rule);
+    if (settings.error) {
+      return { errors: [{ field: `rules[${i}]`, code: 'invalid_value', message: `rules[${i}]: ${settings.error}` }] };
+    }
+    const { webhook_secret, ...values } = settings.values;
+    parsed.push({
+      id: rule.id ? parseInt(rule.id) : null,
+      name: rule.name ? String(rule.name).slice(0, 255) : null,
+      settings: values
+    });
+  }
+  return { rules: parsed };
+}
+
+// Helper function to load a template of the caller's organisation with its rules
+async function loadTemplate(templateId, organisationId, connection = db) {
+  const [templates] = await connection.query(
+    'SELECT * FROM alert_templates WHERE id = ? AND organisation_id = ?',
+    [templateId, organisationId]
+  );
+  if (!templates.length) return null;
+
+  const [rules] = await connection.query(
+    'SELECT id, name, settings FROM alert_template_rules WHERE template_id = ? ORDER BY position, id',
+    [templateId]
+  );
+  return {
+    ...templates[0],
+    rules: rules.map(rule => ({
+      ...rule,
+      settings: { ...SETTING_DEFAULTS, ...(typeof rule.settings === 'string' ? JSON.parse(rule.settings) : rule.settings) }
+    }))
+  };
+}
+
+// Helper function to create one alert per field for a rule, linked back to it
+async function insertRuleAlerts(connection, rule, fieldIds) {
+  if (!fieldIds.length) return 0;
+
+  const now = new Date();
+  const rows = fieldIds.map(fieldId => [
+    fieldId,
+    ...ALERT_SETTING_COLUMNS.map(column => {
+      if (column === 'webhook_secret') {
+        return rule.settings.webhook_url ? generateWebhookSecret() : null;
+      }
+      return rule.settings[column];
+    }),
+    rule.id,
+    now,
+    now
+  ]);
+
+  const [result] = await connection.query(
+    `INSERT INTO alerts (field_id, ${ALERT_SETTING_COLUMNS.join(', ')}, template_rule_id, created_at, updated_at) VALUES ?`,
+    [rows]
+  );
+  return result.affectedRows;
+}
+
+// Helper function to rewrite every alert linked to a rule with the rule's current settings
+async function propagateRule(connection, rule) {
+  const [result] = await connection.query(
+    `UPDATE alerts SET
+      ${PROPAGATED_COLUMNS.map(column => `${column} = ?`).join(', ')},
+      webhook_secret = IF(webhook_url IS NULL, NULL, webhook_secret),
+      condition_since = NULL,
+      updated_at = NOW()
+     WHERE template_rule_id = ?`,
+    [...PROPAGATED_COLUMNS.map(column => rule.settings[column]), rule.id]
+  );
+
+  // Alerts that just gained a webhook need a signing secret of their own
+  const [unsigned] = await connection.query(
+    'SELECT id FROM alerts WHERE template_rule_id = ? AND webhook_url IS NOT NULL AND webhook_secret IS NULL',
+    [rule.id]
+  );
+  for (const alert of unsigned) {
+    await connection.query('UPDATE alerts SET webhook_secret = ? WHERE id = ?', [generateWebhookSecret(), alert.id]);
+  }
+
+  return result.affectedRows;
+}
+
+// Helper function to find the fields a template has been applied to
+async function getLinkedFieldIds(connection, templateId) {
+  const [rows] = await connection.query(
+    `SELECT DISTINCT a.field_id
+     FROM alerts a
+     JOIN alert_template_rules r ON a.template_rule_id = r.id
+     WHERE r.template_id = ?`,
+    [templateId]
+  );
+  return rows.map(row => row.field_id);
+}
+
+// Helper function to run `work` in a transaction, committing what it did unless it throws
+async function inTransaction(work) {
+  const connection = await db.getConnection();
+  try {
+    await connection.beginTransaction();
+    const result = await work(connection);
+    await connection.commit();
+    return result;
+  } catch (err) {
+    await connection.rollback();
+    throw err;
+  } finally {
+    connection.release();
+  }
+}
+
+// Helper function to store rules in order, filling in their new ids
+async function insertRules(connection, templateId, rules, firstPosition = 0) {
+  for (let i = 0; i < rules.length; i++) {
+    const [result] = await connection.query(
+      'INSERT INTO alert_template_rules (template_id, name, settings, position) VALUES (?, ?, ?, ?)',
+      [templateId, rules[i].name, JSON.stringify(rules[i].settings), firstPosition + i]
+    );
+    rules[i].id = result.insertId;
+  }
+}
+
+// GET ALERT TEMPLATES of the caller's organisation, with how many fields and alerts each is linked to
+const getTemplates = async (req, res) => {
+  try {
+    const [templates] = await db.query(
+      `SELECT
+        t.*,
+        COUNT(DISTINCT a.id) as alert_count,
+        COUNT(DISTINCT a.field_id) as field_count
+       FROM alert_templates t
+       LEFT JOIN alert_template_rules r ON r.template_id = t.id
+       LEFT JOIN alerts a ON a.template_rule_id = r.id
+       WHERE t.organisation_id = ?
+       GROUP BY t.id
+       ORDER BY t.name`,
+      [req.user.organisation_id]
+    );
+
+    const [rules] = templates.length
+      ? await db.query(
+          'SELECT id, template_id, name, settings FROM alert_template_rules WHERE template_id IN (?) ORDER BY position, id',
+          [templates.map(template => template.id)]
+        )
+      : [[]];
+
+    res.json(templates.map(template => ({
+      ...template,
+      rules: rules
+        .filter(rule => rule.template_id === template.id)
+        .map(({ template_id, settings, ...rule }) => ({
+          ...rule,
+          settings: typeof settings === 'string' ? JSON.parse(settings) : settings
+        }))
+    })));
+  } catch (err) {
+    console.error('❌ Error fetching alert templates:', err);
+    sendServerError(res, 'Fetch failed');
+  }
+};
+
+// GET ALERT TEMPLATE BY ID
+const getTemplateById = async (req, res) => {
+  try {
+    const template = await loadTemplate(req.params.id, req.user.organisation_id);
+    if (!template) {
+      return sendNotFound(res, 'Template not found');
+    }
+
+    template.field_ids = await getLinkedFieldIds(db, template.id);
+    res.json(template);
+  } catch (err) {
+    console.error('❌ Error fetching alert template:', err);
+    sendServerError(res, 'Fetch failed');
+  }
+};
+
+// CREATE ALERT TEMPLATE - { name, description, rules: [alert settings, ...] }
+const createTemplate = async (req, res) => {
+  const { name, description = null, rules } = req.body;
+
+  const parsed = parseRules(rules);
+  if (parsed.errors) {
+    return sendValidationError(res, parsed.errors);
+  }
+
+  try {
+    const templateId = await inTransaction(async connection => {
+      const [result] = await connection.query(
+        'INSERT INTO alert_templates (organisation_id, name, description, created_at, updated_at) VALUES (?, ?, ?, NOW(), NOW())',
+        [req.user.organisation_id, String(name).slice(0, 255), description]
+      );
+      await insertRules(connection, result.insertId, parsed.rules);
+      return result.insertId;
+    });
+
+    console.log(`✅ Created alert template ${templateId} (${name}) with ${parsed.rules.length} rules`);
+    res.status(201).json({ success: true, id: templateId, rule_ids: parsed.rules.map(rule => rule.id) });
+  } catch (err) {
+    console.error('❌ Error creating alert template:', err);
+    sendServerError(res, 'Insert failed');
+  }
+};
+
+// UPDATE ALERT TEMPLATE - { name, description, rules, propagate }.
+// Rules sent with their id are updated, rules without an id are added and missing rules are removed.
+// With propagate: true the linked alerts follow: they are rewritten, created for new rules on every field
+// the template was applied to, and deleted with removed rules. Otherwise linked alerts are left as they are.
+const updateTemplate = async (req, res) => {
+  const { name, description = null, rules } = req.body;
+  const propagate = parseBoolean(req.body.propagate);
+
+  const parsed = parseRules(rules);
+  if (parsed.errors) {
+    return sendValidationError(res, parsed.errors);
+  }
+
+  try {
+    // Resolves to { summary }, or { notFound } / { unknownIds } without writing anything
+    const result = await inTransaction(async connection => {
+      const template = await loadTemplate(req.params.id, req.user.organisation_id, connection);
+      if (!template) {
+        return { notFound: true };
+      }
+
+      const existingIds = template.rules.map(rule => rule.id);
+      const unknownIds = parsed.rules.filter(rule => rule.id && !existingIds.includes(rule.id)).map(rule => rule.id);
+      if (unknownIds.length) {
+        return { unknownIds };
+      }
+
+      const keptRules = parsed.rules.filter(rule => rule.id);
+      const newRules = parsed.rules.filter(rule => !rule.id);
+      const removedIds = existingIds.filter(id => !keptRules.some(rule => rule.id === id));
+      const linkedFieldIds = await getLinkedFieldIds(connection, template.id);
+      const summary = { updated: 0, created: 0, deleted: 0 };
+
+      await connection.query(
+        'UPDATE alert_templates SET name = ?, description = ?, updated_at = NOW() WHERE id = ?',
+        [String(name).slice(0, 255), description, template.id]
+      );
+
+      for (const [position, rule] of parsed.rules.entries()) {
+        if (!rule.id) continue;
+        await connection.query(
+          'UPDATE alert_template_rules SET name = ?, settings = ?, position = ? WHERE id = ?',
+          [rule.name, JSON.stringify(rule.settings), position, rule.id]
+        );
+        if (propagate) {
+          summary.updated += await propagateRule(connection, rule);
+        }
+      }
+
+      if (removedIds.length) {
+        if (propagate) {
+          const [deleted] = await connection.query('DELETE FROM alerts WHERE template_rule_id IN (?)', [removedIds]);
+          summary.deleted = deleted.affectedRows;
+        }
+        // Without propagation the alerts stay and are simply unlinked (ON DELETE SET NULL)
+        await connection.query('DELETE FROM alert_template_rules WHERE id IN (?)', [removedIds]);
+      }
+
+      await insertRules(connection, template.id, newRules, keptRules.length);
+      if (propagate) {
+        for (const rule of newRules) {
+          summary.created += await insertRuleAlerts(connection, rule, linkedFieldIds);
+        }
+      }
+
+      console.log(`✅ Updated alert template ${template.id}${propagate ? ` (propagated: ${JSON.stringify(summary)})` : ''}`);
+      return { summary };
+    });
+
+    if (result.notFound) {
+      return sendNotFound(res, 'Template not found');
+    }
+    if (result.unknownIds) {
+      return sendValidationError(res, [
+        { field: 'rules', code: 'invalid_value', message: `Rules ${result.unknownIds.join(', ')} do not belong to this template` }
+      ]);
+    }
+    res.json({ success: true, propagated: propagate ? result.summary : null, rule_ids: parsed.rules.map(rule => rule.id) });
+  } catch (err) {
+    console.error('❌ Error updating alert template:', err);
+    sendServerError(res, 'Update failed');
+  }
+};
+
+// DELETE ALERT TEMPLATE - linked alerts are kept (unlinked) unless ?delete_alerts=true
+const deleteTemplate = async (req, res) => {
+  const deleteAlerts = parseBoolean(req.query.delete_alerts);
+
+  try {
+    const deletedAlerts = await inTransaction(async connection => {
+      const template = await loadTemplate(req.params.id, req.user.organisation_id, connection);
+      if (!template) return null;
+
+      let deleted = 0;
+      if (deleteAlerts && template.rules.length) {
+        const [result] = await connection.query(
+          'DELETE FROM alerts WHERE template_rule_id IN (?)',
+          [template.rules.map(rule => rule.id)]
+        );
+        deleted = result.affectedRows;
+      }
+      await connection.query('DELETE FROM alert_templates WHERE id = ?', [template.id]);
+      return deleted;
+    });
+
+    if (deletedAlerts === null) {
+      return sendNotFound(res, 'Template not found');
+    }
+
+    console.log(`✅ Deleted alert template ${req.params.id} (${deletedAlerts} alerts deleted)`);
+    res.json({ success: true, deleted_alerts: deletedAlerts });
+  } catch (err) {
+    console.error('❌ Error deleting alert template:', err);
+    sendServerError(res, 'Delete failed');
+  }
+};
+
+// APPLY ALERT TEMPLATE to fields chosen by { field_ids: [...] }, { search: '...' } (as GET /fields?search=)
+// and/or { crop: 'Maize' }; criteria combine. Fields that already have a rule's alert are skipped, so applying
+// the same template twice is safe.
+const applyTemplate = async (req, res) => {
+  const { field_ids, search, crop } = req.body;
+
+  const ids = field_ids
+    ? (Array.isArray(field_ids) ? field_ids : String(field_ids).split(',')).map(id => parseInt(id))
+    : null;
+  if (!ids && !search && !crop) {
+    return sendValidationError(res, [
+      { field: null, code: 'required', message: 'Provide field_ids, search or crop to choose fields' }
+    ]);
+  }
+
+  try {
+    const fields = await findOrganisationFields(req.user.organisation_id, { ids, search, crop }, 'id');
+    const fieldIds = fields.map(field => field.id);
+
+    const result = await inTransaction(async connection => {
+      const template = await loadTemplate(req.params.id, req.user.organisation_id, connection);
+      if (!template) return null;
+
+      let created = 0;
+      let skipped = 0;
+      for (const rule of template.rules) {
+        const [linked] = fieldIds.length
+          ? await connection.query(
+              'SELECT DISTINCT field_id FROM alerts WHERE template_rule_id = ? AND field_id IN (?)',
+              [rule.id, fieldIds]
+            )
+          : [[]];
+        const linkedIds = new Set(linked.map(row => row.field_id));
+        skipped += linkedIds.size;
+        created += await insertRuleAlerts(connection, rule, fieldIds.filter(id => !linkedIds.has(id)));
+      }
+      return { created, skipped };
+    });
+
+    if (!result) {
+      return sendNotFound(res, 'Template not found');
+    }
+
+    console.log(`✅ Applied alert template ${req.params.id} to ${fieldIds.length} fields (${result.created} alerts created, ${result.skipped} already present)`);
+    res.status(result.created ? 201 : 200).json({ success: true, fields: fieldIds.length, ...result });
+  } catch (err) {
+    console.error('❌ Error applying alert template:', err);
+    sendServerError(res, 'Apply failed');
+  }
+};
+
+module.exports = {
+  getTemplates,
+  getTemplateById,
+  createTemplate,
+  updateTemplate,
+  deleteTemplate,
+  applyTemplate
+};
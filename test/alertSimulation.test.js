@@ -0,0 +1,60 @@
+// Alert simulations against known weather (run with npm test)
+const test = require('node:test');
+const assert = require('node:assert');
+const { runSimulation } = require('../alertSimulation');
+
+const HOUR_MS = 60 * 60 * 1000;
+const start = new Date('2026-01-10T00:00:00Z');
+
+// Six hours above 10°C, then six below
+const readings = Array.from({ length: 12 }, (_, i) => ({
+  datetime: new Date(start.getTime() + i * HOUR_MS),
+  temperature: i < 6 ? 20 : 5,
+  windspeed: null,
+  rainfall: null,
+  humidity: null
+}));
+const end = readings[readings.length - 1].datetime;
+
+const alert = {
+  alert_type: 'temperature',
+  condition_type: 'greater_than',
+  threshold_value: 10,
+  duration_hours: 0,
+  notification_frequency: 'once',
+  check_interval_minutes: 60
+};
+
+test('the alert is checked every check_interval_minutes', () => {
+  const hourly = runSimulation(alert, readings, start, end);
+  assert.strictEqual(hourly.checks, 12);
+  assert.strictEqual(hourly.trigger_count, 6);
+
+  const quarterHourly = runSimulation({ ...alert, check_interval_minutes: 15 }, readings, start, end);
+  assert.strictEqual(quarterHourly.checks, 45);
+  assert.strictEqual(quarterHourly.trigger_count, 24);
+
+  const everyThreeHours = runSimulation({ ...alert, check_interval_minutes: 180 }, readings, start, end);
+  assert.strictEqual(everyThreeHours.checks, 4);
+  assert.strictEqual(everyThreeHours.trigger_count, 2);
+
+  // Whatever the interval, one incident with one notification and one all-clear
+  [hourly, quarterHourly, everyThreeHours].forEach(result => {
+    assert.strictEqual(result.incident_count, 1);
+    assert.strictEqual(result.condition_hours, 6);
+    assert.strictEqual(result.notifications.sent, 1);
+    assert.strictEqual(result.notifications.resolved_sent, 1);
+  });
+});
+
+test('unacknowledged incidents escalate once escalation_minutes have passed', () => {
+  const escalating = { ...alert, escalation_minutes: 120, escalation_emails: 'manager@example.com' };
+  const result = runSimulation(escalating, readings, start, end);
+
+  assert.strictEqual(result.notifications.escalations, 1);
+  assert.deepStrictEqual(result.incidents[0].escalated_at, new Date(start.getTime() + 2 * HOUR_MS));
+  assert.strictEqual(result.notifications.total, 3);
+
+  // Without escalation recipients there is nobody to escalate to
+  assert.strictEqual(runSimulation({ ...alert, escalation_minutes: 120 }, readings, start, end).notifications.escalations, 0);
+});
@@ -0,0 +1,52 @@
+// Incident notification throttling (run with npm test). Database writes are captured instead of sent.
+const test = require('node:test');
+const assert = require('node:assert');
+const db = require('../database');
+const { refreshIncident, isRepeatThrottled } = require('../incidents');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+test('notification_frequency throttles repeats while an incident stays open', () => {
+  const now = new Date('2026-07-01T12:00:00Z');
+  const incident = { state: 'open', opened_at: new Date(now.getTime() - 3 * HOUR_MS) };
+  const lastTriggered = new Date(now.getTime() - 2 * HOUR_MS);
+
+  assert.strictEqual(isRepeatThrottled({ notification_frequency: 'once' }, incident, lastTriggered, now), true);
+  assert.strictEqual(isRepeatThrottled({ notification_frequency: 'hourly' }, incident, lastTriggered, now), false);
+  assert.strictEqual(isRepeatThrottled({ notification_frequency: 'daily' }, incident, lastTriggered, now), true);
+  assert.strictEqual(isRepeatThrottled({ notification_frequency: 'once' }, incident, null, now), false);
+});
+
+test('an incident reopened by the end of its snooze notifies again', async t => {
+  const queries = [];
+  t.mock.method(db, 'query', async (sql, params) => {
+    queries.push({ sql, params });
+    return [{ affectedRows: 1 }];
+  });
+
+  const openedAt = new Date('2026-07-01T02:00:00Z');
+  const lastTriggered = new Date('2026-07-01T02:00:00Z');
+  const snoozedUntil = new Date('2026-07-01T06:00:00Z');
+  const snoozed = { id: 4, state: 'snoozed', opened_at: openedAt, snoozed_until: snoozedUntil };
+
+  // Still snoozed: nothing changes
+  const during = await refreshIncident(snoozed, -1, new Date('2026-07-01T05:00:00Z'));
+  assert.strictEqual(during.state, 'snoozed');
+  assert.strictEqual(during.reopened_at, undefined);
+
+  // Snooze over: open again, and neither 'once' nor 'daily' holds the next notification back
+  const now = new Date('2026-07-01T06:15:00Z');
+  const reopened = await refreshIncident(snoozed, -1.5, now);
+  assert.strictEqual(reopened.state, 'open');
+  assert.strictEqual(reopened.snoozed_until, null);
+  assert.deepStrictEqual(reopened.reopened_at, snoozedUntil);
+  assert.match(queries[1].sql, /reopened_at = \?/);
+  assert.deepStrictEqual(queries[1].params.slice(0, 2), [-1.5, snoozedUntil]);
+
+  assert.strictEqual(isRepeatThrottled({ notification_frequency: 'once' }, reopened, lastTriggered, now), false);
+  assert.strictEqual(isRepeatThrottled({ notification_frequency: 'daily' }, reopened, lastTriggered, now), false);
+
+  // Once it has notified after reopening, 'once' holds again
+  const notifiedAt = new Date('2026-07-01T06:15:00Z');
+  assert.strictEqual(isRepeatThrottled({ notification_frequency: 'once' }, reopened, notifiedAt, new Date('2026-07-01T07:00:00Z')), true);
+});
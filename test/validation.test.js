@@ -0,0 +1,35 @@
+// Checks of the request input helpers (run with npm test)
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseBoolean, validate } = require('../validation');
+
+test('parseBoolean reads booleans, 0/1 and their text', () => {
+  [true, 1, 'true', '1'].forEach(value => assert.strictEqual(parseBoolean(value), true));
+  [false, 0, 'false', '0'].forEach(value => assert.strictEqual(parseBoolean(value, true), false));
+});
+
+test('parseBoolean falls back to the default for empty and unrecognised values', () => {
+  [undefined, null, ''].forEach(value => {
+    assert.strictEqual(parseBoolean(value), false);
+    assert.strictEqual(parseBoolean(value, true), true);
+  });
+  ['no', 'off', 'ture', 'yes', 2].forEach(value => {
+    assert.strictEqual(parseBoolean(value), false);
+    assert.strictEqual(parseBoolean(value, true), true);
+  });
+});
+
+test('validate checks each object of an array against its schema', () => {
+  const schema = {
+    rules: { type: 'array', required: true, minItems: 1, maxItems: 2, schema: { threshold: { type: 'number', required: true } } },
+    field_ids: { type: 'list', items: 'id' }
+  };
+
+  assert.deepStrictEqual(validate(schema, { rules: [{ threshold: 1 }], field_ids: [7, '8'] }), []);
+  assert.deepStrictEqual(validate(schema, { rules: [] }).map(error => error.code), ['too_short']);
+  assert.deepStrictEqual(validate(schema, { rules: [{}, 'x'], field_ids: 'a' }), [
+    { field: 'rules[0].threshold', code: 'required', message: 'rules[0].threshold is required' },
+    { field: 'rules[1]', code: 'invalid_type', message: 'rules[1] must be an object' },
+    { field: 'field_ids', code: 'invalid_format', message: 'field_ids has invalid ids: a' }
+  ]);
+});
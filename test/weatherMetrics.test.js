@@ -0,0 +1,123 @@
+// Known-value checks of the metrics derived from hourly readings (run with npm test)
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  getSeasonStart,
+  dewPoint,
+  heatIndex,
+  hargreavesEt0,
+  getMetricSeries
+} = require('../weatherMetrics');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Hourly readings from `start`, with the values given by `valuesAt(i)`
+function hourlyReadings(start, hours, valuesAt) {
+  return Array.from({ length: hours }, (_, i) => ({
+    datetime: new Date(start.getTime() + i * HOUR_MS),
+    temperature: null,
+    humidity: null,
+    rainfall: 0,
+    ...valuesAt(i)
+  }));
+}
+
+const lastValue = series => series[series.length - 1].value;
+
+test('growing degree days accumulate above the crop base temperature', () => {
+  const readings = hourlyReadings(new Date('2026-01-10T00:00:00Z'), 48, () => ({ temperature: 20 }));
+
+  // Maize: base 10°C, so a steady 20°C adds 10 GDD a day
+  const maize = getMetricSeries({ alert_type: 'gdd', accumulation_window: '24h' }, readings, { crop: 'maize' });
+  assert.strictEqual(lastValue(maize), 10);
+
+  // base_temperature overrides the crop's base
+  const override = getMetricSeries({ alert_type: 'gdd', accumulation_window: '24h' }, readings, { crop: 'maize', baseTemperature: 15 });
+  assert.strictEqual(lastValue(override), 5);
+});
+
+test('growing degree days cap temperatures at the upper cutoff', () => {
+  const readings = hourlyReadings(new Date('2026-01-10T00:00:00Z'), 24, () => ({ temperature: 35 }));
+  const series = getMetricSeries({ alert_type: 'gdd', accumulation_window: '24h' }, readings, { crop: 'maize' });
+  assert.strictEqual(lastValue(series), 20);
+});
+
+test('growing degree days count from the planting date', () => {
+  const planted = new Date(2026, 10, 1);
+  const readings = hourlyReadings(new Date(planted.getTime() - 24 * HOUR_MS), 73, () => ({ temperature: 20 }));
+  const alert = { alert_type: 'gdd', accumulation_window: 'season', season_start: '2026-11-01' };
+  const series = getMetricSeries(alert, readings, { crop: 'maize' });
+
+  assert.strictEqual(series[0].value, null);
+  assert.strictEqual(series[23].value, null);
+  assert.strictEqual(series[24].value, 0);
+  assert.strictEqual(lastValue(series), 20);
+});
+
+test('season start', () => {
+  const now = new Date(2026, 9, 19);
+
+  // A planting date is the start itself, with no season before it
+  assert.deepStrictEqual(getSeasonStart(now, '2024-11-15'), new Date(2024, 10, 15));
+  assert.strictEqual(getSeasonStart(now, '2026-11-01'), null);
+
+  // MM-DD recurs every year
+  assert.deepStrictEqual(getSeasonStart(now, '10-01'), new Date(2026, 9, 1));
+  assert.deepStrictEqual(getSeasonStart(now, '11-01'), new Date(2025, 10, 1));
+});
+
+test('chill hours count hours above 0°C and up to 7.2°C', () => {
+  const temperatures = [-1, 0, 3, 7.2, 8, 5];
+  const readings = hourlyReadings(new Date('2026-07-01T00:00:00Z'), temperatures.length, i => ({ temperature: temperatures[i] }));
+  const series = getMetricSeries({ alert_type: 'chill_hours', accumulation_window: '24h' }, readings);
+  assert.strictEqual(lastValue(series), 3);
+});
+
+test('Hargreaves ET0 matches the FAO-56 reference', () => {
+  // FAO-56 example: 20°S on 3 September (day 246), Ra = 32.2 MJ/m²/day
+  assert.strictEqual(Math.round(hargreavesEt0(14.8, 26.6, -20, 246) * 10) / 10, 4);
+  // No temperature range, no evaporative demand
+  assert.strictEqual(hargreavesEt0(20, 20, -20, 246), 0);
+});
+
+test('water balance is rainfall less ET0', () => {
+  // 3 September 2026 is day 246; temperatures swing between 14.8 and 26.6°C
+  const readings = hourlyReadings(new Date('2026-09-03T00:00:00Z'), 24, i => ({
+    temperature: i < 12 ? 14.8 : 26.6,
+    rainfall: i === 6 ? 10 : 0
+  }));
+  const context = { latitude: -20 };
+  const et0 = getMetricSeries({ alert_type: 'et0', accumulation_window: '24h' }, readings, context);
+  const balance = getMetricSeries({ alert_type: 'water_balance', accumulation_window: '24h' }, readings, context);
+
+  assert.strictEqual(lastValue(et0), 4);
+  assert.strictEqual(lastValue(balance), 6);
+});
+
+test('dew point', () => {
+  assert.strictEqual(dewPoint(25, 60), 16.7);
+  assert.strictEqual(dewPoint(30, 100), 30);
+  assert.strictEqual(dewPoint(25, null), null);
+});
+
+test('heat index matches the NWS chart', () => {
+  // 90°F at 70% humidity reads 106°F
+  assert.strictEqual(heatIndex(32.2, 70), 41);
+  // Below 80°F it is close to the temperature
+  assert.strictEqual(heatIndex(20, 50), 19.4);
+  assert.strictEqual(heatIndex(null, 50), null);
+});
+
+test('consecutive dry days count whole dry days before the reading, within the window', () => {
+  // Rain on the first day, then four dry days
+  const readings = hourlyReadings(new Date('2026-01-01T00:00:00Z'), 5 * 24, i => ({ rainfall: i === 12 ? 5 : 0.01 }));
+  const alert = { alert_type: 'consecutive_dry_days', accumulation_window: '14d' };
+  const series = getMetricSeries(alert, readings);
+
+  assert.strictEqual(series[0].value, 0);
+  assert.strictEqual(series[24].value, 0);
+  assert.strictEqual(lastValue(series), 3);
+
+  const shortWindow = getMetricSeries({ ...alert, accumulation_window: '2d' }, readings);
+  assert.strictEqual(lastValue(shortWindow), 2);
+});
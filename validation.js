@@ -0,0 +1,203 @@
+// Schema-based request validation. A schema maps each input to a rule:
+//   { type, required, min, max, maxLength, enum, pattern, message, items, minItems, maxItems, schema, test }
+// type is one of TYPES; required may be a function of the whole input (e.g. only for some alert types);
+// pattern failures read "<field> <message>"; list items are checked as 'email' or 'phone' addresses or ids;
+// each object of an array is checked against `schema`, its problems reported as "<field>[<index>].<input>";
+// test(value, input) returns an error message or null for checks the other keys can't express.
+// Empty inputs (undefined, null, '') are only an error when required. Values are checked, not converted:
+// handlers still parse them (booleans with parseBoolean).
+const { sendValidationError } = require('./apiErrors');
+const { isValidE164 } = require('./notificationChannels/sms');
+
+const EMAIL_PATTERN = /^[^\s@,]+@[^\s@,]+\.[^\s@,]+$/;
+
+function isEmpty(value) {
+  return value === undefined || value === null || value === '';
+}
+
+// Booleans arrive as JSON booleans, 0/1 or their text (forms, CSV, query strings, TINYINT columns)
+const TRUE_VALUES = [true, 1, 'true', '1'];
+const FALSE_VALUES = [false, 0, 'false', '0'];
+
+// A boolean input as true/false; empty and unrecognised inputs (e.g. 'no', 'ture') are `defaultValue`, so a typo
+// never switches something on or off. Schemas reject unrecognised values with type 'boolean'.
+function parseBoolean(value, defaultValue = false) {
+  if (TRUE_VALUES.includes(value)) return true;
+  if (FALSE_VALUES.includes(value)) return false;
+  return defaultValue;
+}
+
+function isPlainObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+// JSON columns arrive as objects from JSON bodies or as text from forms and CSV
+function parseJsonObject(value) {
+  if (isPlainObject(value)) return value;
+  if (typeof value !== 'string') return null;
+  try {
+    const parsed = JSON.parse(value);
+    return isPlainObject(parsed) ? parsed : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+// Comma separated text or an array of strings
+function toList(value) {
+  const items = Array.isArray(value) ? value : String(value).split(',');
+  return items.map(item => String(item).trim()).filter(Boolean);
+}
+
+const TYPES = {
+  string: {
+    check: value => typeof value === 'string' || typeof value === 'number',
+    message: 'must be text'
+  },
+  integer: {
+    check: value => typeof value !== 'boolean' && String(value).trim() !== '' && Number.isInteger(Number(value)),
+    message: 'must be a whole number'
+  },
+  number: {
+    check: value => typeof value !== 'boolean' && String(value).trim() !== '' && Number.isFinite(Number(value)),
+    message: 'must be a number'
+  },
+  boolean: {
+    check: value => TRUE_VALUES.includes(value) || FALSE_VALUES.includes(value),
+    message: 'must be true or false'
+  },
+  date: {
+    check: value => (typeof value === 'string' || typeof value === 'number') && !isNaN(new Date(value).getTime()),
+    message: 'must be a date, e.g. 2024-10-01T00:00:00Z'
+  },
+  list: {
+    check: value => typeof value === 'string' || (Array.isArray(value) && value.every(item => ['string', 'number'].includes(typeof item))),
+    message: 'must be a comma separated list'
+  },
+  array: {
+    check: value => Array.isArray(value),
+    message: 'must be an array'
+  },
+  object: {
+    check: value => parseJsonObject(value) !== null,
+    message: 'must be a JSON object'
+  }
+};
+
+const ITEM_CHECKS = {
+  email: { check: item => EMAIL_PATTERN.test(item), message: 'has invalid email addresses' },
+  phone: { check: item => isValidE164(item.replace(/[\s-]/g, '')), message: 'has invalid phone numbers (expected E.164, e.g. +263777123456)' },
+  id: { check: item => /^\d+$/.test(item) && Number(item) > 0, message: 'has invalid ids' }
+};
+
+// Helper function to check one input against its rule, returning the error or null
+function checkValue(field, value, rule, input) {
+  const error = (code, message) => ({ field, code, message: `${field} ${message}` });
+
+  const type = TYPES[rule.type || 'string'];
+  if (!type.check(value)) return error('invalid_type', type.message);
+
+  if (rule.type === 'integer' || rule.type === 'number') {
+    const number = Number(value);
+    if ((rule.min !== undefined && number < rule.min) || (rule.max !== undefined && number > rule.max)) {
+      if (rule.min !== undefined && rule.max !== undefined) return error('out_of_range', `must be between ${rule.min} and ${rule.max}`);
+      return error('out_of_range', rule.min !== undefined ? `must be at least ${rule.min}` : `must be at most ${rule.max}`);
+    }
+  }
+
+  if (rule.maxLength !== undefined && String(value).trim().length > rule.maxLength) {
+    return error('too_long', `must be at most ${rule.maxLength} characters`);
+  }
+  if (rule.enum && !rule.enum.includes(value)) {
+    return error('invalid_value', `must be one of: ${rule.enum.join(', ')}`);
+  }
+  if (rule.pattern && !rule.pattern.test(String(value).trim())) {
+    return error('invalid_format', rule.message || 'is not in the expected format');
+  }
+
+  if (rule.minItems !== undefined && value.length < rule.minItems) {
+    return error('too_short', `must have at least ${rule.minItems} item${rule.minItems === 1 ? '' : 's'}`);
+  }
+  if (rule.maxItems !== undefined && value.length > rule.maxItems) {
+    return error('too_long', `must have at most ${rule.maxItems} items`);
+  }
+
+  if (rule.items) {
+    const invalid = toList(value).filter(item => !ITEM_CHECKS[rule.items].check(item));
+    if (invalid.length) return error('invalid_format', `${ITEM_CHECKS[rule.items].message}: ${invalid.join(', ')}`);
+  }
+
+  if (rule.test) {
+    const message = rule.test(value, input);
+    if (message) return { field, code: 'invalid_value', message };
+  }
+  return null;
+}
+
+// Validate an input object against a schema, returning every problem as [{ field, code, message }].
+// `partial` (PATCH) only checks the inputs present, so required ones may be left out but not emptied.
+function validate(schema, input, { partial = false } = {}) {
+  const source = isPlainObject(input) ? input : {};
+  const errors = [];
+
+  Object.entries(schema).forEach(([field, rule]) => {
+    const value = source[field];
+    if (isEmpty(value)) {
+      const required = typeof rule.required === 'function' ? rule.required(source) : !!rule.required;
+      if (required && (!partial || value !== undefined)) {
+        errors.push({ field, code: 'required', message: `${field} is required` });
+      }
+      return;
+    }
+
+    const error = checkValue(field, value, rule, source);
+    if (error) {
+      errors.push(error);
+    } else if (rule.schema) {
+      value.forEach((item, i) => {
+        const path = `${field}[${i}]`;
+        if (!isPlainObject(item)) {
+          errors.push({ field: path, code: 'invalid_type', message: `${path} must be an object` });
+          return;
+        }
+        validate(rule.schema, item).forEach(itemError => errors.push({
+          ...itemError,
+          field: `${path}.${itemError.field}`,
+          message: `${path}.${itemError.message}`
+        }));
+      });
+    }
+  });
+
+  return errors;
+}
+
+// Field-level errors from a message of the settings parsers (parseAlertSettings, parseField, ...), which
+// start with the offending input ("duration_hours must be ...") when there is a single one in the schema
+function messageToErrors(message, schema = {}) {
+  const match = /^([a-z_]+)/.exec(message);
+  const field = match && Object.prototype.hasOwnProperty.call(schema, match[1]) ? match[1] : null;
+  return [{ field, code: 'invalid_value', message }];
+}
+
+// Middleware validating a route's params, query and body, answering 400 with every problem found
+function validateRequest({ params = null, query = null, body = null }, { partial = false } = {}) {
+  return (req, res, next) => {
+    const errors = [
+      ...(params ? validate(params, req.params) : []),
+      ...(query ? validate(query, req.query) : []),
+      ...(body ? validate(body, req.body, { partial }) : [])
+    ];
+    if (errors.length) return sendValidationError(res, errors);
+    next();
+  };
+}
+
+module.exports = {
+  EMAIL_PATTERN,
+  parseBoolean,
+  parseJsonObject,
+  validate,
+  messageToErrors,
+  validateRequest
+};
@@ -0,0 +1,219 @@
+// Weather cache in front of the provider chain. Locations are snapped to a grid cell (WEATHER_GRID_DEGREES,
+// about 5 km by default) and fetched at the cell's centre, so neighbouring plots share one provider call.
+// Current weather and forecasts are cached whole in weather_cache with a TTL; hourly history is kept reading by
+// reading in weather_readings, so only the hours not stored yet are fetched. When the providers are down,
+// expired entries are served instead (marked stale) for up to WEATHER_CACHE_MAX_STALE_HOURS.
+// Every getter resolves to { provider, data, cell, cached, stale } like providerFactory's { provider, data }.
+const db = require('./database');
+const { fetchCurrent, fetchForecast, fetchHistorical } = require('./weatherProviders/providerFactory');
+const { METRICS, normalizeReading, getGridCell } = require('./weatherProviders/readings');
+
+const CURRENT_TTL_MINUTES = parseInt(process.env.WEATHER_CACHE_CURRENT_TTL_MINUTES || '15');
+const FORECAST_TTL_MINUTES = parseInt(process.env.WEATHER_CACHE_FORECAST_TTL_MINUTES || '60');
+const MAX_STALE_HOURS = parseInt(process.env.WEATHER_CACHE_MAX_STALE_HOURS || '12');
+const HISTORY_RETENTION_DAYS = parseInt(process.env.WEATHER_HISTORY_RETENTION_DAYS || '400');
+
+// Providers revise the last couple of days of observations, so recent hours are refetched once they're this old
+const RECENT_HISTORY_HOURS = 48;
+const RECENT_HISTORY_TTL_MINUTES = 60;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Fetches in progress by cache key, so concurrent callers for the same cell share one provider call
+const inFlight = new Map();
+
+function floorHour(date) {
+  return new Date(Math.floor(new Date(date).getTime() / HOUR_MS) * HOUR_MS);
+}
+
+// Cached JSON holds ISO strings where readings have Dates
+function reviveReadings(data) {
+  const parsed = typeof data === 'string' ? JSON.parse(data) : data;
+  return Array.isArray(parsed)
+    ? parsed.map(reading => normalizeReading(reading.datetime, reading))
+    : normalizeReading(parsed.datetime, parsed);
+}
+
+// Run `fetch` once per key at a time
+function shareFetch(key, fetch) {
+  if (!inFlight.has(key)) {
+    inFlight.set(key, fetch().finally(() => inFlight.delete(key)));
+  }
+  return inFlight.get(key);
+}
+
+async function readEntry(cell, kind, providerKey) {
+  const [rows] = await db.query(
+    'SELECT * FROM weather_cache WHERE cell_key = ? AND kind = ? AND provider_key = ?',
+    [cell.key, kind, providerKey]
+  );
+  return rows[0] || null;
+}
+
+async function writeEntry(cell, kind, providerKey, result, hours, ttlMinutes) {
+  const now = new Date();
+  await db.query(
+    `INSERT INTO weather_cache (cell_key, kind, provider_key, provider, hours, data, fetched_at, expires_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+     ON DUPLICATE KEY UPDATE provider = VALUES(provider), hours = VALUES(hours), data = VALUES(data),
+       fetched_at = VALUES(fetched_at), expires_at = VALUES(expires_at)`,
+    [cell.key, kind, providerKey, result.provider, hours, JSON.stringify(result.data), now, new Date(now.getTime() + ttlMinutes * 60 * 1000)]
+  );
+}
+
+// Serve a cached entry while it's fresh, otherwise fetch and store it; fall back to the expired entry
+// (within MAX_STALE_HOURS) when every provider fails
+async function getCached(cell, kind, providerKey, { ttlMinutes, hours = null, fetch }) {
+  let entry = null;
+  try {
+    entry = await readEntry(cell, kind, providerKey);
+  } catch (err) {
+    console.warn(`⚠️ Weather cache unavailable, fetching directly: ${err.message}`);
+    return { ...await fetch(hours), cell, cached: false, stale: false };
+  }
+
+  const now = Date.now();
+  const covers = !entry || hours === null || (entry.hours || 0) >= hours;
+  if (entry && covers && new Date(entry.expires_at).getTime() > now) {
+    return { provider: entry.provider, data: reviveReadings(entry.data), cell, cached: true, stale: false };
+  }
+
+  try {
+    // A longer horizon than asked for keeps serving callers that asked for more last time
+    const fetchHours = hours === null ? null : Math.max(hours, entry ? entry.hours || 0 : 0);
+    const result = await shareFetch(`${kind}:${cell.key}:${providerKey}:${fetchHours}`, async () => {
+      const fetched = await fetch(fetchHours);
+      await writeEntry(cell, kind, providerKey, fetched, fetchHours, ttlMinutes)
+        .catch(err => console.warn(`⚠️ Could not cache ${kind} weather for ${cell.key}: ${err.message}`));
+      return fetched;
+    });
+    return { ...result, cell, cached: false, stale: false };
+  } catch (err) {
+    const fetchedAt = entry ? new Date(entry.fetched_at).getTime() : 0;
+    if (entry && covers && now - fetchedAt <= MAX_STALE_HOURS * HOUR_MS) {
+      console.warn(`⚠️ Serving ${kind} weather for ${cell.key} from ${new Date(fetchedAt).toISOString()}, providers failed: ${err.message}`);
+      return { provider: entry.provider, data: reviveReadings(entry.data), cell, cached: true, stale: true };
+    }
+    throw err;
+  }
+}
+
+// Current weather at the location's grid cell
+function getCurrent(latitude, longitude, preferred = null) {
+  const cell = getGridCell(latitude, longitude);
+  return getCached(cell, 'current', preferred || 'default', {
+    ttlMinutes: CURRENT_TTL_MINUTES,
+    fetch: () => fetchCurrent(cell.latitude, cell.longitude, preferred)
+  });
+}
+
+// Hourly forecast covering at least the next `hours` hours
+function getForecast(latitude, longitude, hours, preferred = null) {
+  const cell = getGridCell(latitude, longitude);
+  return getCached(cell, 'forecast', preferred || 'default', {
+    ttlMinutes: FORECAST_TTL_MINUTES,
+    hours,
+    fetch: fetchHours => fetchForecast(cell.latitude, cell.longitude, fetchHours, preferred)
+  });
+}
+
+async function loadReadings(cell, providerKey, startDate, endDate) {
+  const [rows] = await db.query(
+    `SELECT * FROM weather_readings
+     WHERE cell_key = ? AND provider_key = ? AND datetime >= ? AND datetime <= ?
+     ORDER BY datetime`,
+    [cell.key, providerKey, startDate, endDate]
+  );
+  return rows;
+}
+
+async function storeReadings(cell, providerKey, provider, readings) {
+  if (!readings.length) return;
+  const now = new Date();
+  await db.query(
+    `INSERT INTO weather_readings (cell_key, provider_key, datetime, provider, ${METRICS.join(', ')}, fetched_at)
+     VALUES ?
+     ON DUPLICATE KEY UPDATE provider = VALUES(provider), ${METRICS.map(metric => `${metric} = VALUES(${metric})`).join(', ')},
+       fetched_at = VALUES(fetched_at)`,
+    [readings.map(reading => [cell.key, providerKey, reading.datetime, provider, ...METRICS.map(metric => reading[metric]), now])]
+  );
+}
+
+// Hourly observations between two dates. Stored hours are served from weather_readings; the provider is only
+// asked for the span of hours missing (or recent hours due a refresh).
+async function getHistorical(latitude, longitude, startDate, endDate, preferred = null) {
+  const cell = getGridCell(latitude, longitude);
+  const providerKey = preferred || 'default';
+  const now = new Date();
+  const end = new Date(Math.min(new Date(endDate).getTime(), now.getTime()));
+  const fetchRange = (from, to) => fetchHistorical(cell.latitude, cell.longitude, from, to, preferred);
+
+  let rows;
+  try {
+    rows = await loadReadings(cell, providerKey, floorHour(startDate), end);
+  } catch (err) {
+    console.warn(`⚠️ Weather cache unavailable, fetching directly: ${err.message}`);
+    return { ...await fetchRange(startDate, endDate), cell, cached: false, stale: false };
+  }
+
+  // Every complete hour in the range should be stored, and recent ones fetched within the last hour
+  const recentSince = now.getTime() - RECENT_HISTORY_HOURS * HOUR_MS;
+  const freshSince = now.getTime() - RECENT_HISTORY_TTL_MINUTES * 60 * 1000;
+  const stored = new Set(rows
+    .filter(row => new Date(row.datetime).getTime() < recentSince || new Date(row.fetched_at).getTime() >= freshSince)
+    .map(row => new Date(row.datetime).getTime()));
+
+  const missing = [];
+  const lastHour = floorHour(new Date(Math.min(end.getTime(), now.getTime() - HOUR_MS))).getTime();
+  for (let time = floorHour(startDate).getTime(); time <= lastHour; time += HOUR_MS) {
+    if (!stored.has(time)) missing.push(time);
+  }
+
+  const toReading = row => normalizeReading(row.datetime, row);
+  const inRange = reading => reading.datetime >= new Date(startDate) && reading.datetime <= end;
+
+  if (!missing.length) {
+    return { provider: rows.length ? rows[rows.length - 1].provider : null, data: rows.map(toReading).filter(inRange), cell, cached: true, stale: false };
+  }
+
+  try {
+    const fetched = await fetchRange(new Date(missing[0]), new Date(Math.min(end.getTime(), missing[missing.length - 1] + HOUR_MS)));
+    // Providers return whole days; hours after now are forecasts, not observations
+    const observed = fetched.data.filter(reading => reading.datetime >= new Date(missing[0]) && reading.datetime <= now);
+    await storeReadings(cell, providerKey, fetched.provider, observed)
+      .catch(err => console.warn(`⚠️ Could not cache weather history for ${cell.key}: ${err.message}`));
+
+    const byTime = new Map(rows.map(row => [new Date(row.datetime).getTime(), toReading(row)]));
+    observed.forEach(reading => byTime.set(reading.datetime.getTime(), reading));
+    const data = [...byTime.values()].filter(inRange).sort((a, b) => a.datetime - b.datetime);
+
+    return { provider: fetched.provider, data, cell, cached: false, stale: false };
+  } catch (err) {
+    if (rows.length) {
+      console.warn(`⚠️ Serving ${rows.length} stored hours for ${cell.key} (${missing.length} missing), providers failed: ${err.message}`);
+      return { provider: rows[rows.length - 1].provider, data: rows.map(toReading).filter(inRange), cell, cached: true, stale: true };
+    }
+    throw err;
+  }
+}
+
+// Drop cache entries too old to serve even as stale, and readings past the retention period
+async function pruneWeatherCache(now = new Date()) {
+  const [entries] = await db.query(
+    'DELETE FROM weather_cache WHERE expires_at < ?',
+    [new Date(now.getTime() - MAX_STALE_HOURS * HOUR_MS)]
+  );
+  const [readings] = await db.query(
+    'DELETE FROM weather_readings WHERE datetime < ?',
+    [new Date(now.getTime() - HISTORY_RETENTION_DAYS * 24 * HOUR_MS)]
+  );
+  console.log(`🧹 Pruned ${entries.affectedRows} weather cache entries and ${readings.affectedRows} stored readings`);
+}
+
+module.exports = {
+  getGridCell,
+  getCurrent,
+  getForecast,
+  getHistorical,
+  pruneWeatherCache
+};
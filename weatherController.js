@@ -0,0 +1,408 @@
+const db = require('./database');
+const { getCurrent, getForecast, getHistorical } = require('./weatherCache');
+const { READING_UNITS, METRICS } = require('./weatherProviders/readings');
+const { getReadingValue, parseAccumulationWindow } = require('./weatherMetrics');
+const { MAX_FORECAST_HOURS, describeThreshold } = require('./alertConditions');
+const { getMetric, getUnit, getMetricLabel, normalizeAlert, COMPOUND_ALERT_TYPE } = require('./alertCatalog');
+const { describeExpression } = require('./ruleExpressions');
+const { getForecastWindowHours, getSeriesTargets, getSeriesStart, evaluateAlertSeries } = require('./alertSeries');
+const { getLocalParts, getLongitudeTimezone } = require('./quietHours');
+const { sendError, sendValidationError, sendNotFound, sendServerError } = require('./apiErrors');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+const DEFAULT_FORECAST_HOURS = 24;
+const DEFAULT_HISTORY_DAYS = 7;
+const INTERVALS = ['hourly', 'daily'];
+// Longest history one request may ask for, per interval
+const MAX_HISTORY_DAYS = { hourly: 31, daily: 366 };
+
+// Units of the hourly readings served, and of the daily summaries
+const HOURLY_UNITS = {
+  ...READING_UNITS,
+  dew_point: getUnit('dew_point'),
+  heat_index: getUnit('heat_index')
+};
+const DAILY_UNITS = {
+  temperature_min: READING_UNITS.temperature,
+  temperature_max: READING_UNITS.temperature,
+  temperature_mean: READING_UNITS.temperature,
+  rainfall: READING_UNITS.rainfall,
+  windspeed_max: READING_UNITS.windspeed,
+  humidity_mean: READING_UNITS.humidity
+};
+
+function round(value, digits = 1) {
+  if (value === null || value === undefined) return null;
+  const factor = Math.pow(10, digits);
+  return Math.round(value * factor) / factor;
+}
+
+// Helper function to load a field of the caller's organisation with what weather lookups need
+async function findOrganisationField(fieldId, organisationId) {
+  const [rows] = await db.query(
+    `SELECT id, name, crop, latitude, longitude, weather_provider, timezone
+     FROM fields WHERE id = ? AND organisation_id = ?`,
+    [fieldId, organisationId]
+  );
+  return rows[0] || null;
+}
+
+// Helper function to answer 400 for an invalid query parameter
+function sendQueryError(res, field, message) {
+  return sendValidationError(res, [{ field, code: 'invalid_value', message }]);
+}
+
+// Helper function to resolve the field of a weather request, sending the 404/400 itself when there is none
+async function loadField(req, res) {
+  const field = await findOrganisationField(req.params.id, req.user.organisation_id);
+  if (!field) {
+    sendNotFound(res, 'Field not found');
+    return null;
+  }
+  if (field.latitude === null || field.longitude === null) {
+    sendError(res, 400, 'Field has no coordinates to fetch weather for', { code: 'missing_coordinates' });
+    return null;
+  }
+  return field;
+}
+
+// ?thresholds=true overlays the field's active alerts on the readings
+function wantsThresholds(query) {
+  return ['true', '1', 'yes'].includes(String(query.thresholds || '').toLowerCase());
+}
+
+// Helper function to load the active alerts of a field, ready to evaluate against its weather
+async function getFieldAlerts(field) {
+  const [alerts] = await db.query(
+    'SELECT * FROM alerts WHERE field_id = ? AND active = 1 ORDER BY id',
+    [field.id]
+  );
+  return alerts.map(alert => ({
+    ...normalizeAlert(alert),
+    latitude: field.latitude,
+    longitude: field.longitude,
+    field_crop: field.crop
+  }));
+}
+
+// Whether an alert can be worked out from the weather served: every metric it uses must be read from the
+// readings (not NDVI), forecastable for forecasts, and for current weather read from a single hour
+function isOverlaySupported(alert, kind) {
+  const targets = getSeriesTargets(alert);
+  return targets.length > 0 && targets.every(target => {
+    const metric = getMetric(target.alert_type);
+    if (!metric || metric.key === 'ndvi') return false;
+    if (kind === 'forecast') return metric.forecast;
+    if (kind === 'current') {
+      const window = metric.window ? parseAccumulationWindow(target.accumulation_window || metric.window) : null;
+      return !window || window.hours === 1;
+    }
+    return true;
+  });
+}
+
+// The alert as an overlay: its threshold in words and unit
+function describeOverlay(alert) {
+  const compound = alert.alert_type === COMPOUND_ALERT_TYPE;
+  return {
+    alert_id: alert.id,
+    name: alert.name,
+    alert_type: alert.alert_type,
+    alert_mode: alert.alert_mode || 'current',
+    condition_type: compound ? null : alert.condition_type,
+    threshold_value: compound ? null : parseFloat(alert.threshold_value),
+    second_threshold_value: compound || alert.second_threshold_value === null ? null : parseFloat(alert.second_threshold_value),
+    duration_hours: parseFloat(alert.duration_hours) || 0,
+    description: compound
+      ? describeExpression(alert.rule_expression)
+      : `${getMetricLabel(alert.alert_type)} ${describeThreshold(alert, getUnit(alert.alert_type))}`,
+    unit: compound ? null : getUnit(alert.alert_type)
+  };
+}
+
+function toHourlyReading(reading) {
+  const hourly = { datetime: reading.datetime };
+  METRICS.forEach(metric => {
+    hourly[metric] = reading[metric];
+  });
+  hourly.dew_point = getReadingValue('dew_point', reading);
+  hourly.heat_index = getReadingValue('heat_index', reading);
+  return hourly;
+}
+
+// Helper function to evaluate each alert at every reading, keeping the points from `from` on.
+// Returns the overlays and, by reading time, the ids of the alerts that would have triggered then.
+function buildOverlays(alerts, readings, kind, from) {
+  const triggeredAt = new Map();
+
+  const overlays = alerts.map(alert => {
+    const overlay = describeOverlay(alert);
+    if (!isOverlaySupported(alert, kind)) {
+      return { ...overlay, supported: false, matched_hours: 0, triggered_hours: 0, points: [] };
+    }
+
+    const points = evaluateAlertSeries(alert, readings).filter(point => point.datetime >= from);
+    points.forEach(point => {
+      if (point.value !== null) point.value = round(point.value, 2);
+      if (!point.triggered) return;
+      const time = point.datetime.getTime();
+      triggeredAt.set(time, [...(triggeredAt.get(time) || []), alert.id]);
+    });
+
+    return {
+      ...overlay,
+      supported: true,
+      matched_hours: points.filter(point => point.matched).length,
+      triggered_hours: points.filter(point => point.triggered).length,
+      points
+    };
+  });
+
+  return { overlays, triggeredAt };
+}
+
+// Helper function to summarise hourly readings (and overlays) by calendar day in the field's timezone
+function summariseDays(readings, overlays, timezone) {
+  const days = new Map();
+  readings.forEach(reading => {
+    const date = getLocalParts(reading.datetime, timezone).date;
+    if (!days.has(date)) days.set(date, []);
+    days.get(date).push(reading);
+  });
+
+  const values = (hours, metric) => hours.map(reading => reading[metric]).filter(value => value !== null && value !== undefined);
+  const mean = list => list.length ? list.reduce((sum, value) => sum + value, 0) / list.length : null;
+
+  const summaries = [...days.entries()].map(([date, hours]) => {
+    const temperatures = values(hours, 'temperature');
+    const rainfall = values(hours, 'rainfall');
+    const windspeeds = values(hours, 'windspeed');
+    return {
+      date,
+      hours: hours.length,
+      temperature_min: temperatures.length ? Math.min(...temperatures) : null,
+      temperature_max: temperatures.length ? Math.max(...temperatures) : null,
+      temperature_mean: round(mean(temperatures)),
+      rainfall: rainfall.length ? round(rainfall.reduce((sum, value) => sum + value, 0), 2) : null,
+      windspeed_max: windspeeds.length ? Math.max(...windspeeds) : null,
+      humidity_mean: round(mean(values(hours, 'humidity')))
+    };
+  });
+
+  const dailyOverlays = overlays && overlays.map(({ points, ...overlay }) => {
+    const byDate = new Map();
+    points.forEach(point => {
+      const date = getLocalParts(point.datetime, timezone).date;
+      const day = byDate.get(date) || { date, matched_hours: 0, triggered_hours: 0 };
+      if (point.matched) day.matched_hours++;
+      if (point.triggered) day.triggered_hours++;
+      byDate.set(date, day);
+    });
+    return { ...overlay, days: [...byDate.values()] };
+  });
+
+  if (dailyOverlays) {
+    summaries.forEach(summary => {
+      summary.triggered_alerts = dailyOverlays
+        .filter(overlay => overlay.days.some(day => day.date === summary.date && day.triggered_hours > 0))
+        .map(overlay => overlay.alert_id);
+    });
+  }
+
+  return { summaries, dailyOverlays };
+}
+
+function describeField(field, timezone) {
+  return {
+    id: field.id,
+    name: field.name,
+    latitude: parseFloat(field.latitude),
+    longitude: parseFloat(field.longitude),
+    timezone
+  };
+}
+
+function describeSource(result) {
+  return { provider: result.provider, grid_cell: result.cell.key, cached: result.cached, stale: result.stale };
+}
+
+// GET CURRENT WEATHER of a field; ?thresholds=true adds whether each alert's condition holds right now
+const getCurrentWeather = async (req, res) => {
+  try {
+    const field = await loadField(req, res);
+    if (!field) return;
+
+    let result;
+    try {
+      result = await getCurrent(field.latitude, field.longitude, field.weather_provider);
+    } catch (err) {
+      console.error(`❌ Weather data is unavailable (field ${field.id}):`, err.message);
+      return sendError(res, 502, 'Weather data is unavailable for this field');
+    }
+
+    const response = {
+      field: describeField(field, field.timezone || getLongitudeTimezone(field.longitude)),
+      ...describeSource(result),
+      units: HOURLY_UNITS,
+      reading: toHourlyReading(result.data)
+    };
+
+    if (wantsThresholds(req.query)) {
+      const alerts = await getFieldAlerts(field);
+      response.thresholds = alerts.map(alert => {
+        const overlay = describeOverlay(alert);
+        if (!isOverlaySupported(alert, 'current')) {
+          return { ...overlay, supported: false, value: null, matched: null };
+        }
+        const [point] = evaluateAlertSeries({ ...alert, alert_mode: 'current', duration_hours: 0 }, [result.data]);
+        return { ...overlay, supported: true, value: round(point.value, 2), matched: point.matched };
+      });
+    }
+
+    res.json(response);
+  } catch (err) {
+    console.error('❌ Error fetching current weather:', err);
+    sendServerError(res, 'Failed to fetch current weather');
+  }
+};
+
+// GET WEATHER FORECAST of a field, hourly for the next ?hours= (default 24)
+const getWeatherForecast = async (req, res) => {
+  try {
+    const hours = req.query.hours === undefined ? DEFAULT_FORECAST_HOURS : parseInt(req.query.hours);
+    if (isNaN(hours) || hours < 1 || hours > MAX_FORECAST_HOURS) {
+      return sendQueryError(res, 'hours', `hours must be between 1 and ${MAX_FORECAST_HOURS}`);
+    }
+
+    const field = await loadField(req, res);
+    if (!field) return;
+
+    const thresholds = wantsThresholds(req.query);
+    const alerts = thresholds ? await getFieldAlerts(field) : [];
+
+    // Forecast rainfall windows sum the hours after each point, so those need a longer forecast
+    const extraHours = Math.max(0, ...alerts.filter(alert => alert.alert_mode === 'forecast').map(getForecastWindowHours));
+    const fetchHours = Math.min(MAX_FORECAST_HOURS, hours + extraHours);
+
+    let result;
+    try {
+      result = await getForecast(field.latitude, field.longitude, fetchHours, field.weather_provider);
+    } catch (err) {
+      console.error(`❌ Weather forecast is unavailable (field ${field.id}):`, err.message);
+      return sendError(res, 502, 'Weather forecast is unavailable for this field');
+    }
+
+    const from = new Date(Math.floor(Date.now() / HOUR_MS) * HOUR_MS);
+    const to = new Date(from.getTime() + hours * HOUR_MS);
+    const inWindow = reading => reading.datetime >= from && reading.datetime < to;
+    const readings = result.data.map(toHourlyReading).filter(inWindow);
+
+    const response = {
+      field: describeField(field, field.timezone || getLongitudeTimezone(field.longitude)),
+      ...describeSource(result),
+      hours,
+      units: HOURLY_UNITS,
+      readings
+    };
+
+    if (thresholds) {
+      const { overlays, triggeredAt } = buildOverlays(alerts, result.data, 'forecast', from);
+      response.thresholds = overlays.map(overlay => ({ ...overlay, points: overlay.points.filter(inWindow) }));
+      readings.forEach(reading => {
+        reading.triggered_alerts = triggeredAt.get(reading.datetime.getTime()) || [];
+      });
+    }
+
+    res.json(response);
+  } catch (err) {
+    console.error('❌ Error fetching weather forecast:', err);
+    sendServerError(res, 'Failed to fetch weather forecast');
+  }
+};
+
+// GET WEATHER HISTORY of a field between ?start= and ?end= (default the last week), ?interval=hourly|daily.
+// Daily summaries follow the field's calendar days.
+const getWeatherHistory = async (req, res) => {
+  try {
+    const interval = req.query.interval || 'hourly';
+    if (!INTERVALS.includes(interval)) {
+      return sendQueryError(res, 'interval', `interval must be one of: ${INTERVALS.join(', ')}`);
+    }
+
+    const now = new Date();
+    const end = req.query.end ? new Date(req.query.end) : now;
+    const start = req.query.start ? new Date(req.query.start) : new Date(end.getTime() - DEFAULT_HISTORY_DAYS * DAY_MS);
+    if (isNaN(start.getTime()) || isNaN(end.getTime())) {
+      return sendQueryError(res, isNaN(start.getTime()) ? 'start' : 'end', 'start and end must be valid dates');
+    }
+    if (start >= end) {
+      return sendQueryError(res, 'start', 'start must be before end');
+    }
+    if (start > now) {
+      return sendQueryError(res, 'start', 'start cannot be in the future');
+    }
+    if (end - start > MAX_HISTORY_DAYS[interval] * DAY_MS) {
+      return sendQueryError(res, 'start', `${interval} history is limited to ${MAX_HISTORY_DAYS[interval]} days per request`);
+    }
+
+    const field = await loadField(req, res);
+    if (!field) return;
+
+    const thresholds = wantsThresholds(req.query);
+    const alerts = thresholds ? await getFieldAlerts(field) : [];
+
+    // Windowed metrics (accumulated rainfall, degree days, ...) need their whole window before the period
+    const fetchStart = new Date(Math.min(start.getTime(), ...alerts
+      .filter(alert => isOverlaySupported(alert, 'history'))
+      .map(alert => getSeriesStart(alert, start).getTime())));
+
+    let result;
+    try {
+      result = await getHistorical(field.latitude, field.longitude, fetchStart, end, field.weather_provider);
+    } catch (err) {
+      console.error(`❌ Weather history is unavailable (field ${field.id}):`, err.message);
+      return sendError(res, 502, 'Weather history is unavailable for this field');
+    }
+
+    const timezone = field.timezone || getLongitudeTimezone(field.longitude);
+    const readings = result.data.filter(reading => reading.datetime >= start && reading.datetime <= end).map(toHourlyReading);
+    const overlay = thresholds ? buildOverlays(alerts, result.data, 'history', start) : null;
+
+    const response = {
+      field: describeField(field, timezone),
+      ...describeSource(result),
+      start,
+      end: new Date(Math.min(end.getTime(), now.getTime())),
+      interval
+    };
+
+    if (interval === 'daily') {
+      const { summaries, dailyOverlays } = summariseDays(readings, overlay && overlay.overlays, timezone);
+      response.units = DAILY_UNITS;
+      response.readings = summaries;
+      if (overlay) response.thresholds = dailyOverlays;
+    } else {
+      response.units = HOURLY_UNITS;
+      response.readings = readings;
+      if (overlay) {
+        response.thresholds = overlay.overlays;
+        readings.forEach(reading => {
+          reading.triggered_alerts = overlay.triggeredAt.get(reading.datetime.getTime()) || [];
+        });
+      }
+    }
+
+    res.json(response);
+  } catch (err) {
+    console.error('❌ Error fetching weather history:', err);
+    sendServerError(res, 'Failed to fetch weather history');
+  }
+};
+
+module.exports = {
+  getCurrentWeather,
+  getWeatherForecast,
+  getWeatherHistory
+};
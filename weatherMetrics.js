@@ -0,0 +1,350 @@
+// Metrics derived from hourly provider readings
+const { METRICS, getMetric } = require('./alertCatalog');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Growing degree day base (and upper cutoff) temperatures in °C by crop, matched on the field's crop name.
+// Alerts can override the base with base_temperature.
+const CROP_BASE_TEMPERATURES = {
+  maize: { base: 10, cap: 30 },
+  corn: { base: 10, cap: 30 },
+  sorghum: { base: 10, cap: 30 },
+  soybean: { base: 10, cap: 30 },
+  soya: { base: 10, cap: 30 },
+  groundnut: { base: 10, cap: 30 },
+  cotton: { base: 15.6, cap: 32 },
+  tobacco: { base: 10, cap: 30 },
+  sunflower: { base: 7.2, cap: null },
+  potato: { base: 7, cap: 30 },
+  wheat: { base: 0, cap: null },
+  barley: { base: 0, cap: null }
+};
+const DEFAULT_BASE_TEMPERATURE = { base: 10, cap: null };
+
+// Hours between these temperatures count as chill hours (the 0-7.2°C / 32-45°F model)
+const CHILL_MIN_TEMPERATURE = 0;
+const CHILL_MAX_TEMPERATURE = 7.2;
+
+// Days with less rain than this count as dry
+const DRY_DAY_RAINFALL_MM = 1;
+
+// Southern African rainy season, recurring every year; override with RAINFALL_SEASON_START=MM-DD.
+// An alert's season_start is an absolute date instead (e.g. the planting date).
+const DEFAULT_SEASON_START = process.env.RAINFALL_SEASON_START || '10-01';
+
+// Windows are written as '<n>h', '<n>d' or 'season' (season-to-date)
+const WINDOW_PATTERN = /^(\d+)(h|d)$/;
+const MAX_WINDOW_HOURS = 366 * 24;
+
+// Parse an accumulation window into { hours } or { season: true }; null when invalid
+function parseAccumulationWindow(window) {
+  if (!window) return { hours: 1 };
+  if (window === 'season') return { season: true };
+
+  const match = WINDOW_PATTERN.exec(String(window).trim());
+  if (!match) return null;
+
+  const hours = parseInt(match[1]) * (match[2] === 'd' ? 24 : 1);
+  if (hours < 1 || hours > MAX_WINDOW_HOURS) return null;
+  return { hours };
+}
+
+// An absolute season start (a DATE column value or 'YYYY-MM-DD') as local midnight, or null for 'MM-DD' and empty values
+function parseAbsoluteDate(value) {
+  if (value instanceof Date) return isNaN(value.getTime()) ? null : value;
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(value || '').trim());
+  return match ? new Date(parseInt(match[1]), parseInt(match[2]) - 1, parseInt(match[3])) : null;
+}
+
+// Start of the season containing `now`. An absolute seasonStart (e.g. a planting date) is the start itself,
+// and there is no season yet (null) before it; 'MM-DD' (the default) recurs every year.
+function getSeasonStart(now = new Date(), seasonStart = null) {
+  const absolute = parseAbsoluteDate(seasonStart);
+  if (absolute) {
+    return absolute > now ? null : absolute;
+  }
+
+  const [month, day] = String(seasonStart || DEFAULT_SEASON_START).split('-').map(Number);
+  const start = new Date(now.getFullYear(), month - 1, day);
+  if (start > now) {
+    start.setFullYear(start.getFullYear() - 1);
+  }
+  return start;
+}
+
+// When the accumulation window ending at `now` begins; null when invalid or before an absolute season start
+function getWindowStart(window, now = new Date(), seasonStart = null) {
+  const parsed = parseAccumulationWindow(window);
+  if (!parsed) return null;
+  if (parsed.season) return getSeasonStart(now, seasonStart);
+  return new Date(now.getTime() - parsed.hours * HOUR_MS);
+}
+
+// Hourly amounts summed over (t + fromOffset, t + toOffset] for every reading time t, as { datetime, value } points.
+// `amounts` holds one value per reading. Readings must be sorted by datetime; prefix sums keep season-long windows cheap.
+function rollingSum(readings, amounts, fromOffset, toOffset) {
+  const times = readings.map(reading => reading.datetime.getTime());
+  const prefix = [0];
+  amounts.forEach((amount, i) => prefix.push(prefix[i] + (amount ?? 0)));
+
+  // Index of the first reading later than `time`
+  const upperBound = time => {
+    let low = 0;
+    let high = times.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (times[mid] <= time) low = mid + 1;
+      else high = mid;
+    }
+    return low;
+  };
+
+  return readings.map((reading, i) => {
+    const total = prefix[upperBound(times[i] + toOffset)] - prefix[upperBound(times[i] + fromOffset)];
+    return { datetime: reading.datetime, value: Math.round(total * 100) / 100 };
+  });
+}
+
+function rainfallAmounts(readings) {
+  return readings.map(reading => reading.rainfall);
+}
+
+// Rainfall expected over the `hours` starting at each reading (including that reading's own hour)
+function forwardRainfall(readings, hours) {
+  return rollingSum(readings, rainfallAmounts(readings), -HOUR_MS, (hours - 1) * HOUR_MS);
+}
+
+// Hourly amounts accumulated since the start of each reading's season, starting over every season.
+// Each amount covers the hour ending at its reading, so a reading at the season start adds nothing yet;
+// readings before an absolute season start have no value.
+function seasonSum(readings, amounts, seasonStart) {
+  let total = 0;
+  let currentStart = null;
+  return readings.map((reading, i) => {
+    const seasonDate = getSeasonStart(reading.datetime, seasonStart);
+    if (!seasonDate) {
+      return { datetime: reading.datetime, value: null };
+    }
+    const start = seasonDate.getTime();
+    if (start !== currentStart) {
+      currentStart = start;
+      total = 0;
+    }
+    if (reading.datetime.getTime() > start) total += amounts[i] ?? 0;
+    return { datetime: reading.datetime, value: Math.round(total * 100) / 100 };
+  });
+}
+
+// Dew point (°C) from temperature (°C) and relative humidity (%), Magnus formula
+function dewPoint(temperature, humidity) {
+  if (temperature === null || temperature === undefined || !humidity) return null;
+  const gamma = Math.log(humidity / 100) + (17.62 * temperature) / (243.12 + temperature);
+  return Math.round((243.12 * gamma) / (17.62 - gamma) * 10) / 10;
+}
+
+// Heat index (°C) from temperature (°C) and relative humidity (%), NOAA Rothfusz regression
+function heatIndex(temperature, humidity) {
+  if (temperature === null || temperature === undefined || humidity === null || humidity === undefined) return null;
+  const t = temperature * 9 / 5 + 32;
+  const rh = humidity;
+
+  let hi = 0.5 * (t + 61 + (t - 68) * 1.2 + rh * 0.094);
+  if ((hi + t) / 2 >= 80) {
+    hi = -42.379 + 2.04901523 * t + 10.14333127 * rh - 0.22475541 * t * rh - 0.00683783 * t * t
+      - 0.05481717 * rh * rh + 0.00122874 * t * t * rh + 0.00085282 * t * rh * rh - 0.00000199 * t * t * rh * rh;
+    if (rh < 13 && t >= 80 && t <= 112) {
+      hi -= ((13 - rh) / 4) * Math.sqrt((17 - Math.abs(t - 95)) / 17);
+    } else if (rh > 85 && t >= 80 && t <= 87) {
+      hi += ((rh - 85) / 10) * ((87 - t) / 5);
+    }
+  }
+  return Math.round((hi - 32) * 5 / 9 * 10) / 10;
+}
+
+// The value of a metric that is read from a single reading (raw or computed from it), or null
+function getReadingValue(metricName, reading) {
+  const metric = getMetric(metricName);
+  if (!metric || !reading) return null;
+  if (metric.key === 'dew_point') return dewPoint(reading.temperature, reading.humidity);
+  if (metric.key === 'heat_index') return heatIndex(reading.temperature, reading.humidity);
+  const value = metric.readingKey ? reading[metric.readingKey] : null;
+  return value === undefined ? null : value;
+}
+
+// Base and upper cutoff temperatures for growing degree days on a crop
+function getBaseTemperature(crop, override = null) {
+  const known = CROP_BASE_TEMPERATURES[String(crop || '').trim().toLowerCase()] || DEFAULT_BASE_TEMPERATURE;
+  if (override === null || override === undefined || override === '') return known;
+  return { base: parseFloat(override), cap: known.cap };
+}
+
+// Extraterrestrial radiation (mm/day of evaporation equivalent) for a latitude and day of the year, FAO-56 eq. 21
+function extraterrestrialRadiation(latitude, dayOfYear) {
+  const phi = latitude * Math.PI / 180;
+  const dr = 1 + 0.033 * Math.cos(2 * Math.PI * dayOfYear / 365);
+  const delta = 0.409 * Math.sin(2 * Math.PI * dayOfYear / 365 - 1.39);
+  const ws = Math.acos(Math.min(1, Math.max(-1, -Math.tan(phi) * Math.tan(delta))));
+  const ra = (24 * 60 / Math.PI) * 0.082 * dr
+    * (ws * Math.sin(phi) * Math.sin(delta) + Math.cos(phi) * Math.cos(delta) * Math.sin(ws));
+  return 0.408 * ra;
+}
+
+// Reference evapotranspiration (mm/day) by Hargreaves-Samani, which only needs daily temperatures
+// and so works with every provider (no radiation or humidity readings required)
+function hargreavesEt0(tmin, tmax, latitude, dayOfYear) {
+  const tmean = (tmin + tmax) / 2;
+  const et0 = 0.0023 * extraterrestrialRadiation(latitude, dayOfYear) * (tmean + 17.8) * Math.sqrt(Math.max(0, tmax - tmin));
+  return Math.max(0, et0);
+}
+
+// Readings grouped by UTC day: { 'YYYY-MM-DD': { tmin, tmax, rainfall, dayOfYear } }
+function dailySummaries(readings) {
+  const days = {};
+  readings.forEach(reading => {
+    const key = reading.datetime.toISOString().slice(0, 10);
+    if (!days[key]) {
+      const start = Date.UTC(reading.datetime.getUTCFullYear(), 0, 0);
+      days[key] = { tmin: null, tmax: null, rainfall: 0, dayOfYear: Math.floor((reading.datetime.getTime() - start) / DAY_MS) };
+    }
+    const day = days[key];
+    if (reading.temperature !== null && reading.temperature !== undefined) {
+      day.tmin = day.tmin === null ? reading.temperature : Math.min(day.tmin, reading.temperature);
+      day.tmax = day.tmax === null ? reading.temperature : Math.max(day.tmax, reading.temperature);
+    }
+    day.rainfall += reading.rainfall ?? 0;
+  });
+  return days;
+}
+
+// Each reading's share of its day's reference evapotranspiration (mm)
+function hourlyEt0(readings, latitude) {
+  const days = dailySummaries(readings);
+  return readings.map(reading => {
+    const day = days[reading.datetime.toISOString().slice(0, 10)];
+    return day.tmin === null ? null : hargreavesEt0(day.tmin, day.tmax, latitude, day.dayOfYear) / 24;
+  });
+}
+
+// Per-reading amounts that windowed metrics accumulate. `context` holds the field's latitude and crop
+// and the alert's base_temperature.
+function hourlyAmounts(metricName, readings, context = {}) {
+  switch (metricName) {
+    case 'rainfall':
+      return rainfallAmounts(readings);
+    case 'gdd': {
+      // Degree-hours above the base (temperatures capped at the upper cutoff), in days
+      const { base, cap } = getBaseTemperature(context.crop, context.baseTemperature);
+      return readings.map(reading => {
+        if (reading.temperature === null || reading.temperature === undefined) return null;
+        const temperature = cap !== null ? Math.min(reading.temperature, cap) : reading.temperature;
+        return Math.max(0, temperature - base) / 24;
+      });
+    }
+    case 'chill_hours':
+      return readings.map(reading => (
+        reading.temperature > CHILL_MIN_TEMPERATURE && reading.temperature <= CHILL_MAX_TEMPERATURE ? 1 : 0
+      ));
+    case 'et0':
+      return hourlyEt0(readings, context.latitude);
+    case 'water_balance': {
+      // Rain in minus reference crop water use out
+      const et0 = hourlyEt0(readings, context.latitude);
+      return readings.map((reading, i) => (reading.rainfall ?? 0) - (et0[i] ?? 0));
+    }
+    default:
+      return null;
+  }
+}
+
+// Number of whole dry days (< DRY_DAY_RAINFALL_MM) immediately before each reading's day,
+// counting back no further than the window (or season start; no value before an absolute season start)
+function consecutiveDryDays(readings, window, seasonStart) {
+  const days = dailySummaries(readings);
+  const keys = Object.keys(days).sort();
+  const runs = {};
+  let run = 0;
+  keys.forEach(key => {
+    runs[key] = run;
+    run = days[key].rainfall < DRY_DAY_RAINFALL_MM ? run + 1 : 0;
+  });
+  return readings.map(reading => {
+    const run = runs[reading.datetime.toISOString().slice(0, 10)];
+    const start = window.season ? getSeasonStart(reading.datetime, seasonStart) : null;
+    if (window.season && !start) {
+      return { datetime: reading.datetime, value: null };
+    }
+    const maxDays = window.season ? Math.floor((reading.datetime - start) / DAY_MS) : Math.floor(window.hours / 24);
+    return { datetime: reading.datetime, value: Math.min(run, maxDays) };
+  });
+}
+
+// The values an alert is compared against at each reading: the reading's own value, or for windowed metrics
+// the total over the alert's accumulation window ending at that reading. `context` is as for hourlyAmounts.
+function getMetricSeries(alert, readings, context = {}) {
+  const metric = getMetric(alert.alert_type);
+  if (!metric) return [];
+
+  if (!metric.window) {
+    return readings.map(reading => ({ datetime: reading.datetime, value: getReadingValue(metric.key, reading) }));
+  }
+
+  const window = parseAccumulationWindow(alert.accumulation_window || metric.window);
+  if (metric.key === 'consecutive_dry_days') {
+    return consecutiveDryDays(readings, window, alert.season_start);
+  }
+  const amounts = hourlyAmounts(metric.key, readings, context);
+  if (window.season) {
+    return seasonSum(readings, amounts, alert.season_start);
+  }
+  return rollingSum(readings, amounts, -window.hours * HOUR_MS, 0);
+}
+
+// Validate an alert's accumulation window, returning an error message or null
+function validateAccumulationWindow({ alert_type, alert_mode, accumulation_window }) {
+  if (accumulation_window === undefined || accumulation_window === null || accumulation_window === '') return null;
+
+  const metric = getMetric(alert_type);
+  if (!metric || !metric.window) {
+    const windowed = Object.keys(METRICS).filter(name => METRICS[name].window);
+    return `accumulation_window only applies to ${windowed.join(', ')} alerts`;
+  }
+
+  const parsed = parseAccumulationWindow(accumulation_window);
+  if (!parsed) {
+    return "accumulation_window must look like '24h', '14d' or 'season'";
+  }
+  if (parsed.season && alert_mode === 'forecast') {
+    return "accumulation_window 'season' cannot be used with forecast alerts";
+  }
+  return null;
+}
+
+// Validate an alert's base_temperature override, returning an error message or null
+function validateBaseTemperature({ alert_type, base_temperature }) {
+  if (base_temperature === undefined || base_temperature === null || base_temperature === '') return null;
+
+  if (alert_type !== 'gdd') {
+    return 'base_temperature only applies to gdd alerts';
+  }
+  const value = parseFloat(base_temperature);
+  if (isNaN(value) || value < -10 || value > 40) {
+    return 'base_temperature must be between -10 and 40°C';
+  }
+  return null;
+}
+
+module.exports = {
+  parseAccumulationWindow,
+  getSeasonStart,
+  getWindowStart,
+  forwardRainfall,
+  dewPoint,
+  heatIndex,
+  getReadingValue,
+  getBaseTemperature,
+  hargreavesEt0,
+  getMetricSeries,
+  validateAccumulationWindow,
+  validateBaseTemperature
+};
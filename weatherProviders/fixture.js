@@ -0,0 +1,61 @@
+const fs = require('fs');
+const { normalizeReading, getGridCell } = require('./readings');
+
+// Offline provider backed by a JSON file, for local development and tests.
+// The file holds either an array of hourly readings used for every location, or
+// { "locations": { "<lat>,<lon>": [readings] }, "readings": [default readings] }.
+// Locations are matched by grid cell, as weatherCache asks for a cell's centre rather than the field's own coordinates.
+// Each reading is { "datetime": ISO string, "temperature", "windspeed", "rainfall", "humidity" }.
+function loadReadings(lat, lon) {
+  const fixturePath = process.env.WEATHER_FIXTURE_PATH;
+  if (!fixturePath) {
+    throw new Error('WEATHER_FIXTURE_PATH is not set');
+  }
+
+  const fixture = JSON.parse(fs.readFileSync(fixturePath, 'utf8'));
+  let raw;
+
+  if (Array.isArray(fixture)) {
+    raw = fixture;
+  } else {
+    const cellKey = getGridCell(lat, lon).key;
+    const location = Object.keys(fixture.locations || {}).find(key => {
+      const [keyLat, keyLon] = key.split(',');
+      return getGridCell(keyLat, keyLon).key === cellKey;
+    });
+    raw = location ? fixture.locations[location] : fixture.readings;
+  }
+
+  if (!raw || !raw.length) {
+    throw new Error(`No fixture readings for ${lat},${lon}`);
+  }
+
+  return raw
+    .map(reading => normalizeReading(new Date(reading.datetime), reading))
+    .sort((a, b) => a.datetime - b.datetime);
+}
+
+// The latest reading at or before now, or the earliest one if the fixture lies entirely in the future
+async function fetchCurrentWeather(lat, lon) {
+  const readings = loadReadings(lat, lon);
+  const now = new Date();
+  const past = readings.filter(reading => reading.datetime <= now);
+  return past.length ? past[past.length - 1] : readings[0];
+}
+
+async function fetchForecastWeather(lat, lon, hours) {
+  const now = Date.now();
+  const windowEnd = now + hours * 60 * 60 * 1000;
+  return loadReadings(lat, lon).filter(reading => reading.datetime >= now - 60 * 60 * 1000 && reading.datetime <= windowEnd);
+}
+
+async function fetchHistoricalWeather(lat, lon, startDate, endDate) {
+  return loadReadings(lat, lon).filter(reading => reading.datetime >= startDate && reading.datetime <= endDate);
+}
+
+module.exports = {
+  name: 'fixture',
+  fetchCurrentWeather,
+  fetchForecastWeather,
+  fetchHistoricalWeather
+};
@@ -0,0 +1,62 @@
+const axios = require('axios');
+const { normalizeReading } = require('./readings');
+
+// MET Norway asks every client to identify itself with a contact address
+const LOCATIONFORECAST_URL = process.env.MET_NORWAY_URL || 'https://api.met.no/weatherapi/locationforecast/2.0/compact';
+const USER_AGENT = process.env.MET_NORWAY_USER_AGENT || 'yieldera-alerts/1.0 alerts@yieldera.co.zw';
+const REQUEST_TIMEOUT_MS = 15000;
+
+// Wind speed is reported in m/s
+const MS_TO_KMH = 3.6;
+
+// Fetch the locationforecast timeseries as hourly readings
+async function fetchTimeseries(lat, lon) {
+  // The API rejects coordinates with more than four decimals
+  const url = `${LOCATIONFORECAST_URL}?lat=${Number(lat).toFixed(4)}&lon=${Number(lon).toFixed(4)}`;
+  const response = await axios.get(url, {
+    timeout: REQUEST_TIMEOUT_MS,
+    headers: { 'User-Agent': USER_AGENT }
+  });
+  const timeseries = response.data?.properties?.timeseries;
+
+  if (!timeseries || !timeseries.length) {
+    throw new Error('No MET Norway forecast data available');
+  }
+
+  return timeseries.map(entry => {
+    const instant = entry.data.instant?.details || {};
+    const nextHour = entry.data.next_1_hours?.details || {};
+    return normalizeReading(new Date(entry.time), {
+      temperature: instant.air_temperature,
+      windspeed: instant.wind_speed !== undefined ? instant.wind_speed * MS_TO_KMH : null,
+      rainfall: nextHour.precipitation_amount,
+      humidity: instant.relative_humidity
+    });
+  });
+}
+
+// MET Norway has no observations endpoint here, so "current" is the forecast for the present hour
+async function fetchCurrentWeather(lat, lon) {
+  const readings = await fetchTimeseries(lat, lon);
+  const now = Date.now();
+  return readings.reduce((closest, reading) =>
+    Math.abs(reading.datetime - now) < Math.abs(closest.datetime - now) ? reading : closest
+  );
+}
+
+async function fetchForecastWeather(lat, lon, hours) {
+  const readings = await fetchTimeseries(lat, lon);
+  const windowEnd = Date.now() + hours * 60 * 60 * 1000;
+  return readings.filter(reading => reading.datetime <= windowEnd);
+}
+
+async function fetchHistoricalWeather() {
+  throw new Error('met-norway does not provide historical weather');
+}
+
+module.exports = {
+  name: 'met-norway',
+  fetchCurrentWeather,
+  fetchForecastWeather,
+  fetchHistoricalWeather
+};
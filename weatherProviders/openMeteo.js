@@ -1,17 +1,99 @@
 const axios = require('axios');
+const { normalizeReading } = require('./readings');
+
+const FORECAST_URL = process.env.OPEN_METEO_FORECAST_URL || 'https://api.open-meteo.com/v1/forecast';
+const ARCHIVE_URL = process.env.OPEN_METEO_ARCHIVE_URL || 'https://archive-api.open-meteo.com/v1/archive';
+const REQUEST_TIMEOUT_MS = 15000;
+
+const HOURLY_VARIABLES = 'temperature_2m,relative_humidity_2m,wind_speed_10m,precipitation';
+
+// The archive lags real time by a few days; anything more recent comes from the forecast API's past data
+const ARCHIVE_LAG_DAYS = 7;
+const MAX_PAST_DAYS = 92;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function toDateString(date) {
+  return date.toISOString().split('T')[0];
+}
+
+// Convert Open-Meteo's column-oriented hourly block into readings
+function hourlyToReadings(hourly) {
+  return hourly.time.map((time, i) => normalizeReading(new Date(time * 1000), {
+    temperature: hourly.temperature_2m[i],
+    windspeed: hourly.wind_speed_10m[i],
+    rainfall: hourly.precipitation[i],
+    humidity: hourly.relative_humidity_2m[i]
+  }));
+}
 
 // Fetch current weather from Open-Meteo using lat/lon
 async function fetchCurrentWeather(lat, lon) {
-  try {
-    const url = `https://api.open-meteo.com/v1/forecast?latitude=${lat}&longitude=${lon}&current_weather=true&timezone=auto`;
-    const response = await axios.get(url);
-    return response.data.current_weather;
-  } catch (err) {
-    console.error("❌ Open-Meteo fetch error:", err.message);
-    return null;
+  const url = `${FORECAST_URL}?latitude=${lat}&longitude=${lon}&current=temperature_2m,relative_humidity_2m,wind_speed_10m,precipitation&timeformat=unixtime`;
+  const response = await axios.get(url, { timeout: REQUEST_TIMEOUT_MS });
+  const current = response.data.current;
+
+  if (!current) {
+    throw new Error('No current weather data available');
+  }
+
+  return normalizeReading(new Date(current.time * 1000), {
+    temperature: current.temperature_2m,
+    windspeed: current.wind_speed_10m,
+    // Measured precipitation over the preceding interval
+    rainfall: current.precipitation,
+    humidity: current.relative_humidity_2m
+  });
+}
+
+// Fetch the hourly forecast covering the next `hours` hours
+async function fetchForecastWeather(lat, lon, hours) {
+  const days = Math.min(16, Math.ceil(hours / 24) + 1);
+  const url = `${FORECAST_URL}?latitude=${lat}&longitude=${lon}&hourly=${HOURLY_VARIABLES}&forecast_days=${days}&timeformat=unixtime`;
+  const response = await axios.get(url, { timeout: REQUEST_TIMEOUT_MS });
+
+  if (!response.data.hourly) {
+    throw new Error('No hourly forecast data available');
   }
+
+  return hourlyToReadings(response.data.hourly);
+}
+
+async function fetchHourlyRange(baseUrl, lat, lon, startDate, endDate) {
+  const url = `${baseUrl}?latitude=${lat}&longitude=${lon}&start_date=${toDateString(startDate)}&end_date=${toDateString(endDate)}&hourly=${HOURLY_VARIABLES}&timeformat=unixtime`;
+  const response = await axios.get(url, { timeout: REQUEST_TIMEOUT_MS });
+
+  if (!response.data.hourly) {
+    throw new Error('No historical weather data available');
+  }
+
+  return hourlyToReadings(response.data.hourly);
+}
+
+// Fetch hourly observations between two dates, combining the archive (older data)
+// with the forecast API's recent past so the last few days are not missing
+async function fetchHistoricalWeather(lat, lon, startDate, endDate) {
+  const now = Date.now();
+  const archiveEnd = new Date(Math.min(endDate.getTime(), now - ARCHIVE_LAG_DAYS * DAY_MS));
+  const recentStart = new Date(Math.max(startDate.getTime(), now - ARCHIVE_LAG_DAYS * DAY_MS));
+  const readings = [];
+
+  if (startDate < archiveEnd) {
+    readings.push(...await fetchHourlyRange(ARCHIVE_URL, lat, lon, startDate, archiveEnd));
+  }
+  if (recentStart <= endDate && now - recentStart.getTime() <= MAX_PAST_DAYS * DAY_MS) {
+    const seen = new Set(readings.map(reading => reading.datetime.getTime()));
+    const recent = await fetchHourlyRange(FORECAST_URL, lat, lon, recentStart, endDate);
+    readings.push(...recent.filter(reading => !seen.has(reading.datetime.getTime())));
+  }
+
+  return readings
+    .filter(reading => reading.datetime >= startDate && reading.datetime <= endDate)
+    .sort((a, b) => a.datetime - b.datetime);
 }
 
 module.exports = {
-  fetchCurrentWeather
+  name: 'open-meteo',
+  fetchCurrentWeather,
+  fetchForecastWeather,
+  fetchHistoricalWeather
 };
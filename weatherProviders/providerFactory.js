@@ -1,12 +1,73 @@
 const openMeteo = require('./openMeteo');
+const metNorway = require('./metNorway');
+const fixture = require('./fixture');
 
-// You can expand this later to support meteomatics, etc.
-function getProvider(providerName = 'open-meteo') {
-  switch (providerName) {
-    case 'open-meteo':
-    default:
-      return openMeteo;
+// Every provider exposes fetchCurrentWeather, fetchForecastWeather and fetchHistoricalWeather,
+// returning normalized readings (see readings.js) and throwing when the data can't be fetched.
+const providers = {
+  [openMeteo.name]: openMeteo,
+  [metNorway.name]: metNorway,
+  [fixture.name]: fixture
+};
+
+// Deployment defaults: WEATHER_PROVIDER is tried first, then WEATHER_PROVIDER_FALLBACKS in order
+const DEFAULT_PROVIDER = process.env.WEATHER_PROVIDER || 'open-meteo';
+const FALLBACK_PROVIDERS = (process.env.WEATHER_PROVIDER_FALLBACKS ?? 'met-norway')
+  .split(',')
+  .map(name => name.trim())
+  .filter(Boolean);
+
+function getProviderNames() {
+  return Object.keys(providers);
+}
+
+function getProvider(providerName = DEFAULT_PROVIDER) {
+  return providers[providerName] || providers[DEFAULT_PROVIDER] || openMeteo;
+}
+
+// Providers to try for a field: its own provider (if set), then the deployment default and fallbacks
+function getProviderChain(preferred = null) {
+  const chain = [preferred, DEFAULT_PROVIDER, ...FALLBACK_PROVIDERS].filter(name => name && providers[name]);
+  return [...new Set(chain)];
+}
+
+// Call `method` on each provider in the chain until one succeeds.
+// Resolves to { provider, data } so callers can record where the data came from.
+async function fetchWithFallback(method, args, preferred = null) {
+  const errors = [];
+
+  for (const name of getProviderChain(preferred)) {
+    try {
+      const data = await providers[name][method](...args);
+      if (errors.length) {
+        console.warn(`⚠️ Weather served by fallback provider ${name} after: ${errors.join('; ')}`);
+      }
+      return { provider: name, data };
+    } catch (err) {
+      errors.push(`${name}: ${err.message}`);
+    }
   }
+
+  throw new Error(`All weather providers failed (${errors.join('; ')})`);
+}
+
+function fetchCurrent(lat, lon, preferred = null) {
+  return fetchWithFallback('fetchCurrentWeather', [lat, lon], preferred);
+}
+
+function fetchForecast(lat, lon, hours, preferred = null) {
+  return fetchWithFallback('fetchForecastWeather', [lat, lon, hours], preferred);
+}
+
+function fetchHistorical(lat, lon, startDate, endDate, preferred = null) {
+  return fetchWithFallback('fetchHistoricalWeather', [lat, lon, startDate, endDate], preferred);
 }
 
-module.exports = { getProvider };
+module.exports = {
+  getProvider,
+  getProviderNames,
+  getProviderChain,
+  fetchCurrent,
+  fetchForecast,
+  fetchHistorical
+};
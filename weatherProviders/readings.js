@@ -0,0 +1,43 @@
+// Normalized weather reading shared by every provider:
+// { datetime: Date, temperature, windspeed, rainfall, humidity } with values in READING_UNITS (null when unknown)
+const READING_UNITS = {
+  temperature: '°C',
+  windspeed: 'km/h',
+  rainfall: 'mm',
+  humidity: '%'
+};
+
+const METRICS = Object.keys(READING_UNITS);
+
+// Size of the weather grid in degrees (about 5 km by default); weatherCache fetches every location at its cell's centre
+const GRID_DEGREES = parseFloat(process.env.WEATHER_GRID_DEGREES || '0.05');
+
+function toNumber(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const num = Number(value);
+  return isNaN(num) ? null : num;
+}
+
+// Build a reading from provider values, dropping anything that isn't a finite number
+function normalizeReading(datetime, values) {
+  const reading = { datetime: datetime instanceof Date ? datetime : new Date(datetime) };
+  METRICS.forEach(metric => {
+    reading[metric] = toNumber(values[metric]);
+  });
+  return reading;
+}
+
+// The grid cell a location falls in: its centre (where weather is fetched) and key
+function getGridCell(latitude, longitude) {
+  const snap = value => Math.round(parseFloat(value) / GRID_DEGREES) * GRID_DEGREES;
+  const lat = Number(snap(latitude).toFixed(4));
+  const lon = Number(snap(longitude).toFixed(4));
+  return { latitude: lat, longitude: lon, key: `${lat.toFixed(4)},${lon.toFixed(4)}` };
+}
+
+module.exports = {
+  READING_UNITS,
+  METRICS,
+  normalizeReading,
+  getGridCell
+};